@@ -0,0 +1,182 @@
+-- Brings the migration history in line with the schema the earlier
+-- migrations missed (these models were created with `prisma db push`).
+-- A database that already has them: `prisma migrate resolve --applied 20261019065600_sync_baseline_schema`
+
+-- CreateEnum
+CREATE TYPE "LogCategory" AS ENUM ('AUTH', 'PHARMACY', 'SYSTEM', 'USER', 'INVENTORY', 'ORDER');
+
+-- CreateEnum
+CREATE TYPE "NotificationType" AS ENUM ('CMS_ALERT', 'SOS_UPDATE', 'MEDICINE_ALERT', 'SYSTEM_MESSAGE', 'LOW_STOCK_WARNING', 'EXPIRY_WARNING');
+
+-- AlterTable
+ALTER TABLE "SOSRequest" ADD COLUMN     "acceptedAt" TIMESTAMP(3),
+ADD COLUMN     "acceptedBy" TEXT,
+ADD COLUMN     "prescriptionUrl" TEXT,
+ADD COLUMN     "rejectionNote" TEXT;
+
+-- CreateTable
+CREATE TABLE "PharmacyResponse" (
+    "id" TEXT NOT NULL,
+    "sosId" TEXT NOT NULL,
+    "pharmacyId" TEXT NOT NULL,
+    "response" TEXT NOT NULL DEFAULT 'rejected',
+    "note" TEXT,
+    "respondedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PharmacyResponse_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Log" (
+    "id" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "userId" TEXT,
+    "category" "LogCategory" NOT NULL,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Log_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "type" "NotificationType" NOT NULL,
+    "isRead" BOOLEAN NOT NULL DEFAULT false,
+    "metadata" JSONB,
+    "targetRole" TEXT,
+    "priority" TEXT NOT NULL DEFAULT 'normal',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "HealthTip" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "category" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "publishDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiryDate" TIMESTAMP(3),
+    "imageUrl" TEXT,
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "HealthTip_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Announcement" (
+    "id" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "type" TEXT NOT NULL DEFAULT 'info',
+    "priority" TEXT NOT NULL DEFAULT 'normal',
+    "targetRole" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "publishDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiryDate" TIMESTAMP(3),
+    "createdBy" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Announcement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "TwoFactorAuth" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "secret" TEXT NOT NULL,
+    "isEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "backupCodes" TEXT[],
+    "enabledAt" TIMESTAMP(3),
+    "lastUsedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TwoFactorAuth_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PharmacyResponse_sosId_idx" ON "PharmacyResponse"("sosId");
+
+-- CreateIndex
+CREATE INDEX "PharmacyResponse_pharmacyId_idx" ON "PharmacyResponse"("pharmacyId");
+
+-- CreateIndex
+CREATE INDEX "PharmacyResponse_response_idx" ON "PharmacyResponse"("response");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PharmacyResponse_sosId_pharmacyId_key" ON "PharmacyResponse"("sosId", "pharmacyId");
+
+-- CreateIndex
+CREATE INDEX "Log_category_idx" ON "Log"("category");
+
+-- CreateIndex
+CREATE INDEX "Log_userId_idx" ON "Log"("userId");
+
+-- CreateIndex
+CREATE INDEX "Log_createdAt_idx" ON "Log"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "Log_action_idx" ON "Log"("action");
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_idx" ON "Notification"("userId");
+
+-- CreateIndex
+CREATE INDEX "Notification_isRead_idx" ON "Notification"("isRead");
+
+-- CreateIndex
+CREATE INDEX "Notification_createdAt_idx" ON "Notification"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "Notification_type_idx" ON "Notification"("type");
+
+-- CreateIndex
+CREATE INDEX "Notification_targetRole_idx" ON "Notification"("targetRole");
+
+-- CreateIndex
+CREATE INDEX "HealthTip_isActive_idx" ON "HealthTip"("isActive");
+
+-- CreateIndex
+CREATE INDEX "HealthTip_publishDate_idx" ON "HealthTip"("publishDate");
+
+-- CreateIndex
+CREATE INDEX "HealthTip_category_idx" ON "HealthTip"("category");
+
+-- CreateIndex
+CREATE INDEX "Announcement_isActive_idx" ON "Announcement"("isActive");
+
+-- CreateIndex
+CREATE INDEX "Announcement_publishDate_idx" ON "Announcement"("publishDate");
+
+-- CreateIndex
+CREATE INDEX "Announcement_priority_idx" ON "Announcement"("priority");
+
+-- CreateIndex
+CREATE INDEX "Announcement_targetRole_idx" ON "Announcement"("targetRole");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TwoFactorAuth_userId_key" ON "TwoFactorAuth"("userId");
+
+-- CreateIndex
+CREATE INDEX "TwoFactorAuth_userId_idx" ON "TwoFactorAuth"("userId");
+
+-- CreateIndex
+CREATE INDEX "TwoFactorAuth_isEnabled_idx" ON "TwoFactorAuth"("isEnabled");
+
+-- AddForeignKey
+ALTER TABLE "PharmacyResponse" ADD CONSTRAINT "PharmacyResponse_sosId_fkey" FOREIGN KEY ("sosId") REFERENCES "SOSRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
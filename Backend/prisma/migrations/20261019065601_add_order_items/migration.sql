@@ -0,0 +1,39 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'ORDER_UPDATE';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "confirmedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "OrderItem" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "inventoryId" TEXT,
+    "medicineName" TEXT NOT NULL,
+    "genericName" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "lineTotal" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderItem_orderId_idx" ON "OrderItem"("orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderItem_inventoryId_idx" ON "OrderItem"("inventoryId");
+
+-- CreateIndex
+CREATE INDEX "Order_pharmacyId_idx" ON "Order"("pharmacyId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_pharmacyId_fkey" FOREIGN KEY ("pharmacyId") REFERENCES "Pharmacy"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderItem" ADD CONSTRAINT "OrderItem_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderItem" ADD CONSTRAINT "OrderItem_inventoryId_fkey" FOREIGN KEY ("inventoryId") REFERENCES "Inventory"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "OrderStatus" AS ENUM ('pending', 'confirmed', 'ready_for_pickup', 'out_for_delivery', 'delivered', 'cancelled', 'rejected');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "deliveredAt" TIMESTAMP(3);
+
+-- Convert the free-text statuses (including the old uppercase ORDER_STATUS
+-- values) in place; anything unrecognised fails the cast rather than being guessed
+ALTER TABLE "Order" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "Order" ALTER COLUMN "status" TYPE "OrderStatus" USING (
+  CASE lower(trim("status"))
+    WHEN 'pending' THEN 'pending'
+    WHEN 'confirmed' THEN 'confirmed'
+    WHEN 'processing' THEN 'confirmed'
+    WHEN 'ready_for_pickup' THEN 'ready_for_pickup'
+    WHEN 'shipped' THEN 'out_for_delivery'
+    WHEN 'out_for_delivery' THEN 'out_for_delivery'
+    WHEN 'delivered' THEN 'delivered'
+    WHEN 'fulfilled' THEN 'delivered'
+    WHEN 'cancelled' THEN 'cancelled'
+    WHEN 'canceled' THEN 'cancelled'
+    WHEN 'rejected' THEN 'rejected'
+    ELSE "status"
+  END
+)::"OrderStatus";
+ALTER TABLE "Order" ALTER COLUMN "status" SET DEFAULT 'pending';
+
+-- Orders delivered before deliveredAt existed
+UPDATE "Order" SET "deliveredAt" = "updatedAt" WHERE "status" = 'delivered';
+
+-- CreateTable
+CREATE TABLE "OrderStatusHistory" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "fromStatus" "OrderStatus",
+    "toStatus" "OrderStatus" NOT NULL,
+    "changedBy" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderStatusHistory_orderId_idx" ON "OrderStatusHistory"("orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderStatusHistory_createdAt_idx" ON "OrderStatusHistory"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "OrderStatusHistory" ADD CONSTRAINT "OrderStatusHistory_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
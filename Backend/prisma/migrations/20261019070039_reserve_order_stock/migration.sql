@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Inventory" ADD COLUMN     "reservedQuantity" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "reservationExpiresAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Order_reservationExpiresAt_idx" ON "Order"("reservationExpiresAt");
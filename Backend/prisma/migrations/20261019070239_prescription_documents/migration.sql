@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Prescription" ADD COLUMN     "doctorName" TEXT,
+ADD COLUMN     "fileName" TEXT,
+ADD COLUMN     "hospitalName" TEXT,
+ADD COLUMN     "medications" TEXT,
+ADD COLUMN     "mimeType" TEXT,
+ADD COLUMN     "notes" TEXT,
+ADD COLUMN     "storageDriver" TEXT,
+ADD COLUMN     "storageKey" TEXT;
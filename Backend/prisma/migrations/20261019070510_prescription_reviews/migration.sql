@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "PrescriptionReviewStatus" AS ENUM ('PENDING', 'VALID', 'INVALID', 'NEEDS_CLARIFICATION');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "prescriptionId" TEXT,
+ADD COLUMN     "prescriptionStatus" "PrescriptionReviewStatus",
+ADD COLUMN     "prescriptionUrl" TEXT;
+
+-- AlterTable
+ALTER TABLE "SOSRequest" ADD COLUMN     "prescriptionStatus" "PrescriptionReviewStatus";
+
+-- CreateTable
+CREATE TABLE "PrescriptionReview" (
+    "id" TEXT NOT NULL,
+    "sosRequestId" TEXT,
+    "orderId" TEXT,
+    "pharmacyId" TEXT NOT NULL,
+    "reviewedBy" TEXT NOT NULL,
+    "status" "PrescriptionReviewStatus" NOT NULL,
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PrescriptionReview_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PrescriptionReview_sosRequestId_idx" ON "PrescriptionReview"("sosRequestId");
+
+-- CreateIndex
+CREATE INDEX "PrescriptionReview_orderId_idx" ON "PrescriptionReview"("orderId");
+
+-- CreateIndex
+CREATE INDEX "PrescriptionReview_pharmacyId_idx" ON "PrescriptionReview"("pharmacyId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_prescriptionId_fkey" FOREIGN KEY ("prescriptionId") REFERENCES "Prescription"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PrescriptionReview" ADD CONSTRAINT "PrescriptionReview_sosRequestId_fkey" FOREIGN KEY ("sosRequestId") REFERENCES "SOSRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PrescriptionReview" ADD CONSTRAINT "PrescriptionReview_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PrescriptionReview" ADD CONSTRAINT "PrescriptionReview_pharmacyId_fkey" FOREIGN KEY ("pharmacyId") REFERENCES "Pharmacy"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Inventory" ADD COLUMN     "requiresPrescription" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "requiresPrescription" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "DoseStatus" AS ENUM ('DUE', 'TAKEN', 'SKIPPED');
+
+-- AlterTable
+ALTER TABLE "Medication" ADD COLUMN     "daysOfWeek" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "remindersEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "scheduleTimes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "scheduleUpdatedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "MedicationDose" (
+    "id" TEXT NOT NULL,
+    "medicationId" TEXT NOT NULL,
+    "scheduledFor" TIMESTAMP(3) NOT NULL,
+    "status" "DoseStatus" NOT NULL DEFAULT 'DUE',
+    "markedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "MedicationDose_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MedicationDose_scheduledFor_idx" ON "MedicationDose"("scheduledFor");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MedicationDose_medicationId_scheduledFor_key" ON "MedicationDose"("medicationId", "scheduledFor");
+
+-- AddForeignKey
+ALTER TABLE "MedicationDose" ADD CONSTRAINT "MedicationDose_medicationId_fkey" FOREIGN KEY ("medicationId") REFERENCES "Medication"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "SOSRequest" ADD COLUMN     "escalationLevel" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "expiredAt" TIMESTAMP(3),
+ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "lastEscalatedAt" TIMESTAMP(3),
+ADD COLUMN     "notifyRadiusKm" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "SOSAlert" (
+    "id" TEXT NOT NULL,
+    "sosId" TEXT NOT NULL,
+    "pharmacyId" TEXT NOT NULL,
+    "radiusKm" DOUBLE PRECISION,
+    "notifiedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SOSAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SOSAlert_pharmacyId_idx" ON "SOSAlert"("pharmacyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SOSAlert_sosId_pharmacyId_key" ON "SOSAlert"("sosId", "pharmacyId");
+
+-- CreateIndex
+CREATE INDEX "SOSRequest_status_expiresAt_idx" ON "SOSRequest"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "SOSAlert" ADD CONSTRAINT "SOSAlert_sosId_fkey" FOREIGN KEY ("sosId") REFERENCES "SOSRequest"("id") ON DELETE CASCADE ON UPDATE CASCADE;
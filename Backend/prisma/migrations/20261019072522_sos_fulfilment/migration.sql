@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "SOSRequest" ADD COLUMN     "completedAt" TIMESTAMP(3),
+ADD COLUMN     "failedAt" TIMESTAMP(3),
+ADD COLUMN     "failedBy" TEXT,
+ADD COLUMN     "failureReason" TEXT,
+ADD COLUMN     "handedOverAt" TIMESTAMP(3),
+ADD COLUMN     "readyAt" TIMESTAMP(3),
+ADD COLUMN     "receivedAt" TIMESTAMP(3),
+ADD COLUMN     "timeToAcceptSeconds" INTEGER,
+ADD COLUMN     "timeToCompleteSeconds" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "SOSRequest_acceptedBy_idx" ON "SOSRequest"("acceptedBy");
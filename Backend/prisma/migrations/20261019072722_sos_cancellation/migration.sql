@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SOSRequest" ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Pharmacy" ADD COLUMN     "sosAlertsEnabled" BOOLEAN NOT NULL DEFAULT true;
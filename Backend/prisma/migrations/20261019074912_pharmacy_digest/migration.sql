@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Pharmacy" ADD COLUMN     "lastDigestAt" TIMESTAMP(3);
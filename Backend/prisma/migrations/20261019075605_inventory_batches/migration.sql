@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "Inventory" ALTER COLUMN "quantity" SET DEFAULT 0,
+ALTER COLUMN "expiryDate" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "InventoryBatch" (
+    "id" TEXT NOT NULL,
+    "inventoryId" TEXT NOT NULL,
+    "batchNumber" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "expiryDate" TIMESTAMP(3) NOT NULL,
+    "costPrice" DOUBLE PRECISION,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InventoryBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryBatch_inventoryId_expiryDate_idx" ON "InventoryBatch"("inventoryId", "expiryDate");
+
+-- CreateIndex
+CREATE INDEX "InventoryBatch_expiryDate_idx" ON "InventoryBatch"("expiryDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventoryBatch_inventoryId_batchNumber_key" ON "InventoryBatch"("inventoryId", "batchNumber");
+
+-- AddForeignKey
+ALTER TABLE "InventoryBatch" ADD CONSTRAINT "InventoryBatch_inventoryId_fkey" FOREIGN KEY ("inventoryId") REFERENCES "Inventory"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Carry existing stock over: one opening batch per stocked item, with the
+-- item's quantity and expiry. Pharmacies can correct the batch number later
+INSERT INTO "InventoryBatch" ("id", "inventoryId", "batchNumber", "quantity", "expiryDate", "updatedAt")
+SELECT gen_random_uuid()::text, "id", 'OPENING', "quantity", "expiryDate", CURRENT_TIMESTAMP
+FROM "Inventory"
+WHERE "quantity" > 0 AND "expiryDate" IS NOT NULL;
@@ -0,0 +1,43 @@
+-- CreateEnum
+CREATE TYPE "StockMovementType" AS ENUM ('PURCHASE', 'SALE', 'SOS_DISPENSE', 'ADJUSTMENT', 'DAMAGE', 'EXPIRY_WRITE_OFF', 'RETURN');
+
+-- CreateTable
+CREATE TABLE "StockMovement" (
+    "id" TEXT NOT NULL,
+    "inventoryId" TEXT NOT NULL,
+    "batchId" TEXT,
+    "batchNumber" TEXT NOT NULL,
+    "type" "StockMovementType" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "reason" TEXT,
+    "referenceId" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockMovement_inventoryId_createdAt_idx" ON "StockMovement"("inventoryId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_batchId_idx" ON "StockMovement"("batchId");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_referenceId_idx" ON "StockMovement"("referenceId");
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_inventoryId_fkey" FOREIGN KEY ("inventoryId") REFERENCES "Inventory"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "InventoryBatch"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Open the ledger: batch quantities are the sum of their movements, so each
+-- existing batch gets one movement for the units it already holds
+INSERT INTO "StockMovement" ("id", "inventoryId", "batchId", "batchNumber", "type", "quantity", "reason", "createdAt")
+SELECT gen_random_uuid()::text, "inventoryId", "id", "batchNumber", 'ADJUSTMENT', "quantity", 'Opening stock', "createdAt"
+FROM "InventoryBatch"
+WHERE "quantity" <> 0;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Pharmacy" ADD COLUMN     "defaultReorderLevel" INTEGER NOT NULL DEFAULT 10;
+
+-- AlterTable
+ALTER TABLE "Inventory" ADD COLUMN     "lowStockAlertedAt" TIMESTAMP(3),
+ADD COLUMN     "reorderLevel" INTEGER;
@@ -111,6 +111,78 @@ const config = {
     maxVerifyAttempts: 3, // Maximum wrong OTP attempts before blocking
   },
 
+  // File Storage (see utils/fileStorage.js)
+  storage: {
+    // "local" or "cloudinary"; falls back to local disk when Cloudinary isn't configured
+    driver: validateEnv(
+      "STORAGE_DRIVER",
+      process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+        ? "cloudinary"
+        : "local"
+    ),
+    localDir: validateEnv("UPLOADS_DIR", "uploads"),
+    localPublicUrl: validateEnv(
+      "UPLOADS_PUBLIC_URL",
+      `http://localhost:${validateEnv("PORT", "5000")}/uploads`
+    ),
+  },
+
+  // Orders
+  orders: {
+    // Pending orders hold their stock for this long before being auto-cancelled
+    reservationTtlMinutes: parseInt(validateEnv("ORDER_RESERVATION_TTL_MINUTES", "30"), 10),
+    reservationSweepIntervalMs: 60 * 1000, // Check for expired reservations every minute
+  },
+
+  // Emergency SOS requests
+  sos: {
+    // Pharmacies are alerted ring by ring, widening every escalationIntervalMinutes
+    escalationRadiiKm: validateEnv("SOS_ESCALATION_RADII_KM", "5,15,50")
+      .split(",")
+      .map((radius) => parseFloat(radius))
+      .filter((radius) => radius > 0)
+      .sort((a, b) => a - b),
+    escalationIntervalMinutes: parseInt(validateEnv("SOS_ESCALATION_INTERVAL_MINUTES", "10"), 10),
+    // Requests nobody accepts within this long expire
+    ttlMinutes: parseInt(validateEnv("SOS_TTL_MINUTES", "120"), 10),
+    // How to alert pharmacies in range that don't stock the medicine:
+    // "normal" = lower-priority alert, "high" = same as stocking ones,
+    // "none" = skip them (until the widest ring, so a request is never unseen)
+    nonStockingAlert: validateEnv("SOS_NON_STOCKING_ALERT", "normal"),
+    sweepIntervalMs: 60 * 1000, // Check for escalations and expiries every minute
+  },
+
+  // Notification delivery
+  notifications: {
+    // Quiet hours are interpreted in this timezone
+    timezone: validateEnv("NOTIFICATION_TIMEZONE", "Asia/Kathmandu"),
+    // Email channel (SMTP settings: EMAIL_HOST / EMAIL_PORT, see utils/email.js)
+    email: {
+      enabled: validateEnv("NOTIFICATION_EMAILS_ENABLED", "true") === "true",
+      maxAttempts: parseInt(validateEnv("NOTIFICATION_EMAIL_MAX_ATTEMPTS", "5"), 10),
+      retryBaseMinutes: 1, // Retries back off 1, 2, 4, 8... minutes
+      batchSize: 20, // Emails sent per outbox sweep
+      sendingTimeoutMinutes: 10, // Rows stuck in SENDING (crash mid-send) are retried after this
+      outboxSweepIntervalMs: 15 * 1000,
+    },
+    // Daily pharmacy digest emails (opt-in per type, see digest.service.js)
+    digest: {
+      time: validateEnv("NOTIFICATION_DIGEST_TIME", "07:00"), // Local time (timezone above) from which digests go out
+      expiryWindowsDays: [30, 60, 90],
+      sweepIntervalMs: 5 * 60 * 1000,
+    },
+  },
+
+  // Medication reminders
+  medications: {
+    // Dose times are interpreted in this timezone
+    timezone: validateEnv("MEDICATION_TIMEZONE", "Asia/Kathmandu"),
+    reminderSweepIntervalMs: 60 * 1000, // Check for due doses every minute
+    reminderLookbackMinutes: 15, // Catch up on doses that fell due while the server was down
+    doseGraceMinutes: 120, // Unmarked doses count as missed after this long
+    earlyMarkMinutes: 60, // Doses can be marked this long before they are due
+  },
+
   // Features
   features: {
     emailVerification:
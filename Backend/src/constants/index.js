@@ -63,12 +63,13 @@ export const USER_ROLES = {
 };
 
 export const ORDER_STATUS = {
-  PENDING: "PENDING",
-  CONFIRMED: "CONFIRMED",
-  PROCESSING: "PROCESSING",
-  SHIPPED: "SHIPPED",
-  DELIVERED: "DELIVERED",
-  CANCELLED: "CANCELLED",
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  READY_FOR_PICKUP: "ready_for_pickup",
+  OUT_FOR_DELIVERY: "out_for_delivery",
+  DELIVERED: "delivered",
+  CANCELLED: "cancelled",
+  REJECTED: "rejected",
 };
 
 export const STOCK_STATUS = {
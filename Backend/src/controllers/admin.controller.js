@@ -9,6 +9,7 @@ import { prisma } from "../database/prisma.js";
 import { AppError } from "../middlewares/errorHandler.js";
 import { createLog, getLogs as getActivityLogs, LOG_ACTIONS } from "../utils/activityLogger.js";
 import notificationService from "../modules/notifications/notification.service.js";
+import { UNEXPIRED_STOCK_SQL } from "../modules/inventory/low-stock.service.js";
 
 /**
  * GET /api/admin/pharmacies/pending
@@ -226,6 +227,8 @@ export const approvePharmacy = async (req, res, next) => {
       }
     );
 
+    await notificationService.notifyPharmacyVerification(updatedPharmacy);
+
     res.status(200).json({
       success: true,
       message: "Pharmacy approved successfully",
@@ -316,6 +319,8 @@ export const rejectPharmacy = async (req, res, next) => {
       }
     );
 
+    await notificationService.notifyPharmacyVerification(updatedPharmacy);
+
     res.status(200).json({
       success: true,
       message: "Pharmacy rejected",
@@ -678,72 +683,68 @@ export const getSOSLocations = async (req, res, next) => {
 
 /**
  * GET /api/admin/inventory/insights
- * Get inventory insights across all pharmacies
+ * Get inventory insights across all verified pharmacies
+ * Stock counts unexpired batches only: items are low on stock when it is at
+ * or below their reorder level (the item's own, or the pharmacy's default),
+ * and out of stock when none is left. A pharmacy is
+ * short of a generic when none of its products for it is above the reorder
+ * level; shortages list the generics short somewhere, most pharmacies out of
+ * stock first
  */
 export const getInventoryInsights = async (req, res, next) => {
   try {
-    // Fetch all inventory items with pharmacy information
-    const inventoryItems = await prisma.inventoryItem.findMany({
-      include: {
-        pharmacy: {
-          select: {
-            id: true,
-            pharmacyName: true,
-            contactPhone: true,
-          },
-        },
-      },
-    });
-
-    // Calculate insights
-    const lowStockItems = inventoryItems.filter(
-      (item) => item.quantity <= item.reorderLevel
-    );
-
-    const outOfStockItems = inventoryItems.filter(
-      (item) => item.quantity === 0
-    );
-
-    // Group by medicine for shortage analysis
-    const medicineMap = new Map();
-    lowStockItems.forEach((item) => {
-      if (!medicineMap.has(item.medicineName)) {
-        medicineMap.set(item.medicineName, {
-          medicineName: item.medicineName,
-          totalStock: 0,
-          pharmaciesAffected: [],
-          severity: "LOW",
-        });
-      }
-      const medicine = medicineMap.get(item.medicineName);
-      medicine.totalStock += item.quantity;
-      medicine.pharmaciesAffected.push({
-        pharmacyId: item.pharmacy.id,
-        pharmacyName: item.pharmacy.pharmacyName,
-        currentStock: item.quantity,
-        reorderLevel: item.reorderLevel,
-      });
-    });
-
-    const shortages = Array.from(medicineMap.values()).map((medicine) => {
-      // Determine severity
-      const avgStock =
-        medicine.totalStock / medicine.pharmaciesAffected.length;
-      medicine.severity =
-        avgStock === 0 ? "CRITICAL" : avgStock < 10 ? "HIGH" : "MEDIUM";
-      return medicine;
-    });
+    const [totals] = await prisma.$queryRaw`
+      SELECT
+        COUNT(*) AS "totalItems",
+        COUNT(*) FILTER (WHERE ${UNEXPIRED_STOCK_SQL} <= COALESCE(i."reorderLevel", p."defaultReorderLevel")) AS "lowStockCount",
+        COUNT(*) FILTER (WHERE ${UNEXPIRED_STOCK_SQL} = 0) AS "outOfStockCount"
+      FROM "Inventory" AS i
+      JOIN "Pharmacy" AS p ON p."id" = i."pharmacyId"
+      WHERE p."verificationStatus" = 'VERIFIED'
+    `;
+
+    // One row per pharmacy and generic, then per generic
+    const shortages = await prisma.$queryRaw`
+      WITH stock AS (
+        SELECT
+          LOWER(i."genericName") AS "key",
+          MIN(i."genericName") AS "genericName",
+          MIN(i."name") AS "name",
+          SUM(${UNEXPIRED_STOCK_SQL}) AS "quantity",
+          BOOL_AND(${UNEXPIRED_STOCK_SQL} <= COALESCE(i."reorderLevel", p."defaultReorderLevel")) AS "low"
+        FROM "Inventory" AS i
+        JOIN "Pharmacy" AS p ON p."id" = i."pharmacyId"
+        WHERE p."verificationStatus" = 'VERIFIED'
+        GROUP BY i."pharmacyId", LOWER(i."genericName")
+      )
+      SELECT
+        MIN("genericName") AS "genericName",
+        MIN("name") AS "name",
+        COUNT(*) AS "totalPharmacies",
+        COUNT(*) FILTER (WHERE "low") AS "lowStockCount",
+        COUNT(*) FILTER (WHERE "quantity" = 0) AS "outOfStockCount",
+        AVG("quantity") AS "avgQuantity"
+      FROM stock
+      GROUP BY "key"
+      HAVING COUNT(*) FILTER (WHERE "low") > 0
+      ORDER BY "outOfStockCount" DESC, "lowStockCount" DESC, "genericName"
+      LIMIT 50
+    `;
 
     res.status(200).json({
       success: true,
       data: {
-        totalItems: inventoryItems.length,
-        lowStockCount: lowStockItems.length,
-        outOfStockCount: outOfStockItems.length,
-        shortages: shortages.sort((a, b) => {
-          const severityOrder = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, LOW: 3 };
-          return severityOrder[a.severity] - severityOrder[b.severity];
-        }),
+        totalItems: Number(totals.totalItems),
+        lowStockCount: Number(totals.lowStockCount),
+        outOfStockCount: Number(totals.outOfStockCount),
+        shortages: shortages.map((shortage) => ({
+          genericName: shortage.genericName,
+          name: shortage.name,
+          totalPharmacies: Number(shortage.totalPharmacies),
+          lowStockCount: Number(shortage.lowStockCount),
+          outOfStockCount: Number(shortage.outOfStockCount),
+          avgQuantity: Math.round(Number(shortage.avgQuantity)),
+        })),
       },
     });
   } catch (error) {
@@ -764,28 +765,16 @@ export const sendRestockAlert = async (req, res, next) => {
       throw new AppError("Generic name and message are required", 400);
     }
 
-    // Find affected pharmacies (low stock on this medicine)
-    const lowStockItems = await prisma.inventoryItem.findMany({
-      where: {
-        medicineName: {
-          contains: genericName,
-          mode: "insensitive",
-        },
-        quantity: {
-          lte: prisma.inventoryItem.fields.reorderLevel,
-        },
-      },
-      include: {
-        pharmacy: {
-          select: {
-            id: true,
-            pharmacyName: true,
-            contactPhone: true,
-            contactEmail: true,
-          },
-        },
-      },
-    });
+    // Find affected pharmacies (short of this generic, as in the insights)
+    const lowStockItems = await prisma.$queryRaw`
+      SELECT p."id" AS "pharmacyId", p."pharmacyName", SUM(${UNEXPIRED_STOCK_SQL}) AS "quantity"
+      FROM "Inventory" AS i
+      JOIN "Pharmacy" AS p ON p."id" = i."pharmacyId"
+      WHERE p."verificationStatus" = 'VERIFIED'
+        AND LOWER(i."genericName") = LOWER(${genericName})
+      GROUP BY p."id", p."pharmacyName"
+      HAVING BOOL_AND(${UNEXPIRED_STOCK_SQL} <= COALESCE(i."reorderLevel", p."defaultReorderLevel"))
+    `;
 
     // Log the alert
     await createLog(
@@ -802,9 +791,9 @@ export const sendRestockAlert = async (req, res, next) => {
       data: {
         pharmaciesNotified: lowStockItems.length,
         affectedPharmacies: lowStockItems.map((item) => ({
-          pharmacyId: item.pharmacy.id,
-          pharmacyName: item.pharmacy.pharmacyName,
-          currentStock: item.quantity,
+          pharmacyId: item.pharmacyId,
+          pharmacyName: item.pharmacyName,
+          currentStock: Number(item.quantity),
         })),
       },
     });
@@ -9,6 +9,7 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import { prisma } from "./database/prisma.js";
+import config from "./config/environment.js";
 import { errorHandler, asyncHandler } from "./middlewares/errorHandler.js";
 import loggingMiddleware from "./middlewares/logger.middleware.js";
 import logger from "./utils/logger.js";
@@ -19,6 +20,13 @@ import inventoryRoutes from "./modules/inventory/inventory.routes.js";
 import patientRoutes from "./modules/patient/patient.routes.js";
 import searchRoutes from "./modules/search/search.routes.js";
 import notificationRoutes from "./modules/notifications/notification.routes.js";
+import messageRoutes from "./modules/messages/message.routes.js";
+import fileRoutes from "./modules/files/file.routes.js";
+import { closeAllStreams } from "./modules/notifications/notification.stream.js";
+import { startNotificationJobs, stopNotificationJobs } from "./modules/notifications/notification.jobs.js";
+import { startOrderJobs, stopOrderJobs } from "./modules/orders/order.jobs.js";
+import { startMedicationJobs, stopMedicationJobs } from "./modules/medications/medication.jobs.js";
+import { startSOSJobs, stopSOSJobs } from "./modules/sos/sos.jobs.js";
 import adminRoutes from "./routes/admin.routes.js";
 import contentRoutes from "./routes/content.routes.js";
 // Note: adminExtendedRoutes uses CommonJS, will need conversion or dynamic import
@@ -88,6 +96,7 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["Content-Disposition"], // File downloads (inventory export) carry their name here
     optionsSuccessStatus: 200,
   })
 );
@@ -110,6 +119,12 @@ app.use((req, res, next) => {
 // Request/Response Logger (comprehensive)
 app.use(loggingMiddleware);
 
+// Locally stored uploads (STORAGE_DRIVER=local, see utils/fileStorage.js)
+// Served only to users allowed to see each file, never as static files
+if (config.storage.driver === "local") {
+  app.use("/uploads", fileRoutes);
+}
+
 
 // Simple health check (no dependencies)
 app.get("/api/health", (req, res) => {
@@ -197,6 +212,10 @@ app.use("/api/patient", patientRoutes);
 // Routes include: /notifications, /notifications/unread-count, /notifications/:id/read, etc.
 app.use("/api/notifications", notificationRoutes);
 
+// Message routes (patient ↔ pharmacy chat on accepted SOS requests and orders)
+// Routes include: /messages/sos/:id, /messages/order/:id, /messages/:threadType/:id/read
+app.use("/api/messages", messageRoutes);
+
 // Pharmacy routes (onboarding, pharmacy management & admin verification)
 // Routes include: /pharmacy/onboard, /pharmacy/my-pharmacy, /admin/pharmacies, /admin/pharmacy/:id, etc.
 app.use("/api", pharmacyRoutes);
@@ -326,9 +345,20 @@ const startServer = async () => {
       `);
     });
 
+    // Background jobs
+    startOrderJobs();
+    startMedicationJobs();
+    startSOSJobs();
+    startNotificationJobs();
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       console.log(`\n📍 ${signal} received, shutting down gracefully...`);
+      stopOrderJobs();
+      stopMedicationJobs();
+      stopSOSJobs();
+      stopNotificationJobs();
+      closeAllStreams();
       server.close(async () => {
         await prisma.$disconnect();
         console.log("✓ Server closed");
@@ -1,25 +1,27 @@
 /**
- * File Upload Middleware - Cloudinary Integration
- * Handles pharmacy license document uploads to Cloudinary
+ * File Upload Middleware
+ * Handles pharmacy license and patient prescription uploads,
+ * and spreadsheets for inventory import (kept in memory, never stored)
  * 
  * Features:
  * - Validates file type (PDF, JPG, PNG)
  * - Enforces 5MB file size limit
- * - Uploads to dedicated Cloudinary folder: pharmacies/licenses
- * - Returns secure Cloudinary URL
+ * - Pluggable storage driver (utils/fileStorage.js):
+ *   local disk for dev/tests, Cloudinary when configured
  * 
  * Usage:
- * - Import: uploadLicenseDocument middleware
- * - Apply to pharmacy onboarding route
- * - Access uploaded file: req.file.path (Cloudinary URL)
+ * - Import: uploadLicenseDocument / uploadPrescription / uploadPrescriptionDocument
+ * - Access uploaded file: req.file.url (public URL), req.file.storageKey (for deletion)
+ * - uploadSpreadsheet: req.file.buffer, req.file.spreadsheetFormat ("csv" / "xlsx")
+ * - req.file.storageDriver records which driver stored the file
  */
 
 import multer from "multer";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
-import cloudinary from "../config/cloudinary.js";
+import { getStorageDriver } from "../utils/fileStorage.js";
+import { getSpreadsheetFormat } from "../utils/spreadsheet.js";
 import { AppError } from "./errorHandler.js";
 
-// Allowed file types for pharmacy license documents
+// Allowed file types for license and prescription documents
 const ALLOWED_MIME_TYPES = [
   "application/pdf",
   "image/jpeg",
@@ -30,39 +32,7 @@ const ALLOWED_MIME_TYPES = [
 // Maximum file size: 5MB
 const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB in bytes
 
-/**
- * Cloudinary Storage Configuration
- * Stores files in: pharmacies/licenses/
- * Filename format: license_[userId]_[timestamp]
- */
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: async (req, file) => {
-    // Validate file type
-    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
-      throw new AppError(
-        `Invalid file type. Allowed types: PDF, JPG, PNG`,
-        400
-      );
-    }
-
-    // Determine file format
-    let format = "pdf";
-    if (file.mimetype.includes("jpeg") || file.mimetype.includes("jpg")) {
-      format = "jpg";
-    } else if (file.mimetype.includes("png")) {
-      format = "png";
-    }
-
-    return {
-      folder: "pharmacies/licenses", // Cloudinary folder
-      format: format,
-      public_id: `license_${req.user?.userId || "unknown"}_${Date.now()}`,
-      resource_type: "auto", // Automatically detect resource type
-      allowed_formats: ["pdf", "jpg", "jpeg", "png"],
-    };
-  },
-});
+const storageDriver = getStorageDriver();
 
 /**
  * File Filter - Validates file type before upload
@@ -82,26 +52,63 @@ const fileFilter = (req, file, cb) => {
 };
 
 /**
- * Multer Configuration
- * Handles multipart/form-data with Cloudinary storage
+ * Create a multer instance storing into the given folder
+ * @param {string} folder - Destination folder, e.g. "pharmacies/licenses"
+ * @param {string} prefix - File name prefix, e.g. "license"
  */
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: {
-    fileSize: MAX_FILE_SIZE, // 5MB limit
-  },
-});
+const createUploader = (folder, prefix) =>
+  multer({
+    storage: storageDriver.createStorage({ folder, prefix }),
+    fileFilter: fileFilter,
+    limits: {
+      fileSize: MAX_FILE_SIZE, // 5MB limit
+    },
+  });
+
+/**
+ * Wrap a multer middleware so req.file carries driver-independent details
+ * (url, storageKey, storageDriver) once the upload has finished
+ */
+const withStoredFile = (middleware) => (req, res, next) => {
+  middleware(req, res, (err) => {
+    if (err) return next(err);
+
+    if (req.file) {
+      Object.assign(req.file, storageDriver.describe(req.file), {
+        storageDriver: storageDriver.name,
+      });
+    }
+
+    next();
+  });
+};
+
+/**
+ * File Filter - Accepts CSV and XLSX spreadsheets
+ */
+const spreadsheetFilter = (req, file, cb) => {
+  const format = getSpreadsheetFormat(file);
+
+  if (format) {
+    file.spreadsheetFormat = format;
+    cb(null, true);
+  } else {
+    cb(new AppError("Invalid file type. Only CSV and XLSX files are allowed.", 400), false);
+  }
+};
+
+const licenseUpload = createUploader("pharmacies/licenses", "license");
+const prescriptionUpload = createUploader("patients/prescriptions", "prescription");
 
 /**
  * Middleware: Upload single pharmacy license document
  * Field name: "licenseDocument"
  * 
  * After successful upload:
- * - req.file.path contains Cloudinary URL
- * - req.file.filename contains public_id
+ * - req.file.url contains the public URL
+ * - req.file.storageKey contains the driver key (Cloudinary public_id or local path)
  */
-export const uploadLicenseDocument = upload.single("licenseDocument");
+export const uploadLicenseDocument = withStoredFile(licenseUpload.single("licenseDocument"));
 
 /**
  * Middleware: Upload optional prescription for SOS requests
@@ -109,10 +116,31 @@ export const uploadLicenseDocument = upload.single("licenseDocument");
  * 
  * This middleware is optional - SOS requests can be made without prescriptions
  * After successful upload:
- * - req.file.path contains Cloudinary URL
- * - req.file.filename contains public_id
+ * - req.file.url contains the public URL
+ * - req.file.storageKey contains the driver key
+ */
+export const uploadPrescription = withStoredFile(prescriptionUpload.single("prescription"));
+
+/**
+ * Middleware: Upload a prescription document to the patient's records
+ * Field name: "file"
  */
-export const uploadPrescription = upload.single("prescription");
+export const uploadPrescriptionDocument = withStoredFile(prescriptionUpload.single("file"));
+
+/**
+ * Middleware: Upload a spreadsheet for inventory import
+ * Field name: "file"
+ * 
+ * The file stays in memory (req.file.buffer); req.file.spreadsheetFormat
+ * is "csv" or "xlsx"
+ */
+export const uploadSpreadsheet = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: spreadsheetFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE, // 5MB limit
+  },
+}).single("file");
 
 /**
  * Error Handler for Multer Errors
@@ -132,7 +160,7 @@ export const handleUploadError = (err, req, res, next) => {
     if (err.code === "LIMIT_UNEXPECTED_FILE") {
       return res.status(400).json({
         success: false,
-        message: "Unexpected field name. Use 'licenseDocument' field for file upload",
+        message: `Unexpected field name '${err.field}' for file upload`,
         error: "INVALID_FIELD_NAME",
       });
     }
@@ -0,0 +1,35 @@
+/**
+ * File Controller - Downloads of locally stored uploads
+ *
+ * Routes:
+ * - GET /uploads/<storageKey> - Stream a stored document to a user allowed to see it
+ *
+ * Only mounted with STORAGE_DRIVER=local; Cloudinary serves its own URLs.
+ */
+
+import fileService from "./file.service.js";
+
+/**
+ * GET /uploads/*storageKey
+ * Responds 404 for files the user may not see
+ */
+export const getStoredFile = async (req, res, next) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const storageKey = [].concat(req.params.storageKey).join("/");
+
+    const filePath = await fileService.getAccessibleFilePath(userId, storageKey);
+
+    // Personal documents: keep them out of shared caches
+    res.set("Cache-Control", "private, no-store");
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) next(error);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getStoredFile,
+};
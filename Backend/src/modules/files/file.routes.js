@@ -0,0 +1,22 @@
+/**
+ * File Routes
+ *
+ * Locally stored uploads (STORAGE_DRIVER=local, see utils/fileStorage.js).
+ * Every download requires authentication; access is checked per file.
+ */
+
+import express from "express";
+import { authenticate } from "../../middlewares/auth.js";
+import { getStoredFile } from "./file.controller.js";
+
+const router = express.Router();
+
+/**
+ * @route   GET /uploads/:storageKey
+ * @access  Private (the file's patient, the pharmacy handling it, or an admin for licenses)
+ * @desc    Download a stored prescription or license document
+ * @returns The file, or 404 when it doesn't exist or isn't the user's to see
+ */
+router.get("/*storageKey", authenticate(), getStoredFile);
+
+export default router;
@@ -0,0 +1,94 @@
+/**
+ * File Service - Access control for locally stored uploads (STORAGE_DRIVER=local)
+ *
+ * Uploaded documents are served at /uploads/<storageKey> to the users they
+ * belong to, never publicly:
+ * - Prescriptions: the patient who uploaded them, the pharmacy an order with
+ *   them was placed at, and pharmacies alerted about (or that accepted) an SOS
+ *   request carrying them
+ * - License documents: the pharmacy owner and system admins
+ *
+ * Anyone else gets a 404, so file names can't be probed.
+ */
+
+import fs from "fs";
+import path from "path";
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import config from "../../config/environment.js";
+
+const SYSTEM_ADMIN_ROLE_ID = 1;
+
+/**
+ * Whether the user may download the stored file
+ *
+ * @param {object} user - { id, roleId, pharmacy: { id } | null }
+ * @param {string} storageKey - Path relative to the uploads root
+ * @returns {Promise<boolean>}
+ */
+const canAccess = async (user, storageKey) => {
+  // Records keep the public URL of the file, which ends in its storage key
+  const url = { endsWith: `/${storageKey}` };
+  const pharmacyId = user.pharmacy?.id;
+
+  const checks = [
+    prisma.prescription.count({ where: { patientId: user.id, storageKey } }),
+    prisma.sOSRequest.count({ where: { patientId: user.id, prescriptionUrl: url } }),
+    prisma.order.count({ where: { patientId: user.id, prescriptionUrl: url } }),
+    prisma.pharmacy.count({ where: { userId: user.id, licenseDocument: url } }),
+  ];
+
+  if (pharmacyId) {
+    checks.push(
+      prisma.order.count({ where: { pharmacyId, prescriptionUrl: url } }),
+      prisma.sOSRequest.count({
+        where: {
+          prescriptionUrl: url,
+          OR: [{ acceptedBy: pharmacyId }, { alerts: { some: { pharmacyId } } }],
+        },
+      })
+    );
+  }
+
+  if (user.roleId === SYSTEM_ADMIN_ROLE_ID) {
+    checks.push(prisma.pharmacy.count({ where: { licenseDocument: url } }));
+  }
+
+  const counts = await Promise.all(checks);
+  return counts.some((count) => count > 0);
+};
+
+/**
+ * Resolve a stored file the user is allowed to download
+ *
+ * @param {string} userId - Requesting user
+ * @param {string} storageKey - Path relative to the uploads root, e.g. "patients/prescriptions/x.pdf"
+ * @returns {Promise<string>} Absolute path of the file
+ * @throws {AppError} 404 when the file doesn't exist or isn't the user's to see
+ */
+export const getAccessibleFilePath = async (userId, storageKey) => {
+  const root = path.resolve(config.storage.localDir);
+  const filePath = path.resolve(root, storageKey || "");
+
+  // Never serve anything outside the uploads directory
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new AppError("File not found", 404);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, roleId: true, pharmacy: { select: { id: true } } },
+  });
+
+  const normalisedKey = path.relative(root, filePath).split(path.sep).join("/");
+
+  if (!user || !(await canAccess(user, normalisedKey)) || !fs.existsSync(filePath)) {
+    throw new AppError("File not found", 404);
+  }
+
+  return filePath;
+};
+
+export default {
+  getAccessibleFilePath,
+};
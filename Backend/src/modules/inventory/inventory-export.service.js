@@ -0,0 +1,342 @@
+/**
+ * Inventory Export Service - A pharmacy's stock as CSV, XLSX or a PDF stock-take sheet
+ *
+ * One row per batch in stock (first to expire first), or a single row for an
+ * item with nothing on hand. CSV / XLSX use the import's column names
+ * (inventory-import.service.js), so an export can be edited and imported
+ * elsewhere; totalQuantity / reservedQuantity are for information and are
+ * ignored on import. reorderLevel is the item's own, blank when it uses the
+ * pharmacy default.
+ *
+ * The PDF is a printable stock-take sheet: each batch with its recorded
+ * quantity and blank columns to write in the counted quantity and difference,
+ * with sign-off lines at the end.
+ *
+ * Filters (combined):
+ * - lowStock: items at or below their reorder level (low-stock.service.js)
+ * - expiringWithinDays: only batches expiring within N days (expired ones included)
+ * - genericName: items whose generic name contains the text (case-insensitive)
+ */
+
+import PDFDocument from "pdfkit";
+import { prisma } from "../../database/prisma.js";
+import config from "../../config/environment.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import { toCsv, toXlsx } from "../../utils/spreadsheet.js";
+import { toDateKey, getZonedParts } from "../../utils/timezone.js";
+import { lowStockWhere } from "./low-stock.service.js";
+
+export const EXPORT_FORMATS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+const MAX_EXPIRY_WINDOW_DAYS = 3650;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COLUMNS = [
+  { header: "name", key: "name", width: 28 },
+  { header: "genericName", key: "genericName", width: 24 },
+  { header: "price", key: "price", width: 10 },
+  { header: "requiresPrescription", key: "requiresPrescription", width: 20 },
+  { header: "reorderLevel", key: "reorderLevel", width: 12 },
+  { header: "batchNumber", key: "batchNumber", width: 16 },
+  { header: "quantity", key: "quantity", width: 10 },
+  { header: "expiryDate", key: "expiryDate", width: 12, numFmt: "yyyy-mm-dd" },
+  { header: "costPrice", key: "costPrice", width: 10 },
+  { header: "totalQuantity", key: "totalQuantity", width: 14 },
+  { header: "reservedQuantity", key: "reservedQuantity", width: 16 },
+];
+
+/**
+ * Validate export filters from a query string
+ *
+ * @param {object} query - { lowStock?, expiringWithinDays?, genericName? }
+ * @returns {object} { lowStock, expiringWithinDays (number|null), genericName (string|null) }
+ * @throws {AppError} 400 on invalid values
+ */
+export const parseExportFilters = (query = {}) => {
+  const filters = { lowStock: false, expiringWithinDays: null, genericName: null };
+
+  if (query.lowStock !== undefined && query.lowStock !== "") {
+    if (!["true", "false"].includes(String(query.lowStock))) {
+      throw new AppError("lowStock must be true or false", 400);
+    }
+    filters.lowStock = String(query.lowStock) === "true";
+  }
+
+  if (query.expiringWithinDays !== undefined && query.expiringWithinDays !== "") {
+    const days = Number(query.expiringWithinDays);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_EXPIRY_WINDOW_DAYS) {
+      throw new AppError(`expiringWithinDays must be a whole number of days from 0 to ${MAX_EXPIRY_WINDOW_DAYS}`, 400);
+    }
+    filters.expiringWithinDays = days;
+  }
+
+  if (typeof query.genericName === "string" && query.genericName.trim()) {
+    filters.genericName = query.genericName.trim();
+  }
+
+  return filters;
+};
+
+/**
+ * Filtered stock of a pharmacy, one row per batch
+ *
+ * @param {string} pharmacyId
+ * @param {object} filters - From parseExportFilters
+ * @param {Date} now
+ * @returns {Promise<object>} { pharmacy: { pharmacyName, address }, rows }
+ * @throws {AppError} 404 unknown pharmacy
+ */
+const getExportRows = async (pharmacyId, filters, now) => {
+  const pharmacy = await prisma.pharmacy.findUnique({
+    where: { id: pharmacyId },
+    select: { pharmacyName: true, address: true },
+  });
+
+  if (!pharmacy) {
+    throw new AppError("Pharmacy not found", 404);
+  }
+
+  const batchWhere = {
+    quantity: { gt: 0 },
+    ...(filters.expiringWithinDays !== null && {
+      expiryDate: { lte: new Date(now.getTime() + filters.expiringWithinDays * DAY_MS) },
+    }),
+  };
+
+  const items = await prisma.inventory.findMany({
+    where: {
+      pharmacyId,
+      ...(filters.lowStock && (await lowStockWhere(pharmacyId))),
+      ...(filters.genericName && { genericName: { contains: filters.genericName, mode: "insensitive" } }),
+      ...(filters.expiringWithinDays !== null && { batches: { some: batchWhere } }),
+    },
+    include: {
+      batches: {
+        where: batchWhere,
+        orderBy: [{ expiryDate: "asc" }, { createdAt: "asc" }],
+      },
+    },
+    orderBy: [{ name: "asc" }, { genericName: "asc" }],
+  });
+
+  const rows = items.flatMap((item) => {
+    const itemFields = {
+      name: item.name,
+      genericName: item.genericName,
+      price: item.price,
+      requiresPrescription: item.requiresPrescription ? "yes" : "no",
+      reorderLevel: item.reorderLevel,
+      totalQuantity: item.quantity,
+      reservedQuantity: item.reservedQuantity,
+    };
+
+    if (item.batches.length === 0) {
+      return [{ ...itemFields, batchNumber: null, quantity: 0, expiryDate: null, costPrice: null }];
+    }
+
+    return item.batches.map((batch) => ({
+      ...itemFields,
+      batchNumber: batch.batchNumber,
+      quantity: batch.quantity,
+      expiryDate: batch.expiryDate,
+      costPrice: batch.costPrice,
+      expired: batch.expiryDate <= now,
+    }));
+  });
+
+  return { pharmacy, rows };
+};
+
+const describeFilters = (filters) => {
+  const parts = [];
+  if (filters.lowStock) parts.push("low stock (at or below reorder level)");
+  if (filters.expiringWithinDays !== null) parts.push(`expiring within ${filters.expiringWithinDays} days`);
+  if (filters.genericName) parts.push(`generic name contains "${filters.genericName}"`);
+  return parts.length > 0 ? parts.join(", ") : "all stock";
+};
+
+const formatLocalTime = (date) => {
+  const { hour, minute } = getZonedParts(date, config.notifications.timezone);
+  return `${toDateKey(date, config.notifications.timezone)} ${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+};
+
+// Stock-take sheet layout (A4 landscape, points)
+const PAGE_MARGIN = 36;
+const ROW_HEIGHT = 26;
+const SHEET_COLUMNS = [
+  { header: "#", width: 28 },
+  { header: "Medicine", width: 210 },
+  { header: "Batch", width: 100 },
+  { header: "Expiry", width: 72 },
+  { header: "Recorded qty", width: 72, align: "right" },
+  { header: "Counted qty", width: 80 },
+  { header: "Difference", width: 70 },
+  { header: "Notes", width: 137 },
+];
+
+/**
+ * Render the PDF stock-take sheet
+ *
+ * @param {object} pharmacy - { pharmacyName, address }
+ * @param {array} rows - From getExportRows
+ * @param {object} filters
+ * @param {Date} now
+ * @returns {Promise<Buffer>}
+ */
+const buildStockSheet = (pharmacy, rows, filters, now) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: PAGE_MARGIN, bufferPages: true });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = PAGE_MARGIN;
+    const tableWidth = SHEET_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+    const bottom = doc.page.height - PAGE_MARGIN - 20; // Room for the page footer
+
+    const drawRow = (cells, y, { header = false } = {}) => {
+      if (header) {
+        doc.rect(left, y, tableWidth, ROW_HEIGHT).fill("#f3f4f6").fillColor("#111827");
+      }
+
+      let x = left;
+      SHEET_COLUMNS.forEach((column, index) => {
+        const cell = cells[index];
+        doc
+          .font(header || index === 1 ? "Helvetica-Bold" : "Helvetica")
+          .fontSize(9)
+          .text(cell?.text ?? cell ?? "", x + 4, y + (cell?.note ? 4 : 9), {
+            width: column.width - 8,
+            height: ROW_HEIGHT - 4,
+            align: column.align || "left",
+            lineBreak: false,
+            ellipsis: true,
+          });
+        if (cell?.note) {
+          doc.font("Helvetica").fontSize(7).fillColor("#6b7280")
+            .text(cell.note, x + 4, y + 15, { width: column.width - 8, lineBreak: false, ellipsis: true })
+            .fillColor("#111827");
+        }
+        x += column.width;
+      });
+
+      doc.moveTo(left, y + ROW_HEIGHT).lineTo(left + tableWidth, y + ROW_HEIGHT).strokeColor("#d1d5db").stroke();
+      return y + ROW_HEIGHT;
+    };
+
+    const drawHeaderRow = (y) => drawRow(SHEET_COLUMNS.map((column) => column.header), y, { header: true });
+
+    // Title block
+    doc.font("Helvetica-Bold").fontSize(16).fillColor("#111827").text("Stock-take sheet", left, PAGE_MARGIN);
+    doc.font("Helvetica").fontSize(10)
+      .text(`${pharmacy.pharmacyName}, ${pharmacy.address}`)
+      .text(`Generated ${formatLocalTime(now)} · ${describeFilters(filters)} · ${rows.length} line(s)`);
+
+    let y = drawHeaderRow(doc.y + 10);
+
+    if (rows.length === 0) {
+      doc.font("Helvetica").fontSize(10).text("No stock matches these filters.", left + 4, y + 9);
+      y += ROW_HEIGHT;
+    }
+
+    rows.forEach((row, index) => {
+      if (y + ROW_HEIGHT > bottom) {
+        doc.addPage();
+        y = drawHeaderRow(PAGE_MARGIN);
+      }
+
+      y = drawRow(
+        [
+          String(index + 1),
+          { text: row.name, note: `${row.genericName}${row.requiresPrescription === "yes" ? " · Rx" : ""}` },
+          row.batchNumber || "—",
+          row.expiryDate
+            ? `${toDateKey(row.expiryDate, config.notifications.timezone)}${row.expired ? " (expired)" : ""}`
+            : "—",
+          String(row.quantity),
+          "",
+          "",
+          "",
+        ],
+        y
+      );
+    });
+
+    // Sign-off
+    if (y + 60 > bottom) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    y += 36;
+    doc.font("Helvetica").fontSize(10).fillColor("#111827");
+    ["Counted by", "Checked by", "Date"].forEach((label, index) => {
+      const x = left + index * 250;
+      doc.moveTo(x, y).lineTo(x + 200, y).strokeColor("#111827").stroke();
+      doc.text(label, x, y + 4);
+    });
+
+    // Page numbers (in the bottom margin, which pdfkit would otherwise treat as overflow)
+    const { start, count } = doc.bufferedPageRange();
+    for (let page = start; page < start + count; page++) {
+      doc.switchToPage(page);
+      doc.page.margins.bottom = 0;
+      doc.font("Helvetica").fontSize(8).fillColor("#6b7280").text(
+        `${pharmacy.pharmacyName} · Stock-take ${toDateKey(now, config.notifications.timezone)} · Page ${page - start + 1} of ${count}`,
+        left,
+        doc.page.height - PAGE_MARGIN - 10,
+        { width: tableWidth, align: "center", lineBreak: false }
+      );
+    }
+
+    doc.end();
+  });
+
+/**
+ * Export a pharmacy's stock
+ *
+ * @param {string} pharmacyId
+ * @param {string} format - "csv", "xlsx" or "pdf"
+ * @param {object} filters - From parseExportFilters
+ * @param {Date} now
+ * @returns {Promise<object>} { filename, contentType, body (string|Buffer), rowCount }
+ * @throws {AppError} 400 unknown format, 404 unknown pharmacy
+ */
+export const exportInventory = async (pharmacyId, format, filters, now = new Date()) => {
+  if (!EXPORT_FORMATS[format]) {
+    throw new AppError(`Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`, 400);
+  }
+
+  const { pharmacy, rows } = await getExportRows(pharmacyId, filters, now);
+  const date = toDateKey(now, config.notifications.timezone);
+
+  let body;
+  if (format === "pdf") {
+    body = await buildStockSheet(pharmacy, rows, filters, now);
+  } else if (format === "xlsx") {
+    body = await toXlsx("Inventory", COLUMNS, rows);
+  } else {
+    body = toCsv(
+      COLUMNS,
+      rows.map((row) => ({ ...row, expiryDate: row.expiryDate && row.expiryDate.toISOString().slice(0, 10) }))
+    );
+  }
+
+  return {
+    filename: `${format === "pdf" ? "stock-take" : "inventory"}-${date}.${format}`,
+    contentType: EXPORT_FORMATS[format],
+    body,
+    rowCount: rows.length,
+  };
+};
+
+export default {
+  EXPORT_FORMATS,
+  parseExportFilters,
+  exportInventory,
+};
@@ -0,0 +1,383 @@
+/**
+ * Inventory Import Service - Bulk inventory import from CSV / XLSX
+ *
+ * One row per batch received, with a header row naming the columns:
+ *   name, genericName, price, requiresPrescription, reorderLevel,
+ *   batchNumber, quantity, expiryDate, costPrice, referenceId
+ * (common variants such as "Medicine", "MRP", "Qty", "Expiry", "Invoice"
+ * are recognised; other columns are ignored and listed in the report).
+ *
+ * Rows follow addMedicine's rules and its upsert by name + generic name
+ * (case-insensitive):
+ * - new medicine: created with the row's batch; price is required
+ * - medicine already stocked: its price / prescription flag / reorder level
+ *   are updated when the row gives them, and the row's batch is added
+ * Each batch's stock is recorded as a PURCHASE movement. Items left at or
+ * below their reorder level alert the pharmacy as they would when added by hand.
+ *
+ * Every row is checked and reported as created, updated or rejected (with
+ * the reason). Valid rows are imported even when others are rejected; each
+ * row is written in its own transaction. A dry run checks the file against
+ * the current inventory and returns the same report without writing anything.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import logger from "../../utils/logger.js";
+import { readSpreadsheet } from "../../utils/spreadsheet.js";
+import { parseMovementNote } from "./stock-movement.service.js";
+import { parseReorderLevel, alertLowStock } from "./low-stock.service.js";
+import {
+  parseBatch,
+  duplicateBatchError,
+  syncInventoryTotals,
+  lockInventoryItem,
+  receiveBatch,
+} from "./inventory.service.js";
+
+export const MAX_IMPORT_ROWS = 2000;
+
+// Column → accepted headers (compared lowercase, letters and digits only)
+const COLUMNS = {
+  name: ["name", "medicine", "medicinename", "brandname", "productname"],
+  genericName: ["genericname", "generic", "composition", "saltname"],
+  price: ["price", "mrp", "sellingprice"],
+  requiresPrescription: ["requiresprescription", "prescription", "prescriptionrequired", "rx"],
+  reorderLevel: ["reorderlevel", "reorder", "reorderpoint", "minstock", "minimumstock"],
+  batchNumber: ["batchnumber", "batch", "batchno"],
+  quantity: ["quantity", "qty", "units", "stock"],
+  expiryDate: ["expirydate", "expiry", "exp", "expirydt"],
+  costPrice: ["costprice", "cost", "purchaseprice"],
+  referenceId: ["referenceid", "reference", "invoice", "invoiceno", "invoicenumber"],
+};
+
+const REQUIRED_COLUMNS = ["name", "genericName"];
+
+const BATCH_COLUMNS = ["batchNumber", "quantity", "expiryDate", "costPrice"];
+
+const DEFAULT_REASON = "Bulk import";
+
+const normaliseHeader = (header) => String(header ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Match header cells to columns
+ *
+ * @param {array} header - Header row cells
+ * @returns {object} { columns: { field: index }, ignoredColumns: [header] }
+ * @throws {AppError} 400 when a required column is missing
+ */
+const mapColumns = (header) => {
+  const columns = {};
+  const ignoredColumns = [];
+
+  header.forEach((cell, index) => {
+    const normalised = normaliseHeader(cell);
+    if (!normalised) return;
+
+    const field = Object.keys(COLUMNS).find((key) => COLUMNS[key].includes(normalised));
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    } else {
+      ignoredColumns.push(String(cell).trim());
+    }
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new AppError(
+      `Missing column(s): ${missing.join(", ")}. Expected a header row with: ${Object.keys(COLUMNS).join(", ")}`,
+      400
+    );
+  }
+
+  return { columns, ignoredColumns };
+};
+
+const readText = (cell) => {
+  if (cell === null || cell === undefined) return undefined;
+  const text = (cell instanceof Date ? cell.toISOString().slice(0, 10) : String(cell)).trim();
+  return text === "" ? undefined : text;
+};
+
+// Numbers may come formatted ("₹1,250.50"); anything else becomes NaN and fails validation
+const readNumber = (cell) => {
+  if (typeof cell === "number") return cell;
+  const text = readText(cell);
+  return text === undefined ? undefined : Number(text.replace(/[₹,\s]/g, "") || NaN);
+};
+
+const readBoolean = (cell) => {
+  if (typeof cell === "boolean") return cell;
+  const text = readText(cell)?.toLowerCase();
+  if (text === undefined) return undefined;
+  if (["yes", "y", "true", "1", "rx"].includes(text)) return true;
+  if (["no", "n", "false", "0"].includes(text)) return false;
+  throw new AppError("Requires prescription must be yes or no", 400);
+};
+
+/**
+ * Expiry as YYYY-MM-DD
+ * Accepts date cells, YYYY-MM-DD, DD/MM/YYYY (or DD-MM-YYYY) and MM/YYYY,
+ * the format printed on packs, which means the end of that month
+ */
+const readExpiryDate = (cell) => {
+  if (cell instanceof Date) return cell.toISOString().slice(0, 10);
+
+  const text = readText(cell);
+  if (text === undefined) return undefined;
+
+  let year, month, day, match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[/-](\d{4})$/))) {
+    [, month, year] = match.map(Number);
+    day = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  // Rejects impossible dates such as 31/02 instead of rolling them over
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (!match || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    throw new AppError("Expiry date must be YYYY-MM-DD, DD/MM/YYYY or MM/YYYY", 400);
+  }
+
+  return date.toISOString().slice(0, 10);
+};
+
+const readRow = (cells, columns) => {
+  const cell = (field) => (columns[field] === undefined ? undefined : cells[columns[field]]);
+
+  return {
+    name: readText(cell("name")),
+    genericName: readText(cell("genericName")),
+    price: readNumber(cell("price")),
+    requiresPrescription: cell("requiresPrescription"),
+    reorderLevel: readNumber(cell("reorderLevel")),
+    batchNumber: readText(cell("batchNumber")),
+    quantity: readNumber(cell("quantity")),
+    expiryDate: cell("expiryDate"),
+    costPrice: readNumber(cell("costPrice")),
+    referenceId: readText(cell("referenceId")),
+  };
+};
+
+/**
+ * Validate a row with addMedicine's rules
+ *
+ * @param {object} values - From readRow
+ * @param {boolean} stocked - The medicine is already in the inventory
+ * @returns {object} { price?, requiresPrescription?, reorderLevel?, batch (null when the row has none), note }
+ * @throws {AppError} 400 with the reason the row is rejected
+ */
+const parseRow = (values, stocked) => {
+  if (!values.name || !values.genericName) {
+    throw new AppError("Missing required fields: name, genericName", 400);
+  }
+
+  const requiresPrescription = readBoolean(values.requiresPrescription);
+  const expiryDate = readExpiryDate(values.expiryDate);
+
+  if (values.reorderLevel !== undefined) {
+    parseReorderLevel(values.reorderLevel);
+  }
+
+  if (values.price !== undefined || !stocked) {
+    if (typeof values.price !== "number" || !(values.price > 0)) {
+      throw new AppError("Price must be a positive number", 400);
+    }
+  }
+
+  // A stocked medicine's row may only update its price / prescription flag / reorder level
+  const batchFields = { ...values, expiryDate };
+  const hasBatch = BATCH_COLUMNS.some((field) => batchFields[field] !== undefined);
+  const batch = hasBatch || !stocked ? parseBatch(batchFields) : null;
+
+  if (!batch && values.price === undefined && requiresPrescription === undefined && values.reorderLevel === undefined) {
+    throw new AppError("Nothing to import: give a batch, a price, the prescription flag or a reorder level", 400);
+  }
+
+  const note = parseMovementNote({ referenceId: values.referenceId });
+
+  return {
+    price: values.price,
+    requiresPrescription,
+    reorderLevel: values.reorderLevel,
+    batch,
+    note: { ...note, reason: DEFAULT_REASON },
+  };
+};
+
+const catalogKey = (name, genericName) => `${name.trim().toLowerCase()}\n${genericName.trim().toLowerCase()}`;
+
+// New medicine with its first batch; resolves to the synced item (see syncInventoryTotals)
+const createMedicine = (pharmacyId, values, medicine, userId) =>
+  prisma.$transaction(async (tx) => {
+    const created = await tx.inventory.create({
+      data: {
+        name: values.name,
+        genericName: values.genericName,
+        price: medicine.price,
+        requiresPrescription: medicine.requiresPrescription ?? false,
+        reorderLevel: medicine.reorderLevel ?? null,
+        pharmacyId,
+      },
+    });
+
+    await receiveBatch(tx, created.id, medicine.batch, { ...medicine.note, userId });
+
+    return syncInventoryTotals(tx, created.id);
+  });
+
+// Stocked medicine: update price / prescription flag / reorder level, add the batch
+const updateStockedMedicine = (inventoryId, medicine, userId) =>
+  prisma.$transaction(async (tx) => {
+    await lockInventoryItem(tx, inventoryId);
+
+    if (medicine.price !== undefined || medicine.requiresPrescription !== undefined || medicine.reorderLevel !== undefined) {
+      await tx.inventory.update({
+        where: { id: inventoryId },
+        data: {
+          ...(medicine.price !== undefined && { price: medicine.price }),
+          ...(medicine.requiresPrescription !== undefined && { requiresPrescription: medicine.requiresPrescription }),
+          ...(medicine.reorderLevel !== undefined && { reorderLevel: medicine.reorderLevel }),
+        },
+      });
+    }
+
+    if (medicine.batch) {
+      await receiveBatch(tx, inventoryId, medicine.batch, { ...medicine.note, userId });
+    }
+
+    return syncInventoryTotals(tx, inventoryId);
+  });
+
+/**
+ * Import inventory rows from a spreadsheet
+ *
+ * @param {string} pharmacyId
+ * @param {object} file - { buffer, spreadsheetFormat } (uploadSpreadsheet middleware)
+ * @param {object} options - { dryRun, userId }
+ * @returns {Promise<object>} Report:
+ *   { dryRun, totalRows, created, updated, rejected, ignoredColumns,
+ *     rows: [{ row, name, genericName, batchNumber, action, inventoryId?, reason? }] }
+ *   action: "created" | "updated" | "rejected"; row is the line in the file
+ * @throws {AppError} 400 unreadable file / missing columns / too many rows, 404 unknown pharmacy
+ */
+export const importInventory = async (pharmacyId, file, { dryRun = false, userId = null } = {}) => {
+  if (!file?.buffer) {
+    throw new AppError("Upload a CSV or XLSX file in the \"file\" field", 400);
+  }
+
+  const [header, ...rows] = await readSpreadsheet(file.buffer, file.spreadsheetFormat);
+
+  if (!header) {
+    throw new AppError("The file is empty", 400);
+  }
+
+  const { columns, ignoredColumns } = mapColumns(header.cells);
+
+  if (rows.length === 0) {
+    throw new AppError("The file has a header row but no medicines", 400);
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`Too many rows: at most ${MAX_IMPORT_ROWS} can be imported at once`, 400);
+  }
+
+  const pharmacy = await prisma.pharmacy.findUnique({
+    where: { id: pharmacyId },
+    select: { id: true },
+  });
+
+  if (!pharmacy) {
+    throw new AppError("Pharmacy not found", 404);
+  }
+
+  // What is already stocked; the earliest item wins a name clash, as in addMedicine
+  const stocked = await prisma.inventory.findMany({
+    where: { pharmacyId },
+    select: { id: true, name: true, genericName: true, batches: { select: { batchNumber: true } } },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const catalog = new Map();
+  for (const item of stocked) {
+    const key = catalogKey(item.name, item.genericName);
+    if (!catalog.has(key)) {
+      catalog.set(key, { id: item.id, batchNumbers: new Set(item.batches.map((batch) => batch.batchNumber)) });
+    }
+  }
+
+  const report = { dryRun, totalRows: rows.length, created: 0, updated: 0, rejected: 0, ignoredColumns, rows: [] };
+  const imported = new Map();
+
+  for (const { rowNumber, cells } of rows) {
+    const values = readRow(cells, columns);
+    const entry = {
+      row: rowNumber,
+      name: values.name || null,
+      genericName: values.genericName || null,
+      batchNumber: values.batchNumber || null,
+    };
+
+    try {
+      const existing = values.name && values.genericName
+        ? catalog.get(catalogKey(values.name, values.genericName))
+        : undefined;
+      const medicine = parseRow(values, Boolean(existing));
+
+      if (existing && medicine.batch && existing.batchNumbers.has(medicine.batch.batchNumber)) {
+        throw duplicateBatchError(medicine.batch.batchNumber);
+      }
+
+      let inventoryId = existing?.id;
+
+      if (!dryRun) {
+        const saved = existing
+          ? await updateStockedMedicine(existing.id, medicine, userId)
+          : await createMedicine(pharmacyId, values, medicine, userId);
+        inventoryId = saved.id;
+
+        // Rows only add stock, so a crossing on an earlier row of this item
+        // still stands if the item is still flagged low
+        const earlier = imported.get(saved.id);
+        imported.set(saved.id, {
+          ...saved,
+          lowStockCrossed: saved.lowStockCrossed || Boolean(earlier?.lowStockCrossed && saved.lowStockAlertedAt),
+        });
+      }
+
+      // Later rows of the same medicine add to it
+      const item = existing || { id: inventoryId, batchNumbers: new Set() };
+      if (medicine.batch) item.batchNumbers.add(medicine.batch.batchNumber);
+      if (!existing) catalog.set(catalogKey(values.name, values.genericName), item);
+
+      const action = existing ? "updated" : "created";
+      report[action]++;
+      report.rows.push({ ...entry, action, ...(inventoryId && { inventoryId }) });
+    } catch (error) {
+      let reason = error.message;
+
+      if (error.code === "P2002") {
+        reason = duplicateBatchError(values.batchNumber).message;
+      } else if (!(error instanceof AppError)) {
+        logger.error("INVENTORY", `[IMPORT] Row ${rowNumber} could not be saved: ${error.message}`, error);
+        reason = "Could not be saved. Try importing this row again";
+      }
+
+      report.rejected++;
+      report.rows.push({ ...entry, action: "rejected", reason });
+    }
+  }
+
+  alertLowStock([...imported.values()]);
+
+  return report;
+};
+
+export default {
+  MAX_IMPORT_ROWS,
+  importInventory,
+};
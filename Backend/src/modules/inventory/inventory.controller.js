@@ -4,12 +4,69 @@
  */
 
 import inventoryService from "./inventory.service.js";
+import stockMovementService from "./stock-movement.service.js";
+import inventoryImportService from "./inventory-import.service.js";
+import inventoryExportService from "./inventory-export.service.js";
+import { alertLowStock } from "./low-stock.service.js";
 import logger from "../../utils/logger.js";
 import notificationService from "../notifications/notification.service.js";
 
+/**
+ * Accept JSON booleans and "true"/"false" strings (form posts); anything else passes through for validation
+ */
+const parseBoolean = (value) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return value;
+};
+
+/**
+ * Reorder level from a request body; empty or null means the pharmacy default
+ */
+const parseReorderLevelBody = (value) => {
+  if (value === undefined) return undefined;
+  if (value === "" || value === null) return null;
+  return Number(value);
+};
+
+/**
+ * Batch fields from a request body; numbers may arrive as strings (form posts)
+ * An empty costPrice clears it. reason / referenceId annotate the stock movement
+ */
+const parseBatchBody = (body) => ({
+  batchNumber: body.batchNumber,
+  quantity: body.quantity !== undefined ? parseInt(body.quantity) : undefined,
+  expiryDate: body.expiryDate,
+  costPrice: body.costPrice === "" || body.costPrice === null
+    ? null
+    : body.costPrice !== undefined ? parseFloat(body.costPrice) : undefined,
+  reason: body.reason,
+  referenceId: body.referenceId,
+});
+
+/**
+ * Low-stock and expiry alerts after stock changed (fire-and-forget)
+ * Low stock only alerts when the change brought the item to its reorder level (lowStockCrossed)
+ * @param {object} req
+ * @param {object} item - Inventory item
+ * @param {object} batch - The batch that was added or changed, if any
+ */
+const notifyStockChange = async (req, item, batch) => {
+  const ownerId = req.user.userId || req.user.id;
+  try {
+    await alertLowStock([item]);
+    if (batch && batch.quantity > 0) {
+      await notificationService.notifyExpiringSoon(ownerId, { ...item, expiryDate: batch.expiryDate });
+    }
+  } catch (e) {
+    console.error('[INVENTORY] Notification trigger error:', e.message);
+  }
+};
+
 /**
  * POST /api/inventory
  * Add a new medicine to pharmacy inventory
+ * A medicine already in stock (same name and generic name) gets the batch added instead
  * Requires: Authentication, PHARMACY_ADMIN role, VERIFIED pharmacy status
  */
 export const addMedicine = async (req, res, next) => {
@@ -21,9 +78,10 @@ export const addMedicine = async (req, res, next) => {
     const medicineData = {
       name: req.body.name,
       genericName: req.body.genericName,
-      quantity: parseInt(req.body.quantity),
       price: parseFloat(req.body.price),
-      expiryDate: req.body.expiryDate,
+      requiresPrescription: parseBoolean(req.body.requiresPrescription),
+      reorderLevel: parseReorderLevelBody(req.body.reorderLevel),
+      ...parseBatchBody(req.body),
     };
 
     logger.debug('INVENTORY', '[ADD] Medicine data received', { 
@@ -31,9 +89,10 @@ export const addMedicine = async (req, res, next) => {
       genericName: medicineData.genericName 
     });
 
-    const inventoryItem = await inventoryService.addMedicine(
+    const { item: inventoryItem, batch, created } = await inventoryService.addMedicine(
       pharmacyId,
-      medicineData
+      medicineData,
+      req.user.userId || req.user.id
     );
 
     const duration = Date.now() - startTime;
@@ -45,20 +104,14 @@ export const addMedicine = async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      message: "Medicine added to inventory successfully",
+      message: created
+        ? "Medicine added to inventory successfully"
+        : `${inventoryItem.name} is already in your inventory, so batch ${batch.batchNumber} was added to it`,
       data: inventoryItem,
     });
 
     // Fire-and-forget: check for low stock & expiry alerts
-    const ownerId = req.user.userId || req.user.id;
-    try {
-      if (inventoryItem.quantity > 0 && inventoryItem.quantity < 10) {
-        await notificationService.notifyLowStock(ownerId, inventoryItem);
-      }
-      await notificationService.notifyExpiringSoon(ownerId, inventoryItem);
-    } catch (e) {
-      console.error('[INVENTORY] Notification trigger error:', e.message);
-    }
+    await notifyStockChange(req, inventoryItem, batch);
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.timing('INVENTORY', 'addMedicine', duration, 'ERROR');
@@ -67,6 +120,86 @@ export const addMedicine = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/inventory/import
+ * Import medicines and batches from a CSV / XLSX file (multipart field "file")
+ * Requires: Authentication, PHARMACY_ADMIN role
+ * dryRun=true (query or form field) previews the report without saving
+ */
+export const importInventory = async (req, res, next) => {
+  const startTime = Date.now();
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const dryRun = parseBoolean(req.query.dryRun ?? req.body?.dryRun) === true;
+
+    logger.operation('INVENTORY', 'importInventory', 'START', {
+      pharmacyId,
+      dryRun,
+      file: req.file?.originalname,
+    });
+
+    const report = await inventoryImportService.importInventory(pharmacyId, req.file, {
+      dryRun,
+      userId: req.user.userId || req.user.id,
+    });
+
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'importInventory', duration, 'SUCCESS');
+    logger.operation('INVENTORY', 'importInventory', 'SUCCESS', {
+      pharmacyId,
+      dryRun,
+      created: report.created,
+      updated: report.updated,
+      rejected: report.rejected,
+    });
+
+    const counts = `${report.created} created, ${report.updated} updated, ${report.rejected} rejected`;
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? `Import preview: ${counts}. Nothing was saved` : `Import finished: ${counts}`,
+      data: report,
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'importInventory', duration, 'ERROR');
+    logger.operation('INVENTORY', 'importInventory', 'ERROR', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/export
+ * Download the pharmacy's stock as CSV, XLSX or a PDF stock-take sheet
+ * Requires: Authentication, PHARMACY_ADMIN role
+ * Query params: format (csv | xlsx | pdf), lowStock, expiringWithinDays, genericName
+ */
+export const exportInventory = async (req, res, next) => {
+  const startTime = Date.now();
+  try {
+    const pharmacyId = req.user.pharmacyId;
+    const format = String(req.query.format || "csv").toLowerCase();
+    const filters = inventoryExportService.parseExportFilters(req.query);
+
+    logger.operation('INVENTORY', 'exportInventory', 'START', { pharmacyId, format, filters });
+
+    const file = await inventoryExportService.exportInventory(pharmacyId, format, filters);
+
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'exportInventory', duration, 'SUCCESS');
+    logger.operation('INVENTORY', 'exportInventory', 'SUCCESS', { pharmacyId, format, rows: file.rowCount });
+
+    res.setHeader("Content-Type", file.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${file.filename}"`);
+    res.status(200).send(file.body);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'exportInventory', duration, 'ERROR');
+    logger.operation('INVENTORY', 'exportInventory', 'ERROR', { error: error.message });
+    next(error);
+  }
+};
+
 /**
  * GET /api/inventory/my-stock
  * Get pharmacy's inventory with pagination
@@ -104,6 +237,7 @@ export const getMyInventory = async (req, res, next) => {
       message: "Inventory retrieved successfully",
       data: result.items,
       pagination: result.pagination,
+      defaultReorderLevel: result.defaultReorderLevel,
     });
   } catch (error) {
     const duration = Date.now() - startTime;
@@ -115,7 +249,8 @@ export const getMyInventory = async (req, res, next) => {
 
 /**
  * PATCH /api/inventory/:id
- * Update inventory item (price, quantity, etc.)
+ * Update inventory item (name, price, prescription flag, reorder level; stock is per batch)
+ * An empty reorderLevel goes back to the pharmacy default
  * Requires: Authentication, PHARMACY_ADMIN role, ownership validation
  */
 export const updateInventoryItem = async (req, res, next) => {
@@ -135,6 +270,8 @@ export const updateInventoryItem = async (req, res, next) => {
       quantity: req.body.quantity !== undefined ? parseInt(req.body.quantity) : undefined,
       price: req.body.price !== undefined ? parseFloat(req.body.price) : undefined,
       expiryDate: req.body.expiryDate,
+      requiresPrescription: parseBoolean(req.body.requiresPrescription),
+      reorderLevel: parseReorderLevelBody(req.body.reorderLevel),
     };
 
     // Remove undefined values
@@ -161,16 +298,9 @@ export const updateInventoryItem = async (req, res, next) => {
       data: updatedItem,
     });
 
-    // Fire-and-forget: check for low stock & expiry alerts
-    const ownerId = req.user.userId || req.user.id;
-    try {
-      if (updatedItem.quantity > 0 && updatedItem.quantity < 10) {
-        await notificationService.notifyLowStock(ownerId, updatedItem);
-      }
-      await notificationService.notifyExpiringSoon(ownerId, updatedItem);
-    } catch (e) {
-      console.error('[INVENTORY] Notification trigger error:', e.message);
-    }
+    // Fire-and-forget: a new reorder level may put the item at or below it
+    await notifyStockChange(req, updatedItem, null);
+
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.timing('INVENTORY', 'updateInventoryItem', duration, 'ERROR');
@@ -179,6 +309,207 @@ export const updateInventoryItem = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/inventory/:id/batches
+ * Add a batch to an inventory item
+ * Requires: Authentication, PHARMACY_ADMIN role, ownership validation
+ */
+export const addBatch = async (req, res, next) => {
+  const startTime = Date.now();
+  try {
+    const inventoryId = req.params.id;
+    const pharmacyId = req.user.pharmacyId;
+
+    logger.operation('INVENTORY', 'addBatch', 'START', { inventoryId, pharmacyId });
+
+    const updatedItem = await inventoryService.addBatch(
+      inventoryId,
+      pharmacyId,
+      parseBatchBody(req.body),
+      req.user.userId || req.user.id
+    );
+    const batch = updatedItem.batches.find((entry) => entry.batchNumber === req.body.batchNumber?.trim());
+
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'addBatch', duration, 'SUCCESS');
+    logger.operation('INVENTORY', 'addBatch', 'SUCCESS', { inventoryId, batchId: batch?.id });
+
+    res.status(201).json({
+      success: true,
+      message: "Batch added successfully",
+      data: updatedItem,
+    });
+
+    // Fire-and-forget: check for low stock & expiry alerts
+    await notifyStockChange(req, updatedItem, batch);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'addBatch', duration, 'ERROR');
+    logger.operation('INVENTORY', 'addBatch', 'ERROR', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/inventory/:id/batches/:batchId
+ * Correct a batch (batch number, expiry date, cost price)
+ * Requires: Authentication, PHARMACY_ADMIN role, ownership validation
+ */
+export const updateBatch = async (req, res, next) => {
+  const startTime = Date.now();
+  try {
+    const { id: inventoryId, batchId } = req.params;
+    const pharmacyId = req.user.pharmacyId;
+
+    logger.operation('INVENTORY', 'updateBatch', 'START', { inventoryId, batchId, pharmacyId });
+
+    const { reason, referenceId, ...updateData } = parseBatchBody(req.body);
+
+    // Remove undefined values
+    Object.keys(updateData).forEach(key =>
+      updateData[key] === undefined && delete updateData[key]
+    );
+
+    const updatedItem = await inventoryService.updateBatch(inventoryId, batchId, pharmacyId, updateData);
+
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'updateBatch', duration, 'SUCCESS');
+    logger.operation('INVENTORY', 'updateBatch', 'SUCCESS', { inventoryId, batchId });
+
+    res.status(200).json({
+      success: true,
+      message: "Batch updated successfully",
+      data: updatedItem,
+    });
+
+    // Fire-and-forget: check for low stock & expiry alerts
+    await notifyStockChange(req, updatedItem, updatedItem.batches.find((entry) => entry.id === batchId));
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'updateBatch', duration, 'ERROR');
+    logger.operation('INVENTORY', 'updateBatch', 'ERROR', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/inventory/:id/batches/:batchId
+ * Remove a batch from an inventory item
+ * Requires: Authentication, PHARMACY_ADMIN role, ownership validation
+ */
+export const deleteBatch = async (req, res, next) => {
+  const startTime = Date.now();
+  try {
+    const { id: inventoryId, batchId } = req.params;
+    const pharmacyId = req.user.pharmacyId;
+
+    logger.operation('INVENTORY', 'deleteBatch', 'START', { inventoryId, batchId, pharmacyId });
+
+    const updatedItem = await inventoryService.deleteBatch(inventoryId, batchId, pharmacyId);
+
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'deleteBatch', duration, 'SUCCESS');
+    logger.operation('INVENTORY', 'deleteBatch', 'SUCCESS', { inventoryId, batchId });
+
+    res.status(200).json({
+      success: true,
+      message: "Batch removed successfully",
+      data: updatedItem,
+    });
+
+    // Fire-and-forget: check for low stock alerts
+    await notifyStockChange(req, updatedItem, null);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'deleteBatch', duration, 'ERROR');
+    logger.operation('INVENTORY', 'deleteBatch', 'ERROR', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * POST /api/inventory/:id/movements
+ * Record a stock movement on one of the item's batches
+ * (PURCHASE, ADJUSTMENT, DAMAGE, EXPIRY_WRITE_OFF, RETURN)
+ * Requires: Authentication, PHARMACY_ADMIN role, ownership validation
+ */
+export const recordStockMovement = async (req, res, next) => {
+  const startTime = Date.now();
+  try {
+    const inventoryId = req.params.id;
+    const pharmacyId = req.user.pharmacyId;
+
+    logger.operation('INVENTORY', 'recordStockMovement', 'START', { inventoryId, pharmacyId, type: req.body.type });
+
+    const updatedItem = await inventoryService.recordStockMovement(
+      inventoryId,
+      pharmacyId,
+      {
+        batchId: req.body.batchId,
+        type: req.body.type,
+        quantity: req.body.quantity !== undefined ? Number(req.body.quantity) : undefined,
+        reason: req.body.reason,
+        referenceId: req.body.referenceId,
+      },
+      req.user.userId || req.user.id
+    );
+
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'recordStockMovement', duration, 'SUCCESS');
+    logger.operation('INVENTORY', 'recordStockMovement', 'SUCCESS', { inventoryId, type: req.body.type });
+
+    res.status(201).json({
+      success: true,
+      message: "Stock movement recorded successfully",
+      data: updatedItem,
+    });
+
+    // Fire-and-forget: check for low stock alerts
+    await notifyStockChange(req, updatedItem, null);
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'recordStockMovement', duration, 'ERROR');
+    logger.operation('INVENTORY', 'recordStockMovement', 'ERROR', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory/:id/movements
+ * Stock history of an inventory item, newest first
+ * Requires: Authentication, PHARMACY_ADMIN role, ownership validation
+ * Query params: page (default: 1), limit (default: 20)
+ */
+export const getStockHistory = async (req, res, next) => {
+  const startTime = Date.now();
+  try {
+    const inventoryId = req.params.id;
+    const pharmacyId = req.user.pharmacyId;
+
+    const result = await stockMovementService.getStockHistory(
+      inventoryId,
+      pharmacyId,
+      req.query.page,
+      req.query.limit
+    );
+
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'getStockHistory', duration, 'SUCCESS');
+
+    res.status(200).json({
+      success: true,
+      message: "Stock history retrieved successfully",
+      data: result.movements,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.timing('INVENTORY', 'getStockHistory', duration, 'ERROR');
+    logger.operation('INVENTORY', 'getStockHistory', 'ERROR', { error: error.message });
+    next(error);
+  }
+};
+
 /**
  * DELETE /api/inventory/:id
  * Delete inventory item from pharmacy
@@ -225,7 +556,14 @@ export const deleteInventoryItem = async (req, res, next) => {
 
 export default {
   addMedicine,
+  importInventory,
+  exportInventory,
   getMyInventory,
   updateInventoryItem,
+  addBatch,
+  updateBatch,
+  deleteBatch,
+  recordStockMovement,
+  getStockHistory,
   deleteInventoryItem,
 };
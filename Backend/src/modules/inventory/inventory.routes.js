@@ -8,14 +8,22 @@
  * 
  * Endpoints:
  * - POST   /api/inventory               - Add new medicine to inventory
+ * - POST   /api/inventory/import        - Bulk import from CSV / XLSX (with dry run)
+ * - GET    /api/inventory/export        - Download stock as CSV / XLSX / PDF stock-take sheet
  * - GET    /api/inventory/my-stock      - Get pharmacy's inventory (with pagination)
  * - PATCH  /api/inventory/:id           - Update inventory item
  * - DELETE /api/inventory/:id           - Delete inventory item
+ * - POST   /api/inventory/:id/batches   - Add a batch to an item
+ * - PATCH  /api/inventory/:id/batches/:batchId - Correct a batch
+ * - DELETE /api/inventory/:id/batches/:batchId - Remove an empty batch
+ * - POST   /api/inventory/:id/movements - Record a stock movement
+ * - GET    /api/inventory/:id/movements - Stock history of an item
  */
 
 import express from "express";
 import { authenticate } from "../../middlewares/auth.js";
 import { requireVerifiedPharmacy } from "../../middlewares/roleCheck.js";
+import { uploadSpreadsheet, handleUploadError } from "../../middlewares/upload.middleware.js";
 import inventoryController from "./inventory.controller.js";
 
 const router = express.Router();
@@ -27,19 +35,25 @@ const router = express.Router();
 
 /**
  * POST /api/inventory
- * Add a new medicine to pharmacy inventory
+ * Add a new medicine to pharmacy inventory, with its first batch
  * 
  * Request Body:
  * {
  *   "name": "Cetamol 500mg",
  *   "genericName": "Paracetamol",
- *   "quantity": 100,
  *   "price": 5.99,
- *   "expiryDate": "2025-12-31"
+ *   "batchNumber": "CT2401",
+ *   "quantity": 100,
+ *   "expiryDate": "2025-12-31",
+ *   "costPrice": 3.5,         // optional
+ *   "referenceId": "INV-0042", // optional, e.g. supplier invoice
+ *   "reorderLevel": 20        // optional, defaults to the pharmacy's default reorder level
  * }
  * 
+ * A medicine already in stock (same name and generic name) gets the
+ * batch added instead; the response message says so.
+ * 
  * Security:
- * - Duplicate check: Prevents adding same medicine twice
  * - Validates expiry date is in the future
  * - Validates quantity >= 0 and price > 0
  */
@@ -50,6 +64,60 @@ router.post(
   inventoryController.addMedicine
 );
 
+/**
+ * POST /api/inventory/import
+ * Bulk import medicines and batches from a spreadsheet
+ * 
+ * Content-Type: multipart/form-data
+ * - file: CSV or XLSX (max 5MB, at most 2000 rows), first sheet, header row first
+ *   Columns: name, genericName, price, requiresPrescription (yes/no), reorderLevel,
+ *   batchNumber, quantity, expiryDate (YYYY-MM-DD, DD/MM/YYYY or MM/YYYY),
+ *   costPrice, referenceId
+ * - dryRun: "true" to preview the report without saving (also ?dryRun=true)
+ * 
+ * Rows are upserted by name + generic name, like POST /api/inventory:
+ * new medicines are created, stocked ones get the batch (and any new price).
+ * 
+ * Response: row-by-row report
+ * {
+ *   "dryRun": false, "totalRows": 3, "created": 1, "updated": 1, "rejected": 1,
+ *   "ignoredColumns": ["Shelf"],
+ *   "rows": [
+ *     { "row": 2, "name": "Cetamol 500mg", "action": "created", "inventoryId": "..." },
+ *     { "row": 3, "name": "Azee 500", "action": "updated", "inventoryId": "..." },
+ *     { "row": 4, "name": "Dolo 650", "action": "rejected", "reason": "Expiry date must be in the future" }
+ *   ]
+ * }
+ */
+router.post(
+  "/inventory/import",
+  authenticate(),
+  requireVerifiedPharmacy,
+  uploadSpreadsheet,
+  handleUploadError,
+  inventoryController.importInventory
+);
+
+/**
+ * GET /api/inventory/export
+ * Download the pharmacy's stock, one line per batch in stock
+ * 
+ * Query Parameters:
+ * - format: csv (default) | xlsx | pdf (printable stock-take sheet)
+ * - lowStock: "true" for items at or below their reorder level
+ * - expiringWithinDays: only batches expiring within N days (expired ones included)
+ * - genericName: generic name contains this text (case-insensitive)
+ * 
+ * CSV / XLSX use the same columns as POST /api/inventory/import.
+ * Response: the file as an attachment (Content-Disposition)
+ */
+router.get(
+  "/inventory/export",
+  authenticate(),
+  requireVerifiedPharmacy,
+  inventoryController.exportInventory
+);
+
 /**
  * GET /api/inventory/my-stock
  * Get authenticated pharmacy's inventory with pagination
@@ -61,6 +129,7 @@ router.post(
  * Response includes:
  * - items: Array of inventory items
  * - pagination: { currentPage, totalPages, totalItems, itemsPerPage, hasNextPage, hasPreviousPage }
+ * - defaultReorderLevel: applies to items whose reorderLevel is null
  * 
  * Items are ordered by:
  * 1. Expiry date (ascending) - items expiring soon appear first
@@ -75,15 +144,16 @@ router.get(
 
 /**
  * PATCH /api/inventory/:id
- * Update inventory item (price, quantity, name, genericName, expiryDate)
+ * Update inventory item (name, genericName, price, requiresPrescription, reorderLevel)
+ * Quantity and expiry date are per batch (see the batch routes below)
  * 
  * Request Body (all fields optional):
  * {
  *   "name": "Updated Name",
  *   "genericName": "Updated Generic Name",
- *   "quantity": 50,
  *   "price": 6.99,
- *   "expiryDate": "2026-01-31"
+ *   "requiresPrescription": true,
+ *   "reorderLevel": 20 // null goes back to the pharmacy's default
  * }
  * 
  * Security:
@@ -113,4 +183,113 @@ router.delete(
   inventoryController.deleteInventoryItem
 );
 
-export default router;
+// ============================================
+// BATCH ROUTES
+// Stock is held in batches, sold first-expiry-first-out
+// ============================================
+
+/**
+ * POST /api/inventory/:id/batches
+ * Add a batch to an inventory item
+ * 
+ * Request Body:
+ * {
+ *   "batchNumber": "CT2409",
+ *   "quantity": 200,
+ *   "expiryDate": "2026-09-30",
+ *   "costPrice": 3.2,         // optional
+ *   "referenceId": "INV-0051" // optional, e.g. supplier invoice
+ * }
+ * 
+ * The batch's stock is recorded as a PURCHASE movement.
+ * 
+ * Security:
+ * - Validates pharmacy ownership
+ * - Batch numbers are unique per item (409 on a repeat)
+ */
+router.post(
+  "/inventory/:id/batches",
+  authenticate(),
+  requireVerifiedPharmacy,
+  inventoryController.addBatch
+);
+
+/**
+ * PATCH /api/inventory/:id/batches/:batchId
+ * Correct a batch (batchNumber, expiryDate, costPrice; all optional)
+ * Quantity changes are stock movements (see below)
+ * 
+ * Security:
+ * - Validates pharmacy ownership
+ * - Unexpired stock must still cover units reserved by open orders (409)
+ */
+router.patch(
+  "/inventory/:id/batches/:batchId",
+  authenticate(),
+  requireVerifiedPharmacy,
+  inventoryController.updateBatch
+);
+
+/**
+ * DELETE /api/inventory/:id/batches/:batchId
+ * Remove a batch once it is empty (sold out or written off)
+ * 
+ * Security:
+ * - Validates pharmacy ownership
+ * - A batch still holding stock can't be removed (409)
+ */
+router.delete(
+  "/inventory/:id/batches/:batchId",
+  authenticate(),
+  requireVerifiedPharmacy,
+  inventoryController.deleteBatch
+);
+
+// ============================================
+// STOCK MOVEMENT ROUTES
+// Append-only ledger: every stock change is a movement
+// ============================================
+
+/**
+ * POST /api/inventory/:id/movements
+ * Record a stock movement on a batch
+ * 
+ * Request Body:
+ * {
+ *   "batchId": "batch_id",
+ *   "type": "DAMAGE",            // PURCHASE | ADJUSTMENT | DAMAGE | EXPIRY_WRITE_OFF | RETURN
+ *   "quantity": 3,               // units; signed for ADJUSTMENT (e.g. -2 after a stock take)
+ *   "reason": "Broken in transit", // required except for PURCHASE
+ *   "referenceId": "CN-0012"     // optional (invoice, credit note...)
+ * }
+ * 
+ * SALE and SOS_DISPENSE movements are recorded automatically when an order
+ * is delivered or an SOS request handed over.
+ * 
+ * Security:
+ * - Validates pharmacy ownership
+ * - A batch can't go below zero; unexpired stock must still cover reservations (409)
+ */
+router.post(
+  "/inventory/:id/movements",
+  authenticate(),
+  requireVerifiedPharmacy,
+  inventoryController.recordStockMovement
+);
+
+/**
+ * GET /api/inventory/:id/movements
+ * Stock history of an item, newest first, with the user who made each change
+ * 
+ * Query Parameters:
+ * - page: Page number (default: 1)
+ * - limit: Movements per page (default: 20, max: 100)
+ */
+router.get(
+  "/inventory/:id/movements",
+  authenticate(),
+  requireVerifiedPharmacy,
+  inventoryController.getStockHistory
+);
+
+export default router;
\ No newline at end of file
@@ -3,53 +3,240 @@
  * Handles CRUD operations for pharmacy inventory
  * 
  * Features:
- * - Add new medicines with duplicate checking
+ * - Add new medicines (or a new batch of one already stocked)
+ * - Bulk import from CSV / XLSX (inventory-import.service.js)
  * - View pharmacy inventory with pagination
- * - Update stock and pricing
+ * - Update pricing; add, correct and remove batches
+ * - Stock movements: every quantity change is recorded (stock-movement.service.js)
  * - Delete inventory items
  * - Pharmacy ownership validation
+ * - Stock matching for SOS requests (which pharmacies can supply a medicine)
+ * - First-expiry-first-out stock draw for orders and SOS fulfilment
+ *
+ * Batches: an inventory row is the product (name, price, Rx flag); its stock
+ * is held in InventoryBatch rows, each with a batch number, quantity, expiry
+ * and cost price. Batch quantities only change through stock movements.
+ * Inventory.quantity / expiryDate summarise the item and are recomputed by
+ * syncInventoryTotals after every change.
+ * Sellable stock is the unexpired batches' quantity, less what open orders
+ * have reserved (Inventory.reservedQuantity).
+ *
+ * Low stock: syncInventoryTotals also checks the item against its reorder
+ * level; the item it returns has lowStockCrossed set when this change brought
+ * it there. Callers pass such items to alertLowStock (low-stock.service.js)
+ * after their transaction commits.
  */
 
 import { prisma } from "../../database/prisma.js";
 import { AppError } from "../../middlewares/errorHandler.js";
+import { recordMovement, parseManualMovement, parseMovementNote } from "./stock-movement.service.js";
+import { parseReorderLevel, checkReorderLevel } from "./low-stock.service.js";
+
+// Batches in the order stock leaves the shelf (first expiry first out)
+const BATCH_ORDER = [{ expiryDate: "asc" }, { createdAt: "asc" }];
+
+const BATCH_INCLUDE = {
+  batches: { orderBy: BATCH_ORDER },
+};
 
 /**
- * Add a new medicine to pharmacy inventory
- * Includes duplicate checking by name and genericName
- * 
- * @param {string} pharmacyId - ID of the pharmacy
- * @param {object} medicineData - Medicine details
- * @returns {Promise<object>} Created inventory item
+ * Units held in batches that haven't expired
+ *
+ * @param {array} batches - [{ quantity, expiryDate }]
+ * @param {Date} now
+ * @returns {number}
  */
-export const addMedicine = async (pharmacyId, medicineData) => {
-  const { name, genericName, quantity, price, expiryDate } = medicineData;
+export const getSellableQuantity = (batches = [], now = new Date()) =>
+  batches.reduce((sum, batch) => (new Date(batch.expiryDate) > now ? sum + batch.quantity : sum), 0);
 
-  // Validate required fields
-  if (!name || !genericName || quantity === undefined || !price || !expiryDate) {
-    throw new AppError("Missing required fields: name, genericName, quantity, price, expiryDate", 400);
+/**
+ * Validate batch fields
+ *
+ * @param {object} data - { batchNumber, quantity, expiryDate, costPrice? }
+ * @param {object} options - { partial } only checks the fields given (updates)
+ * @returns {object} Prisma data with the supplied fields
+ * @throws {AppError} 400 on invalid values
+ */
+export const parseBatch = (data = {}, { partial = false } = {}) => {
+  const batch = {};
+
+  if (!partial || data.batchNumber !== undefined) {
+    const batchNumber = typeof data.batchNumber === "string" ? data.batchNumber.trim() : "";
+    if (!batchNumber) {
+      throw new AppError("Batch number is required", 400);
+    }
+    batch.batchNumber = batchNumber;
+  }
+
+  if (!partial || data.quantity !== undefined) {
+    if (!Number.isInteger(data.quantity) || data.quantity < 0) {
+      throw new AppError("Quantity must be a non-negative number", 400);
+    }
+    batch.quantity = data.quantity;
+  }
+
+  if (!partial || data.expiryDate !== undefined) {
+    const expiry = new Date(data.expiryDate);
+    if (!data.expiryDate || isNaN(expiry.getTime())) {
+      throw new AppError("Invalid expiry date format", 400);
+    }
+
+    // New stock must be sellable; corrections to recorded batches may be in the past
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (!partial && expiry < today) {
+      throw new AppError("Expiry date must be in the future", 400);
+    }
+    batch.expiryDate = expiry;
   }
 
-  // Validate quantity
-  if (typeof quantity !== "number" || quantity < 0) {
-    throw new AppError("Quantity must be a non-negative number", 400);
+  if (data.costPrice !== undefined) {
+    if (data.costPrice !== null && (typeof data.costPrice !== "number" || !(data.costPrice >= 0))) {
+      throw new AppError("Cost price must be a non-negative number", 400);
+    }
+    batch.costPrice = data.costPrice;
   }
 
-  // Validate price
-  if (typeof price !== "number" || price <= 0) {
-    throw new AppError("Price must be a positive number", 400);
+  return batch;
+};
+
+export const duplicateBatchError = (batchNumber) =>
+  new AppError(`Batch ${batchNumber} is already recorded for this medicine. Adjust its quantity instead`, 409);
+
+/**
+ * Recompute an item's quantity (sum of its movements) and expiryDate (from its batches),
+ * then check it against its reorder level
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {string} inventoryId
+ * @returns {Promise<object>} Updated item with batches and lowStockCrossed
+ *   (true when it has just fallen to its reorder level; see low-stock.service.js)
+ */
+export const syncInventoryTotals = async (tx, inventoryId) => {
+  const totals = await tx.stockMovement.aggregate({
+    where: { inventoryId },
+    _sum: { quantity: true },
+  });
+
+  const nextBatch = await tx.inventoryBatch.findFirst({
+    where: { inventoryId, quantity: { gt: 0 } },
+    orderBy: BATCH_ORDER,
+    select: { expiryDate: true },
+  });
+
+  const item = await tx.inventory.update({
+    where: { id: inventoryId },
+    data: {
+      quantity: totals._sum.quantity || 0,
+      expiryDate: nextBatch?.expiryDate || null,
+    },
+    include: BATCH_INCLUDE,
+  });
+
+  return { ...item, ...(await checkReorderLevel(tx, item)) };
+};
+
+/**
+ * Lock an inventory row for the rest of the transaction
+ * Serialises batch changes with order reservations (which update the same row)
+ */
+export const lockInventoryItem = (tx, inventoryId) =>
+  tx.$queryRaw`SELECT "id" FROM "Inventory" WHERE "id" = ${inventoryId} FOR UPDATE`;
+
+/**
+ * Create a batch and record its stock as received (a PURCHASE movement)
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {string} inventoryId
+ * @param {object} batch - Parsed batch fields
+ * @param {object} movement - { reason, referenceId, userId }
+ */
+export const receiveBatch = async (tx, inventoryId, batch, { reason, referenceId, userId }) => {
+  const created = await tx.inventoryBatch.create({
+    data: { ...batch, quantity: 0, inventoryId },
+  });
+
+  await recordMovement(tx, {
+    batch: created,
+    type: "PURCHASE",
+    quantity: batch.quantity,
+    reason: reason || "Stock received",
+    referenceId,
+    userId,
+  });
+};
+
+/**
+ * Change an item's batches in a transaction, then resync its totals
+ * Open orders' reservations must still be covered by unexpired stock afterwards
+ *
+ * @param {string} inventoryId
+ * @param {string} pharmacyId - Must own the item
+ * @param {function} change - async (tx, item) => void
+ * @returns {Promise<object>} Updated item with batches
+ * @throws {AppError} 404 unknown item, 403 not the pharmacy's, 409 reservations no longer covered
+ */
+const changeBatches = (inventoryId, pharmacyId, change) =>
+  prisma.$transaction(async (tx) => {
+    await lockInventoryItem(tx, inventoryId);
+
+    const inventoryItem = await tx.inventory.findUnique({
+      where: { id: inventoryId },
+    });
+
+    if (!inventoryItem) {
+      throw new AppError("Inventory item not found", 404);
+    }
+
+    if (inventoryItem.pharmacyId !== pharmacyId) {
+      throw new AppError("You do not have permission to update this inventory item", 403);
+    }
+
+    await change(tx, inventoryItem);
+
+    const updatedItem = await syncInventoryTotals(tx, inventoryId);
+
+    if (getSellableQuantity(updatedItem.batches) < updatedItem.reservedQuantity) {
+      throw new AppError(
+        `Open orders have ${updatedItem.reservedQuantity} unit(s) reserved, which unexpired batches must still cover`,
+        409
+      );
+    }
+
+    return updatedItem;
+  });
+
+/**
+ * Add a new medicine to pharmacy inventory
+ * A medicine already stocked under the same name and generic name
+ * (case-insensitive) gets the batch added instead; its price and
+ * prescription flag stay as they are (see updateInventoryItem)
+ *
+ * @param {string} pharmacyId - ID of the pharmacy
+ * @param {object} medicineData - { name, genericName, price, requiresPrescription?, reorderLevel?, batchNumber, quantity, expiryDate, costPrice?, reason?, referenceId? }
+ *   reason / referenceId (e.g. supplier invoice) go on the PURCHASE movement;
+ *   reorderLevel only applies to a new medicine (null / omitted: the pharmacy default)
+ * @param {string} userId - Acting user (recorded on the movement)
+ * @returns {Promise<object>} { item (with batches), batch, created }
+ *   created: false when the batch went onto an existing item
+ */
+export const addMedicine = async (pharmacyId, medicineData, userId = null) => {
+  const { name, genericName, price, requiresPrescription, reorderLevel } = medicineData;
+
+  // Validate required fields
+  if (!name || !genericName) {
+    throw new AppError("Missing required fields: name, genericName", 400);
   }
 
-  // Validate expiry date
-  const expiry = new Date(expiryDate);
-  if (isNaN(expiry.getTime())) {
-    throw new AppError("Invalid expiry date format", 400);
+  const batch = parseBatch(medicineData);
+  const note = parseMovementNote(medicineData);
+
+  if (requiresPrescription !== undefined && typeof requiresPrescription !== "boolean") {
+    throw new AppError("requiresPrescription must be true or false", 400);
   }
 
-  // Check if expiry date is in the future
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  if (expiry < today) {
-    throw new AppError("Expiry date must be in the future", 400);
+  if (reorderLevel !== undefined) {
+    parseReorderLevel(reorderLevel, { nullable: true });
   }
 
   // Verify pharmacy exists
@@ -61,52 +248,62 @@ export const addMedicine = async (pharmacyId, medicineData) => {
     throw new AppError("Pharmacy not found", 404);
   }
 
-  // Duplicate check: Check if medicine already exists in this pharmacy's inventory
+  // Same medicine already stocked: this is another batch of it
   const existingMedicine = await prisma.inventory.findFirst({
     where: {
       pharmacyId,
       name: { equals: name.trim(), mode: "insensitive" },
       genericName: { equals: genericName.trim(), mode: "insensitive" },
     },
+    orderBy: { createdAt: "asc" },
   });
 
   if (existingMedicine) {
-    throw new AppError(
-      `Medicine "${name}" (${genericName}) already exists in your inventory. Please update the existing entry instead.`,
-      409
-    );
+    const item = await addBatch(existingMedicine.id, pharmacyId, { ...batch, ...note }, userId);
+    return {
+      item,
+      batch: item.batches.find((entry) => entry.batchNumber === batch.batchNumber),
+      created: false,
+    };
   }
 
-  // Create inventory item
-  const inventoryItem = await prisma.inventory.create({
-    data: {
-      name: name.trim(),
-      genericName: genericName.trim(),
-      quantity,
-      price,
-      expiryDate: expiry,
-      pharmacyId,
-    },
-    include: {
-      pharmacy: {
-        select: {
-          pharmacyName: true,
-          licenseNumber: true,
-        },
+  // Validate price
+  if (typeof price !== "number" || !(price > 0)) {
+    throw new AppError("Price must be a positive number", 400);
+  }
+
+  // Create inventory item with its first batch
+  const item = await prisma.$transaction(async (tx) => {
+    const created = await tx.inventory.create({
+      data: {
+        name: name.trim(),
+        genericName: genericName.trim(),
+        price,
+        requiresPrescription: requiresPrescription ?? false,
+        reorderLevel: reorderLevel ?? null,
+        pharmacyId,
       },
-    },
+    });
+
+    await receiveBatch(tx, created.id, batch, { ...note, userId });
+
+    return syncInventoryTotals(tx, created.id);
   });
 
-  return inventoryItem;
+  return { item, batch: item.batches[0], created: true };
 };
 
 /**
  * Get pharmacy's inventory with pagination
+ * Each item comes with its batches (first to expire first), unexpiredQuantity
+ * (compared against the reorder level) and availableQuantity: unexpired stock
+ * not reserved by open orders
  * 
  * @param {string} pharmacyId - ID of the pharmacy
  * @param {number} page - Page number (default: 1)
  * @param {number} limit - Items per page (default: 20)
- * @returns {Promise<object>} Paginated inventory list
+ * @returns {Promise<object>} { items, pagination, defaultReorderLevel }
+ *   (items with reorderLevel null use the pharmacy's defaultReorderLevel)
  */
 export const getPharmacyInventory = async (pharmacyId, page = 1, limit = 20) => {
   // Validate pagination parameters
@@ -131,8 +328,9 @@ export const getPharmacyInventory = async (pharmacyId, page = 1, limit = 20) =>
   // Fetch inventory items
   const items = await prisma.inventory.findMany({
     where: { pharmacyId },
+    include: BATCH_INCLUDE,
     orderBy: [
-      { expiryDate: "asc" }, // Show items expiring soon first
+      { expiryDate: { sort: "asc", nulls: "last" } }, // Show items expiring soon first
       { name: "asc" },
     ],
     skip,
@@ -140,9 +338,17 @@ export const getPharmacyInventory = async (pharmacyId, page = 1, limit = 20) =>
   });
 
   const totalPages = Math.ceil(totalItems / limitNum);
+  const now = new Date();
 
   return {
-    items,
+    items: items.map((item) => {
+      const unexpiredQuantity = getSellableQuantity(item.batches, now);
+      return {
+        ...item,
+        unexpiredQuantity,
+        availableQuantity: Math.max(unexpiredQuantity - item.reservedQuantity, 0),
+      };
+    }),
     pagination: {
       currentPage: pageNum,
       totalPages,
@@ -151,12 +357,16 @@ export const getPharmacyInventory = async (pharmacyId, page = 1, limit = 20) =>
       hasNextPage: pageNum < totalPages,
       hasPreviousPage: pageNum > 1,
     },
+    defaultReorderLevel: pharmacy.defaultReorderLevel,
   };
 };
 
 /**
- * Update inventory item (price, quantity, etc.)
+ * Update inventory item (name, price, prescription flag, reorder level)
+ * Stock and expiry belong to batches (see updateBatch)
  * Validates pharmacy ownership before updating
+ * A new reorder level (null: back to the pharmacy default) is checked against
+ * the stock straight away, so the item may come back lowStockCrossed
  * 
  * @param {string} inventoryId - ID of the inventory item
  * @param {string} pharmacyId - ID of the pharmacy (for ownership validation)
@@ -178,8 +388,12 @@ export const updateInventoryItem = async (inventoryId, pharmacyId, updateData) =
     throw new AppError("You do not have permission to update this inventory item", 403);
   }
 
+  if (updateData.quantity !== undefined || updateData.expiryDate !== undefined) {
+    throw new AppError("Quantity and expiry date are tracked per batch. Update the batch instead", 400);
+  }
+
   // Build update object with only allowed fields
-  const allowedFields = ["name", "genericName", "quantity", "price", "expiryDate"];
+  const allowedFields = ["name", "genericName", "price", "requiresPrescription", "reorderLevel"];
   const updates = {};
 
   for (const field of allowedFields) {
@@ -189,24 +403,18 @@ export const updateInventoryItem = async (inventoryId, pharmacyId, updateData) =
   }
 
   // Validate updates
-  if (updates.quantity !== undefined) {
-    if (typeof updates.quantity !== "number" || updates.quantity < 0) {
-      throw new AppError("Quantity must be a non-negative number", 400);
-    }
-  }
-
   if (updates.price !== undefined) {
-    if (typeof updates.price !== "number" || updates.price <= 0) {
+    if (typeof updates.price !== "number" || !(updates.price > 0)) {
       throw new AppError("Price must be a positive number", 400);
     }
   }
 
-  if (updates.expiryDate !== undefined) {
-    const expiry = new Date(updates.expiryDate);
-    if (isNaN(expiry.getTime())) {
-      throw new AppError("Invalid expiry date format", 400);
-    }
-    updates.expiryDate = expiry;
+  if (updates.requiresPrescription !== undefined && typeof updates.requiresPrescription !== "boolean") {
+    throw new AppError("requiresPrescription must be true or false", 400);
+  }
+
+  if (updates.reorderLevel !== undefined) {
+    parseReorderLevel(updates.reorderLevel, { nullable: true });
   }
 
   if (updates.name !== undefined) {
@@ -223,24 +431,151 @@ export const updateInventoryItem = async (inventoryId, pharmacyId, updateData) =
   }
 
   // Update the inventory item
-  const updatedItem = await prisma.inventory.update({
-    where: { id: inventoryId },
-    data: updates,
-    include: {
-      pharmacy: {
-        select: {
-          pharmacyName: true,
+  return prisma.$transaction(async (tx) => {
+    const updatedItem = await tx.inventory.update({
+      where: { id: inventoryId },
+      data: updates,
+      include: {
+        ...BATCH_INCLUDE,
+        pharmacy: {
+          select: {
+            pharmacyName: true,
+          },
         },
       },
-    },
+    });
+
+    if (updates.reorderLevel === undefined) {
+      return updatedItem;
+    }
+
+    return { ...updatedItem, ...(await checkReorderLevel(tx, updatedItem)) };
   });
+};
+
+/**
+ * Add a batch to an inventory item
+ *
+ * @param {string} inventoryId - ID of the inventory item
+ * @param {string} pharmacyId - ID of the pharmacy (for ownership validation)
+ * @param {object} batchData - { batchNumber, quantity, expiryDate, costPrice?, reason?, referenceId? }
+ * @param {string} userId - Acting user (recorded on the PURCHASE movement)
+ * @returns {Promise<object>} Updated inventory item with batches
+ * @throws {AppError} 400 invalid batch, 403/404 item, 409 batch number already recorded
+ */
+export const addBatch = async (inventoryId, pharmacyId, batchData, userId = null) => {
+  const batch = parseBatch(batchData);
+  const note = parseMovementNote(batchData);
+
+  try {
+    return await changeBatches(inventoryId, pharmacyId, (tx) =>
+      receiveBatch(tx, inventoryId, batch, { ...note, userId })
+    );
+  } catch (error) {
+    if (error.code === "P2002") throw duplicateBatchError(batch.batchNumber);
+    throw error;
+  }
+};
+
+/**
+ * Correct a batch's details (number, expiry, cost price)
+ * Quantity only changes through stock movements (see recordStockMovement)
+ *
+ * @param {string} inventoryId - ID of the inventory item
+ * @param {string} batchId - ID of the batch
+ * @param {string} pharmacyId - ID of the pharmacy (for ownership validation)
+ * @param {object} updateData - Any of batchNumber, expiryDate, costPrice
+ * @returns {Promise<object>} Updated inventory item with batches
+ * @throws {AppError} 400 invalid/no fields, 403/404 item or batch, 409 duplicate number / reservations
+ */
+export const updateBatch = async (inventoryId, batchId, pharmacyId, updateData) => {
+  if (updateData.quantity !== undefined) {
+    throw new AppError("Quantity changes are recorded as stock movements. Record an adjustment instead", 400);
+  }
+
+  const updates = parseBatch(updateData, { partial: true });
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError("No valid fields to update", 400);
+  }
+
+  try {
+    return await changeBatches(inventoryId, pharmacyId, async (tx) => {
+      const { count } = await tx.inventoryBatch.updateMany({
+        where: { id: batchId, inventoryId },
+        data: updates,
+      });
+
+      if (count === 0) {
+        throw new AppError("Batch not found", 404);
+      }
+    });
+  } catch (error) {
+    if (error.code === "P2002") throw duplicateBatchError(updates.batchNumber);
+    throw error;
+  }
+};
+
+/**
+ * Remove an empty batch (sold out, or written off)
+ * Its movements stay in the ledger under its batch number
+ *
+ * @param {string} inventoryId - ID of the inventory item
+ * @param {string} batchId - ID of the batch
+ * @param {string} pharmacyId - ID of the pharmacy (for ownership validation)
+ * @returns {Promise<object>} Updated inventory item with batches
+ * @throws {AppError} 403/404 item or batch, 409 batch still holds stock
+ */
+export const deleteBatch = async (inventoryId, batchId, pharmacyId) =>
+  changeBatches(inventoryId, pharmacyId, async (tx) => {
+    const batch = await tx.inventoryBatch.findFirst({
+      where: { id: batchId, inventoryId },
+    });
+
+    if (!batch) {
+      throw new AppError("Batch not found", 404);
+    }
+
+    if (batch.quantity !== 0) {
+      throw new AppError(
+        `Batch ${batch.batchNumber} still holds ${batch.quantity} unit(s). Write them off or adjust them first`,
+        409
+      );
+    }
+
+    await tx.inventoryBatch.delete({ where: { id: batchId } });
+  });
+
+/**
+ * Record a stock movement entered by the pharmacy (receipt, correction, write-off, return)
+ * Unexpired stock must still cover open orders' reservations afterwards
+ *
+ * @param {string} inventoryId - ID of the inventory item
+ * @param {string} pharmacyId - ID of the pharmacy (for ownership validation)
+ * @param {object} movementData - { batchId, type, quantity, reason?, referenceId? } (see parseManualMovement)
+ * @param {string} userId - Acting user
+ * @returns {Promise<object>} Updated inventory item with batches
+ * @throws {AppError} 400 invalid movement, 403/404 item or batch, 409 not enough stock / reservations
+ */
+export const recordStockMovement = async (inventoryId, pharmacyId, movementData, userId = null) => {
+  const movement = parseManualMovement(movementData);
+
+  return changeBatches(inventoryId, pharmacyId, async (tx) => {
+    const batch = movementData.batchId
+      ? await tx.inventoryBatch.findFirst({ where: { id: movementData.batchId, inventoryId } })
+      : null;
 
-  return updatedItem;
+    if (!batch) {
+      throw new AppError("Batch not found", 404);
+    }
+
+    await recordMovement(tx, { batch, ...movement, userId });
+  });
 };
 
 /**
  * Delete inventory item
- * Validates pharmacy ownership before deletion
+ * Validates pharmacy ownership before deletion; items reserved by open orders are kept
  * 
  * @param {string} inventoryId - ID of the inventory item
  * @param {string} pharmacyId - ID of the pharmacy (for ownership validation)
@@ -261,17 +596,165 @@ export const deleteInventoryItem = async (inventoryId, pharmacyId) => {
     throw new AppError("You do not have permission to delete this inventory item", 403);
   }
 
-  // Delete the inventory item
-  const deletedItem = await prisma.inventory.delete({
+  // Only delete while nothing is reserved, checked in the same statement so an
+  // order placed in the meantime cannot lose its stock
+  const result = await prisma.inventory.deleteMany({
+    where: { id: inventoryId, pharmacyId, reservedQuantity: 0 },
+  });
+
+  if (result.count === 0) {
+    throw new AppError("This item is reserved by open orders and cannot be deleted", 409);
+  }
+
+  return inventoryItem;
+};
+
+/**
+ * Inventory items that can supply a medicine right now
+ * An item matches when its name or generic name equals one of the given names
+ * (case-insensitive) and its unreserved, unexpired stock covers the quantity
+ *
+ * @param {string[]} names - Brand and/or generic names
+ * @param {object} options - { quantity = 1, pharmacyIds, client }
+ *   pharmacyIds limits the search; client is a transaction to read in (defaults to prisma)
+ * @returns {Promise<array>} [{ inventoryId, pharmacyId, name, genericName, available }]
+ */
+export const findStockedItems = async (names, { quantity = 1, pharmacyIds, client = prisma } = {}) => {
+  const terms = names.filter(Boolean);
+
+  if (terms.length === 0 || pharmacyIds?.length === 0) {
+    return [];
+  }
+
+  const now = new Date();
+  const sellableBatches = { quantity: { gt: 0 }, expiryDate: { gt: now } };
+
+  const items = await client.inventory.findMany({
+    where: {
+      OR: terms.flatMap((term) => [
+        { name: { equals: term, mode: "insensitive" } },
+        { genericName: { equals: term, mode: "insensitive" } },
+      ]),
+      quantity: { gte: quantity },
+      batches: { some: sellableBatches },
+      ...(pharmacyIds && { pharmacyId: { in: pharmacyIds } }),
+    },
+    select: {
+      id: true,
+      name: true,
+      genericName: true,
+      reservedQuantity: true,
+      pharmacyId: true,
+      batches: { where: sellableBatches, select: { quantity: true, expiryDate: true } },
+    },
+  });
+
+  return items
+    .map((item) => ({
+      inventoryId: item.id,
+      pharmacyId: item.pharmacyId,
+      name: item.name,
+      genericName: item.genericName,
+      available: getSellableQuantity(item.batches, now) - item.reservedQuantity,
+    }))
+    .filter((item) => item.available >= quantity);
+};
+
+/**
+ * Find pharmacies that can supply a medicine right now (see findStockedItems)
+ *
+ * @param {string[]} names - Brand and/or generic name of the medicine
+ * @param {object} options - Same as findStockedItems
+ * @returns {Promise<Map>} pharmacyId → { inventoryId, name, available } (the item with most stock)
+ */
+export const findPharmaciesWithStock = async (names, options) => {
+  const matches = new Map();
+
+  for (const { inventoryId, pharmacyId, name, available } of await findStockedItems(names, options)) {
+    const current = matches.get(pharmacyId);
+    if (!current || available > current.available) {
+      matches.set(pharmacyId, { inventoryId, name, available });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Take units off the shelf, first expiry first out
+ * Expired batches are skipped. Units reserved for other orders are left alone:
+ * pass { reserved: true } when the units being drawn are the caller's own
+ * reservation (order delivery), which is then released as well.
+ * One movement is recorded per batch drawn from.
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {string} inventoryId
+ * @param {number} quantity
+ * @param {object} options - { reserved, type (SALE | SOS_DISPENSE), reason, referenceId, userId }
+ * @returns {Promise<object|null>} { movements (the StockMovements recorded), item (see syncInventoryTotals) },
+ *   or null (nothing changed) when the stock doesn't cover the quantity
+ */
+export const drawStock = async (
+  tx,
+  inventoryId,
+  quantity,
+  { reserved = false, type = "SALE", reason = null, referenceId = null, userId = null } = {}
+) => {
+  await lockInventoryItem(tx, inventoryId);
+
+  const inventoryItem = await tx.inventory.findUnique({
     where: { id: inventoryId },
+    include: {
+      batches: {
+        where: { quantity: { gt: 0 }, expiryDate: { gt: new Date() } },
+        orderBy: BATCH_ORDER,
+      },
+    },
   });
 
-  return deletedItem;
+  if (!inventoryItem || (reserved && inventoryItem.reservedQuantity < quantity)) {
+    return null;
+  }
+
+  const heldForOthers = inventoryItem.reservedQuantity - (reserved ? quantity : 0);
+  if (getSellableQuantity(inventoryItem.batches) - heldForOthers < quantity) {
+    return null;
+  }
+
+  const movements = [];
+  let remaining = quantity;
+
+  for (const batch of inventoryItem.batches) {
+    if (remaining === 0) break;
+
+    const units = Math.min(batch.quantity, remaining);
+    movements.push(await recordMovement(tx, { batch, type, quantity: -units, reason, referenceId, userId }));
+    remaining -= units;
+  }
+
+  if (reserved) {
+    await tx.inventory.update({
+      where: { id: inventoryId },
+      data: { reservedQuantity: { decrement: quantity } },
+    });
+  }
+
+  const item = await syncInventoryTotals(tx, inventoryId);
+
+  return { movements, item };
 };
 
 export default {
+  getSellableQuantity,
   addMedicine,
   getPharmacyInventory,
   updateInventoryItem,
+  addBatch,
+  updateBatch,
+  deleteBatch,
+  recordStockMovement,
   deleteInventoryItem,
+  findStockedItems,
+  findPharmaciesWithStock,
+  drawStock,
 };
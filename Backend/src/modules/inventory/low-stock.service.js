@@ -0,0 +1,188 @@
+/**
+ * Low Stock Service - Reorder levels and LOW_STOCK_WARNING alerts
+ *
+ * An item is low on stock when its unexpired stock (the quantity in batches
+ * that haven't expired) is at or below its reorder level: Inventory.reorderLevel,
+ * or the pharmacy's defaultReorderLevel when the item has none of its own.
+ * Expired units still count towards Inventory.quantity but can't be sold, so
+ * they don't keep an item off the list.
+ *
+ * Alerts go out once per crossing. After every stock change
+ * syncInventoryTotals (inventory.service) calls checkReorderLevel in the same
+ * transaction: the change that brings stock to the reorder level stamps
+ * Inventory.lowStockAlertedAt and marks the item lowStockCrossed; changes
+ * while it stays low find the stamp and do nothing, and stock back above the
+ * level clears it for the next crossing. The caller hands the items to
+ * alertLowStock once its transaction has committed.
+ *
+ * Changing an item's reorder level re-checks it straight away. Changing the
+ * pharmacy default only re-arms items now above it (rearmLowStockAlerts);
+ * items it puts at or below their level alert on their next stock change, as
+ * do items brought there by a batch expiring.
+ */
+
+import { Prisma } from "@prisma/client";
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import logger from "../../utils/logger.js";
+import notificationService from "../notifications/notification.service.js";
+
+export const MAX_REORDER_LEVEL = 100000;
+
+// Units in the unexpired batches of the inventory row aliased "i"
+export const UNEXPIRED_STOCK_SQL = Prisma.sql`(
+  SELECT COALESCE(SUM(b."quantity"), 0)
+  FROM "InventoryBatch" AS b
+  WHERE b."inventoryId" = i."id" AND b."expiryDate" > NOW()
+)`;
+
+/**
+ * Validate a reorder level
+ *
+ * @param {*} value - Whole number of units
+ * @param {object} options - { nullable } allows null (item falls back to the pharmacy default)
+ * @returns {number|null}
+ * @throws {AppError} 400 when not a whole number between 0 and MAX_REORDER_LEVEL
+ */
+export const parseReorderLevel = (value, { nullable = false } = {}) => {
+  if (value === null && nullable) return null;
+
+  if (!Number.isInteger(value) || value < 0 || value > MAX_REORDER_LEVEL) {
+    throw new AppError(`Reorder level must be a whole number from 0 to ${MAX_REORDER_LEVEL}`, 400);
+  }
+
+  return value;
+};
+
+/**
+ * The reorder level that applies to an item
+ *
+ * @param {object} item - { reorderLevel }
+ * @param {number} defaultReorderLevel - The pharmacy's default
+ * @returns {number}
+ */
+export const getReorderLevel = (item, defaultReorderLevel) => item.reorderLevel ?? defaultReorderLevel;
+
+/**
+ * Prisma filter for a pharmacy's items at or below their reorder level
+ *
+ * @param {string} pharmacyId
+ * @returns {Promise<object>} Inventory where clause
+ */
+export const lowStockWhere = async (pharmacyId) => {
+  const rows = await prisma.$queryRaw`
+    SELECT i."id"
+    FROM "Inventory" AS i
+    JOIN "Pharmacy" AS p ON p."id" = i."pharmacyId"
+    WHERE i."pharmacyId" = ${pharmacyId}
+      AND ${UNEXPIRED_STOCK_SQL} <= COALESCE(i."reorderLevel", p."defaultReorderLevel")
+  `;
+
+  return { id: { in: rows.map((row) => row.id) } };
+};
+
+/**
+ * Stamp or clear an item's low-stock alert after its quantity changed (see header)
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} item - { id, pharmacyId, reorderLevel, lowStockAlertedAt }
+ * @returns {Promise<object>} { lowStockAlertedAt (as now stored), lowStockCrossed, unexpiredQuantity }
+ *   lowStockCrossed: this change brought the item to its reorder level
+ */
+export const checkReorderLevel = async (tx, item) => {
+  const stock = await tx.inventoryBatch.aggregate({
+    where: { inventoryId: item.id, expiryDate: { gt: new Date() } },
+    _sum: { quantity: true },
+  });
+  const unexpiredQuantity = stock._sum.quantity || 0;
+
+  let reorderLevel = item.reorderLevel;
+
+  if (reorderLevel === null) {
+    const pharmacy = await tx.pharmacy.findUnique({
+      where: { id: item.pharmacyId },
+      select: { defaultReorderLevel: true },
+    });
+    reorderLevel = pharmacy.defaultReorderLevel;
+  }
+
+  if (unexpiredQuantity <= reorderLevel) {
+    if (item.lowStockAlertedAt) {
+      return { lowStockAlertedAt: item.lowStockAlertedAt, lowStockCrossed: false, unexpiredQuantity };
+    }
+
+    // Conditional, so of two changes racing past the level only one alerts
+    const alertedAt = new Date();
+    const { count } = await tx.inventory.updateMany({
+      where: { id: item.id, lowStockAlertedAt: null },
+      data: { lowStockAlertedAt: alertedAt },
+    });
+    return { lowStockAlertedAt: alertedAt, lowStockCrossed: count > 0, unexpiredQuantity };
+  }
+
+  if (item.lowStockAlertedAt) {
+    await tx.inventory.update({
+      where: { id: item.id },
+      data: { lowStockAlertedAt: null },
+    });
+  }
+
+  return { lowStockAlertedAt: null, lowStockCrossed: false, unexpiredQuantity };
+};
+
+/**
+ * Re-arm a pharmacy's low-stock alerts for items now above their reorder level
+ * (after its default reorder level changed)
+ *
+ * @param {string} pharmacyId
+ * @returns {Promise<number>} Items re-armed
+ */
+export const rearmLowStockAlerts = (pharmacyId) =>
+  prisma.$executeRaw`
+    UPDATE "Inventory" AS i
+    SET "lowStockAlertedAt" = NULL
+    FROM "Pharmacy" AS p
+    WHERE p."id" = i."pharmacyId"
+      AND i."pharmacyId" = ${pharmacyId}
+      AND i."lowStockAlertedAt" IS NOT NULL
+      AND ${UNEXPIRED_STOCK_SQL} > COALESCE(i."reorderLevel", p."defaultReorderLevel")
+  `;
+
+/**
+ * Send LOW_STOCK_WARNING to the owning pharmacies for items that crossed their
+ * reorder level. Call after the transaction that changed the stock has committed.
+ * Never throws: failures are logged
+ *
+ * @param {array} items - Inventory items; those without lowStockCrossed are skipped
+ * @returns {Promise<void>}
+ */
+export const alertLowStock = async (items = []) => {
+  const crossed = items.filter((item) => item?.lowStockCrossed);
+  if (crossed.length === 0) return;
+
+  try {
+    const pharmacies = await prisma.pharmacy.findMany({
+      where: { id: { in: [...new Set(crossed.map((item) => item.pharmacyId))] } },
+      select: { id: true, userId: true },
+    });
+    const ownerOf = new Map(pharmacies.map((pharmacy) => [pharmacy.id, pharmacy.userId]));
+
+    for (const item of crossed) {
+      const ownerId = ownerOf.get(item.pharmacyId);
+      if (ownerId) await notificationService.notifyLowStock(ownerId, item);
+    }
+  } catch (error) {
+    logger.error("INVENTORY", `Low stock alert failed: ${error.message}`, error);
+  }
+};
+
+export default {
+  MAX_REORDER_LEVEL,
+  UNEXPIRED_STOCK_SQL,
+  parseReorderLevel,
+  getReorderLevel,
+  lowStockWhere,
+  checkReorderLevel,
+  rearmLowStockAlerts,
+  alertLowStock,
+};
@@ -0,0 +1,197 @@
+/**
+ * Stock Movement Service - Append-only ledger of inventory stock changes
+ *
+ * Every change to a batch's quantity goes through recordMovement, which
+ * writes a StockMovement row and applies it to the batch in the same
+ * transaction. Nothing else writes InventoryBatch.quantity, so a batch's
+ * quantity is always the sum of its movements (and the item's quantity the
+ * sum of all of them, see inventory.service syncInventoryTotals).
+ *
+ * Types (sign of the change):
+ * - PURCHASE (+): stock received, as a new batch or more of one
+ * - SALE (-): order delivered; reference is the order (order.service)
+ * - SOS_DISPENSE (-): SOS request handed over; reference is the request (sos.service)
+ * - ADJUSTMENT (±): stock-take correction
+ * - DAMAGE (-), EXPIRY_WRITE_OFF (-): units taken off the shelf
+ * - RETURN (+): units a customer brought back
+ * SALE and SOS_DISPENSE are only ever recorded by the system.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+
+export const MOVEMENT_TYPES = [
+  "PURCHASE",
+  "SALE",
+  "SOS_DISPENSE",
+  "ADJUSTMENT",
+  "DAMAGE",
+  "EXPIRY_WRITE_OFF",
+  "RETURN",
+];
+
+// Types a pharmacy can record by hand
+export const MANUAL_MOVEMENT_TYPES = ["PURCHASE", "ADJUSTMENT", "DAMAGE", "EXPIRY_WRITE_OFF", "RETURN"];
+
+const OUTGOING_TYPES = ["SALE", "SOS_DISPENSE", "DAMAGE", "EXPIRY_WRITE_OFF"];
+
+const MAX_NOTE_LENGTH = 200;
+
+/**
+ * Validate a movement entered by a pharmacy
+ * quantity is in units: positive for every type except ADJUSTMENT, which
+ * takes the sign of the correction. A reason is required except for PURCHASE.
+ *
+ * @param {object} data - { type, quantity, reason?, referenceId? }
+ * @returns {object} { type, quantity (signed change), reason, referenceId }
+ * @throws {AppError} 400 on invalid values
+ */
+export const parseManualMovement = (data = {}) => {
+  const { type } = data;
+
+  if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+    throw new AppError(`Invalid movement type. Must be one of: ${MANUAL_MOVEMENT_TYPES.join(", ")}`, 400);
+  }
+
+  if (!Number.isInteger(data.quantity) || data.quantity === 0) {
+    throw new AppError("Quantity must be a whole number of units", 400);
+  }
+
+  if (type !== "ADJUSTMENT" && data.quantity < 0) {
+    throw new AppError("Quantity must be positive; only adjustments take a sign", 400);
+  }
+
+  const { reason, referenceId } = parseMovementNote(data);
+
+  if (!reason && type !== "PURCHASE") {
+    throw new AppError("A reason is required for this stock movement", 400);
+  }
+
+  return {
+    type,
+    quantity: OUTGOING_TYPES.includes(type) ? -data.quantity : data.quantity,
+    reason: reason || "Stock received",
+    referenceId,
+  };
+};
+
+/**
+ * Optional reason and reference from a request body, trimmed
+ *
+ * @param {object} data - { reason?, referenceId? }
+ * @returns {object} { reason, referenceId } (null when blank)
+ * @throws {AppError} 400 when not text or too long
+ */
+export const parseMovementNote = (data = {}) => {
+  const note = {};
+
+  for (const field of ["reason", "referenceId"]) {
+    const value = data[field];
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      throw new AppError(`${field} must be text`, 400);
+    }
+    if (value && value.trim().length > MAX_NOTE_LENGTH) {
+      throw new AppError(`${field} must be at most ${MAX_NOTE_LENGTH} characters`, 400);
+    }
+    note[field] = value?.trim() || null;
+  }
+
+  return note;
+};
+
+/**
+ * Record a movement and apply it to its batch
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} movement - { batch: { id, inventoryId, batchNumber }, type, quantity (signed), reason?, referenceId?, userId? }
+ * @returns {Promise<object|null>} The StockMovement, or null for a zero change
+ * @throws {AppError} 409 when the batch doesn't hold the units being taken out
+ */
+export const recordMovement = async (tx, { batch, type, quantity, reason = null, referenceId = null, userId = null }) => {
+  if (quantity === 0) return null;
+
+  // Conditional on stock for outgoing movements, so a batch never goes negative
+  const { count } = await tx.inventoryBatch.updateMany({
+    where: { id: batch.id, ...(quantity < 0 && { quantity: { gte: -quantity } }) },
+    data: { quantity: { increment: quantity } },
+  });
+
+  if (count === 0) {
+    throw new AppError(`Batch ${batch.batchNumber} doesn't hold the ${-quantity} unit(s) being taken out`, 409);
+  }
+
+  return tx.stockMovement.create({
+    data: {
+      inventoryId: batch.inventoryId,
+      batchId: batch.id,
+      batchNumber: batch.batchNumber,
+      type,
+      quantity,
+      reason,
+      referenceId,
+      userId,
+    },
+  });
+};
+
+/**
+ * Stock history of an inventory item, newest first
+ *
+ * @param {string} inventoryId
+ * @param {string} pharmacyId - Must own the item
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Movements per page (default: 20, max: 100)
+ * @returns {Promise<object>} { movements: [...with user { id, name }], pagination }
+ * @throws {AppError} 404 unknown item, 403 not the pharmacy's
+ */
+export const getStockHistory = async (inventoryId, pharmacyId, page = 1, limit = 20) => {
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const inventoryItem = await prisma.inventory.findUnique({
+    where: { id: inventoryId },
+    select: { pharmacyId: true },
+  });
+
+  if (!inventoryItem) {
+    throw new AppError("Inventory item not found", 404);
+  }
+
+  if (inventoryItem.pharmacyId !== pharmacyId) {
+    throw new AppError("You do not have permission to view this inventory item", 403);
+  }
+
+  const [totalItems, movements] = await Promise.all([
+    prisma.stockMovement.count({ where: { inventoryId } }),
+    prisma.stockMovement.findMany({
+      where: { inventoryId },
+      include: { user: { select: { id: true, name: true } } },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum,
+    }),
+  ]);
+
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  return {
+    movements,
+    pagination: {
+      currentPage: pageNum,
+      totalPages,
+      totalItems,
+      itemsPerPage: limitNum,
+      hasNextPage: pageNum < totalPages,
+      hasPreviousPage: pageNum > 1,
+    },
+  };
+};
+
+export default {
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  parseManualMovement,
+  parseMovementNote,
+  recordMovement,
+  getStockHistory,
+};
@@ -0,0 +1,207 @@
+/**
+ * Interaction Service - Drug–drug interaction checks
+ *
+ * Checks medicines a patient is about to add, order or SOS-request against
+ * their active Medication rows (and against each other) using the bundled
+ * dataset in data/drugInteractions.json, keyed by lowercase generic name.
+ *
+ * - Combination products ("Paracetamol + Caffeine") are split into ingredients
+ * - Aliases map alternative names onto the dataset key (acetaminophen → paracetamol)
+ * - The same ingredient twice is reported as duplicate therapy
+ *
+ * Results are warnings only; nothing is blocked.
+ */
+
+import fs from "fs";
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+
+const dataset = JSON.parse(
+  fs.readFileSync(new URL("./data/drugInteractions.json", import.meta.url), "utf8")
+);
+
+export const SEVERITIES = dataset.severities;
+
+const SEVERITY_RANK = { major: 3, moderate: 2, minor: 1 };
+const MAX_CANDIDATES = 20;
+
+// Order-independent key for a pair of ingredients
+const pairKey = (a, b) => [a, b].sort().join("|");
+
+const INTERACTIONS = new Map(
+  dataset.interactions.map((interaction) => [pairKey(...interaction.drugs), interaction])
+);
+
+/**
+ * Normalise one ingredient name and resolve aliases
+ * "  Acetaminophen 500 mg" → "paracetamol"
+ */
+const normaliseIngredient = (name) => {
+  const key = name
+    .toLowerCase()
+    .replace(/\b\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|%)\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return dataset.aliases[key] || key;
+};
+
+/**
+ * Split a generic name into normalised ingredients
+ * "Paracetamol + Caffeine" → ["paracetamol", "caffeine"]
+ *
+ * @param {string} genericName
+ * @returns {string[]}
+ */
+export const getIngredients = (genericName) => {
+  const ingredients = String(genericName || "")
+    .split(/\s*(?:\+|,|\/|&|\band\b)\s*/i)
+    .map(normaliseIngredient)
+    .filter(Boolean);
+
+  return [...new Set(ingredients)];
+};
+
+/**
+ * Turn a medicine-like record into { label, ingredients }
+ * Falls back to the brand name when no generic name is known
+ */
+const describeMedicine = ({ name, medicineName, genericName }) => {
+  const label = name || medicineName || genericName;
+  return {
+    label,
+    ingredients: getIngredients(genericName || label),
+  };
+};
+
+/**
+ * Warnings between two medicines
+ */
+const compareMedicines = (medicine, other) => {
+  const warnings = [];
+
+  for (const a of medicine.ingredients) {
+    for (const b of other.ingredients) {
+      if (a === b) {
+        warnings.push({
+          type: "duplicate",
+          severity: "moderate",
+          drugs: [a],
+          description: `Both ${medicine.label} and ${other.label} contain ${a}. Taking them together can lead to an overdose.`,
+          advice: "Check with your pharmacist before taking both.",
+        });
+        continue;
+      }
+
+      const interaction = INTERACTIONS.get(pairKey(a, b));
+      if (interaction) {
+        warnings.push({
+          type: "interaction",
+          severity: interaction.severity,
+          drugs: [a, b],
+          description: interaction.description,
+          advice: interaction.advice,
+        });
+      }
+    }
+  }
+
+  return warnings.map((warning) => ({
+    ...warning,
+    medicine: medicine.label,
+    interactsWith: other.label,
+    medicationId: other.medicationId || null,
+  }));
+};
+
+/**
+ * Check medicines against the patient's active medications and each other
+ *
+ * @param {string} patientId
+ * @param {array} candidates - [{ name, genericName?, medicationId? }]
+ *   medicationId marks a candidate that is one of the patient's own medications
+ *   (re-checking the current list); it is then only compared with the other candidates
+ * @param {object} options - { excludeMedicationId? } to skip the row being edited
+ * @returns {Promise<object>} { warnings: [{ type, severity, medicine, interactsWith, medicationId, drugs, description, advice }], highestSeverity }
+ */
+export const checkInteractions = async (patientId, candidates, { excludeMedicationId } = {}) => {
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    throw new AppError("Provide at least one medicine to check", 400);
+  }
+
+  if (candidates.length > MAX_CANDIDATES) {
+    throw new AppError(`At most ${MAX_CANDIDATES} medicines can be checked at once`, 400);
+  }
+
+  if (candidates.some((candidate) => !candidate?.name && !candidate?.genericName)) {
+    throw new AppError("Each medicine needs a name or genericName", 400);
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const activeMedications = await prisma.medication.findMany({
+    where: {
+      patientId,
+      isActive: true,
+      OR: [{ endDate: null }, { endDate: { gte: today } }],
+      ...(excludeMedicationId && { id: { not: excludeMedicationId } }),
+    },
+    select: { id: true, medicineName: true, genericName: true },
+  });
+
+  const candidateIds = new Set(candidates.map((candidate) => candidate.medicationId).filter(Boolean));
+  const medicines = candidates.map((candidate) => ({
+    ...describeMedicine(candidate),
+    medicationId: candidate.medicationId || null,
+  }));
+  const current = activeMedications
+    .filter((medication) => !candidateIds.has(medication.id))
+    .map((medication) => ({
+      ...describeMedicine(medication),
+      medicationId: medication.id,
+    }));
+
+  const warnings = [];
+
+  medicines.forEach((medicine, index) => {
+    for (const medication of current) {
+      warnings.push(...compareMedicines(medicine, medication));
+    }
+
+    // Items requested together (e.g. one order) can interact too
+    for (const other of medicines.slice(index + 1)) {
+      warnings.push(...compareMedicines(medicine, other));
+    }
+  });
+
+  warnings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+
+  return {
+    warnings,
+    highestSeverity: warnings[0]?.severity || null,
+  };
+};
+
+/**
+ * Same as checkInteractions, but never throws
+ * For order/SOS responses where a failed check must not fail the request
+ *
+ * @returns {Promise<array>} Warnings (empty on failure)
+ */
+export const getInteractionWarnings = async (patientId, candidates, options) => {
+  try {
+    const { warnings } = await checkInteractions(patientId, candidates, options);
+    return warnings;
+  } catch (error) {
+    console.error("[INTERACTIONS] Check failed:", error.message);
+    return [];
+  }
+};
+
+export default {
+  SEVERITIES,
+  getIngredients,
+  checkInteractions,
+  getInteractionWarnings,
+};
@@ -0,0 +1,69 @@
+/**
+ * Medication Jobs - Background work for the medication module
+ *
+ * Dose reminders: every sweep records the doses that fell due since the last
+ * one (see createDueDoses) and sends the patient a MEDICINE_ALERT for each.
+ */
+
+import config from "../../config/environment.js";
+import logger from "../../utils/logger.js";
+import notificationService from "../notifications/notification.service.js";
+import { createDueDoses } from "./medication.service.js";
+
+let reminderTimer = null;
+let reminderRunning = false;
+
+/**
+ * Run one reminder sweep
+ * Skips if the previous sweep is still in progress
+ */
+const sweepDueDoses = async () => {
+  if (reminderRunning) return;
+  reminderRunning = true;
+
+  try {
+    const due = await createDueDoses();
+
+    for (const { medication, dose } of due) {
+      try {
+        await notificationService.notifyDoseDue(medication, dose);
+      } catch (notificationError) {
+        console.error("[MEDICATIONS] Failed to send dose reminder:", notificationError.message);
+      }
+    }
+
+    if (due.length > 0) {
+      logger.info("MEDICATIONS", `[DOSE_REMINDER] Sent ${due.length} reminder(s)`);
+    }
+  } catch (error) {
+    logger.error("MEDICATIONS", `[DOSE_REMINDER] Sweep failed: ${error.message}`, error);
+  } finally {
+    reminderRunning = false;
+  }
+};
+
+/**
+ * Start the dose reminder job (idempotent)
+ */
+export const startMedicationJobs = () => {
+  if (reminderTimer) return;
+
+  reminderTimer = setInterval(sweepDueDoses, config.medications.reminderSweepIntervalMs);
+  // Don't keep the process alive just for this timer
+  reminderTimer.unref();
+};
+
+/**
+ * Stop the dose reminder job (used on shutdown)
+ */
+export const stopMedicationJobs = () => {
+  if (!reminderTimer) return;
+
+  clearInterval(reminderTimer);
+  reminderTimer = null;
+};
+
+export default {
+  startMedicationJobs,
+  stopMedicationJobs,
+};
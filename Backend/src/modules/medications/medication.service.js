@@ -0,0 +1,699 @@
+/**
+ * Medication Service - Patient medications, dose schedules, reminders and adherence
+ *
+ * Status is derived, not stored:
+ * - active: isActive
+ * - paused: !isActive, course not over
+ * - ended:  endDate has passed (or is today and the medication was stopped)
+ *
+ * A medication's schedule is a set of local dose times ("HH:mm") on chosen
+ * days of the week, bounded by startDate/endDate. Times are evaluated in
+ * config.medications.timezone.
+ *
+ * Doses:
+ * - The reminder job creates a MedicationDose (DUE) once a dose time passes
+ *   and sends the patient a MEDICINE_ALERT notification
+ * - Patients mark doses TAKEN or SKIPPED, up to earlyMarkMinutes before they are due
+ * - A scheduled dose still unmarked doseGraceMinutes after its time is missed
+ *
+ * Adherence = taken / (taken + skipped + missed) over a trailing window.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import config from "../../config/environment.js";
+import { toDateKey, addDays, zonedTimeToUtc } from "../../utils/timezone.js";
+
+export const DOSE_MARKS = ["TAKEN", "SKIPPED"];
+export const MEDICATION_STATUSES = ["active", "paused", "ended"];
+
+// SOS outcomes where the patient got (or is getting) the medicine
+const SOS_OBTAINED_STATUSES = ["accepted", "ready", "dispatched", "completed"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DOSES_PER_DAY = 12;
+const MAX_ADHERENCE_DAYS = 90;
+const MAX_SUGGESTIONS = 20;
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Trim an optional text field, turning blanks into null
+ */
+const cleanText = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+/**
+ * Parse an optional date field; null or "" clears it
+ */
+const parseDate = (value, fieldName) => {
+  if (value === null || value === "") return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${fieldName}`, 400);
+  }
+
+  return date;
+};
+
+/**
+ * Calendar day a start/end date was entered for ("YYYY-MM-DD")
+ * Date-only inputs are stored as UTC midnight, so the UTC date is the intended day
+ */
+const boundKey = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+/**
+ * Validate a schedule payload and turn it into Medication update data
+ * Only the fields present in the payload are returned
+ *
+ * @param {object} data - { times?, daysOfWeek?, startDate?, endDate?, remindersEnabled? }
+ * @returns {object} Prisma data
+ */
+export const parseSchedule = (data = {}) => {
+  const updates = {};
+
+  if (data.times !== undefined) {
+    if (!Array.isArray(data.times)) {
+      throw new AppError("times must be an array of HH:mm values", 400);
+    }
+
+    const times = [...new Set(data.times.map((time) => String(time).trim()))].sort();
+    const invalid = times.find((time) => !TIME_PATTERN.test(time));
+
+    if (invalid) {
+      throw new AppError(`Invalid dose time "${invalid}". Use 24-hour HH:mm`, 400);
+    }
+
+    if (times.length > MAX_DOSES_PER_DAY) {
+      throw new AppError(`A medication can have at most ${MAX_DOSES_PER_DAY} doses per day`, 400);
+    }
+
+    updates.scheduleTimes = times;
+  }
+
+  if (data.daysOfWeek !== undefined) {
+    if (!Array.isArray(data.daysOfWeek)) {
+      throw new AppError("daysOfWeek must be an array", 400);
+    }
+
+    const days = [...new Set(data.daysOfWeek.map(Number))].sort((a, b) => a - b);
+
+    if (days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new AppError("daysOfWeek must contain numbers from 0 (Sunday) to 6 (Saturday)", 400);
+    }
+
+    updates.daysOfWeek = days;
+  }
+
+  if (data.startDate !== undefined) updates.startDate = parseDate(data.startDate, "startDate");
+  if (data.endDate !== undefined) updates.endDate = parseDate(data.endDate, "endDate");
+
+  if (data.remindersEnabled !== undefined) {
+    if (typeof data.remindersEnabled !== "boolean") {
+      throw new AppError("remindersEnabled must be true or false", 400);
+    }
+    updates.remindersEnabled = data.remindersEnabled;
+  }
+
+  if (updates.scheduleTimes !== undefined || updates.daysOfWeek !== undefined) {
+    updates.scheduleUpdatedAt = new Date();
+  }
+
+  return updates;
+};
+
+/**
+ * Scheduled dose instants of a medication within [from, to]
+ *
+ * @param {object} medication - scheduleTimes, daysOfWeek, startDate, endDate
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Date[]} Ascending
+ */
+export const getDoseSlots = (medication, from, to) => {
+  const { timezone } = config.medications;
+
+  if (!medication.scheduleTimes?.length || from > to) return [];
+
+  const firstDay = boundKey(medication.startDate);
+  const lastDay = boundKey(medication.endDate);
+  const endKey = toDateKey(to, timezone);
+  const slots = [];
+
+  for (let day = toDateKey(from, timezone); day <= endKey; day = addDays(day, 1)) {
+    if (firstDay && day < firstDay) continue;
+    if (lastDay && day > lastDay) break;
+
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    if (medication.daysOfWeek?.length && !medication.daysOfWeek.includes(weekday)) continue;
+
+    for (const time of medication.scheduleTimes) {
+      const slot = zonedTimeToUtc(day, time, timezone);
+      if (slot >= from && slot <= to) slots.push(slot);
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Validate the descriptive fields of a medication
+ * Accepts "name" as an alias of medicineName
+ *
+ * @param {object} data - { medicineName, genericName?, dosage?, frequency? }
+ * @param {boolean} partial - Updates: only fields present are validated
+ * @returns {object} Prisma data
+ */
+const parseDetails = (data = {}, partial = false) => {
+  const details = {};
+  const medicineName = data.medicineName ?? data.name;
+
+  if (medicineName !== undefined || !partial) {
+    if (typeof medicineName !== "string" || !medicineName.trim()) {
+      throw new AppError("medicineName is required", 400);
+    }
+    details.medicineName = medicineName.trim();
+  }
+
+  for (const field of ["genericName", "dosage", "frequency"]) {
+    if (data[field] !== undefined) details[field] = cleanText(data[field]);
+  }
+
+  return details;
+};
+
+/**
+ * Reject a course that ends before it starts
+ */
+const assertDateRange = (startDate, endDate) => {
+  if (startDate && endDate && boundKey(endDate) < boundKey(startDate)) {
+    throw new AppError("endDate cannot be before startDate", 400);
+  }
+};
+
+/**
+ * Derive a medication's status (see header)
+ * @param {object} medication
+ * @returns {string} active | paused | ended
+ */
+export const getMedicationStatus = (medication) => {
+  const today = toDateKey(new Date(), config.medications.timezone);
+  const lastDay = boundKey(medication.endDate);
+
+  if (lastDay && (lastDay < today || (lastDay === today && !medication.isActive))) {
+    return "ended";
+  }
+
+  return medication.isActive ? "active" : "paused";
+};
+
+/**
+ * Fetch a medication, checking it belongs to the patient
+ */
+const getOwnedMedication = async (patientId, medicationId) => {
+  const medication = await prisma.medication.findUnique({ where: { id: medicationId } });
+
+  if (!medication || medication.patientId !== patientId) {
+    throw new AppError("Medication not found", 404);
+  }
+
+  return medication;
+};
+
+/**
+ * Get a patient's medications, newest first, each with its derived status
+ *
+ * @param {string} patientId
+ * @param {object} filters - { status?: active | paused | ended }
+ * @returns {Promise<array>}
+ */
+export const getPatientMedications = async (patientId, { status } = {}) => {
+  if (status && status !== "all" && !MEDICATION_STATUSES.includes(status)) {
+    throw new AppError(`Invalid status. Must be one of: ${MEDICATION_STATUSES.join(", ")}`, 400);
+  }
+
+  const medications = await prisma.medication.findMany({
+    where: { patientId },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const withStatus = medications.map((medication) => ({
+    ...medication,
+    status: getMedicationStatus(medication),
+  }));
+
+  return status && status !== "all"
+    ? withStatus.filter((medication) => medication.status === status)
+    : withStatus;
+};
+
+/**
+ * Add a medication, optionally with its dose schedule
+ *
+ * @param {string} patientId
+ * @param {object} data - { medicineName, genericName?, dosage?, frequency?, startDate?, endDate?, times?, daysOfWeek?, remindersEnabled? }
+ * @returns {Promise<object>} Created medication
+ */
+export const createMedication = async (patientId, data) => {
+  const details = parseDetails(data);
+  const schedule = parseSchedule(data);
+
+  assertDateRange(schedule.startDate, schedule.endDate);
+
+  const medication = await prisma.medication.create({
+    data: {
+      patientId,
+      ...details,
+      ...schedule,
+    },
+  });
+
+  return { ...medication, status: getMedicationStatus(medication) };
+};
+
+/**
+ * Edit a medication's details and/or schedule
+ *
+ * @param {string} patientId
+ * @param {string} medicationId
+ * @param {object} data - Any createMedication field
+ * @returns {Promise<object>} Updated medication
+ */
+export const updateMedication = async (patientId, medicationId, data) => {
+  const medication = await getOwnedMedication(patientId, medicationId);
+  const updates = { ...parseDetails(data, true), ...parseSchedule(data) };
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError("No valid fields to update", 400);
+  }
+
+  assertDateRange(
+    updates.startDate !== undefined ? updates.startDate : medication.startDate,
+    updates.endDate !== undefined ? updates.endDate : medication.endDate
+  );
+
+  const updated = await prisma.medication.update({
+    where: { id: medicationId },
+    data: updates,
+  });
+
+  return { ...updated, status: getMedicationStatus(updated) };
+};
+
+/**
+ * Pause, resume or end a medication
+ * - paused: reminders stop, the course stays open
+ * - ended:  stopped with today as the end date
+ * - active: resumes; an end date that has already passed is cleared
+ *
+ * @param {string} patientId
+ * @param {string} medicationId
+ * @param {string} status - active | paused | ended
+ * @returns {Promise<object>} Updated medication
+ */
+export const setMedicationStatus = async (patientId, medicationId, status) => {
+  if (!MEDICATION_STATUSES.includes(status)) {
+    throw new AppError(`Invalid status. Must be one of: ${MEDICATION_STATUSES.join(", ")}`, 400);
+  }
+
+  const medication = await getOwnedMedication(patientId, medicationId);
+  const today = toDateKey(new Date(), config.medications.timezone);
+  const data = { isActive: status === "active" };
+
+  if (status === "ended") {
+    const lastDay = boundKey(medication.endDate);
+    if (!lastDay || lastDay > today) {
+      data.endDate = new Date(`${today}T00:00:00Z`);
+    }
+  }
+
+  if (status === "active" && medication.endDate && boundKey(medication.endDate) <= today) {
+    data.endDate = null;
+  }
+
+  const updated = await prisma.medication.update({
+    where: { id: medicationId },
+    data,
+  });
+
+  return { ...updated, status: getMedicationStatus(updated) };
+};
+
+/**
+ * Delete a medication and its dose history
+ *
+ * @param {string} patientId
+ * @param {string} medicationId
+ * @returns {Promise<object>} Deleted medication
+ */
+export const deleteMedication = async (patientId, medicationId) => {
+  await getOwnedMedication(patientId, medicationId);
+
+  return prisma.medication.delete({ where: { id: medicationId } });
+};
+
+/**
+ * Look up medicine names for the add-medication form
+ * Distinct names stocked by verified pharmacies
+ *
+ * @param {string} query - At least 2 characters
+ * @returns {Promise<array>} [{ medicineName, genericName, requiresPrescription }]
+ */
+export const searchMedicineNames = async (query) => {
+  const term = String(query || "").trim();
+
+  if (term.length < 2) {
+    throw new AppError("Search query must be at least 2 characters", 400);
+  }
+
+  const rows = await prisma.inventory.findMany({
+    where: {
+      OR: [
+        { name: { contains: term, mode: "insensitive" } },
+        { genericName: { contains: term, mode: "insensitive" } },
+      ],
+      pharmacy: { verificationStatus: "VERIFIED" },
+    },
+    distinct: ["name", "genericName"],
+    select: { name: true, genericName: true, requiresPrescription: true },
+    orderBy: { name: "asc" },
+    take: 10,
+  });
+
+  return rows.map((row) => ({
+    medicineName: row.name,
+    genericName: row.genericName,
+    requiresPrescription: row.requiresPrescription,
+  }));
+};
+
+/**
+ * Suggest medications the patient obtained through PharmEasy but hasn't added yet
+ * Sources: delivered orders and SOS requests a pharmacy fulfilled
+ *
+ * @param {string} patientId
+ * @returns {Promise<array>} [{ medicineName, genericName, source: "order" | "sos", sourceId, obtainedAt }], most recent first
+ */
+export const getMedicationSuggestions = async (patientId) => {
+  const [orders, sosRequests, medications] = await Promise.all([
+    prisma.order.findMany({
+      where: { patientId, status: "delivered" },
+      select: {
+        id: true,
+        deliveredAt: true,
+        updatedAt: true,
+        items: { select: { medicineName: true, genericName: true } },
+      },
+      orderBy: { updatedAt: "desc" },
+      take: 50,
+    }),
+    prisma.sOSRequest.findMany({
+      where: { patientId, status: { in: SOS_OBTAINED_STATUSES } },
+      select: { id: true, medicineName: true, genericName: true, acceptedAt: true, updatedAt: true },
+      orderBy: { updatedAt: "desc" },
+      take: 50,
+    }),
+    prisma.medication.findMany({
+      where: { patientId },
+      select: { medicineName: true },
+    }),
+  ]);
+
+  const known = new Set(medications.map((medication) => medication.medicineName.trim().toLowerCase()));
+  const suggestions = new Map();
+
+  const suggest = (medicineName, genericName, source, sourceId, obtainedAt) => {
+    const key = medicineName.trim().toLowerCase();
+    const existing = suggestions.get(key);
+
+    if (known.has(key) || (existing && existing.obtainedAt >= obtainedAt)) return;
+    suggestions.set(key, { medicineName, genericName, source, sourceId, obtainedAt });
+  };
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      suggest(item.medicineName, item.genericName, "order", order.id, order.deliveredAt || order.updatedAt);
+    }
+  }
+
+  for (const sosRequest of sosRequests) {
+    suggest(
+      sosRequest.medicineName,
+      sosRequest.genericName,
+      "sos",
+      sosRequest.id,
+      sosRequest.acceptedAt || sosRequest.updatedAt
+    );
+  }
+
+  return [...suggestions.values()]
+    .sort((a, b) => b.obtainedAt - a.obtainedAt)
+    .slice(0, MAX_SUGGESTIONS);
+};
+
+/**
+ * Set or change a medication's dose schedule
+ *
+ * @param {string} patientId - Owner of the medication
+ * @param {string} medicationId
+ * @param {object} data - { times?, daysOfWeek?, startDate?, endDate?, remindersEnabled? }
+ * @returns {Promise<object>} Updated medication
+ */
+export const updateMedicationSchedule = async (patientId, medicationId, data) => {
+  const medication = await getOwnedMedication(patientId, medicationId);
+  const updates = parseSchedule(data);
+
+  if (Object.keys(updates).length === 0) {
+    throw new AppError("No schedule fields to update", 400);
+  }
+
+  assertDateRange(
+    updates.startDate !== undefined ? updates.startDate : medication.startDate,
+    updates.endDate !== undefined ? updates.endDate : medication.endDate
+  );
+
+  return prisma.medication.update({
+    where: { id: medicationId },
+    data: updates,
+  });
+};
+
+/**
+ * Display status of a scheduled dose
+ * TAKEN / SKIPPED once marked; otherwise UPCOMING, DUE, or MISSED after the grace period
+ */
+const describeDose = (slot, dose, now) => {
+  if (dose && dose.status !== "DUE") return dose.status;
+  if (slot > now) return "UPCOMING";
+  if (now - slot > config.medications.doseGraceMinutes * MINUTE) return "MISSED";
+  return "DUE";
+};
+
+/**
+ * All scheduled doses of a patient's active medications on one local day
+ *
+ * @param {string} patientId
+ * @param {string} [date] - "YYYY-MM-DD" (default: today)
+ * @returns {Promise<object>} { date, timezone, doses: [{ doseId, medicationId, medicineName, dosage, scheduledFor, status, markedAt }] }
+ */
+export const getDailyDoses = async (patientId, date) => {
+  const { timezone } = config.medications;
+  const day = date || toDateKey(new Date(), timezone);
+
+  if (!DATE_KEY_PATTERN.test(day) || isNaN(new Date(`${day}T00:00:00Z`).getTime())) {
+    throw new AppError("date must be in YYYY-MM-DD format", 400);
+  }
+
+  const from = zonedTimeToUtc(day, "00:00", timezone);
+  const to = new Date(zonedTimeToUtc(addDays(day, 1), "00:00", timezone).getTime() - 1);
+
+  const medications = await prisma.medication.findMany({
+    where: { patientId, isActive: true, scheduleTimes: { isEmpty: false } },
+    include: {
+      doses: { where: { scheduledFor: { gte: from, lte: to } } },
+    },
+  });
+
+  const now = new Date();
+  const doses = medications.flatMap((medication) => {
+    const recorded = new Map(medication.doses.map((dose) => [dose.scheduledFor.getTime(), dose]));
+
+    return getDoseSlots(medication, from, to).map((slot) => {
+      const dose = recorded.get(slot.getTime());
+      return {
+        doseId: dose?.id || null,
+        medicationId: medication.id,
+        medicineName: medication.medicineName,
+        dosage: medication.dosage,
+        scheduledFor: slot,
+        status: describeDose(slot, dose, now),
+        markedAt: dose?.markedAt || null,
+      };
+    });
+  });
+
+  doses.sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+  return { date: day, timezone, doses };
+};
+
+/**
+ * Mark a scheduled dose as taken or skipped
+ * Re-marking a dose overwrites the previous mark
+ *
+ * @param {string} patientId
+ * @param {string} medicationId
+ * @param {object} data - { scheduledFor: ISO date-time of the slot, status: "taken" | "skipped" }
+ * @returns {Promise<object>} MedicationDose
+ */
+export const markDose = async (patientId, medicationId, { scheduledFor, status } = {}) => {
+  const mark = String(status || "").trim().toUpperCase();
+
+  if (!DOSE_MARKS.includes(mark)) {
+    throw new AppError("status must be 'taken' or 'skipped'", 400);
+  }
+
+  const slot = new Date(scheduledFor);
+  if (!scheduledFor || isNaN(slot.getTime())) {
+    throw new AppError("scheduledFor must be a valid date-time", 400);
+  }
+
+  const medication = await getOwnedMedication(patientId, medicationId);
+
+  if (getDoseSlots(medication, slot, slot).length === 0) {
+    throw new AppError("No dose of this medication is scheduled at that time", 400);
+  }
+
+  const { earlyMarkMinutes } = config.medications;
+  if (slot.getTime() - Date.now() > earlyMarkMinutes * MINUTE) {
+    throw new AppError(`Doses can be marked at most ${earlyMarkMinutes} minutes before they are due`, 400);
+  }
+
+  const markedAt = new Date();
+
+  return prisma.medicationDose.upsert({
+    where: { medicationId_scheduledFor: { medicationId, scheduledFor: slot } },
+    create: { medicationId, scheduledFor: slot, status: mark, markedAt },
+    update: { status: mark, markedAt },
+  });
+};
+
+/**
+ * Adherence over the last N days across the patient's active scheduled medications
+ * Unmarked doses only count as missed once their grace period is over
+ *
+ * @param {string} patientId
+ * @param {number} [days=7] - Window length (1-90)
+ * @returns {Promise<object>} { days, taken, skipped, missed, total, percentage (null when no doses) }
+ */
+export const getAdherence = async (patientId, days = 7) => {
+  const windowDays = parseInt(days, 10);
+
+  if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_ADHERENCE_DAYS) {
+    throw new AppError(`days must be between 1 and ${MAX_ADHERENCE_DAYS}`, 400);
+  }
+
+  const now = new Date();
+  const from = new Date(now.getTime() - windowDays * DAY);
+  const settledBefore = new Date(now.getTime() - config.medications.doseGraceMinutes * MINUTE);
+
+  const medications = await prisma.medication.findMany({
+    where: { patientId, isActive: true, scheduleTimes: { isEmpty: false } },
+    include: {
+      doses: { where: { scheduledFor: { gte: from, lte: now }, status: { in: DOSE_MARKS } } },
+    },
+  });
+
+  let taken = 0;
+  let skipped = 0;
+  let missed = 0;
+
+  for (const medication of medications) {
+    const marked = new Set(medication.doses.map((dose) => dose.scheduledFor.getTime()));
+
+    for (const dose of medication.doses) {
+      if (dose.status === "TAKEN") taken++;
+      else skipped++;
+    }
+
+    // Slots from before the schedule was set were never expected
+    const since = medication.scheduleUpdatedAt > from ? medication.scheduleUpdatedAt : from;
+
+    for (const slot of getDoseSlots(medication, since, settledBefore)) {
+      if (!marked.has(slot.getTime())) missed++;
+    }
+  }
+
+  const total = taken + skipped + missed;
+
+  return {
+    days: windowDays,
+    taken,
+    skipped,
+    missed,
+    total,
+    percentage: total > 0 ? Math.round((taken / total) * 100) : null,
+  };
+};
+
+/**
+ * Record every dose that fell due since the last sweep (used by the reminder job)
+ * The unique (medicationId, scheduledFor) key makes this safe to re-run:
+ * doses already recorded, or marked early by the patient, are skipped.
+ *
+ * @returns {Promise<array>} [{ medication, dose }] for each newly due dose
+ */
+export const createDueDoses = async () => {
+  const now = new Date();
+  const from = new Date(now.getTime() - config.medications.reminderLookbackMinutes * MINUTE);
+
+  const medications = await prisma.medication.findMany({
+    where: {
+      isActive: true,
+      remindersEnabled: true,
+      scheduleTimes: { isEmpty: false },
+      patient: { isActive: true },
+    },
+  });
+
+  const due = [];
+
+  for (const medication of medications) {
+    const since = medication.scheduleUpdatedAt > from ? medication.scheduleUpdatedAt : from;
+
+    for (const slot of getDoseSlots(medication, since, now)) {
+      try {
+        const dose = await prisma.medicationDose.create({
+          data: { medicationId: medication.id, scheduledFor: slot },
+        });
+        due.push({ medication, dose });
+      } catch (error) {
+        if (error.code !== "P2002") throw error;
+      }
+    }
+  }
+
+  return due;
+};
+
+export default {
+  DOSE_MARKS,
+  MEDICATION_STATUSES,
+  parseSchedule,
+  getDoseSlots,
+  getMedicationStatus,
+  getPatientMedications,
+  createMedication,
+  updateMedication,
+  setMedicationStatus,
+  deleteMedication,
+  searchMedicineNames,
+  getMedicationSuggestions,
+  updateMedicationSchedule,
+  getDailyDoses,
+  markDose,
+  getAdherence,
+  createDueDoses,
+};
@@ -0,0 +1,89 @@
+/**
+ * Message Controller - Chat between a patient and the pharmacy handling their SOS request or order
+ *
+ * Routes:
+ * - GET /api/messages/:threadType/:threadId - Messages in a thread (oldest first)
+ * - POST /api/messages/:threadType/:threadId - Post a message
+ * - PUT /api/messages/:threadType/:threadId/read - Mark the other side's messages as read
+ *
+ * threadType is "sos" or "order"; only the two participants can access a thread.
+ */
+
+import messageService from "./message.service.js";
+import notificationService from "../notifications/notification.service.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * GET /api/messages/:threadType/:threadId
+ * Query params: before (ISO date, for older pages), limit=50
+ */
+export const getThreadMessages = async (req, res, next) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { threadType, threadId } = req.params;
+    const { before, limit } = req.query;
+
+    const result = await messageService.getThreadMessages(threadType, threadId, userId, { before, limit });
+
+    res.success({
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/messages/:threadType/:threadId
+ * Body: { body }
+ * Notifies the other participant
+ */
+export const postMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { threadType, threadId } = req.params;
+
+    const { message, thread, recipient, senderName } = await messageService.postMessage(
+      threadType,
+      threadId,
+      userId,
+      req.body?.body
+    );
+
+    logger.info("[MESSAGES] Message posted", { threadType, threadId, messageId: message.id, userId });
+
+    try {
+      await notificationService.notifyNewMessage(message, thread, recipient, senderName);
+    } catch (notifErr) {
+      console.error("[MESSAGES] Failed to notify recipient:", notifErr.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: message,
+      message: "Message sent",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/messages/:threadType/:threadId/read
+ * Sets readAt on the other participant's unread messages (read receipts)
+ */
+export const markThreadRead = async (req, res, next) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const { threadType, threadId } = req.params;
+
+    const count = await messageService.markThreadRead(threadType, threadId, userId);
+
+    res.success({
+      data: { markedCount: count },
+      message: `${count} message(s) marked as read`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * Message Routes
+ *
+ * All routes require authentication as a patient or pharmacy admin.
+ * Access to a thread is limited to its patient and the accepting pharmacy.
+ */
+
+import express from "express";
+import { authenticate } from "../../middlewares/auth.js";
+import {
+  getThreadMessages,
+  postMessage,
+  markThreadRead,
+} from "./message.controller.js";
+
+const router = express.Router();
+
+// Only the two sides of a thread can chat
+const auth = authenticate(["PATIENT", "PHARMACY_ADMIN"]);
+
+/**
+ * @route   GET /api/messages/:threadType/:threadId
+ * @access  Private (Thread participants only)
+ * @desc    Get messages in an SOS or order thread, oldest first
+ * @param   threadType - sos | order
+ * @query   before (optional) - ISO date; only messages older than this
+ * @query   limit=50 (optional) - Max messages (up to 100)
+ * @returns {Object} { success: true, data: { thread, role, participants, messages, unreadCount } }
+ */
+router.get("/:threadType/:threadId", auth, getThreadMessages);
+
+/**
+ * @route   POST /api/messages/:threadType/:threadId
+ * @access  Private (Thread participants only)
+ * @desc    Post a message; the other participant is notified
+ * @body    { body } - 1-2000 characters
+ * @returns {Object} { success: true, data: {...message}, message: "..." }
+ */
+router.post("/:threadType/:threadId", auth, postMessage);
+
+/**
+ * @route   PUT /api/messages/:threadType/:threadId/read
+ * @access  Private (Thread participants only)
+ * @desc    Mark the other participant's messages as read (read receipts)
+ * @returns {Object} { success: true, data: { markedCount: 3 }, message: "..." }
+ */
+router.put("/:threadType/:threadId/read", auth, markThreadRead);
+
+export default router;
@@ -0,0 +1,227 @@
+/**
+ * Message Service - Chat threads between a patient and the pharmacy handling their request
+ *
+ * A thread belongs to one SOS request or one order and opens once a pharmacy
+ * has taken it on:
+ * - SOS: acceptedBy is set; participants are the patient and that pharmacy
+ * - Order: confirmed or later (not pending/rejected); participants are the
+ *   patient and order.pharmacyId
+ *
+ * Anyone else gets a 404, so thread IDs can't be probed.
+ * Read receipts: reading a thread sets readAt on the other side's messages.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+
+export const THREAD_TYPES = ["sos", "order"];
+
+const THREAD_FIELDS = {
+  sos: "sosRequestId",
+  order: "orderId",
+};
+
+// Orders the pharmacy hasn't accepted (or turned down) have no thread
+const CLOSED_ORDER_STATUSES = ["pending", "rejected"];
+
+const MAX_MESSAGE_LENGTH = 2000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Load the parent SOS request/order as a thread, or null if it has none (yet)
+ * @returns {Promise<object|null>} { type, id, patientId, pharmacyId, status, subject }
+ */
+const loadThread = async (threadType, threadId) => {
+  if (threadType === "sos") {
+    const sos = await prisma.sOSRequest.findUnique({
+      where: { id: threadId },
+      select: { id: true, patientId: true, acceptedBy: true, status: true, medicineName: true },
+    });
+
+    if (!sos?.acceptedBy) return null;
+
+    return {
+      type: "sos",
+      id: sos.id,
+      patientId: sos.patientId,
+      pharmacyId: sos.acceptedBy,
+      status: sos.status,
+      subject: `SOS: ${sos.medicineName}`,
+    };
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: threadId },
+    select: { id: true, patientId: true, pharmacyId: true, status: true },
+  });
+
+  if (!order?.pharmacyId || CLOSED_ORDER_STATUSES.includes(order.status)) return null;
+
+  return {
+    type: "order",
+    id: order.id,
+    patientId: order.patientId,
+    pharmacyId: order.pharmacyId,
+    status: order.status,
+    subject: `Order #${order.id.slice(-8).toUpperCase()}`,
+  };
+};
+
+/**
+ * Resolve a thread and which side of it the user is on
+ *
+ * @param {string} threadType - sos | order
+ * @param {string} threadId
+ * @param {string} userId
+ * @returns {Promise<object>} { thread, role: "PATIENT" | "PHARMACY" }
+ * @throws {AppError} 400 unknown thread type, 404 no thread or not a participant
+ */
+const resolveParticipant = async (threadType, threadId, userId) => {
+  if (!THREAD_TYPES.includes(threadType)) {
+    throw new AppError(`Invalid thread type. Must be one of: ${THREAD_TYPES.join(", ")}`, 400);
+  }
+
+  const thread = await loadThread(threadType, threadId);
+
+  if (thread) {
+    if (thread.patientId === userId) {
+      return { thread, role: "PATIENT" };
+    }
+
+    const pharmacy = await prisma.pharmacy.findUnique({
+      where: { userId },
+      select: { id: true },
+    });
+
+    if (pharmacy?.id === thread.pharmacyId) {
+      return { thread, role: "PHARMACY" };
+    }
+  }
+
+  throw new AppError("Conversation not found", 404);
+};
+
+/**
+ * Display names of both participants, plus the pharmacy's user for notifications
+ * @returns {Promise<object>} { patientName, pharmacyName, pharmacyUserId }
+ */
+const getParticipants = async (thread) => {
+  const [patient, pharmacy] = await Promise.all([
+    prisma.user.findUnique({ where: { id: thread.patientId }, select: { name: true } }),
+    prisma.pharmacy.findUnique({
+      where: { id: thread.pharmacyId },
+      select: { userId: true, pharmacyName: true },
+    }),
+  ]);
+
+  return {
+    patientName: patient?.name || "Patient",
+    pharmacyName: pharmacy?.pharmacyName || "Pharmacy",
+    pharmacyUserId: pharmacy?.userId || null,
+  };
+};
+
+/**
+ * Messages in a thread, oldest first
+ *
+ * @param {string} threadType - sos | order
+ * @param {string} threadId
+ * @param {string} userId - Must be a participant
+ * @param {object} options - { before (ISO date, for older pages), limit = 50 }
+ * @returns {Promise<object>} { thread, role, participants, messages, unreadCount }
+ */
+export const getThreadMessages = async (threadType, threadId, userId, { before, limit } = {}) => {
+  const { thread, role } = await resolveParticipant(threadType, threadId, userId);
+  const field = THREAD_FIELDS[threadType];
+  const take = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const beforeDate = before ? new Date(before) : null;
+
+  if (beforeDate && isNaN(beforeDate.getTime())) {
+    throw new AppError("Invalid 'before' date", 400);
+  }
+
+  const [latest, unreadCount, { patientName, pharmacyName }] = await Promise.all([
+    prisma.message.findMany({
+      where: { [field]: threadId, ...(beforeDate && { createdAt: { lt: beforeDate } }) },
+      orderBy: { createdAt: "desc" },
+      take,
+    }),
+    prisma.message.count({
+      where: { [field]: threadId, senderId: { not: userId }, readAt: null },
+    }),
+    getParticipants(thread),
+  ]);
+
+  return {
+    thread: { type: thread.type, id: thread.id, status: thread.status, subject: thread.subject },
+    role,
+    participants: { patientName, pharmacyName },
+    messages: latest.reverse(),
+    unreadCount,
+  };
+};
+
+/**
+ * Post a message to a thread
+ *
+ * @param {string} threadType - sos | order
+ * @param {string} threadId
+ * @param {string} userId - Must be a participant
+ * @param {string} body - 1-2000 characters
+ * @returns {Promise<object>} { message, thread, recipient: { userId, role }, senderName }
+ * @throws {AppError} 400 empty/too long, 404 not a participant
+ */
+export const postMessage = async (threadType, threadId, userId, body) => {
+  const text = typeof body === "string" ? body.trim() : "";
+
+  if (!text) {
+    throw new AppError("Message cannot be empty", 400);
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw new AppError(`Message must be at most ${MAX_MESSAGE_LENGTH} characters`, 400);
+  }
+
+  const { thread, role } = await resolveParticipant(threadType, threadId, userId);
+
+  const message = await prisma.message.create({
+    data: {
+      [THREAD_FIELDS[threadType]]: threadId,
+      senderId: userId,
+      senderRole: role,
+      body: text,
+    },
+  });
+
+  const { patientName, pharmacyName, pharmacyUserId } = await getParticipants(thread);
+
+  return role === "PHARMACY"
+    ? { message, thread, recipient: { userId: thread.patientId, role: "PATIENT" }, senderName: pharmacyName }
+    : { message, thread, recipient: { userId: pharmacyUserId, role: "PHARMACY" }, senderName: patientName };
+};
+
+/**
+ * Mark the other participant's messages in a thread as read (read receipts)
+ *
+ * @param {string} threadType - sos | order
+ * @param {string} threadId
+ * @param {string} userId - Must be a participant
+ * @returns {Promise<number>} Messages marked as read
+ */
+export const markThreadRead = async (threadType, threadId, userId) => {
+  await resolveParticipant(threadType, threadId, userId);
+
+  const { count } = await prisma.message.updateMany({
+    where: { [THREAD_FIELDS[threadType]]: threadId, senderId: { not: userId }, readAt: null },
+    data: { readAt: new Date() },
+  });
+
+  return count;
+};
+
+export default {
+  THREAD_TYPES,
+  getThreadMessages,
+  postMessage,
+  markThreadRead,
+};
@@ -0,0 +1,179 @@
+/**
+ * Audience Service - Which pharmacies a pharmacy-targeted trigger reaches
+ *
+ * Every trigger that picks pharmacies (rather than being handed a user ID)
+ * resolves them here, so the rules live in one place:
+ * - Verified only (PharmacyStatus VERIFIED) with an active owner account
+ * - Opt-outs: with sosAlerts set, pharmacies that turned SOS alerts off are skipped
+ * - Radius: with an origin and radiusKm, only pharmacies within that distance
+ * - Stock: with a medicine, each pharmacy is matched against live inventory
+ *   (see inventory.service findPharmaciesWithStock); requireStock drops the rest
+ *
+ * countStockingPharmacies answers the stock question for several requests at
+ * once (e.g. a patient's pending SOS history) with the same rules.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { calculateDistance } from "../../utils/distance.js";
+import { findStockedItems, findPharmaciesWithStock } from "../inventory/inventory.service.js";
+
+const AUDIENCE_FIELDS = {
+  id: true,
+  userId: true,
+  pharmacyName: true,
+  contactNumber: true,
+  address: true,
+  latitude: true,
+  longitude: true,
+};
+
+/**
+ * Distance from the origin in km, or null if either side has no usable coordinates
+ */
+const distanceFrom = (origin, pharmacy) => {
+  try {
+    return calculateDistance(origin.latitude, origin.longitude, pharmacy.latitude, pharmacy.longitude);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verified pharmacies with an active owner, before any radius or stock filter
+ */
+const findEligiblePharmacies = ({ sosAlerts = false, pharmacyIds, excludePharmacyIds = [] } = {}) =>
+  prisma.pharmacy.findMany({
+    where: {
+      verificationStatus: "VERIFIED",
+      user: { isActive: true },
+      ...(sosAlerts && { sosAlertsEnabled: true }),
+      ...((pharmacyIds || excludePharmacyIds.length > 0) && {
+        id: {
+          ...(pharmacyIds && { in: pharmacyIds }),
+          ...(excludePharmacyIds.length > 0 && { notIn: excludePharmacyIds }),
+        },
+      }),
+    },
+    select: AUDIENCE_FIELDS,
+  });
+
+/**
+ * Pharmacies within radiusKm of the origin, each with its distanceKm
+ * Without origin coordinates (or a radius) nothing is filtered out
+ */
+const withinRadius = (pharmacies, origin, radiusKm) => {
+  const hasOrigin = origin?.latitude != null && origin?.longitude != null;
+
+  return pharmacies
+    .map((pharmacy) => ({ ...pharmacy, distanceKm: hasOrigin ? distanceFrom(origin, pharmacy) : null }))
+    .filter((pharmacy) => !hasOrigin || radiusKm == null ||
+      (pharmacy.distanceKm != null && pharmacy.distanceKm <= radiusKm));
+};
+
+/**
+ * Resolve the pharmacies a notification should reach
+ *
+ * @param {object} criteria
+ * @param {boolean} criteria.sosAlerts - Honour the SOS alert opt-out (Pharmacy.sosAlertsEnabled)
+ * @param {object} criteria.origin - { latitude, longitude }; without coordinates there is no radius filter
+ * @param {number} criteria.radiusKm - Max distance from the origin
+ * @param {object} criteria.medicine - { names, quantity = 1 } to match against inventory
+ * @param {boolean} criteria.requireStock - Only pharmacies stocking the medicine
+ * @param {string[]} criteria.pharmacyIds - Limit to these pharmacies
+ * @param {string[]} criteria.excludePharmacyIds - Leave these pharmacies out
+ * @returns {Promise<object[]>} { id, userId, pharmacyName, contactNumber, address, distanceKm, stock },
+ *   nearest first when there is an origin; stock is the inventory match or null
+ */
+export const resolvePharmacyAudience = async ({
+  sosAlerts = false,
+  origin,
+  radiusKm,
+  medicine,
+  requireStock = false,
+  pharmacyIds,
+  excludePharmacyIds = [],
+} = {}) => {
+  if (pharmacyIds?.length === 0) return [];
+
+  const pharmacies = await findEligiblePharmacies({ sosAlerts, pharmacyIds, excludePharmacyIds });
+
+  const hasOrigin = origin?.latitude != null && origin?.longitude != null;
+
+  let audience = withinRadius(pharmacies, origin, radiusKm);
+
+  const stock = medicine
+    ? await findPharmaciesWithStock(medicine.names, {
+        quantity: medicine.quantity || 1,
+        pharmacyIds: audience.map((pharmacy) => pharmacy.id),
+      })
+    : new Map();
+
+  audience = audience
+    .map(({ latitude, longitude, ...pharmacy }) => ({ ...pharmacy, stock: stock.get(pharmacy.id) || null }))
+    .filter((pharmacy) => !requireStock || pharmacy.stock);
+
+  if (hasOrigin) {
+    audience.sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+  }
+
+  return audience;
+};
+
+/**
+ * How many pharmacies could supply each of several requests from stock
+ * Same answer as resolvePharmacyAudience({ origin, radiusKm, medicine, requireStock: true }).length
+ * for each request, in two queries however many requests there are
+ *
+ * @param {object[]} requests - [{ origin, radiusKm, medicine: { names, quantity = 1 } }]
+ * @returns {Promise<number[]>} Stocking pharmacy counts, in the order of requests
+ */
+export const countStockingPharmacies = async (requests) => {
+  if (requests.length === 0) return [];
+
+  const pharmacies = await findEligiblePharmacies();
+  const nearbyIds = requests.map(
+    ({ origin, radiusKm }) => new Set(withinRadius(pharmacies, origin, radiusKm).map((pharmacy) => pharmacy.id))
+  );
+
+  const items = await findStockedItems(requests.flatMap(({ medicine }) => medicine.names), {
+    quantity: Math.min(...requests.map(({ medicine }) => medicine.quantity || 1)),
+    pharmacyIds: [...new Set(nearbyIds.flatMap((ids) => [...ids]))],
+  });
+
+  return requests.map(({ medicine }, index) => {
+    const terms = new Set(medicine.names.filter(Boolean).map((name) => name.toLowerCase()));
+    const stocking = items
+      .filter((item) => nearbyIds[index].has(item.pharmacyId) && item.available >= (medicine.quantity || 1))
+      .filter((item) => terms.has(item.name.toLowerCase()) || terms.has(item.genericName?.toLowerCase()))
+      .map((item) => item.pharmacyId);
+
+    return new Set(stocking).size;
+  });
+};
+
+/**
+ * Pharmacies already alerted about an SOS (see SOSAlert), as a resolved audience
+ * Used for follow-ups on an alert the pharmacy already received, so the SOS
+ * opt-out doesn't apply: turning alerts off stops new alerts, not news about old ones
+ *
+ * @param {string} sosId
+ * @param {object} options - { excludePharmacyIds }
+ * @returns {Promise<object[]>} Same shape as resolvePharmacyAudience
+ */
+export const resolveAlertedAudience = async (sosId, { excludePharmacyIds = [] } = {}) => {
+  const alerts = await prisma.sOSAlert.findMany({
+    where: { sosId },
+    select: { pharmacyId: true },
+  });
+
+  return resolvePharmacyAudience({
+    pharmacyIds: alerts.map((alert) => alert.pharmacyId),
+    excludePharmacyIds,
+  });
+};
+
+export default {
+  resolvePharmacyAudience,
+  resolveAlertedAudience,
+  countStockingPharmacies,
+};
@@ -0,0 +1,338 @@
+/**
+ * Digest Service - Daily summary email for pharmacies
+ *
+ * Opt-in per type through the digest preference (preference.service.js DIGEST_TYPES);
+ * each type adds its sections to the report:
+ * - SOS_UPDATE: open SOS requests the pharmacy was alerted about (in range) and hasn't declined
+ * - ORDER_UPDATE: orders waiting for the pharmacy, and yesterday's sales (delivered orders)
+ * - LOW_STOCK_WARNING: items at or below their reorder level (inventory/low-stock.service.js)
+ * - EXPIRY_WARNING: batches expiring within each of config.notifications.digest.expiryWindowsDays
+ *
+ * sendDueDigests (run by notification.jobs.js) queues at most one digest per
+ * pharmacy per local day, from config.notifications.digest.time onwards; a
+ * pharmacy in quiet hours gets it once they end. The report is plain HTML
+ * tables (with a plaintext copy) inside the pharmacy-digest email template.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import config from "../../config/environment.js";
+import logger from "../../utils/logger.js";
+import { toDateKey, addDays, zonedTimeToUtc, getZonedParts } from "../../utils/timezone.js";
+import { DIGEST_TYPES, isWithinQuietHours } from "./preference.service.js";
+import { queueEmails, escapeHtml } from "./email.service.js";
+import { lowStockWhere } from "../inventory/low-stock.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatAmount = (amount) => `Rs ${(amount || 0).toFixed(2)}`;
+
+const formatLocalTime = (date) => {
+  const { hour, minute } = getZonedParts(date, config.notifications.timezone);
+  return `${toDateKey(date, config.notifications.timezone)} ${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+};
+
+/**
+ * Pharmacies with the digest turned on for at least one type
+ * @returns {Promise<array>} Pharmacies with `types` (Set of NotificationType)
+ */
+const getDigestSubscribers = async () => {
+  const preferences = await prisma.notificationPreference.findMany({
+    where: { digest: true, type: { in: DIGEST_TYPES } },
+    select: { userId: true, type: true },
+  });
+
+  const typesByUser = new Map();
+  for (const { userId, type } of preferences) {
+    if (!typesByUser.has(userId)) typesByUser.set(userId, new Set());
+    typesByUser.get(userId).add(type);
+  }
+  if (typesByUser.size === 0) return [];
+
+  const pharmacies = await prisma.pharmacy.findMany({
+    where: {
+      userId: { in: [...typesByUser.keys()] },
+      verificationStatus: "VERIFIED",
+      user: { isActive: true },
+    },
+    select: {
+      id: true,
+      userId: true,
+      pharmacyName: true,
+      quietHoursStart: true,
+      quietHoursEnd: true,
+      lastDigestAt: true,
+    },
+  });
+
+  return pharmacies.map((pharmacy) => ({ ...pharmacy, types: typesByUser.get(pharmacy.userId) }));
+};
+
+/**
+ * Gather the digest data for one pharmacy
+ *
+ * @param {object} pharmacy - { id }
+ * @param {Set<string>} types - Digest types the pharmacy opted into
+ * @param {Date} now
+ * @returns {Promise<object>} { date, sos?, pendingOrders?, sales?, lowStock?, expiring? }
+ */
+export const buildPharmacyDigest = async (pharmacy, types, now = new Date()) => {
+  const { timezone } = config.notifications;
+  const { expiryWindowsDays } = config.notifications.digest;
+  const today = toDateKey(now, timezone);
+  const digest = { date: today };
+
+  if (types.has("SOS_UPDATE")) {
+    const declined = await prisma.pharmacyResponse.findMany({
+      where: { pharmacyId: pharmacy.id, response: "rejected" },
+      select: { sosId: true },
+    });
+
+    const alerts = await prisma.sOSAlert.findMany({
+      where: {
+        pharmacyId: pharmacy.id,
+        sosId: { notIn: declined.map((response) => response.sosId) },
+        sos: { status: "pending" },
+      },
+      select: {
+        sos: { select: { id: true, medicineName: true, quantity: true, urgencyLevel: true, createdAt: true } },
+      },
+      orderBy: { notifiedAt: "asc" },
+    });
+
+    digest.sos = alerts.map((alert) => alert.sos);
+  }
+
+  if (types.has("ORDER_UPDATE")) {
+    const [pendingOrders, sales] = await Promise.all([
+      prisma.order.findMany({
+        where: { pharmacyId: pharmacy.id, status: "pending" },
+        select: { id: true, totalAmount: true, createdAt: true, _count: { select: { items: true } } },
+        orderBy: { createdAt: "asc" },
+      }),
+      prisma.order.aggregate({
+        where: {
+          pharmacyId: pharmacy.id,
+          status: "delivered",
+          deliveredAt: {
+            gte: zonedTimeToUtc(addDays(today, -1), "00:00", timezone),
+            lt: zonedTimeToUtc(today, "00:00", timezone),
+          },
+        },
+        _sum: { totalAmount: true },
+        _count: true,
+      }),
+    ]);
+
+    digest.pendingOrders = pendingOrders;
+    digest.sales = { orders: sales._count, revenue: sales._sum.totalAmount || 0 };
+  }
+
+  if (types.has("LOW_STOCK_WARNING")) {
+    digest.lowStock = await prisma.inventory.findMany({
+      where: { pharmacyId: pharmacy.id, ...(await lowStockWhere(pharmacy.id)) },
+      select: { id: true, name: true, genericName: true, quantity: true },
+      orderBy: { quantity: "asc" },
+    });
+  }
+
+  if (types.has("EXPIRY_WARNING")) {
+    const widestWindow = Math.max(...expiryWindowsDays);
+    const batches = await prisma.inventoryBatch.findMany({
+      where: {
+        inventory: { pharmacyId: pharmacy.id },
+        quantity: { gt: 0 },
+        expiryDate: { gte: now, lte: new Date(now.getTime() + widestWindow * DAY_MS) },
+      },
+      select: {
+        id: true,
+        batchNumber: true,
+        quantity: true,
+        expiryDate: true,
+        inventory: { select: { name: true, genericName: true } },
+      },
+      orderBy: { expiryDate: "asc" },
+    });
+
+    digest.expiring = expiryWindowsDays.map((days, index) => ({
+      days,
+      items: batches
+        .map(({ inventory, ...batch }) => ({
+          ...batch,
+          name: inventory.name,
+          genericName: inventory.genericName,
+          daysLeft: Math.ceil((batch.expiryDate - now) / DAY_MS),
+        }))
+        .filter((item) => item.daysLeft <= days && (index === 0 || item.daysLeft > expiryWindowsDays[index - 1])),
+    }));
+  }
+
+  return digest;
+};
+
+/**
+ * Lay the digest out as report sections
+ * @param {object} digest - From buildPharmacyDigest
+ * @returns {array} [{ title, summary?, headers, rows, empty }]
+ */
+const toSections = (digest) => {
+  const sections = [];
+
+  if (digest.sos) {
+    sections.push({
+      title: "Open SOS requests near you",
+      headers: ["Medicine", "Quantity", "Urgency", "Requested"],
+      rows: digest.sos.map((sos) => [sos.medicineName, sos.quantity, sos.urgencyLevel, formatLocalTime(sos.createdAt)]),
+      empty: "No open SOS requests.",
+    });
+  }
+
+  if (digest.pendingOrders) {
+    sections.push({
+      title: "Orders waiting for you",
+      headers: ["Order", "Items", "Total", "Placed"],
+      rows: digest.pendingOrders.map((order) => [
+        `#${order.id.slice(-8)}`,
+        order._count.items,
+        formatAmount(order.totalAmount),
+        formatLocalTime(order.createdAt),
+      ]),
+      empty: "No pending orders.",
+    });
+  }
+
+  if (digest.sales) {
+    sections.push({
+      title: "Yesterday's sales",
+      summary: `${digest.sales.orders} order${digest.sales.orders !== 1 ? "s" : ""} delivered, ${formatAmount(digest.sales.revenue)} in total.`,
+      headers: [],
+      rows: [],
+    });
+  }
+
+  if (digest.lowStock) {
+    sections.push({
+      title: "Low stock",
+      headers: ["Medicine", "Generic name", "In stock"],
+      rows: digest.lowStock.map((item) => [item.name, item.genericName, item.quantity === 0 ? "Out of stock" : item.quantity]),
+      empty: "Nothing is running low.",
+    });
+  }
+
+  for (const window of digest.expiring || []) {
+    sections.push({
+      title: `Expiring within ${window.days} days`,
+      headers: ["Medicine", "Generic name", "Batch", "In stock", "Expires"],
+      rows: window.items.map((item) => [
+        item.name,
+        item.genericName,
+        item.batchNumber,
+        item.quantity,
+        `${toDateKey(item.expiryDate, config.notifications.timezone)} (${item.daysLeft} day${item.daysLeft !== 1 ? "s" : ""})`,
+      ]),
+      empty: "Nothing.",
+    });
+  }
+
+  return sections;
+};
+
+const CELL_STYLE = "text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee;";
+
+/**
+ * Render the digest as an HTML report and a plaintext copy
+ * @param {object} digest - From buildPharmacyDigest
+ * @returns {object} { html, text }
+ */
+export const renderDigestReport = (digest) => {
+  const html = [];
+  const text = [];
+
+  for (const section of toSections(digest)) {
+    html.push(`<h3>${escapeHtml(section.title)}</h3>`);
+    text.push(`== ${section.title} ==`);
+
+    if (section.summary) {
+      html.push(`<p>${escapeHtml(section.summary)}</p>`);
+      text.push(section.summary);
+    }
+
+    if (section.rows.length > 0) {
+      const headerRow = section.headers.map((header) => `<th style="${CELL_STYLE}">${escapeHtml(header)}</th>`).join("");
+      const bodyRows = section.rows
+        .map((row) => `<tr>${row.map((cell) => `<td style="${CELL_STYLE}">${escapeHtml(String(cell))}</td>`).join("")}</tr>`)
+        .join("");
+
+      html.push(`<table style="width: 100%; border-collapse: collapse; font-size: 14px;"><tr>${headerRow}</tr>${bodyRows}</table>`);
+      text.push(...section.rows.map((row) => `- ${row.join(" | ")}`));
+    } else if (section.empty) {
+      html.push(`<p style="color: #999;">${escapeHtml(section.empty)}</p>`);
+      text.push(section.empty);
+    }
+
+    text.push("");
+  }
+
+  return { html: html.join("\n"), text: text.join("\n").trim() };
+};
+
+/**
+ * Queue today's digest for every subscribed pharmacy that hasn't had one
+ * Each pharmacy's day is claimed (lastDigestAt moved to now) before its digest
+ * is built, so overlapping sweeps queue it once; the claim is given back if
+ * the digest can't be queued, and the next sweep tries again.
+ *
+ * @param {Date} now
+ * @returns {Promise<number>} Digests queued
+ */
+export const sendDueDigests = async (now = new Date()) => {
+  const { timezone } = config.notifications;
+  const today = toDateKey(now, timezone);
+
+  if (now < zonedTimeToUtc(today, config.notifications.digest.time, timezone)) return 0;
+
+  const startOfToday = zonedTimeToUtc(today, "00:00", timezone);
+  const subscribers = await getDigestSubscribers();
+  let queued = 0;
+
+  for (const pharmacy of subscribers) {
+    if (pharmacy.lastDigestAt && pharmacy.lastDigestAt >= startOfToday) continue;
+    if (isWithinQuietHours(pharmacy.quietHoursStart, pharmacy.quietHoursEnd, now)) continue;
+
+    const { count } = await prisma.pharmacy.updateMany({
+      where: {
+        id: pharmacy.id,
+        OR: [{ lastDigestAt: null }, { lastDigestAt: { lt: startOfToday } }],
+      },
+      data: { lastDigestAt: now },
+    });
+    if (count === 0) continue;
+
+    try {
+      const digest = await buildPharmacyDigest(pharmacy, pharmacy.types, now);
+      const report = renderDigestReport(digest);
+
+      await queueEmails([pharmacy.userId], "pharmacy-digest", {
+        pharmacyName: pharmacy.pharmacyName,
+        date: today,
+        reportHtml: report.html,
+        reportText: report.text,
+        actionUrl: `${config.frontend.url}/pharmacy/dashboard`,
+      });
+      queued++;
+    } catch (error) {
+      await prisma.pharmacy.updateMany({
+        where: { id: pharmacy.id, lastDigestAt: now },
+        data: { lastDigestAt: pharmacy.lastDigestAt },
+      });
+      logger.error("NOTIFICATIONS", `[DIGEST] Failed to build digest for pharmacy ${pharmacy.id}: ${error.message}`, error);
+    }
+  }
+
+  return queued;
+};
+
+export default {
+  buildPharmacyDigest,
+  renderDigestReport,
+  sendDueDigests,
+};
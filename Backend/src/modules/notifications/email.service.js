@@ -0,0 +1,211 @@
+/**
+ * Email Service - Templated notification emails, sent through an outbox
+ *
+ * Templates live in ./templates/email as files per template name:
+ * - <name>.subject.txt, <name>.html, <name>.txt (plaintext alternative)
+ * - wrapped in layout.html / layout.txt
+ * {{variable}} is replaced with the value (HTML-escaped in .html files);
+ * {{{variable}}} inserts it as-is. A missing variable is an error, so a
+ * template never goes out with a blank where a name should be.
+ *
+ * queueEmails renders each email and stores it in EmailOutbox; processOutbox
+ * (run by notification.jobs.js) sends what is due. A failed SMTP call is
+ * recorded and retried with backoff, so a message is never lost to an outage.
+ *
+ * To try it locally, run an SMTP catcher (e.g. Mailpit or MailHog on
+ * localhost:1025, the utils/email.js default) and open its web inbox.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { prisma } from "../../database/prisma.js";
+import config from "../../config/environment.js";
+import logger from "../../utils/logger.js";
+import { sendEmail } from "../../utils/email.js";
+
+const TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "templates", "email");
+const TEMPLATE_NAME = /^[a-z0-9-]+$/;
+const PLACEHOLDER = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g;
+
+// file name → contents; templates only change on deploy
+const templateCache = new Map();
+
+const readTemplate = async (file) => {
+  if (!templateCache.has(file)) {
+    templateCache.set(file, await fs.readFile(path.join(TEMPLATE_DIR, file), "utf8"));
+  }
+  return templateCache.get(file);
+};
+
+/**
+ * Escape text for HTML (for callers building {{{raw}}} template variables)
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const fill = (source, variables, { html }) =>
+  source.replace(PLACEHOLDER, (match, raw, escaped) => {
+    const name = raw || escaped;
+    if (variables[name] === undefined || variables[name] === null) {
+      throw new Error(`Email template variable "${name}" is missing`);
+    }
+
+    const value = String(variables[name]);
+    return html && !raw ? escapeHtml(value) : value;
+  });
+
+/**
+ * Render a template with its layout
+ *
+ * @param {string} name - Template name, e.g. "order-status"
+ * @param {object} variables - Values for the template's placeholders
+ * @returns {Promise<object>} { subject, html, text }
+ * @throws {Error} Unknown template or missing variable
+ */
+export const renderTemplate = async (name, variables = {}) => {
+  if (!TEMPLATE_NAME.test(name)) {
+    throw new Error(`Invalid email template name: ${name}`);
+  }
+
+  const [subjectSource, htmlSource, textSource, layoutHtml, layoutText] = await Promise.all([
+    readTemplate(`${name}.subject.txt`),
+    readTemplate(`${name}.html`),
+    readTemplate(`${name}.txt`),
+    readTemplate("layout.html"),
+    readTemplate("layout.txt"),
+  ]);
+
+  const values = { year: new Date().getFullYear(), ...variables };
+  const subject = fill(subjectSource.trim(), values, { html: false });
+
+  return {
+    subject,
+    html: fill(layoutHtml, { ...values, subject, body: fill(htmlSource, values, { html: true }) }, { html: true }),
+    text: fill(layoutText, { ...values, subject, body: fill(textSource, values, { html: false }).trim() }, { html: false }),
+  };
+};
+
+/**
+ * Render an email for each user and add it to the outbox
+ * Each user's name is available to the template as {{name}}.
+ *
+ * @param {string[]} userIds
+ * @param {string} template - Template name
+ * @param {object} variables - Shared template variables
+ * @returns {Promise<number>} Emails queued (users without an email address are skipped)
+ */
+export const queueEmails = async (userIds, template, variables = {}) => {
+  if (!config.notifications.email.enabled || userIds.length === 0) return 0;
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: userIds }, isActive: true },
+    select: { id: true, email: true, name: true },
+  });
+
+  const emails = [];
+  for (const user of users) {
+    if (!user.email) continue;
+
+    const rendered = await renderTemplate(template, { name: user.name, ...variables });
+    emails.push({ userId: user.id, to: user.email, template, ...rendered });
+  }
+
+  if (emails.length === 0) return 0;
+
+  const { count } = await prisma.emailOutbox.createMany({ data: emails });
+  return count;
+};
+
+/**
+ * Send the emails that are due
+ * Each email is claimed (PENDING → SENDING) before sending, so overlapping
+ * sweeps never send it twice. Failures go back to PENDING with an exponential
+ * backoff until config.notifications.email.maxAttempts, then stay FAILED.
+ * Emails left SENDING by a crash mid-send are retried after
+ * sendingTimeoutMinutes (the recipient may then get it twice).
+ *
+ * @param {Date} now
+ * @returns {Promise<object>} { sent, retrying, failed }
+ */
+export const processOutbox = async (now = new Date()) => {
+  const { batchSize, maxAttempts, retryBaseMinutes, sendingTimeoutMinutes } = config.notifications.email;
+  const result = { sent: 0, retrying: 0, failed: 0 };
+
+  await prisma.emailOutbox.updateMany({
+    where: {
+      status: "SENDING",
+      updatedAt: { lt: new Date(now.getTime() - sendingTimeoutMinutes * 60 * 1000) },
+    },
+    data: { status: "PENDING" },
+  });
+
+  const due = await prisma.emailOutbox.findMany({
+    where: { status: "PENDING", nextAttemptAt: { lte: now } },
+    orderBy: { nextAttemptAt: "asc" },
+    take: batchSize,
+  });
+
+  for (const email of due) {
+    const { count } = await prisma.emailOutbox.updateMany({
+      where: { id: email.id, status: "PENDING" },
+      data: { status: "SENDING", attempts: { increment: 1 } },
+    });
+    if (count === 0) continue;
+
+    const attempts = email.attempts + 1;
+
+    try {
+      await sendEmail(email);
+
+      await prisma.emailOutbox.update({
+        where: { id: email.id },
+        data: { status: "SENT", sentAt: new Date(), lastError: null },
+      });
+      result.sent++;
+    } catch (error) {
+      const giveUp = attempts >= maxAttempts;
+      const retryDelayMs = retryBaseMinutes * 2 ** (attempts - 1) * 60 * 1000;
+
+      await prisma.emailOutbox.update({
+        where: { id: email.id },
+        data: {
+          status: giveUp ? "FAILED" : "PENDING",
+          lastError: error.message,
+          ...(!giveUp && { nextAttemptAt: new Date(Date.now() + retryDelayMs) }),
+        },
+      });
+
+      if (giveUp) {
+        result.failed++;
+        logger.error(
+          "NOTIFICATIONS",
+          `[EMAIL_OUTBOX] Gave up on ${email.template} email ${email.id} after ${attempts} attempts`,
+          error
+        );
+      } else {
+        result.retrying++;
+        logger.warn("NOTIFICATIONS", `[EMAIL_OUTBOX] Send failed, retrying email ${email.id}`, {
+          attempts,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return result;
+};
+
+export default {
+  escapeHtml,
+  renderTemplate,
+  queueEmails,
+  processOutbox,
+};
@@ -4,12 +4,17 @@
  * Routes:
  * - GET /api/notifications - Get user's notifications (paginated)
  * - GET /api/notifications/unread-count - Get unread badge count
+ * - GET /api/notifications/stream - Live events (Server-Sent Events)
+ * - GET /api/notifications/preferences - Delivery preferences (and quiet hours for pharmacies)
+ * - PUT /api/notifications/preferences - Update delivery preferences
  * - PUT /api/notifications/:id/read - Mark single as read
  * - PUT /api/notifications/read-all - Mark all notifications as read
  * - DELETE /api/notifications/:id - Delete a notification
  */
 
 import notificationService from "./notification.service.js";
+import { openStream } from "./notification.stream.js";
+import { getPreferences, updatePreferences } from "./preference.service.js";
 import { BadRequestError, NotFoundError } from "../../utils/errors.js";
 import logger from "../../utils/logger.js";
 
@@ -87,6 +92,52 @@ export const getUnreadCount = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/notifications/stream
+ * Hold the connection open and push notification / sos / order events
+ * as they happen (see notification.stream.js)
+ */
+export const streamNotifications = (req, res, next) => {
+  try {
+    openStream(req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notifications/preferences
+ * Per-type channel choices for the user's role; pharmacies also get quiet hours
+ */
+export const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const preferences = await getPreferences(userId, req.user.role);
+
+    res.success({ data: preferences });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/notifications/preferences
+ * Body: { preferences?: [{ type, inApp?, email?, digest? }], quietHours?: { start, end } | null }
+ */
+export const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const userId = req.user.userId || req.user.id;
+    const preferences = await updatePreferences(userId, req.user.role, req.body || {});
+
+    res.success({
+      data: preferences,
+      message: "Notification preferences saved",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * PUT /api/notifications/:id/read
  * Mark a single notification as read
@@ -0,0 +1,91 @@
+/**
+ * Notification Jobs - Background work for notification delivery
+ *
+ * Email outbox: every config.notifications.email.outboxSweepIntervalMs the
+ * emails that are due (new ones and retries) are sent; see email.service.js.
+ *
+ * Daily digest: every config.notifications.digest.sweepIntervalMs, pharmacies
+ * due today's digest get it queued in the outbox; see digest.service.js.
+ */
+
+import config from "../../config/environment.js";
+import logger from "../../utils/logger.js";
+import { processOutbox } from "./email.service.js";
+import { sendDueDigests } from "./digest.service.js";
+
+let outboxTimer = null;
+let outboxRunning = false;
+let digestTimer = null;
+let digestRunning = false;
+
+/**
+ * Run one outbox sweep
+ * Skips if the previous sweep is still in progress
+ */
+const sweepEmailOutbox = async () => {
+  if (outboxRunning) return;
+  outboxRunning = true;
+
+  try {
+    const { sent, retrying, failed } = await processOutbox();
+
+    if (sent + retrying + failed > 0) {
+      logger.info("NOTIFICATIONS", `[EMAIL_OUTBOX] Sent ${sent}, retrying ${retrying}, failed ${failed}`);
+    }
+  } catch (error) {
+    logger.error("NOTIFICATIONS", `[EMAIL_OUTBOX] Sweep failed: ${error.message}`, error);
+  } finally {
+    outboxRunning = false;
+  }
+};
+
+/**
+ * Queue the daily digests that are due
+ * Skips if the previous sweep is still in progress
+ */
+const sweepDailyDigests = async () => {
+  if (digestRunning) return;
+  digestRunning = true;
+
+  try {
+    const queued = await sendDueDigests();
+
+    if (queued > 0) {
+      logger.info("NOTIFICATIONS", `[DIGEST] Queued ${queued} daily digest(s)`);
+    }
+  } catch (error) {
+    logger.error("NOTIFICATIONS", `[DIGEST] Sweep failed: ${error.message}`, error);
+  } finally {
+    digestRunning = false;
+  }
+};
+
+/**
+ * Start the email outbox and daily digest jobs (idempotent)
+ */
+export const startNotificationJobs = () => {
+  if (outboxTimer) return;
+
+  outboxTimer = setInterval(sweepEmailOutbox, config.notifications.email.outboxSweepIntervalMs);
+  digestTimer = setInterval(sweepDailyDigests, config.notifications.digest.sweepIntervalMs);
+  // Don't keep the process alive just for these timers
+  outboxTimer.unref();
+  digestTimer.unref();
+};
+
+/**
+ * Stop the notification jobs (used on shutdown)
+ */
+export const stopNotificationJobs = () => {
+  if (!outboxTimer) return;
+
+  clearInterval(outboxTimer);
+  clearInterval(digestTimer);
+  outboxTimer = null;
+  digestTimer = null;
+};
+
+export default {
+  startNotificationJobs,
+  stopNotificationJobs,
+};
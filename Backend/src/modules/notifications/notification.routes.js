@@ -10,6 +10,9 @@ import { authenticate } from "../../middlewares/auth.js";
 import {
   getUserNotifications,
   getUnreadCount,
+  streamNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences,
   markAsRead,
   markAllAsRead,
   deleteNotification,
@@ -38,6 +41,33 @@ router.get("/", auth, getUserNotifications);
  */
 router.get("/unread-count", auth, getUnreadCount);
 
+/**
+ * @route   GET /api/notifications/stream
+ * @access  Private (Authenticated users only)
+ * @desc    Server-Sent Events stream of live updates
+ *          Events: ready, notification, sos ({ sosId, status }), order ({ orderId, status })
+ *          Clients fall back to polling when the stream is unavailable
+ * @returns {text/event-stream}
+ */
+router.get("/stream", auth, streamNotifications);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @access  Private (Authenticated users only)
+ * @desc    Delivery preferences per notification type (in-app, email, digest)
+ * @returns {Object} { success: true, data: { preferences: [...], quietHours?, timezone } }
+ */
+router.get("/preferences", auth, getNotificationPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @access  Private (Authenticated users only)
+ * @desc    Update delivery preferences; pharmacies can also set quiet hours
+ * @body    { preferences?: [{ type, inApp?, email?, digest? }], quietHours?: { start, end } | null }
+ * @returns {Object} { success: true, data: {...preferences}, message: "..." }
+ */
+router.put("/preferences", auth, updateNotificationPreferences);
+
 /**
  * @route   PUT /api/notifications/:id/read
  * @access  Private (Authenticated users only)
@@ -1,21 +1,45 @@
 /**
  * Notification Service - Real-time event-driven notifications
  * 
- * Pharmacy-targeted notification triggers:
- * - NEW_SOS_ALERT (SOS_UPDATE, targetRole: PHARMACY, priority: high) — radius-based
- * - SOS_CLAIMED_BY_OTHER (SOS_UPDATE, targetRole: PHARMACY) — when another pharmacy accepts
- * - LOW_STOCK_WARNING (targetRole: PHARMACY) — inventory < 10 units
+ * Pharmacy-targeted notification triggers (recipients resolved by audience.service:
+ * verified, active, within radius, stock-matched, SOS opt-out honoured for new alerts):
+ * - NEW_SOS_ALERT (SOS_UPDATE, targetRole: PHARMACY) — radius-based, widened by the SOS escalation job;
+ *   high priority for pharmacies stocking the medicine, config.sos.nonStockingAlert for the rest
+ * - SOS_CLAIMED_BY_OTHER (SOS_UPDATE, targetRole: PHARMACY) — when another pharmacy accepts; alerted pharmacies only
+ * - SOS_UPDATED / SOS_WITHDRAWN (SOS_UPDATE, targetRole: PHARMACY) — patient edited/cancelled a pending SOS; alerted pharmacies only
+ * - LOW_STOCK_WARNING (targetRole: PHARMACY) — stock fell to the item's reorder level (inventory/low-stock.service.js)
  * - EXPIRY_WARNING (targetRole: PHARMACY) — medicine within 30 days of expiry
  * - ADMIN_BROADCAST (CMS_ALERT) — system admin announcements
+ * - NEW_ORDER (ORDER_UPDATE, targetRole: PHARMACY) — patient placed an order
+ * - Verification decision (SYSTEM_MESSAGE, targetRole: PHARMACY) — application approved/rejected; always emailed
  * 
  * Patient-targeted triggers:
  * - SOS accepted/rejected (SOS_UPDATE, targetRole: PATIENT)
+ * - SOS expired, with alternatives (SOS_UPDATE, targetRole: PATIENT, priority: high)
+ * - SOS fulfilment progress (SOS_UPDATE, targetRole: PATIENT or PHARMACY) — ready, dispatched, handed over, received, failed
+ * - New chat message (NEW_MESSAGE, targetRole: PATIENT or PHARMACY) — other side of an SOS/order thread
  * - Medicine available (MEDICINE_ALERT, targetRole: PATIENT)
+ * - Dose reminder (MEDICINE_ALERT, targetRole: PATIENT) — scheduled dose time reached
+ * - Order status changed (ORDER_UPDATE, targetRole: PATIENT)
+ * - Prescription reviewed (SOS_UPDATE / ORDER_UPDATE, targetRole: PATIENT)
+ *
+ * Every trigger goes through createNotification / broadcastNotification, which
+ * apply each recipient's preferences (see preference.service.js): types they
+ * turned off in-app are not saved; the rest are pushed live to their open
+ * notification stream (see notification.stream.js) unless it's their quiet hours.
+ * Recipients who want the type by email (outside quiet hours) also get it
+ * through the email outbox (see email.service.js) — with a dedicated template
+ * for SOS accepted, order status, verification decisions, low stock and expiry,
+ * and the generic "notification" template otherwise.
  */
 
 import { prisma } from "../../database/prisma.js";
-import { calculateDistance } from "../../utils/distance.js";
+import config from "../../config/environment.js";
 import logger from "../../utils/logger.js";
+import { resolvePharmacyAudience, resolveAlertedAudience } from "./audience.service.js";
+import { publishToUsers, publishToRole } from "./notification.stream.js";
+import { resolveDelivery } from "./preference.service.js";
+import { queueEmails } from "./email.service.js";
 
 class NotificationService {
   /**
@@ -27,10 +51,23 @@ class NotificationService {
    * @param {object} metadata - Optional metadata (JSON)
    * @param {string} targetRole - PHARMACY | PATIENT | ADMIN
    * @param {string} priority - normal | high
-   * @returns {Promise<object>} Created notification
+   * @param {object} email - Optional { template, variables, always } for the email copy
+   *   (always: send it whatever the user's preferences and quiet hours — for account decisions)
+   * @returns {Promise<object|null>} Created notification, or null if the user turned this type off in-app
    */
-  async createNotification(userId, title, message, type, metadata = null, targetRole = null, priority = "normal") {
+  async createNotification(userId, title, message, type, metadata = null, targetRole = null, priority = "normal", email = null) {
     try {
+      const delivery = (await resolveDelivery([userId], type, priority)).get(userId);
+
+      if (email?.always || (delivery.email && !delivery.quiet)) {
+        await this.queueNotificationEmails([userId], { title, message, metadata }, email);
+      }
+
+      if (!delivery.inApp) {
+        console.log(`[NOTIFICATION SERVICE] Skipped ${type} for user ${userId}: turned off in preferences`);
+        return null;
+      }
+
       const notification = await prisma.notification.create({
         data: {
           userId,
@@ -50,6 +87,8 @@ class NotificationService {
         priority,
       });
 
+      this.publishLive([notification], delivery.quiet ? [userId] : []);
+
       return notification;
     } catch (error) {
       logger.error("Failed to create notification", {
@@ -71,7 +110,7 @@ class NotificationService {
    * @param {object} metadata - Optional metadata
    * @param {string} targetRole - PHARMACY | PATIENT | ADMIN
    * @param {string} priority - normal | high
-   * @returns {Promise<number>} Count of notifications created
+   * @returns {Promise<number>} Count of notifications created (users who turned the type off are skipped)
    */
   async broadcastNotification(userIds, title, message, type, metadata = null, targetRole = null, priority = "normal") {
     try {
@@ -80,7 +119,17 @@ class NotificationService {
         return 0;
       }
 
-      const notifications = userIds.map((userId) => ({
+      const delivery = await resolveDelivery(userIds, type, priority);
+
+      await this.queueNotificationEmails(
+        userIds.filter((userId) => delivery.get(userId).email && !delivery.get(userId).quiet),
+        { title, message, metadata }
+      );
+
+      const recipients = userIds.filter((userId) => delivery.get(userId).inApp);
+      if (recipients.length === 0) return 0;
+
+      const notifications = recipients.map((userId) => ({
         userId,
         title,
         message,
@@ -90,12 +139,12 @@ class NotificationService {
         priority,
       }));
 
-      const result = await prisma.notification.createMany({
+      const created = await prisma.notification.createManyAndReturn({
         data: notifications,
         skipDuplicates: false,
       });
 
-      console.log(`[NOTIFICATION SERVICE] Broadcast notification to ${result.count} users:`, {
+      console.log(`[NOTIFICATION SERVICE] Broadcast notification to ${created.length} users:`, {
         title,
         type,
         targetRole,
@@ -103,7 +152,9 @@ class NotificationService {
         targetCount: userIds.length,
       });
 
-      return result.count;
+      this.publishLive(created, recipients.filter((userId) => delivery.get(userId).quiet));
+
+      return created.length;
     } catch (error) {
       logger.error("Failed to broadcast notification", {
         userCount: userIds?.length || 0,
@@ -115,6 +166,89 @@ class NotificationService {
     }
   }
 
+  /**
+   * Queue the email copy of a notification; the outbox job sends it
+   * Never throws: a template or database problem must not fail the trigger.
+   *
+   * @param {string[]} userIds - Recipients who get it by email
+   * @param {object} notification - { title, message, metadata }
+   * @param {object} email - Optional { template, variables }; defaults to the generic "notification" template
+   */
+  async queueNotificationEmails(userIds, { title, message, metadata }, email = null) {
+    if (userIds.length === 0) return;
+
+    const template = email?.template || "notification";
+
+    try {
+      await queueEmails(userIds, template, {
+        title,
+        message,
+        actionUrl: `${config.frontend.url}${metadata?.link || ""}`,
+        ...email?.variables,
+      });
+    } catch (error) {
+      logger.error("Failed to queue notification email", {
+        userCount: userIds.length,
+        template,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Push saved notifications to their recipients' open streams
+   * SOS and order notifications also raise "sos"/"order" events so open pages
+   * can refresh; SOS events go to system admins as well (live map).
+   * Recipients in quiet hours get only those refresh events, not the notification.
+   * Never throws: a failed push must not fail the trigger.
+   *
+   * @param {array} notifications - Saved notifications (one content, one or more recipients)
+   * @param {string[]} quietUserIds - Recipients currently in quiet hours
+   */
+  publishLive(notifications, quietUserIds = []) {
+    try {
+      const quiet = new Set(quietUserIds);
+
+      for (const notification of notifications) {
+        if (quiet.has(notification.userId)) continue;
+
+        publishToUsers([notification.userId], "notification", {
+          id: notification.id,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          priority: notification.priority,
+          targetRole: notification.targetRole,
+          metadata: notification.metadata,
+          createdAt: notification.createdAt,
+        });
+      }
+
+      const { sosId, orderId, status } = notifications[0]?.metadata || {};
+      const userIds = notifications.map((notification) => notification.userId);
+
+      if (sosId) {
+        this.publishSosEvent(sosId, status, userIds);
+      }
+      if (orderId) {
+        publishToUsers(userIds, "order", { orderId, status });
+      }
+    } catch (error) {
+      logger.warn("NOTIFICATIONS", "Live push failed", { error: error.message });
+    }
+  }
+
+  /**
+   * Raise an "sos" stream event for the given users and all system admins
+   * @param {string} sosId
+   * @param {string} status - Current SOS status, if known
+   * @param {string[]} userIds
+   */
+  publishSosEvent(sosId, status = undefined, userIds = []) {
+    publishToUsers(userIds, "sos", { sosId, status });
+    publishToRole("SYSTEM_ADMIN", "sos", { sosId, status });
+  }
+
   /**
    * Get all notifications for a user (with pagination)
    * @param {string} userId - User ID
@@ -285,8 +419,187 @@ class NotificationService {
       pharmacyName,
       medicineName,
       sosId,
-      link: `/patient/sos/${sosId}`,
-    }, "PATIENT", status === "accepted" ? "high" : "normal");
+      link: "/sos",
+    }, "PATIENT", status === "accepted" ? "high" : "normal", status === "accepted"
+      ? { template: "sos-accepted", variables: { pharmacyName, medicineName } }
+      : null);
+  }
+
+  /**
+   * SOS fulfilment update — tells the other party what just happened
+   * Pharmacy actions (ready, dispatched, handed_over, failed) go to the patient;
+   * patient actions (received, failed) go to the pharmacy
+   *
+   * @param {object} sosRequest - SOS request after the update
+   * @param {string} action - Fulfilment action taken
+   * @param {object} actor - { role: "PHARMACY" | "PATIENT", pharmacy: { userId, pharmacyName } }
+   */
+  async notifySosFulfilment(sosRequest, action, { role, pharmacy }) {
+    const medicineName = sosRequest.medicineName;
+    const pharmacyName = pharmacy?.pharmacyName || "The pharmacy";
+    const completed = sosRequest.status === "completed";
+    const metadata = { sosId: sosRequest.id, action, status: sosRequest.status, medicineName };
+
+    if (role === "PHARMACY") {
+      const messages = {
+        ready: `${pharmacyName} has ${medicineName} ready for you to collect.`,
+        dispatched: `${pharmacyName} has sent ${medicineName} on its way to you.`,
+        handed_over: completed
+          ? `${pharmacyName} confirmed the handover of ${medicineName}. Your SOS request is complete.`
+          : `${pharmacyName} marked ${medicineName} as handed over. Please confirm once you have received it.`,
+        failed: `${pharmacyName} could not complete your SOS request for ${medicineName}: ${sosRequest.failureReason}`,
+      };
+
+      return this.createNotification(
+        sosRequest.patientId,
+        action === "failed" ? `SOS Request Failed: ${medicineName}` : `SOS Update: ${medicineName}`,
+        messages[action],
+        "SOS_UPDATE",
+        { ...metadata, pharmacyName, link: "/sos" },
+        "PATIENT",
+        ["ready", "failed"].includes(action) ? "high" : "normal"
+      );
+    }
+
+    if (!pharmacy?.userId) return null;
+
+    const messages = {
+      received: completed
+        ? `${sosRequest.patientName} confirmed receiving ${medicineName}. The SOS request is complete.`
+        : `${sosRequest.patientName} confirmed receiving ${medicineName}. Please confirm the handover.`,
+      failed: `${sosRequest.patientName} reported a problem with the SOS request for ${medicineName}: ${sosRequest.failureReason}`,
+    };
+
+    return this.createNotification(
+      pharmacy.userId,
+      action === "failed" ? `SOS Problem Reported: ${medicineName}` : `SOS Received: ${medicineName}`,
+      messages[action],
+      "SOS_UPDATE",
+      { ...metadata, link: "/pharmacy/sos-requests" },
+      "PHARMACY",
+      action === "failed" ? "high" : "normal"
+    );
+  }
+
+  /**
+   * New chat message — tells the other participant of an SOS/order thread
+   * @param {object} message - Created Message
+   * @param {object} thread - { type: "sos" | "order", id, subject }
+   * @param {object} recipient - { userId, role: "PATIENT" | "PHARMACY" }
+   * @param {string} senderName - Patient name or pharmacy name
+   */
+  async notifyNewMessage(message, thread, recipient, senderName) {
+    if (!recipient?.userId) return null;
+
+    const links = {
+      PATIENT: { sos: "/sos", order: `/patient/orders/${thread.id}` },
+      PHARMACY: { sos: "/pharmacy/sos-requests", order: "/pharmacy/orders" },
+    };
+    const preview = message.body.length > 120 ? `${message.body.slice(0, 117)}...` : message.body;
+
+    return this.createNotification(recipient.userId, `New message from ${senderName}`, preview, "NEW_MESSAGE", {
+      threadType: thread.type,
+      threadId: thread.id,
+      messageId: message.id,
+      subject: thread.subject,
+      link: links[recipient.role][thread.type],
+    }, recipient.role, "normal");
+  }
+
+  /**
+   * SOS expired — no pharmacy accepted in time; points the patient at alternatives
+   * @param {object} sosRequest - Expired SOS request
+   * @param {array} alternatives - [{ pharmacyName, contactNumber, distanceKm, medicineName }]
+   */
+  async notifySosExpired(sosRequest, alternatives = []) {
+    const message = alternatives.length > 0
+      ? `No pharmacy accepted your SOS for ${sosRequest.medicineName} in time. ` +
+        `These pharmacies list it in stock: ${alternatives
+          .map((alt) => `${alt.pharmacyName}${alt.contactNumber ? ` (${alt.contactNumber})` : ""}`)
+          .join(", ")}. Call ahead or send a new request.`
+      : `No pharmacy accepted your SOS for ${sosRequest.medicineName} in time. ` +
+        "Try searching for a substitute with the same generic name, send a new request, or contact your doctor.";
+
+    return this.createNotification(sosRequest.patientId, `SOS Request Expired: ${sosRequest.medicineName}`, message, "SOS_UPDATE", {
+      status: "expired",
+      medicineName: sosRequest.medicineName,
+      sosId: sosRequest.id,
+      alternatives,
+      link: "/sos",
+    }, "PATIENT", "high");
+  }
+
+  /**
+   * Order Update Trigger — pharmacy moved a patient's order to a new status
+   * @param {object} order - Order with pharmacy relation
+   * @param {string} status - New order status
+   */
+  async notifyOrderStatusChange(order, status) {
+    const pharmacyName = order.pharmacy?.pharmacyName || "The pharmacy";
+    const orderRef = order.id.slice(-8);
+    const label = status.replace(/_/g, " ");
+    const statusLabel = label.charAt(0).toUpperCase() + label.slice(1);
+
+    const messages = {
+      confirmed: `${pharmacyName} has confirmed your order #${orderRef} and is preparing it.`,
+      ready_for_pickup: `Your order #${orderRef} is ready for pickup at ${pharmacyName}.`,
+      out_for_delivery: `Your order #${orderRef} from ${pharmacyName} is out for delivery.`,
+      delivered: `Your order #${orderRef} from ${pharmacyName} has been delivered.`,
+      cancelled: `Your order #${orderRef} with ${pharmacyName} has been cancelled.`,
+      rejected: `${pharmacyName} could not accept your order #${orderRef}.`,
+    };
+
+    return this.createNotification(
+      order.patientId,
+      `Order #${orderRef} ${statusLabel}`,
+      messages[status] || `Your order #${orderRef} is now ${label}.`,
+      "ORDER_UPDATE",
+      {
+        orderId: order.id,
+        status,
+        pharmacyName,
+        link: `/patient/orders/${order.id}`,
+      },
+      "PATIENT",
+      ["ready_for_pickup", "rejected"].includes(status) ? "high" : "normal",
+      { template: "order-status", variables: { orderRef, statusLabel, pharmacyName } }
+    );
+  }
+
+  /**
+   * Prescription Review Trigger — pharmacist decided on an attached prescription
+   * @param {object} params - { patientId, type: "sos" | "order", recordId, decision, notes, pharmacyName, subject }
+   */
+  async notifyPrescriptionReviewed({ patientId, type, recordId, decision, notes, pharmacyName, subject }) {
+    const titles = {
+      VALID: "Prescription Verified",
+      INVALID: "Prescription Not Accepted",
+      NEEDS_CLARIFICATION: "Prescription Needs Clarification",
+    };
+
+    const messages = {
+      VALID: `${pharmacyName} has verified the prescription for ${subject}.`,
+      INVALID: `${pharmacyName} could not accept the prescription for ${subject}.`,
+      NEEDS_CLARIFICATION: `${pharmacyName} needs more information about the prescription for ${subject}.`,
+    };
+
+    const message = notes ? `${messages[decision]} Note: ${notes}` : messages[decision];
+
+    return this.createNotification(
+      patientId,
+      titles[decision],
+      message,
+      type === "sos" ? "SOS_UPDATE" : "ORDER_UPDATE",
+      {
+        decision,
+        notes: notes || null,
+        pharmacyName,
+        [type === "sos" ? "sosId" : "orderId"]: recordId,
+        link: type === "sos" ? "/sos" : `/patient/orders/${recordId}`,
+      },
+      "PATIENT",
+      decision === "VALID" ? "normal" : "high"
+    );
   }
 
   /**
@@ -303,6 +616,29 @@ class NotificationService {
     );
   }
 
+  /**
+   * Dose Reminder — patient-facing, sent by the medication reminder job
+   * @param {object} medication - Medication (patientId, medicineName, dosage)
+   * @param {object} dose - MedicationDose that just fell due
+   */
+  async notifyDoseDue(medication, dose) {
+    const amount = medication.dosage ? `${medication.dosage} of ` : "";
+
+    return this.createNotification(
+      medication.patientId,
+      `Time for ${medication.medicineName}`,
+      `It's time to take ${amount}${medication.medicineName}. Mark the dose as taken or skipped in My Medications.`,
+      "MEDICINE_ALERT",
+      {
+        medicationId: medication.id,
+        doseId: dose.id,
+        scheduledFor: dose.scheduledFor,
+        link: "/patient/medications",
+      },
+      "PATIENT"
+    );
+  }
+
   /**
    * Announcement Broadcast — admin CMS announcements
    */
@@ -386,90 +722,106 @@ class NotificationService {
   // ═══════════════════════════════════════════════════════
 
   /**
-   * NEW_SOS_ALERT — Radius-based: notify pharmacies within 50km of the patient
-   * @param {object} sosRequest - { id, patientName, medicineName, address, latitude, longitude }
+   * NEW_SOS_ALERT — Radius-based: notify pharmacies within radiusKm of the patient
+   * Each pharmacy is alerted once per SOS (recorded in SOSAlert), so escalating
+   * to a wider radius only reaches pharmacies that haven't heard about it yet
+   *
+   * Pharmacies whose inventory covers the request get a high-priority alert.
+   * The rest follow config.sos.nonStockingAlert: "normal"/"high" priority, or
+   * "none" — not alerted (and so still eligible later) until the final ring
+   *
+   * @param {object} sosRequest - { id, patientName, medicineName, genericName, quantity, address, latitude, longitude }
+   * @param {object} options - { radiusKm = 50, escalationLevel = 0, finalRing = false }
    * @returns {Promise<number>} Count of notifications sent
    */
-  async notifyNearbyPharmacies(sosRequest) {
+  async notifyNearbyPharmacies(sosRequest, { radiusKm = 50, escalationLevel = 0, finalRing = false } = {}) {
     try {
-      const SOS_RADIUS_KM = 50;
+      const hasLocation = sosRequest.latitude != null && sosRequest.longitude != null;
+
+      const nearby = await resolvePharmacyAudience({
+        sosAlerts: true,
+        origin: sosRequest,
+        radiusKm,
+        medicine: {
+          names: [sosRequest.medicineName, sosRequest.genericName],
+          quantity: sosRequest.quantity || 1,
+        },
+      });
+
+      const nonStockingAlert = config.sos.nonStockingAlert;
+      const targets = nonStockingAlert === "none" && !finalRing
+        ? nearby.filter((p) => p.stock)
+        : nearby;
 
-      // If patient has no coordinates, fall back to all approved pharmacies
-      if (sosRequest.latitude == null || sosRequest.longitude == null) {
-        const pharmacyUsers = await prisma.pharmacy.findMany({
-          where: { verificationStatus: "APPROVED" },
-          select: { userId: true },
+      if (targets.length === 0) {
+        // Nobody to alert, but the request still belongs on the admin live map
+        this.publishSosEvent(sosRequest.id, sosRequest.status);
+        console.log("[NOTIFICATION SERVICE] No pharmacies to alert within radius for SOS", {
+          sosId: sosRequest.id,
+          radius: radiusKm,
+          nearby: nearby.length,
         });
-        const userIds = pharmacyUsers.map((p) => p.userId);
-        if (userIds.length === 0) return 0;
+        return 0;
+      }
+
+      // Claim the alert per pharmacy; rows that already exist were alerted earlier
+      const claimed = await prisma.sOSAlert.createManyAndReturn({
+        data: targets.map((p) => ({
+          sosId: sosRequest.id,
+          pharmacyId: p.id,
+          radiusKm: hasLocation ? radiusKm : null,
+        })),
+        skipDuplicates: true,
+        select: { pharmacyId: true },
+      });
+
+      const claimedIds = new Set(claimed.map((alert) => alert.pharmacyId));
+      const alerted = targets.filter((p) => claimedIds.has(p.id));
+      if (alerted.length === 0) return 0;
+
+      const title = escalationLevel > 0
+        ? `🚨 Still unanswered: SOS for ${sosRequest.medicineName}`
+        : `🚨 Urgent: New SOS for ${sosRequest.medicineName}`;
+      const message = `${sosRequest.patientName} urgently needs ${sosRequest.medicineName}. Location: ${sosRequest.address}. Check SOS requests to respond.`;
+      const metadata = {
+        sosId: sosRequest.id,
+        medicineName: sosRequest.medicineName,
+        patientName: sosRequest.patientName,
+        address: sosRequest.address,
+        radiusKm: hasLocation ? radiusKm : null,
+        escalationLevel,
+        link: "/pharmacy/sos-requests",
+      };
+
+      const stockingUserIds = alerted.filter((p) => p.stock).map((p) => p.userId);
+      const otherUserIds = alerted.filter((p) => !p.stock).map((p) => p.userId);
+      let sent = 0;
 
-        return this.broadcastNotification(
-          userIds,
-          `🚨 Urgent: New SOS for ${sosRequest.medicineName}`,
-          `${sosRequest.patientName} urgently needs ${sosRequest.medicineName}. Location: ${sosRequest.address}. Check SOS requests to respond.`,
+      if (stockingUserIds.length > 0) {
+        sent += await this.broadcastNotification(
+          stockingUserIds,
+          title,
+          `${message} Your inventory shows it in stock.`,
           "SOS_UPDATE",
-          {
-            sosId: sosRequest.id,
-            medicineName: sosRequest.medicineName,
-            patientName: sosRequest.patientName,
-            address: sosRequest.address,
-            link: "/pharmacy/sos",
-          },
+          { ...metadata, inStock: true },
           "PHARMACY",
           "high"
         );
       }
 
-      // Find approved pharmacies with coordinates
-      const pharmacies = await prisma.pharmacy.findMany({
-        where: {
-          verificationStatus: "APPROVED",
-          latitude: { not: null },
-          longitude: { not: null },
-        },
-        select: { id: true, userId: true, latitude: true, longitude: true },
-      });
-
-      // Filter by distance
-      const nearbyUserIds = pharmacies
-        .filter((p) => {
-          try {
-            const dist = calculateDistance(
-              sosRequest.latitude,
-              sosRequest.longitude,
-              p.latitude,
-              p.longitude
-            );
-            return dist <= SOS_RADIUS_KM;
-          } catch {
-            return false;
-          }
-        })
-        .map((p) => p.userId);
-
-      if (nearbyUserIds.length === 0) {
-        console.log("[NOTIFICATION SERVICE] No pharmacies within radius for SOS", {
-          sosId: sosRequest.id,
-          radius: SOS_RADIUS_KM,
-        });
-        return 0;
+      if (otherUserIds.length > 0) {
+        sent += await this.broadcastNotification(
+          otherUserIds,
+          title,
+          message,
+          "SOS_UPDATE",
+          { ...metadata, inStock: false },
+          "PHARMACY",
+          nonStockingAlert === "high" ? "high" : "normal"
+        );
       }
 
-      return this.broadcastNotification(
-        nearbyUserIds,
-        `🚨 Urgent: New SOS for ${sosRequest.medicineName}`,
-        `${sosRequest.patientName} urgently needs ${sosRequest.medicineName}. Location: ${sosRequest.address}. Check SOS requests to respond.`,
-        "SOS_UPDATE",
-        {
-          sosId: sosRequest.id,
-          medicineName: sosRequest.medicineName,
-          patientName: sosRequest.patientName,
-          address: sosRequest.address,
-          link: "/pharmacy/sos",
-        },
-        "PHARMACY",
-        "high"
-      );
+      return sent;
     } catch (error) {
       logger.error("Failed to notify pharmacies about SOS", {
         sosId: sosRequest?.id,
@@ -490,16 +842,12 @@ class NotificationService {
    */
   async notifySosClaimedByOther(sosId, acceptedByPharmacyId, acceptedByPharmacyName, medicineName) {
     try {
-      // Find all other approved pharmacies (exclude the one that accepted)
-      const otherPharmacies = await prisma.pharmacy.findMany({
-        where: {
-          verificationStatus: "APPROVED",
-          id: { not: acceptedByPharmacyId },
-        },
-        select: { userId: true },
+      // Pharmacies that were alerted about this SOS, except the one that accepted
+      const audience = await resolveAlertedAudience(sosId, {
+        excludePharmacyIds: [acceptedByPharmacyId],
       });
 
-      const userIds = otherPharmacies.map((p) => p.userId);
+      const userIds = audience.map((p) => p.userId);
       if (userIds.length === 0) return 0;
 
       // Auto-mark old SOS notifications for this sosId as read
@@ -521,7 +869,7 @@ class NotificationService {
           sosId,
           medicineName,
           fulfilledBy: acceptedByPharmacyName,
-          link: "/pharmacy/sos",
+          link: "/pharmacy/sos-requests",
         },
         "PHARMACY",
         "normal"
@@ -536,40 +884,218 @@ class NotificationService {
   }
 
   /**
-   * LOW_STOCK_WARNING — Triggered after inventory update when quantity < 10
-   * Prevents duplicate alerts: checks if an unread low-stock notification
-   * already exists for this item before creating a new one.
+   * User IDs of the pharmacies already alerted about an SOS (see audience.service)
+   * @param {string} sosId
+   * @returns {Promise<string[]>}
+   */
+  async getAlertedPharmacyUserIds(sosId) {
+    const audience = await resolveAlertedAudience(sosId);
+    return audience.map((p) => p.userId);
+  }
+
+  /**
+   * SOS_UPDATED — The patient changed a pending SOS; tell the pharmacies already alerted
+   * @param {object} sosRequest - Updated SOS request
+   * @param {string[]} changedFields - e.g. ["quantity", "address"]
+   * @returns {Promise<number>} Count of notifications sent
+   */
+  async notifySosUpdated(sosRequest, changedFields = []) {
+    try {
+      const userIds = await this.getAlertedPharmacyUserIds(sosRequest.id);
+      if (userIds.length === 0) return 0;
+
+      const labels = {
+        quantity: `quantity is now ${sosRequest.quantity}`,
+        address: `address is now ${sosRequest.address}`,
+        contactNumber: `contact number is now ${sosRequest.contactNumber}`,
+        latitude: "location was updated",
+        longitude: "location was updated",
+        additionalNotes: "notes were updated",
+      };
+      const details = [...new Set(changedFields.map((field) => labels[field]))].filter(Boolean).join("; ");
+
+      return this.broadcastNotification(
+        userIds,
+        `SOS Updated: ${sosRequest.medicineName}`,
+        `${sosRequest.patientName} updated their SOS request for ${sosRequest.medicineName}${details ? `: ${details}` : ""}.`,
+        "SOS_UPDATE",
+        {
+          sosId: sosRequest.id,
+          medicineName: sosRequest.medicineName,
+          changedFields,
+          link: "/pharmacy/sos-requests",
+        },
+        "PHARMACY",
+        "normal"
+      );
+    } catch (error) {
+      logger.error("Failed to notify pharmacies about SOS update", {
+        sosId: sosRequest?.id,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * SOS_WITHDRAWN — The patient cancelled a pending SOS; tell the pharmacies already alerted
+   * Also auto-marks the original SOS notifications as read for those pharmacies
    *
-   * @param {string} userId - Pharmacy owner userId
-   * @param {object} item - { id, name, genericName, quantity }
+   * @param {object} sosRequest - Cancelled SOS request
+   * @returns {Promise<number>} Count of notifications sent
    */
-  async notifyLowStock(userId, item) {
+  async notifySosWithdrawn(sosRequest) {
     try {
-      // Deduplicate: don't spam if an unread one already exists for this item
-      const existing = await prisma.notification.findFirst({
+      const userIds = await this.getAlertedPharmacyUserIds(sosRequest.id);
+      if (userIds.length === 0) {
+        this.publishSosEvent(sosRequest.id, "cancelled");
+        return 0;
+      }
+
+      await prisma.notification.updateMany({
         where: {
-          userId,
-          type: "LOW_STOCK_WARNING",
+          userId: { in: userIds },
+          metadata: { path: ["sosId"], equals: sosRequest.id },
           isRead: false,
-          metadata: { path: ["inventoryId"], equals: item.id },
         },
+        data: { isRead: true },
       });
-      if (existing) return existing;
+
+      return this.broadcastNotification(
+        userIds,
+        `SOS Withdrawn: ${sosRequest.medicineName}`,
+        `${sosRequest.patientName} cancelled their SOS request for ${sosRequest.medicineName}. No action needed.`,
+        "SOS_UPDATE",
+        {
+          sosId: sosRequest.id,
+          medicineName: sosRequest.medicineName,
+          status: "cancelled",
+          link: "/pharmacy/sos-requests",
+        },
+        "PHARMACY",
+        "normal"
+      );
+    } catch (error) {
+      logger.error("Failed to notify pharmacies about SOS withdrawal", {
+        sosId: sosRequest?.id,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * NEW_ORDER — Notify the pharmacy owner that a patient placed an order
+   * @param {object} order - Order with items relation
+   * @returns {Promise<object|null>} Created notification
+   */
+  async notifyNewOrder(order) {
+    try {
+      const [pharmacy] = await resolvePharmacyAudience({ pharmacyIds: [order.pharmacyId] });
+      if (!pharmacy) return null;
+
+      const itemCount = order.items?.length || 0;
+
+      return this.createNotification(
+        pharmacy.userId,
+        `🛒 New Order #${order.id.slice(-8)}`,
+        `A patient ordered ${itemCount} item${itemCount !== 1 ? "s" : ""} worth Rs ${order.totalAmount}. Review and confirm the order.`,
+        "ORDER_UPDATE",
+        {
+          orderId: order.id,
+          totalAmount: order.totalAmount,
+          link: "/pharmacy/orders",
+        },
+        "PHARMACY",
+        "normal"
+      );
+    } catch (error) {
+      logger.error("Failed to send new order notification", {
+        orderId: order?.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Verification decision — tells the owner their pharmacy was approved or rejected
+   * Always emailed: a rejected pharmacy can only reach the application page, not its notifications.
+   *
+   * @param {object} pharmacy - Pharmacy after the decision (verificationStatus, rejectionReason)
+   * @returns {Promise<object|null>} Created notification
+   */
+  async notifyPharmacyVerification(pharmacy) {
+    try {
+      const approved = pharmacy.verificationStatus === "VERIFIED";
+      if (!approved && pharmacy.verificationStatus !== "REJECTED") return null;
+
+      const { pharmacyName } = pharmacy;
+
+      return await this.createNotification(
+        pharmacy.userId,
+        approved ? "Pharmacy Approved" : "Pharmacy Application Not Approved",
+        approved
+          ? `${pharmacyName} has been verified. You can now manage inventory, receive orders and respond to SOS requests.`
+          : `Your application for ${pharmacyName} was not approved: ${pharmacy.rejectionReason}`,
+        "SYSTEM_MESSAGE",
+        {
+          pharmacyId: pharmacy.id,
+          status: pharmacy.verificationStatus,
+          link: approved ? "/pharmacy/dashboard" : "/pharmacy/application-rejected",
+        },
+        "PHARMACY",
+        "high",
+        approved
+          ? { template: "pharmacy-approved", variables: { pharmacyName }, always: true }
+          : { template: "pharmacy-rejected", variables: { pharmacyName, reason: pharmacy.rejectionReason }, always: true }
+      );
+    } catch (error) {
+      logger.error("Failed to send pharmacy verification notification", {
+        pharmacyId: pharmacy?.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * LOW_STOCK_WARNING — Triggered when a stock change brings an item to its reorder level
+   * Sent once per crossing: low-stock.service.js only calls this for the change
+   * that crossed it, and not again until stock has been back above the level.
+   *
+   * @param {string} userId - Pharmacy owner userId
+   * @param {object} item - { id, name, genericName, quantity, unexpiredQuantity? }
+   */
+  async notifyLowStock(userId, item) {
+    try {
+      // Expired units are still on the shelf but can't be sold
+      const quantity = item.unexpiredQuantity ?? item.quantity;
 
       return this.createNotification(
         userId,
         `⚠️ Low Stock: ${item.name}`,
-        `${item.name} (${item.genericName}) is running low with only ${item.quantity} unit${item.quantity !== 1 ? "s" : ""} left. Restock soon to avoid shortages.`,
+        quantity === 0
+          ? `${item.name} (${item.genericName}) has run out. Restock soon to avoid shortages.`
+          : `${item.name} (${item.genericName}) is running low with only ${quantity} unit${quantity !== 1 ? "s" : ""} left. Restock soon to avoid shortages.`,
         "LOW_STOCK_WARNING",
         {
           inventoryId: item.id,
           medicineName: item.name,
           genericName: item.genericName,
-          quantity: item.quantity,
+          quantity,
           link: "/pharmacy/inventory",
         },
         "PHARMACY",
-        "normal"
+        "normal",
+        {
+          template: "low-stock",
+          variables: {
+            medicineName: item.name,
+            genericName: item.genericName,
+            quantityLabel: `${quantity} unit${quantity !== 1 ? "s" : ""}`,
+          },
+        }
       );
     } catch (error) {
       logger.error("Failed to send low stock notification", {
@@ -620,7 +1146,16 @@ class NotificationService {
           link: "/pharmacy/inventory",
         },
         "PHARMACY",
-        daysLeft <= 7 ? "high" : "normal"
+        daysLeft <= 7 ? "high" : "normal",
+        {
+          template: "expiry-warning",
+          variables: {
+            medicineName: item.name,
+            genericName: item.genericName,
+            expiryDate: new Date(item.expiryDate).toISOString().slice(0, 10),
+            daysLeftLabel: `${daysLeft} day${daysLeft !== 1 ? "s" : ""}`,
+          },
+        }
       );
     } catch (error) {
       logger.error("Failed to send expiry notification", {
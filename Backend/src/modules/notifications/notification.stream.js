@@ -0,0 +1,145 @@
+/**
+ * Notification Stream - Server-Sent Events hub for live delivery
+ *
+ * Each authenticated tab holds one GET /api/notifications/stream connection.
+ * notification.service publishes here as notifications are saved, so open
+ * pages hear about them without polling:
+ * - notification: a new notification for this user ({ id, type, title, priority, metadata })
+ * - sos: something changed on an SOS request ({ sosId, status? }); system admins get every one
+ * - order: something changed on an order ({ orderId, status? })
+ *
+ * Connections live in this process's memory. Clients that can't connect
+ * (or lose the connection) fall back to polling the REST endpoints.
+ */
+
+import logger from "../../utils/logger.js";
+
+// Comment lines keep proxies from closing idle connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+// Browser reconnect delay hint
+const RETRY_MS = 5000;
+
+// userId → Set of { res, role }
+const clients = new Map();
+
+let heartbeat = null;
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+
+  heartbeat = setInterval(() => {
+    for (const connections of clients.values()) {
+      for (const { res } of connections) {
+        res.write(": ping\n\n");
+      }
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+};
+
+const stopHeartbeatIfIdle = () => {
+  if (clients.size === 0 && heartbeat) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+/**
+ * Turn a request into an SSE connection for the authenticated user
+ * The connection is dropped from the hub when the client disconnects
+ *
+ * @param {object} req - Authenticated request (req.user from authenticate())
+ * @param {object} res
+ */
+export const openStream = (req, res) => {
+  const userId = req.user.userId || req.user.id;
+  const connection = { res, role: req.user.role };
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable response buffering in nginx
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  writeEvent(res, "ready", { userId });
+
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(connection);
+  startHeartbeat();
+
+  req.on("close", () => {
+    const connections = clients.get(userId);
+    connections?.delete(connection);
+    if (connections?.size === 0) clients.delete(userId);
+    stopHeartbeatIfIdle();
+  });
+};
+
+/**
+ * Push an event to every open connection of the given users
+ * @param {string[]} userIds
+ * @param {string} event - notification | sos | order
+ * @param {object} data
+ * @returns {number} Connections written to
+ */
+export const publishToUsers = (userIds, event, data) => {
+  let delivered = 0;
+
+  for (const userId of new Set(userIds)) {
+    for (const { res } of clients.get(userId) || []) {
+      try {
+        writeEvent(res, event, data);
+        delivered++;
+      } catch (error) {
+        logger.warn("NOTIFICATIONS", "Stream write failed", { userId, event, error: error.message });
+      }
+    }
+  }
+
+  return delivered;
+};
+
+/**
+ * Push an event to every open connection of users with a JWT role
+ * @param {string} role - e.g. SYSTEM_ADMIN
+ * @param {string} event
+ * @param {object} data
+ * @returns {number} Connections written to
+ */
+export const publishToRole = (role, event, data) => {
+  const userIds = [];
+
+  for (const [userId, connections] of clients) {
+    if ([...connections].some((connection) => connection.role === role)) {
+      userIds.push(userId);
+    }
+  }
+
+  return publishToUsers(userIds, event, data);
+};
+
+/**
+ * End all open connections (graceful shutdown; server.close waits for them otherwise)
+ */
+export const closeAllStreams = () => {
+  for (const connections of clients.values()) {
+    for (const { res } of connections) {
+      res.end();
+    }
+  }
+  clients.clear();
+  stopHeartbeatIfIdle();
+};
+
+export default {
+  openStream,
+  publishToUsers,
+  publishToRole,
+  closeAllStreams,
+};
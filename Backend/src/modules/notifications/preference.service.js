@@ -0,0 +1,228 @@
+/**
+ * Preference Service - What each user wants delivered, and how
+ *
+ * Channels per NotificationType (NotificationPreference rows):
+ * - inApp: saved to the notification inbox and pushed to the live stream
+ * - email: also sent by email
+ * - digest: included in the daily digest (pharmacies; DIGEST_TYPES only, see digest.service.js)
+ * No row for a type means the defaults (in-app only).
+ *
+ * Quiet hours (pharmacies, Pharmacy.quietHoursStart/End, local "HH:mm" in
+ * config.notifications.timezone): notifications still reach the inbox, but
+ * silently — no live push, no email. High-priority SOS alerts ignore quiet hours.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import config from "../../config/environment.js";
+import { getZonedParts } from "../../utils/timezone.js";
+
+export const CHANNELS = ["inApp", "email", "digest"];
+
+const DEFAULT_CHANNELS = { inApp: true, email: false, digest: false };
+
+// Types each role can receive (and so configure), by JWT role
+export const PREFERENCE_TYPES = {
+  PATIENT: ["SOS_UPDATE", "ORDER_UPDATE", "MEDICINE_ALERT", "NEW_MESSAGE", "CMS_ALERT"],
+  PHARMACY_ADMIN: ["SOS_UPDATE", "ORDER_UPDATE", "LOW_STOCK_WARNING", "EXPIRY_WARNING", "NEW_MESSAGE", "CMS_ALERT"],
+  SYSTEM_ADMIN: ["CMS_ALERT", "SYSTEM_MESSAGE"],
+};
+
+// Types the daily pharmacy digest has a section for
+export const DIGEST_TYPES = ["SOS_UPDATE", "ORDER_UPDATE", "LOW_STOCK_WARNING", "EXPIRY_WARNING"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Whether an instant falls inside a local quiet-hours window
+ * Windows may wrap midnight (e.g. 22:00–07:00); the end is exclusive
+ *
+ * @param {string} start - "HH:mm"
+ * @param {string} end - "HH:mm"
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isWithinQuietHours = (start, end, now = new Date()) => {
+  if (!start || !end) return false;
+
+  const { hour, minute } = getZonedParts(now, config.notifications.timezone);
+  const current = hour * 60 + minute;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  return from <= to ? current >= from && current < to : current >= from || current < to;
+};
+
+/**
+ * Decide, per recipient, which channels a notification goes out on
+ *
+ * @param {string[]} userIds
+ * @param {string} type - NotificationType
+ * @param {string} priority - normal | high
+ * @param {Date} now
+ * @returns {Promise<Map>} userId → { inApp, email, digest, quiet }
+ */
+export const resolveDelivery = async (userIds, type, priority = "normal", now = new Date()) => {
+  const delivery = new Map();
+  if (userIds.length === 0) return delivery;
+
+  const bypassesQuietHours = type === "SOS_UPDATE" && priority === "high";
+
+  const [preferences, quietPharmacies] = await Promise.all([
+    prisma.notificationPreference.findMany({
+      where: { userId: { in: userIds }, type },
+      select: { userId: true, inApp: true, email: true, digest: true },
+    }),
+    bypassesQuietHours
+      ? []
+      : prisma.pharmacy.findMany({
+          where: { userId: { in: userIds }, quietHoursStart: { not: null }, quietHoursEnd: { not: null } },
+          select: { userId: true, quietHoursStart: true, quietHoursEnd: true },
+        }),
+  ]);
+
+  const preferenceByUser = new Map(preferences.map((preference) => [preference.userId, preference]));
+  const quietUsers = new Set(
+    quietPharmacies
+      .filter((pharmacy) => isWithinQuietHours(pharmacy.quietHoursStart, pharmacy.quietHoursEnd, now))
+      .map((pharmacy) => pharmacy.userId)
+  );
+
+  for (const userId of userIds) {
+    const { inApp, email, digest } = preferenceByUser.get(userId) || DEFAULT_CHANNELS;
+    delivery.set(userId, { inApp, email, digest, quiet: quietUsers.has(userId) });
+  }
+
+  return delivery;
+};
+
+/**
+ * A user's preferences for every type their role can receive
+ *
+ * @param {string} userId
+ * @param {string} role - JWT role
+ * @returns {Promise<object>} { preferences: [{ type, inApp, email, digest }], digestTypes, timezone, quietHours?, digestTime? }
+ *   digestTypes lists the types that can go in the daily digest (empty for non-pharmacies);
+ *   quietHours ({ start, end } or null) and digestTime ("HH:mm") are only present for pharmacies
+ */
+export const getPreferences = async (userId, role) => {
+  const types = PREFERENCE_TYPES[role] || [];
+
+  const rows = await prisma.notificationPreference.findMany({
+    where: { userId, type: { in: types } },
+    select: { type: true, inApp: true, email: true, digest: true },
+  });
+  const rowByType = new Map(rows.map((row) => [row.type, row]));
+
+  const result = {
+    preferences: types.map((type) => ({ ...DEFAULT_CHANNELS, ...rowByType.get(type), type })),
+    digestTypes: role === "PHARMACY_ADMIN" ? DIGEST_TYPES : [],
+    timezone: config.notifications.timezone,
+  };
+
+  if (role === "PHARMACY_ADMIN") {
+    const pharmacy = await prisma.pharmacy.findUnique({
+      where: { userId },
+      select: { quietHoursStart: true, quietHoursEnd: true },
+    });
+
+    result.quietHours = pharmacy?.quietHoursStart && pharmacy?.quietHoursEnd
+      ? { start: pharmacy.quietHoursStart, end: pharmacy.quietHoursEnd }
+      : null;
+    result.digestTime = config.notifications.digest.time;
+  }
+
+  return result;
+};
+
+/**
+ * Save preferences (only the types given) and, for pharmacies, quiet hours
+ *
+ * @param {string} userId
+ * @param {string} role - JWT role
+ * @param {object} data - { preferences?: [{ type, inApp?, email?, digest? }], quietHours?: { start, end } | null }
+ * @returns {Promise<object>} Same shape as getPreferences
+ * @throws {AppError} 400 unknown type / non-boolean channel / digest not offered / bad quiet hours, 404 no pharmacy
+ */
+export const updatePreferences = async (userId, role, { preferences = [], quietHours } = {}) => {
+  const types = PREFERENCE_TYPES[role] || [];
+
+  if (!Array.isArray(preferences)) {
+    throw new AppError("preferences must be an array", 400);
+  }
+
+  const updates = preferences.map((preference) => {
+    if (!types.includes(preference?.type)) {
+      throw new AppError(`Invalid notification type. Must be one of: ${types.join(", ")}`, 400);
+    }
+
+    const channels = {};
+    for (const channel of CHANNELS) {
+      if (preference[channel] === undefined) continue;
+      if (typeof preference[channel] !== "boolean") {
+        throw new AppError(`${channel} must be true or false`, 400);
+      }
+      channels[channel] = preference[channel];
+    }
+
+    if (channels.digest && (role !== "PHARMACY_ADMIN" || !DIGEST_TYPES.includes(preference.type))) {
+      throw new AppError(`The daily digest doesn't cover ${preference.type}`, 400);
+    }
+
+    return { type: preference.type, channels };
+  });
+
+  let quietHoursUpdate;
+  if (quietHours !== undefined) {
+    if (role !== "PHARMACY_ADMIN") {
+      throw new AppError("Quiet hours are only available to pharmacies", 400);
+    }
+
+    if (quietHours === null) {
+      quietHoursUpdate = { quietHoursStart: null, quietHoursEnd: null };
+    } else {
+      const { start, end } = quietHours;
+      if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || "")) {
+        throw new AppError("Quiet hours must be 24-hour HH:mm times", 400);
+      }
+      if (start === end) {
+        throw new AppError("Quiet hours must start and end at different times", 400);
+      }
+      quietHoursUpdate = { quietHoursStart: start, quietHoursEnd: end };
+    }
+  }
+
+  if (quietHoursUpdate) {
+    const { count } = await prisma.pharmacy.updateMany({ where: { userId }, data: quietHoursUpdate });
+    if (count === 0) {
+      throw new AppError("Pharmacy not found", 404);
+    }
+  }
+
+  await prisma.$transaction(
+    updates.map(({ type, channels }) =>
+      prisma.notificationPreference.upsert({
+        where: { userId_type: { userId, type } },
+        create: { userId, type, ...DEFAULT_CHANNELS, ...channels },
+        update: channels,
+      })
+    )
+  );
+
+  return getPreferences(userId, role);
+};
+
+export default {
+  CHANNELS,
+  PREFERENCE_TYPES,
+  DIGEST_TYPES,
+  isWithinQuietHours,
+  resolveDelivery,
+  getPreferences,
+  updatePreferences,
+};
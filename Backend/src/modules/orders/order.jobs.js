@@ -0,0 +1,70 @@
+/**
+ * Order Jobs - Background work for the order module
+ *
+ * Reservation expiry: pending orders hold their stock for
+ * config.orders.reservationTtlMinutes. Once that passes without the pharmacy
+ * accepting, the order is cancelled, its stock released and the patient notified.
+ */
+
+import config from "../../config/environment.js";
+import logger from "../../utils/logger.js";
+import notificationService from "../notifications/notification.service.js";
+import { expireStaleReservations } from "./order.service.js";
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * Run one expiry sweep
+ * Skips if the previous sweep is still in progress
+ */
+const sweepExpiredReservations = async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const expired = await expireStaleReservations();
+
+    for (const order of expired) {
+      try {
+        await notificationService.notifyOrderStatusChange(order, "cancelled");
+      } catch (notificationError) {
+        console.error("[ORDERS] Failed to send reservation expiry notification:", notificationError.message);
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info("ORDERS", `[RESERVATION_EXPIRY] Cancelled ${expired.length} stale order(s)`);
+    }
+  } catch (error) {
+    logger.error("ORDERS", `[RESERVATION_EXPIRY] Sweep failed: ${error.message}`, error);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+/**
+ * Start the reservation expiry job (idempotent)
+ */
+export const startOrderJobs = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(sweepExpiredReservations, config.orders.reservationSweepIntervalMs);
+  // Don't keep the process alive just for this timer
+  sweepTimer.unref();
+};
+
+/**
+ * Stop the reservation expiry job (used on shutdown)
+ */
+export const stopOrderJobs = () => {
+  if (!sweepTimer) return;
+
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+export default {
+  startOrderJobs,
+  stopOrderJobs,
+};
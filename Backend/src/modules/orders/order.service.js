@@ -0,0 +1,523 @@
+/**
+ * Order Service - Business logic for patient orders
+ * Handles order placement against pharmacy inventory
+ *
+ * Flow:
+ * 1. Patient picks inventory items from search results (one pharmacy per order)
+ * 2. Order is created as "pending" with name/price snapshotted per line item,
+ *    and its stock is reserved on each inventory row (Inventory.reservedQuantity)
+ * 3. Pharmacy confirms → reservation is held until fulfilment
+ * 4. Pharmacy moves the order on (ready_for_pickup / out_for_delivery → delivered)
+ *    Delivery commits the reservation: the units are drawn from the item's
+ *    batches first-expiry-first-out (inventory.service drawStock), and items
+ *    it brings to their reorder level alert the pharmacy once the status
+ *    change has committed (low-stock.service.js)
+ * 5. Cancellation or rejection releases the reservation; so does the expiry job
+ *    for pending orders the pharmacy never acted on (reservationExpiresAt)
+ *
+ * Every status change goes through applyTransition(), which enforces
+ * ORDER_TRANSITIONS and writes an OrderStatusHistory row.
+ *
+ * Prescription-only (Rx) items: the order must be placed with a prescription
+ * attached, and the pharmacy cannot accept or dispense it until that
+ * prescription has been reviewed as VALID (see prescription.service.js).
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import config from "../../config/environment.js";
+import { isPrescriptionCleared } from "../prescriptions/prescription.service.js";
+import { drawStock, getSellableQuantity } from "../inventory/inventory.service.js";
+import { alertLowStock } from "../inventory/low-stock.service.js";
+
+/**
+ * Allowed status transitions (from → [to])
+ * delivered, cancelled and rejected are terminal
+ */
+export const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "rejected", "cancelled"],
+  confirmed: ["ready_for_pickup", "out_for_delivery", "cancelled"],
+  ready_for_pickup: ["delivered", "cancelled"],
+  out_for_delivery: ["delivered", "cancelled"],
+  delivered: [],
+  cancelled: [],
+  rejected: [],
+};
+
+// Terminal statuses that give reserved stock back to inventory
+const RELEASING_STATUSES = ["cancelled", "rejected"];
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Relations returned with every order
+const ORDER_INCLUDE = {
+  items: {
+    orderBy: { createdAt: "asc" },
+  },
+  pharmacy: {
+    select: {
+      id: true,
+      pharmacyName: true,
+      address: true,
+      contactNumber: true,
+    },
+  },
+};
+
+/**
+ * Validate and normalise the requested line items
+ * Duplicate inventory IDs are merged into a single line
+ *
+ * @param {array} items - [{ inventoryId, quantity }]
+ * @returns {Map<string, number>} inventoryId → quantity
+ */
+const normaliseItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError("Order must contain at least one item", 400);
+  }
+
+  const quantities = new Map();
+
+  for (const item of items) {
+    const quantity = parseInt(item?.quantity);
+
+    if (!item?.inventoryId || typeof item.inventoryId !== "string") {
+      throw new AppError("Each item requires an inventoryId", 400);
+    }
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new AppError("Item quantity must be a positive whole number", 400);
+    }
+
+    quantities.set(item.inventoryId, (quantities.get(item.inventoryId) || 0) + quantity);
+  }
+
+  return quantities;
+};
+
+/**
+ * Check whether a value is a known order status
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isValidOrderStatus = (status) =>
+  Object.prototype.hasOwnProperty.call(ORDER_TRANSITIONS, status);
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export const canTransition = (fromStatus, toStatus) =>
+  (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+/**
+ * Reserve stock for one line item
+ * A single conditional UPDATE, so two concurrent orders cannot both take the last units.
+ * Only unexpired batches count towards what can be reserved
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {string} inventoryId - Inventory row to reserve from
+ * @param {number} quantity - Units to reserve
+ * @returns {Promise<boolean>} false when not enough unreserved stock is left
+ */
+const reserveStock = async (tx, inventoryId, quantity) => {
+  const updated = await tx.$executeRaw`
+    UPDATE "Inventory" AS i
+    SET "reservedQuantity" = i."reservedQuantity" + ${quantity}, "updatedAt" = NOW()
+    WHERE i."id" = ${inventoryId}
+      AND (
+        SELECT COALESCE(SUM(b."quantity"), 0)
+        FROM "InventoryBatch" AS b
+        WHERE b."inventoryId" = i."id" AND b."expiryDate" > NOW()
+      ) - i."reservedQuantity" >= ${quantity}
+  `;
+
+  return updated > 0;
+};
+
+/**
+ * Give an order's reserved units back to inventory
+ * Deleted inventory rows (inventoryId = null) are skipped
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} order - Order including items
+ */
+const releaseReservation = async (tx, order) => {
+  for (const item of order.items) {
+    if (!item.inventoryId) continue;
+
+    await tx.inventory.updateMany({
+      where: { id: item.inventoryId, reservedQuantity: { gte: item.quantity } },
+      data: { reservedQuantity: { decrement: item.quantity } },
+    });
+  }
+};
+
+/**
+ * Move an order to a new status inside a transaction
+ * Commits or releases reserved stock, stamps lifecycle timestamps and records history
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} order - Current order including items
+ * @param {string} toStatus - Target status
+ * @param {object} options - { changedBy?, note?, lowStock? }
+ *   lowStock: array that collects the inventory items delivery drew stock from,
+ *   for alertLowStock once the transaction commits
+ * @returns {Promise<object>} Updated order with items and pharmacy
+ */
+const applyTransition = async (tx, order, toStatus, { changedBy = null, note = null, lowStock = [] } = {}) => {
+  if (!canTransition(order.status, toStatus)) {
+    throw new AppError(`Order cannot move from ${order.status} to ${toStatus}`, 409);
+  }
+
+  // Rx-only items are never dispensed against an unverified prescription
+  const dispensing = !RELEASING_STATUSES.includes(toStatus);
+  if (dispensing && order.items.some((item) => item.requiresPrescription) && !isPrescriptionCleared(order)) {
+    throw new AppError("This order contains prescription-only medicines. Mark the prescription as valid first", 409);
+  }
+
+  if (toStatus === "delivered") {
+    for (const item of order.items) {
+      if (!item.inventoryId) continue;
+
+      // Commit the reservation: the units leave the shelf, soonest expiry first
+      const drawn = await drawStock(tx, item.inventoryId, item.quantity, {
+        reserved: true,
+        type: "SALE",
+        reason: "Order delivered",
+        referenceId: order.id,
+        userId: changedBy,
+      });
+
+      if (!drawn) {
+        throw new AppError(`Stock for ${item.medicineName} no longer covers this order`, 409);
+      }
+
+      lowStock.push(drawn.item);
+    }
+  }
+
+  if (RELEASING_STATUSES.includes(toStatus)) {
+    await releaseReservation(tx, order);
+  }
+
+  // Only pending orders time out; once accepted the reservation is held until fulfilment
+  const data = { status: toStatus, reservationExpiresAt: null };
+  if (toStatus === "confirmed") data.confirmedAt = new Date();
+  if (toStatus === "cancelled") data.cancelledAt = new Date();
+  if (toStatus === "delivered") data.deliveredAt = new Date();
+
+  // Guard on the status we read so concurrent transitions cannot both win
+  const result = await tx.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data,
+  });
+
+  if (result.count === 0) {
+    throw new AppError("Order was updated by someone else, please refresh and try again", 409);
+  }
+
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus,
+      changedBy,
+      note: note?.trim() || null,
+    },
+  });
+
+  return tx.order.findUnique({
+    where: { id: order.id },
+    include: ORDER_INCLUDE,
+  });
+};
+
+/**
+ * Place a new order for a patient
+ * All items must come from the same verified pharmacy
+ *
+ * @param {string} patientId - ID of the ordering patient
+ * @param {object} orderData - { pharmacyId?, items: [{ inventoryId, quantity }], notes?, prescriptionId? }
+ * @returns {Promise<object>} Created order with items and pharmacy
+ */
+export const createOrder = async (patientId, orderData) => {
+  const { pharmacyId, items, notes, prescriptionId } = orderData || {};
+  const quantities = normaliseItems(items);
+
+  // Prescription from the patient's records, sent to the pharmacist review queue
+  // Optional unless the order contains Rx-only items
+  let prescription = null;
+  if (prescriptionId) {
+    prescription = await prisma.prescription.findUnique({ where: { id: prescriptionId } });
+
+    if (!prescription || prescription.patientId !== patientId) {
+      throw new AppError("Prescription not found", 404);
+    }
+
+    if (!prescription.documentUrl) {
+      throw new AppError("Prescription has no document attached", 400);
+    }
+  }
+
+  const now = new Date();
+  const inventoryItems = await prisma.inventory.findMany({
+    where: { id: { in: [...quantities.keys()] } },
+    include: {
+      batches: {
+        where: { quantity: { gt: 0 } },
+        select: { quantity: true, expiryDate: true },
+      },
+      pharmacy: {
+        select: { id: true, pharmacyName: true, verificationStatus: true },
+      },
+    },
+  });
+
+  if (inventoryItems.length !== quantities.size) {
+    throw new AppError("One or more items are no longer available", 404);
+  }
+
+  const pharmacyIds = new Set(inventoryItems.map((item) => item.pharmacyId));
+  if (pharmacyIds.size > 1) {
+    throw new AppError("All items in an order must come from the same pharmacy", 400);
+  }
+
+  const pharmacy = inventoryItems[0].pharmacy;
+
+  if (pharmacyId && pharmacyId !== pharmacy.id) {
+    throw new AppError("Items do not belong to the selected pharmacy", 400);
+  }
+
+  if (pharmacy.verificationStatus !== "VERIFIED") {
+    throw new AppError("This pharmacy is not accepting orders", 400);
+  }
+
+  const lineItems = inventoryItems.map((item) => {
+    const quantity = quantities.get(item.id);
+
+    const sellable = getSellableQuantity(item.batches, now);
+
+    // Stock on the shelf, but all of it past its expiry
+    if (item.batches.length > 0 && sellable === 0) {
+      throw new AppError(`${item.name} has expired and cannot be ordered`, 400);
+    }
+
+    const available = sellable - item.reservedQuantity;
+    if (available < quantity) {
+      throw new AppError(
+        `Only ${Math.max(available, 0)} unit${available !== 1 ? "s" : ""} of ${item.name} available`,
+        409
+      );
+    }
+
+    if (item.requiresPrescription && !prescription) {
+      throw new AppError(`${item.name} is a prescription-only medicine. Attach a prescription to order it`, 400);
+    }
+
+    return {
+      inventoryId: item.id,
+      medicineName: item.name,
+      genericName: item.genericName,
+      quantity,
+      unitPrice: item.price,
+      lineTotal: Math.round(item.price * quantity * 100) / 100,
+      requiresPrescription: item.requiresPrescription,
+    };
+  });
+
+  const totalAmount = Math.round(lineItems.reduce((sum, line) => sum + line.lineTotal, 0) * 100) / 100;
+
+  const reservationExpiresAt = new Date(now.getTime() + config.orders.reservationTtlMinutes * 60 * 1000);
+
+  // Reserve every line and create the order atomically; a lost race rolls everything back
+  return prisma.$transaction(async (tx) => {
+    for (const line of lineItems) {
+      const reserved = await reserveStock(tx, line.inventoryId, line.quantity);
+      if (!reserved) {
+        throw new AppError(`${line.medicineName} was just reserved by another order, please review the quantity`, 409);
+      }
+    }
+
+    return tx.order.create({
+      data: {
+        patientId,
+        pharmacyId: pharmacy.id,
+        status: "pending",
+        totalAmount,
+        notes: notes?.trim() || null,
+        prescriptionId: prescription?.id || null,
+        prescriptionUrl: prescription?.documentUrl || null,
+        prescriptionStatus: prescription ? "PENDING" : null,
+        reservationExpiresAt,
+        items: {
+          create: lineItems,
+        },
+        statusHistory: {
+          create: { toStatus: "pending", changedBy: patientId },
+        },
+      },
+      include: ORDER_INCLUDE,
+    });
+  });
+};
+
+/**
+ * Get a patient's orders, newest first
+ *
+ * @param {string} patientId - ID of the patient
+ * @param {object} filters - { status?, limit? (1 to MAX_PAGE_SIZE, default 10) }
+ * @returns {Promise<array>} Orders with items and pharmacy
+ */
+export const getPatientOrders = async (patientId, filters = {}) => {
+  const where = { patientId };
+  if (filters.status && filters.status !== "all") {
+    if (!isValidOrderStatus(filters.status)) {
+      throw new AppError(`Invalid order status: ${filters.status}`, 400);
+    }
+    where.status = filters.status;
+  }
+
+  return prisma.order.findMany({
+    where,
+    include: ORDER_INCLUDE,
+    orderBy: { createdAt: "desc" },
+    take: Math.min(Math.max(parseInt(filters.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+  });
+};
+
+/**
+ * Get a single order owned by the patient
+ *
+ * @param {string} orderId - ID of the order
+ * @param {string} patientId - ID of the patient (ownership check)
+ * @returns {Promise<object>} Order with items and pharmacy
+ */
+export const getPatientOrderById = async (orderId, patientId) => {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: ORDER_INCLUDE,
+  });
+
+  if (!order || order.patientId !== patientId) {
+    throw new AppError("Order not found", 404);
+  }
+
+  return order;
+};
+
+/**
+ * Cancel a pending order on behalf of the patient
+ * Once the pharmacy has accepted it only the pharmacy can cancel (its stock stays
+ * reserved until then)
+ *
+ * @param {string} orderId - ID of the order
+ * @param {string} patientId - ID of the patient (ownership check)
+ * @returns {Promise<object>} Cancelled order
+ */
+export const cancelOrder = async (orderId, patientId) => {
+  return prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { items: true },
+    });
+
+    if (!order || order.patientId !== patientId) {
+      throw new AppError("Order not found", 404);
+    }
+
+    if (order.status !== "pending") {
+      throw new AppError(`Order cannot be cancelled once it is ${order.status.replace(/_/g, " ")}`, 409);
+    }
+
+    return applyTransition(tx, order, "cancelled", { changedBy: patientId });
+  });
+};
+
+/**
+ * Update the status of one of the pharmacy's orders
+ * Delivering commits the reserved stock; cancelling or rejecting releases it
+ *
+ * @param {string} orderId - ID of the order
+ * @param {string} pharmacyId - ID of the pharmacy (ownership check)
+ * @param {string} status - Target status
+ * @param {object} options - { changedBy?, note? }
+ * @returns {Promise<object>} Updated order with items and pharmacy
+ */
+export const updateOrderStatus = async (orderId, pharmacyId, status, options = {}) => {
+  if (!isValidOrderStatus(status)) {
+    throw new AppError(
+      `Invalid order status. Must be one of: ${Object.keys(ORDER_TRANSITIONS).join(", ")}`,
+      400
+    );
+  }
+
+  const lowStock = [];
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      include: { items: true },
+    });
+
+    if (!order || order.pharmacyId !== pharmacyId) {
+      throw new AppError("Order not found", 404);
+    }
+
+    return applyTransition(tx, order, status, { ...options, lowStock });
+  });
+
+  alertLowStock(lowStock);
+
+  return updated;
+};
+
+/**
+ * Cancel pending orders whose reservation has expired and release their stock
+ * Called periodically by the reservation expiry job (order.jobs.js)
+ *
+ * @returns {Promise<array>} Orders that were expired
+ */
+export const expireStaleReservations = async () => {
+  const staleOrders = await prisma.order.findMany({
+    where: {
+      status: "pending",
+      reservationExpiresAt: { lt: new Date() },
+    },
+    include: { items: true },
+    take: 100,
+  });
+
+  const expired = [];
+
+  for (const order of staleOrders) {
+    try {
+      const updated = await prisma.$transaction((tx) =>
+        applyTransition(tx, order, "cancelled", {
+          note: "Reservation expired before the pharmacy responded",
+        })
+      );
+      expired.push(updated);
+    } catch (error) {
+      // Lost a race with the pharmacy or patient acting on the order; nothing to expire
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+
+  return expired;
+};
+
+export default {
+  ORDER_TRANSITIONS,
+  isValidOrderStatus,
+  canTransition,
+  createOrder,
+  getPatientOrders,
+  getPatientOrderById,
+  cancelOrder,
+  updateOrderStatus,
+  expireStaleReservations,
+};
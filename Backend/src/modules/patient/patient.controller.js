@@ -6,6 +6,12 @@
 import { prisma } from "../../database/prisma.js";
 import logger from "../../utils/logger.js";
 import { createLog, LOG_ACTIONS } from "../../utils/activityLogger.js";
+import orderService from "../orders/order.service.js";
+import prescriptionService from "../prescriptions/prescription.service.js";
+import notificationService from "../notifications/notification.service.js";
+import medicationService from "../medications/medication.service.js";
+import interactionService from "../medications/interaction.service.js";
+import sosService from "../sos/sos.service.js";
 
 /**
  * Get patient dashboard data
@@ -24,11 +30,7 @@ export const getDashboard = async (req, res) => {
 
   try {
     // Get patient orders (recent 5)
-    const orders = await prisma.order.findMany({
-      where: { patientId },
-      take: 5,
-      orderBy: { createdAt: 'desc' },
-    });
+    const orders = await orderService.getPatientOrders(patientId, { limit: 5 });
 
     // Get prescriptions count
     const prescriptionsCount = await prisma.prescription.count({
@@ -43,6 +45,9 @@ export const getDashboard = async (req, res) => {
       }
     });
 
+    // Dose adherence over the last week (percentage is null with no scheduled doses)
+    const adherence = await medicationService.getAdherence(patientId, 7);
+
     const responseTime = Date.now() - startTime;
     logger.success(`[PATIENT] Dashboard loaded for patient ${patientId}`, {
       userId: patientId,
@@ -57,6 +62,7 @@ export const getDashboard = async (req, res) => {
           totalOrders: orders.length,
           prescriptions: prescriptionsCount,
           medications: medicationsCount,
+          adherence,
         }
       },
       message: "Dashboard data retrieved successfully"
@@ -195,16 +201,7 @@ export const getOrders = async (req, res) => {
   }
 
   try {
-    const whereClause = { patientId };
-    if (status) {
-      whereClause.status = status;
-    }
-
-    const orders = await prisma.order.findMany({
-      where: whereClause,
-      take: parseInt(limit) || 10,
-      orderBy: { createdAt: 'desc' },
-    });
+    const orders = await orderService.getPatientOrders(patientId, { limit, status });
 
     logger.info("[PATIENT] Orders retrieved", { userId: patientId, count: orders.length });
 
@@ -216,15 +213,148 @@ export const getOrders = async (req, res) => {
   } catch (error) {
     console.error('[PATIENT] Get orders error:', error.message, error.stack);
     logger.error("[PATIENT] Get orders error", { error: error.message, userId: patientId });
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to get orders",
+      message: error.statusCode ? error.message : "Failed to get orders",
       data: { orders: [] },
       error: process.env.NODE_ENV === "development" ? error.message : undefined
     });
   }
 };
 
+/**
+ * Place a new order
+ * Body: { pharmacyId?, items: [{ inventoryId, quantity }], notes? }
+ */
+export const createOrder = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const order = await orderService.createOrder(patientId, req.body);
+
+    await createLog(
+      patientId,
+      LOG_ACTIONS.ORDER_CREATED,
+      `Order ${order.id} placed with ${order.pharmacy?.pharmacyName} (${order.items.length} items, Rs ${order.totalAmount})`,
+      "ORDER",
+      { orderId: order.id, pharmacyId: order.pharmacyId, totalAmount: order.totalAmount }
+    );
+
+    logger.info("[PATIENT] Order created", { orderId: order.id, userId: patientId });
+
+    // Notify the pharmacy — non-blocking, order is already placed
+    try {
+      await notificationService.notifyNewOrder(order);
+    } catch (notifErr) {
+      console.error("[PATIENT] Failed to notify pharmacy about order:", notifErr.message);
+    }
+
+    // Warn about interactions with the patient's current medications
+    const interactionWarnings = await interactionService.getInteractionWarnings(
+      patientId,
+      order.items.map((item) => ({ name: item.medicineName, genericName: item.genericName }))
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: { order, interactionWarnings },
+      message: "Order placed successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Create order error:', error.message, error.stack);
+    logger.error("[PATIENT] Create order error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to place order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a single order with its line items
+ */
+export const getOrderById = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const order = await orderService.getPatientOrderById(req.params.id, patientId);
+
+    return res.status(200).json({
+      success: true,
+      data: { order },
+      message: "Order retrieved successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Get order error:', error.message, error.stack);
+    logger.error("[PATIENT] Get order error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to get order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cancel a pending order
+ */
+export const cancelOrder = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const order = await orderService.cancelOrder(req.params.id, patientId);
+
+    await createLog(
+      patientId,
+      LOG_ACTIONS.ORDER_CANCELLED,
+      `Order ${order.id} cancelled by patient`,
+      "ORDER",
+      { orderId: order.id, pharmacyId: order.pharmacyId }
+    );
+
+    logger.info("[PATIENT] Order cancelled", { orderId: order.id, userId: patientId });
+
+    return res.status(200).json({
+      success: true,
+      data: { order },
+      message: "Order cancelled successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Cancel order error:', error.message, error.stack);
+    logger.error("[PATIENT] Cancel order error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to cancel order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get patient prescriptions
  */
@@ -240,10 +370,7 @@ export const getPrescriptions = async (req, res) => {
   }
 
   try {
-    const prescriptions = await prisma.prescription.findMany({
-      where: { patientId },
-      orderBy: { createdAt: 'desc' }
-    });
+    const prescriptions = await prescriptionService.getPatientPrescriptions(patientId);
 
     logger.info("[PATIENT] Prescriptions retrieved", { userId: patientId, count: prescriptions.length });
 
@@ -264,8 +391,96 @@ export const getPrescriptions = async (req, res) => {
   }
 };
 
+/**
+ * Upload a prescription document with its details
+ * Expects multipart/form-data with the document in the "file" field
+ */
+export const uploadPrescription = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const prescription = await prescriptionService.createPrescription(patientId, req.body, req.file);
+
+    await createLog(
+      patientId,
+      LOG_ACTIONS.PRESCRIPTION_UPLOADED,
+      `Prescription ${prescription.id} uploaded${prescription.doctorName ? ` (Dr. ${prescription.doctorName})` : ""}`,
+      "USER",
+      { prescriptionId: prescription.id, storageDriver: prescription.storageDriver }
+    );
+
+    logger.info("[PATIENT] Prescription uploaded", { prescriptionId: prescription.id, userId: patientId });
+
+    return res.status(201).json({
+      success: true,
+      data: { prescription },
+      message: "Prescription uploaded successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Upload prescription error:', error.message, error.stack);
+    logger.error("[PATIENT] Upload prescription error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to upload prescription",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a prescription and its stored document
+ */
+export const deletePrescription = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const prescription = await prescriptionService.deletePrescription(req.params.id, patientId);
+
+    await createLog(
+      patientId,
+      LOG_ACTIONS.PRESCRIPTION_DELETED,
+      `Prescription ${prescription.id} deleted`,
+      "USER",
+      { prescriptionId: prescription.id }
+    );
+
+    logger.info("[PATIENT] Prescription deleted", { prescriptionId: prescription.id, userId: patientId });
+
+    return res.status(200).json({
+      success: true,
+      data: { id: prescription.id },
+      message: "Prescription deleted successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Delete prescription error:', error.message, error.stack);
+    logger.error("[PATIENT] Delete prescription error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to delete prescription",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get patient medications
+ * Query: status (active | paused | ended | all)
  */
 export const getMedications = async (req, res) => {
   const patientId = req.user?.userId;
@@ -279,24 +494,23 @@ export const getMedications = async (req, res) => {
   }
 
   try {
-    const medications = await prisma.medication.findMany({
-      where: { patientId },
-      orderBy: { createdAt: 'desc' }
+    const medications = await medicationService.getPatientMedications(patientId, {
+      status: req.query.status,
     });
 
     logger.info("[PATIENT] Medications retrieved", { userId: patientId, count: medications.length });
 
     return res.status(200).json({
       success: true,
-      data: { medications: medications || [] },
+      data: { medications },
       message: "Medications retrieved successfully"
     });
   } catch (error) {
     console.error('[PATIENT] Get medications error:', error.message, error.stack);
     logger.error("[PATIENT] Get medications error", { error: error.message, userId: patientId });
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to get medications",
+      message: error.statusCode ? error.message : "Failed to get medications",
       data: { medications: [] },
       error: process.env.NODE_ENV === "development" ? error.message : undefined
     });
@@ -304,12 +518,13 @@ export const getMedications = async (req, res) => {
 };
 
 /**
- * Submit SOS request
+ * Add a medication
+ * Body: { medicineName, genericName?, dosage?, frequency?, startDate?, endDate?, times?, daysOfWeek?, remindersEnabled? }
  */
-export const submitSOSRequest = async (req, res) => {
+export const createMedication = async (req, res) => {
   const patientId = req.user?.userId;
 
-  // Validate user identity first
+  // Validate user identity
   if (!patientId) {
     return res.status(401).json({
       success: false,
@@ -317,100 +532,47 @@ export const submitSOSRequest = async (req, res) => {
     });
   }
 
-  // Check if req.body exists (multer should populate this)
-  if (!req.body || Object.keys(req.body).length === 0) {
-    return res.status(400).json({
-      success: false,
-      message: "Request body is empty. Please ensure you're sending form data correctly."
-    });
-  }
-
-  const { 
-    medicineName, 
-    genericName, 
-    quantity, 
-    urgencyLevel, 
-    patientName,
-    contactNumber,
-    address,
-    latitude,
-    longitude,
-    additionalNotes,
-    prescriptionRequired
-  } = req.body;
-
   try {
-    // Validate required fields
-    if (!medicineName || !patientName || !contactNumber || !address) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields: medicineName, patientName, contactNumber, address"
-      });
-    }
+    const medication = await medicationService.createMedication(patientId, req.body);
 
-    // Prepare SOS request data
-    const sosData = {
+    await createLog(
       patientId,
-      medicineName,
-      genericName: genericName || null,
-      quantity: parseInt(quantity) || 1,
-      urgencyLevel: urgencyLevel || 'high',
-      patientName,
-      contactNumber,
-      address,
-      latitude: latitude ? parseFloat(latitude) : null,
-      longitude: longitude ? parseFloat(longitude) : null,
-      additionalNotes: additionalNotes || null,
-      prescriptionRequired: prescriptionRequired === 'true' || prescriptionRequired === true,
-      status: 'pending',
-    };
-
-    // Add prescription URL if file was uploaded
-    if (req.file && req.file.path) {
-      sosData.prescriptionUrl = req.file.path;
-    }
-
-    // Create SOS request
-    const sosRequest = await prisma.sOSRequest.create({
-      data: sosData
-    });
+      LOG_ACTIONS.MEDICATION_ADDED,
+      `Medication ${medication.medicineName} added`,
+      "USER",
+      { medicationId: medication.id }
+    );
 
-    logger.info("[PATIENT] SOS request created", { 
-      sosId: sosRequest.id, 
-      userId: patientId,
-      urgency: urgencyLevel,
-      hasPrescription: !!req.file
-    });
+    logger.info("[PATIENT] Medication added", { medicationId: medication.id, userId: patientId });
 
-    // Notify nearby pharmacies about the new SOS request
-    try {
-      const { default: notificationService } = await import("../notifications/notification.service.js");
-      await notificationService.notifyNearbyPharmacies(sosRequest);
-    } catch (notifErr) {
-      console.error("[PATIENT] Failed to notify pharmacies:", notifErr.message);
-      // Non-blocking — SOS is already created
-    }
+    // Warn about interactions with the patient's other medications
+    const interactionWarnings = await interactionService.getInteractionWarnings(
+      patientId,
+      [{ name: medication.medicineName, genericName: medication.genericName }],
+      { excludeMedicationId: medication.id }
+    );
 
     return res.status(201).json({
       success: true,
-      data: { sosRequest },
-      message: "SOS request submitted successfully"
+      data: { medication, interactionWarnings },
+      message: "Medication added successfully"
     });
   } catch (error) {
-    console.error('[PATIENT] SOS request error:', error.message, error.stack);
-    logger.error("[PATIENT] SOS request error", { error: error.message, userId: patientId });
-    return res.status(500).json({
+    console.error('[PATIENT] Create medication error:', error.message, error.stack);
+    logger.error("[PATIENT] Create medication error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to submit SOS request",
+      message: error.statusCode ? error.message : "Failed to add medication",
       error: process.env.NODE_ENV === "development" ? error.message : undefined
     });
   }
 };
 
 /**
- * Get SOS history
+ * Edit a medication's details and/or schedule
+ * Body: any createMedication field
  */
-export const getSOSHistory = async (req, res) => {
+export const updateMedication = async (req, res) => {
   const patientId = req.user?.userId;
 
   // Validate user identity
@@ -422,25 +584,668 @@ export const getSOSHistory = async (req, res) => {
   }
 
   try {
-    const sosRequests = await prisma.sOSRequest.findMany({
-      where: { patientId },
-      orderBy: { createdAt: 'desc' }
-    });
+    const medication = await medicationService.updateMedication(patientId, req.params.id, req.body);
 
-    logger.info("[PATIENT] SOS history retrieved", { userId: patientId, count: sosRequests.length });
+    await createLog(
+      patientId,
+      LOG_ACTIONS.MEDICATION_UPDATED,
+      `Medication ${medication.medicineName} updated`,
+      "USER",
+      { medicationId: medication.id }
+    );
+
+    logger.info("[PATIENT] Medication updated", { medicationId: medication.id, userId: patientId });
 
     return res.status(200).json({
       success: true,
-      data: { sosRequests: sosRequests || [] },
-      message: "SOS history retrieved successfully"
+      data: { medication },
+      message: "Medication updated successfully"
     });
   } catch (error) {
-    console.error('[PATIENT] Get SOS history error:', error.message, error.stack);
-    logger.error("[PATIENT] Get SOS history error", { error: error.message, userId: patientId });
-    return res.status(500).json({
+    console.error('[PATIENT] Update medication error:', error.message, error.stack);
+    logger.error("[PATIENT] Update medication error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to get SOS history",
-      data: { sosRequests: [] },
+      message: error.statusCode ? error.message : "Failed to update medication",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Pause, resume or end a medication
+ * Body: { status: active | paused | ended }
+ */
+export const setMedicationStatus = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const medication = await medicationService.setMedicationStatus(patientId, req.params.id, req.body?.status);
+
+    await createLog(
+      patientId,
+      LOG_ACTIONS.MEDICATION_UPDATED,
+      `Medication ${medication.medicineName} marked ${medication.status}`,
+      "USER",
+      { medicationId: medication.id, status: medication.status }
+    );
+
+    logger.info("[PATIENT] Medication status changed", { medicationId: medication.id, status: medication.status, userId: patientId });
+
+    return res.status(200).json({
+      success: true,
+      data: { medication },
+      message: `Medication ${medication.status}`
+    });
+  } catch (error) {
+    console.error('[PATIENT] Set medication status error:', error.message, error.stack);
+    logger.error("[PATIENT] Set medication status error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to update medication",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a medication and its dose history
+ */
+export const deleteMedication = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const medication = await medicationService.deleteMedication(patientId, req.params.id);
+
+    await createLog(
+      patientId,
+      LOG_ACTIONS.MEDICATION_DELETED,
+      `Medication ${medication.medicineName} deleted`,
+      "USER",
+      { medicationId: medication.id }
+    );
+
+    logger.info("[PATIENT] Medication deleted", { medicationId: medication.id, userId: patientId });
+
+    return res.status(200).json({
+      success: true,
+      message: "Medication deleted successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Delete medication error:', error.message, error.stack);
+    logger.error("[PATIENT] Delete medication error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to delete medication",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Search medicine names for the add-medication form
+ * Query: query (min 2 characters)
+ */
+export const searchMedications = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const medicines = await medicationService.searchMedicineNames(req.query.query);
+
+    return res.status(200).json({
+      success: true,
+      data: { medicines },
+      message: "Medicines retrieved successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Search medications error:', error.message, error.stack);
+    logger.error("[PATIENT] Search medications error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to search medicines",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Suggest medications from delivered orders and accepted SOS requests
+ */
+export const getMedicationSuggestions = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const suggestions = await medicationService.getMedicationSuggestions(patientId);
+
+    return res.status(200).json({
+      success: true,
+      data: { suggestions },
+      message: "Suggestions retrieved successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Get medication suggestions error:', error.message, error.stack);
+    logger.error("[PATIENT] Get medication suggestions error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to get medication suggestions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Check medicines against the patient's active medications for interactions
+ * Body: { medicines: [{ name, genericName?, medicationId? }] } or a single { name, genericName? }
+ */
+export const checkMedicationInteractions = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const medicines = Array.isArray(req.body?.medicines)
+      ? req.body.medicines
+      : [{ name: req.body?.name, genericName: req.body?.genericName }];
+
+    const result = await interactionService.checkInteractions(patientId, medicines, {
+      excludeMedicationId: req.body?.excludeMedicationId,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+      message: result.warnings.length > 0
+        ? `${result.warnings.length} possible interaction(s) found`
+        : "No known interactions found"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Check interactions error:', error.message, error.stack);
+    logger.error("[PATIENT] Check interactions error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to check interactions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Set a medication's dose schedule
+ */
+export const updateMedicationSchedule = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const medication = await medicationService.updateMedicationSchedule(patientId, req.params.id, req.body);
+
+    logger.info("[PATIENT] Medication schedule updated", { medicationId: medication.id, userId: patientId });
+
+    return res.status(200).json({
+      success: true,
+      data: { medication },
+      message: "Medication schedule updated successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Update medication schedule error:', error.message, error.stack);
+    logger.error("[PATIENT] Update medication schedule error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to update medication schedule",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get scheduled doses for a day (default: today)
+ */
+export const getMedicationDoses = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const schedule = await medicationService.getDailyDoses(patientId, req.query.date);
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+      message: "Doses retrieved successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Get medication doses error:', error.message, error.stack);
+    logger.error("[PATIENT] Get medication doses error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to get doses",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark a scheduled dose as taken or skipped
+ */
+export const markMedicationDose = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const dose = await medicationService.markDose(patientId, req.params.id, req.body);
+
+    logger.info("[PATIENT] Dose marked", { doseId: dose.id, status: dose.status, userId: patientId });
+
+    return res.status(200).json({
+      success: true,
+      data: { dose },
+      message: `Dose marked as ${dose.status.toLowerCase()}`
+    });
+  } catch (error) {
+    console.error('[PATIENT] Mark medication dose error:', error.message, error.stack);
+    logger.error("[PATIENT] Mark medication dose error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to mark dose",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get dose adherence over the last N days (default: 7)
+ */
+export const getMedicationAdherence = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const adherence = await medicationService.getAdherence(patientId, req.query.days || 7);
+
+    return res.status(200).json({
+      success: true,
+      data: { adherence },
+      message: "Adherence retrieved successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Get medication adherence error:', error.message, error.stack);
+    logger.error("[PATIENT] Get medication adherence error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to get adherence",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Submit SOS request
+ */
+export const submitSOSRequest = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity first
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  // Check if req.body exists (multer should populate this)
+  if (!req.body || Object.keys(req.body).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Request body is empty. Please ensure you're sending form data correctly."
+    });
+  }
+
+  const { 
+    medicineName, 
+    genericName, 
+    quantity, 
+    urgencyLevel, 
+    patientName,
+    contactNumber,
+    address,
+    latitude,
+    longitude,
+    additionalNotes,
+    prescriptionRequired
+  } = req.body;
+
+  try {
+    // Validate required fields
+    if (!medicineName || !patientName || !contactNumber || !address) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields: medicineName, patientName, contactNumber, address"
+      });
+    }
+
+    // Prepare SOS request data
+    const sosData = {
+      patientId,
+      medicineName,
+      genericName: genericName || null,
+      quantity: parseInt(quantity) || 1,
+      urgencyLevel: urgencyLevel || 'high',
+      patientName,
+      contactNumber,
+      address,
+      latitude: latitude ? parseFloat(latitude) : null,
+      longitude: longitude ? parseFloat(longitude) : null,
+      additionalNotes: additionalNotes || null,
+      prescriptionRequired: prescriptionRequired === 'true' || prescriptionRequired === true,
+      status: 'pending',
+      ...sosService.getInitialEscalation(),
+    };
+
+    // Add prescription URL if file was uploaded
+    // Attached prescriptions wait in the pharmacist review queue
+    if (req.file && req.file.url) {
+      sosData.prescriptionUrl = req.file.url;
+      sosData.prescriptionStatus = "PENDING";
+    }
+
+    // Create SOS request
+    const sosRequest = await prisma.sOSRequest.create({
+      data: sosData
+    });
+
+    logger.info("[PATIENT] SOS request created", { 
+      sosId: sosRequest.id, 
+      userId: patientId,
+      urgency: urgencyLevel,
+      hasPrescription: !!req.file
+    });
+
+    // Alert the nearest pharmacies; the SOS job widens the radius if nobody answers
+    try {
+      await sosService.startSOSAlerts(sosRequest);
+    } catch (notifErr) {
+      console.error("[PATIENT] Failed to notify pharmacies:", notifErr.message);
+      // Non-blocking — SOS is already created
+    }
+
+    // Warn about interactions with the patient's current medications
+    const interactionWarnings = await interactionService.getInteractionWarnings(patientId, [
+      { name: medicineName, genericName },
+    ]);
+
+    let stockAvailability = null;
+    try {
+      stockAvailability = await sosService.getSOSStockAvailability(sosRequest);
+    } catch (stockErr) {
+      console.error("[PATIENT] Failed to check nearby stock for SOS:", stockErr.message);
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: { sosRequest, interactionWarnings, stockAvailability },
+      message: "SOS request submitted successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] SOS request error:', error.message, error.stack);
+    logger.error("[PATIENT] SOS request error", { error: error.message, userId: patientId });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to submit SOS request",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get SOS history
+ * Each request carries acceptedPharmacy ({ pharmacyName, contactNumber, address }) once accepted
+ */
+export const getSOSHistory = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const sosRequests = await sosService.getPatientSOSHistory(patientId);
+
+    logger.info("[PATIENT] SOS history retrieved", { userId: patientId, count: sosRequests.length });
+
+    return res.status(200).json({
+      success: true,
+      data: { sosRequests: sosRequests || [] },
+      message: "SOS history retrieved successfully"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Get SOS history error:', error.message, error.stack);
+    logger.error("[PATIENT] Get SOS history error", { error: error.message, userId: patientId });
+    return res.status(500).json({
+      success: false,
+      message: "Failed to get SOS history",
+      data: { sosRequests: [] },
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Edit a pending SOS request
+ * Body: any of { quantity, contactNumber, address, latitude, longitude, additionalNotes }
+ */
+export const updateSOSRequest = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const { sos, changedFields, locationChanged } = await sosService.updatePendingSOSRequest(
+      req.params.id,
+      patientId,
+      req.body || {}
+    );
+
+    if (changedFields.length > 0) {
+      logger.info("[PATIENT] SOS request updated", { sosId: sos.id, changedFields, userId: patientId });
+
+      try {
+        await notificationService.notifySosUpdated(sos, changedFields);
+
+        // A new location may bring pharmacies inside the current ring that weren't alerted yet
+        if (locationChanged) {
+          await sosService.alertCurrentRing(sos);
+        }
+      } catch (notifErr) {
+        console.error("[PATIENT] Failed to notify pharmacies about SOS update:", notifErr.message);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { sosRequest: sos, changedFields },
+      message: changedFields.length > 0 ? "SOS request updated" : "No changes to save"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Update SOS request error:', error.message, error.stack);
+    logger.error("[PATIENT] Update SOS request error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to update SOS request",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Cancel a pending SOS request
+ * Body: { reason? }
+ */
+export const cancelSOSRequest = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const { sos, repeated } = await sosService.cancelSOSRequest(req.params.id, patientId, req.body?.reason);
+
+    if (!repeated) {
+      logger.info("[PATIENT] SOS request cancelled", { sosId: sos.id, userId: patientId });
+
+      try {
+        await notificationService.notifySosWithdrawn(sos);
+      } catch (notifErr) {
+        console.error("[PATIENT] Failed to notify pharmacies about SOS cancellation:", notifErr.message);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { sosRequest: sos, repeated },
+      message: "SOS request cancelled"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Cancel SOS request error:', error.message, error.stack);
+    logger.error("[PATIENT] Cancel SOS request error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to cancel SOS request",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Confirm receipt of (received) or report a problem with (failed) an accepted SOS request
+ * Body: { action: "received" | "failed", reason? (required for failed) }
+ */
+export const updateSOSFulfilment = async (req, res) => {
+  const patientId = req.user?.userId;
+
+  // Validate user identity
+  if (!patientId) {
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required"
+    });
+  }
+
+  try {
+    const { action, reason } = req.body || {};
+    const { sos, repeated } = await sosService.advanceSOSFulfilment(
+      req.params.id,
+      { role: "PATIENT", patientId },
+      action,
+      { reason }
+    );
+
+    if (!repeated) {
+      logger.info("[PATIENT] SOS fulfilment updated", { sosId: sos.id, action, status: sos.status, userId: patientId });
+
+      try {
+        const pharmacy = await prisma.pharmacy.findUnique({
+          where: { id: sos.acceptedBy },
+          select: { userId: true, pharmacyName: true },
+        });
+        await notificationService.notifySosFulfilment(sos, action, { role: "PATIENT", pharmacy });
+      } catch (notifErr) {
+        console.error("[PATIENT] Failed to notify pharmacy about SOS fulfilment:", notifErr.message);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: { sos, repeated },
+      message: sos.status === "completed"
+        ? "SOS request completed"
+        : action === "failed" ? "Problem reported to the pharmacy" : "Receipt confirmed"
+    });
+  } catch (error) {
+    console.error('[PATIENT] Update SOS fulfilment error:', error.message, error.stack);
+    logger.error("[PATIENT] Update SOS fulfilment error", { error: error.message, userId: patientId });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to update SOS request",
       error: process.env.NODE_ENV === "development" ? error.message : undefined
     });
   }
@@ -6,7 +6,11 @@
 import express from "express";
 import { authenticate } from "../../middlewares/auth.js";
 import { requirePatient } from "../../middlewares/roleCheck.js";
-import { uploadPrescription } from "../../middlewares/upload.middleware.js";
+import {
+  uploadPrescription,
+  uploadPrescriptionDocument,
+  handleUploadError,
+} from "../../middlewares/upload.middleware.js";
 import * as patientController from "./patient.controller.js";
 
 const router = express.Router();
@@ -43,6 +47,28 @@ router.put("/profile", patientController.updateProfile);
  */
 router.get("/orders", patientController.getOrders);
 
+/**
+ * @route   POST /api/patient/orders
+ * @desc    Place an order for items from one pharmacy's inventory
+ * @access  Private (Patient only)
+ * @body    { pharmacyId?, items: [{ inventoryId, quantity }], notes? }
+ */
+router.post("/orders", patientController.createOrder);
+
+/**
+ * @route   GET /api/patient/orders/:id
+ * @desc    Get a single order with its line items
+ * @access  Private (Patient only)
+ */
+router.get("/orders/:id", patientController.getOrderById);
+
+/**
+ * @route   PUT /api/patient/orders/:id/cancel
+ * @desc    Cancel a pending order
+ * @access  Private (Patient only)
+ */
+router.put("/orders/:id/cancel", patientController.cancelOrder);
+
 /**
  * @route   GET /api/patient/prescriptions
  * @desc    Get patient prescriptions
@@ -50,6 +76,26 @@ router.get("/orders", patientController.getOrders);
  */
 router.get("/prescriptions", patientController.getPrescriptions);
 
+/**
+ * @route   POST /api/patient/prescriptions/upload
+ * @desc    Upload a prescription document (field "file") with doctor/hospital details
+ * @access  Private (Patient only)
+ * @note    PDF, JPG or PNG up to 5MB
+ */
+router.post(
+  "/prescriptions/upload",
+  uploadPrescriptionDocument,
+  handleUploadError,
+  patientController.uploadPrescription
+);
+
+/**
+ * @route   DELETE /api/patient/prescriptions/:id
+ * @desc    Delete a prescription and its stored document
+ * @access  Private (Patient only)
+ */
+router.delete("/prescriptions/:id", patientController.deletePrescription);
+
 /**
  * @route   GET /api/patient/medications
  * @desc    Get patient medications
@@ -57,6 +103,83 @@ router.get("/prescriptions", patientController.getPrescriptions);
  */
 router.get("/medications", patientController.getMedications);
 
+/**
+ * @route   POST /api/patient/medications
+ * @desc    Add a medication (details plus optional schedule)
+ * @access  Private (Patient only)
+ */
+router.post("/medications", patientController.createMedication);
+
+/**
+ * @route   GET /api/patient/medications/search
+ * @desc    Search medicine names to add (?query=)
+ * @access  Private (Patient only)
+ */
+router.get("/medications/search", patientController.searchMedications);
+
+/**
+ * @route   GET /api/patient/medications/suggestions
+ * @desc    Suggest medications from delivered orders and accepted SOS requests
+ * @access  Private (Patient only)
+ */
+router.get("/medications/suggestions", patientController.getMedicationSuggestions);
+
+/**
+ * @route   POST /api/patient/medications/check-interactions
+ * @desc    Check medicines against active medications for drug interactions
+ * @access  Private (Patient only)
+ */
+router.post("/medications/check-interactions", patientController.checkMedicationInteractions);
+
+/**
+ * @route   GET /api/patient/medications/doses
+ * @desc    Get scheduled doses for a day (?date=YYYY-MM-DD, default today)
+ * @access  Private (Patient only)
+ */
+router.get("/medications/doses", patientController.getMedicationDoses);
+
+/**
+ * @route   GET /api/patient/medications/adherence
+ * @desc    Get dose adherence over the last N days (?days=7)
+ * @access  Private (Patient only)
+ */
+router.get("/medications/adherence", patientController.getMedicationAdherence);
+
+/**
+ * @route   PUT /api/patient/medications/:id/schedule
+ * @desc    Set dose times, days of week, start/end dates and reminders
+ * @access  Private (Patient only)
+ */
+router.put("/medications/:id/schedule", patientController.updateMedicationSchedule);
+
+/**
+ * @route   POST /api/patient/medications/:id/doses
+ * @desc    Mark a scheduled dose as taken or skipped
+ * @access  Private (Patient only)
+ */
+router.post("/medications/:id/doses", patientController.markMedicationDose);
+
+/**
+ * @route   PUT /api/patient/medications/:id
+ * @desc    Edit a medication's details and/or schedule
+ * @access  Private (Patient only)
+ */
+router.put("/medications/:id", patientController.updateMedication);
+
+/**
+ * @route   PATCH /api/patient/medications/:id/status
+ * @desc    Pause, resume or end a medication
+ * @access  Private (Patient only)
+ */
+router.patch("/medications/:id/status", patientController.setMedicationStatus);
+
+/**
+ * @route   DELETE /api/patient/medications/:id
+ * @desc    Delete a medication
+ * @access  Private (Patient only)
+ */
+router.delete("/medications/:id", patientController.deleteMedication);
+
 /**
  * @route   POST /api/patient/sos/request
  * @desc    Submit emergency SOS request
@@ -72,4 +195,25 @@ router.post("/sos/request", uploadPrescription, patientController.submitSOSReque
  */
 router.get("/sos/history", patientController.getSOSHistory);
 
+/**
+ * @route   PATCH /api/patient/sos/:id
+ * @desc    Edit quantity, contact number, address or notes of a pending SOS request
+ * @access  Private (Patient only)
+ */
+router.patch("/sos/:id", patientController.updateSOSRequest);
+
+/**
+ * @route   POST /api/patient/sos/:id/cancel
+ * @desc    Cancel a pending SOS request
+ * @access  Private (Patient only)
+ */
+router.post("/sos/:id/cancel", patientController.cancelSOSRequest);
+
+/**
+ * @route   PATCH /api/patient/sos/:id/fulfilment
+ * @desc    Confirm receipt of an accepted SOS request or report that it failed
+ * @access  Private (Patient only)
+ */
+router.patch("/sos/:id/fulfilment", patientController.updateSOSFulfilment);
+
 export default router;
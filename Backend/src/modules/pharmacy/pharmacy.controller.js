@@ -8,6 +8,10 @@ import logger from "../../utils/logger.js";
 import { createLog, LOG_ACTIONS } from "../../utils/activityLogger.js";
 import prisma from "../../database/prisma.js";
 import notificationService from "../notifications/notification.service.js";
+import orderService from "../orders/order.service.js";
+import prescriptionService from "../prescriptions/prescription.service.js";
+import sosService from "../sos/sos.service.js";
+import lowStockService from "../inventory/low-stock.service.js";
 
 /**
  * POST /api/pharmacy/onboard
@@ -30,15 +34,16 @@ export const onboardPharmacy = async (req, res, next) => {
       fileSize: req.file?.size
     });
 
-    // If file was uploaded via Cloudinary, attach the URL
-    if (req.file && req.file.path) {
+    // If file was uploaded, attach the URL
+    if (req.file && req.file.url) {
       logger.debug('PHARMACY', '[ONBOARD] File uploaded successfully', { 
         fileName: req.file.originalname, 
-        cloudinaryUrl: req.file.path,
+        fileUrl: req.file.url,
+        storageDriver: req.file.storageDriver,
         fileSize: req.file.size
       });
-      pharmacyData.licenseDocument = req.file.path; // Cloudinary URL
-      pharmacyData.licenseDocumentPublicId = req.file.filename; // Cloudinary public_id
+      pharmacyData.licenseDocument = req.file.url;
+      pharmacyData.licenseDocumentPublicId = req.file.storageKey;
     } else {
       logger.error('PHARMACY', '[ONBOARD] No file received in request', { 
         hasFile: !!req.file,
@@ -191,6 +196,7 @@ export const verifyPharmacy = async (req, res, next) => {
     const adminUserId = req.user.userId;
 
     const pharmacy = await pharmacyService.verifyPharmacy(id, adminUserId);
+    await notificationService.notifyPharmacyVerification(pharmacy);
 
     res.status(200).json({
       success: true,
@@ -219,6 +225,7 @@ export const rejectPharmacy = async (req, res, next) => {
       adminUserId,
       reason
     );
+    await notificationService.notifyPharmacyVerification(pharmacy);
 
     res.status(200).json({
       success: true,
@@ -249,6 +256,7 @@ export const updatePharmacyStatus = async (req, res, next) => {
       status,
       reason
     );
+    await notificationService.notifyPharmacyVerification(pharmacy);
 
     res.status(200).json({
       success: true,
@@ -426,6 +434,8 @@ function toRad(degrees) {
 /**
  * POST /api/pharmacy/sos/:id/respond
  * Respond to an SOS request (accept or reject)
+ * Only one pharmacy can win an accept (409 for the others); repeating the
+ * same response returns 200 with repeated: true
  * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), Verified pharmacy
  */
 export const respondToSOS = async (req, res, next) => {
@@ -460,17 +470,7 @@ export const respondToSOS = async (req, res, next) => {
 
     // Get the SOS request
     const sosRequest = await prisma.sOSRequest.findUnique({
-      where: { id: sosId },
-      include: {
-        patient: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            phone: true
-          }
-        }
-      }
+      where: { id: sosId }
     });
 
     if (!sosRequest) {
@@ -480,82 +480,72 @@ export const respondToSOS = async (req, res, next) => {
       });
     }
 
-    // Check if already accepted by another pharmacy
-    if (sosRequest.status === 'accepted' && response === 'accepted') {
-      return res.status(400).json({
+    // Rx-only medicines need a prescription this pharmacy's pharmacist has marked valid
+    if (
+      response === 'accepted' &&
+      sosRequest.status === 'pending' &&
+      !(await prescriptionService.isSOSPrescriptionClearedFor(sosRequest, pharmacy.id)) &&
+      await prescriptionService.sosRequiresPrescription(sosRequest, pharmacy.id)
+    ) {
+      return res.status(409).json({
         success: false,
-        message: "This SOS request has already been accepted by another pharmacy"
+        message: sosRequest.prescriptionUrl
+          ? "This medicine requires a prescription. Review the attached prescription and mark it valid before accepting"
+          : "This medicine requires a prescription and the patient has not attached one"
       });
     }
 
-    if (response === 'accepted') {
-      // Accept the SOS request
-      const updatedSOS = await prisma.sOSRequest.update({
-        where: { id: sosId },
-        data: {
-          status: 'accepted',
-          acceptedBy: pharmacy.id,
-          acceptedAt: new Date()
-        },
-        include: {
-          patient: {
-            select: {
-              id: true,
-              name: true,
-              email: true,
-              phone: true
-            }
-          }
-        }
-      });
+    // Atomic claim: 409 if another pharmacy got there first or the request expired
+    const { sos: updatedSOS, repeated } = await sosService.respondToSOSRequest(
+      sosId,
+      pharmacy.id,
+      response,
+      note
+    );
 
-      // Create pharmacy response record
-      await prisma.pharmacyResponse.create({
-        data: {
-          sosId,
+    if (response === 'accepted') {
+      if (!repeated) {
+        logger.info('[PHARMACY] SOS request accepted', {
           pharmacyId: pharmacy.id,
-          response: 'accepted',
-          note: note || 'Medicine available for pickup'
+          sosId,
+          patientId: sosRequest.patientId
+        });
+
+        // Trigger notification to patient
+        try {
+          await notificationService.notifySosStatusChange(
+            sosRequest.patientId,
+            pharmacy.pharmacyName,
+            'accepted',
+            sosRequest.medicineName,
+            sosId
+          );
+          console.log(`[PHARMACY] Notification sent to patient ${sosRequest.patientId}`);
+        } catch (notificationError) {
+          console.error('[PHARMACY] Failed to send SOS acceptance notification:', notificationError);
         }
-      });
 
-      logger.info('[PHARMACY] SOS request accepted', {
-        pharmacyId: pharmacy.id,
-        sosId,
-        patientId: sosRequest.patientId
-      });
-
-      // Trigger notification to patient
-      try {
-        await notificationService.notifySosStatusChange(
-          sosRequest.patientId,
-          pharmacy.pharmacyName,
-          'accepted',
-          sosRequest.medicineName,
-          sosId
-        );
-        console.log(`[PHARMACY] Notification sent to patient ${sosRequest.patientId}`);
-      } catch (notificationError) {
-        console.error('[PHARMACY] Failed to send SOS acceptance notification:', notificationError);
-      }
-
-      // Notify OTHER pharmacies that this SOS has been claimed
-      try {
-        await notificationService.notifySosClaimedByOther(
-          sosId,
-          pharmacy.id,
-          pharmacy.pharmacyName,
-          sosRequest.medicineName
-        );
-      } catch (claimErr) {
-        console.error('[PHARMACY] Failed to send SOS claimed notification:', claimErr.message);
+        // Notify OTHER pharmacies that this SOS has been claimed
+        try {
+          await notificationService.notifySosClaimedByOther(
+            sosId,
+            pharmacy.id,
+            pharmacy.pharmacyName,
+            sosRequest.medicineName
+          );
+        } catch (claimErr) {
+          console.error('[PHARMACY] Failed to send SOS claimed notification:', claimErr.message);
+        }
       }
 
       return res.status(200).json({
         success: true,
-        message: "SOS request accepted successfully. Please contact the patient.",
+        message: repeated
+          ? "You have already accepted this SOS request."
+          : "SOS request accepted successfully. Please contact the patient.",
         data: {
           sos: updatedSOS,
+          repeated,
           pharmacy: {
             id: pharmacy.id,
             name: pharmacy.pharmacyName,
@@ -564,44 +554,139 @@ export const respondToSOS = async (req, res, next) => {
         }
       });
     } else {
-      // Reject the SOS request (only for this pharmacy)
-      await prisma.pharmacyResponse.create({
-        data: {
-          sosId,
+      if (!repeated) {
+        logger.info('[PHARMACY] SOS request rejected', {
           pharmacyId: pharmacy.id,
-          response: 'rejected',
-          note: note || 'Unable to fulfill request'
+          sosId
+        });
+
+        // Trigger notification to patient
+        try {
+          await notificationService.notifySosStatusChange(
+            sosRequest.patientId,
+            pharmacy.pharmacyName,
+            'rejected',
+            sosRequest.medicineName,
+            sosId
+          );
+          console.log(`[PHARMACY] Notification sent to patient ${sosRequest.patientId}`);
+        } catch (notificationError) {
+          console.error('[PHARMACY] Failed to send SOS rejection notification:', notificationError);
+          // Continue despite notification failure
         }
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: repeated
+          ? "You have already rejected this SOS request."
+          : "SOS request rejected. It will remain visible to other pharmacies.",
+        data: { repeated }
+      });
+    }
+  } catch (error) {
+    logger.error('[PHARMACY] Respond to SOS error', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * GET /api/pharmacy/sos/accepted
+ * SOS requests this pharmacy accepted: in progress plus the last week's closed ones
+ * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), Verified pharmacy
+ */
+export const getAcceptedSOS = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const pharmacy = await pharmacyService.getPharmacyByUserId(userId);
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy not found."
+      });
+    }
+
+    if (pharmacy.verificationStatus !== 'VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: "Pharmacy must be verified to view SOS requests"
+      });
+    }
+
+    const sosRequests = await sosService.getPharmacyFulfilments(pharmacy.id);
+
+    res.status(200).json({
+      success: true,
+      data: { sosRequests },
+      message: `Found ${sosRequests.length} accepted SOS requests`
+    });
+  } catch (error) {
+    logger.error('[PHARMACY] getAcceptedSOS error', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/pharmacy/sos/:id/fulfilment
+ * Advance an accepted SOS request: ready | dispatched | handed_over | failed
+ * The request completes once the patient has also confirmed receipt
+ * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), Verified pharmacy
+ */
+export const updateSOSFulfilment = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { id: sosId } = req.params;
+    const { action, reason } = req.body;
+
+    const pharmacy = await pharmacyService.getPharmacyByUserId(userId);
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy not found."
       });
+    }
+
+    if (pharmacy.verificationStatus !== 'VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: "Pharmacy must be verified to update SOS requests"
+      });
+    }
 
-      logger.info('[PHARMACY] SOS request rejected', {
+    const { sos, repeated } = await sosService.advanceSOSFulfilment(
+      sosId,
+      { role: 'PHARMACY', pharmacyId: pharmacy.id, userId },
+      action,
+      { reason }
+    );
+
+    if (!repeated) {
+      logger.info('[PHARMACY] SOS fulfilment updated', {
         pharmacyId: pharmacy.id,
-        sosId
+        sosId,
+        action,
+        status: sos.status
       });
 
-      // Trigger notification to patient
       try {
-        await notificationService.notifySosStatusChange(
-          sosRequest.patientId,
-          pharmacy.pharmacyName,
-          'rejected',
-          sosRequest.medicineName,
-          sosId
-        );
-        console.log(`[PHARMACY] Notification sent to patient ${sosRequest.patientId}`);
+        await notificationService.notifySosFulfilment(sos, action, { role: 'PHARMACY', pharmacy });
       } catch (notificationError) {
-        console.error('[PHARMACY] Failed to send SOS rejection notification:', notificationError);
-        // Continue despite notification failure
+        console.error('[PHARMACY] Failed to send SOS fulfilment notification:', notificationError.message);
       }
-
-      return res.status(200).json({
-        success: true,
-        message: "SOS request rejected. It will remain visible to other pharmacies.",
-        data: null
-      });
     }
+
+    res.status(200).json({
+      success: true,
+      data: { sos, repeated },
+      message: sos.status === 'completed'
+        ? "SOS request completed"
+        : `SOS request marked ${action.replace(/_/g, ' ')}`
+    });
   } catch (error) {
-    logger.error('[PHARMACY] Respond to SOS error', { error: error.message });
+    logger.error('[PHARMACY] updateSOSFulfilment error', { error: error.message });
     next(error);
   }
 };
@@ -704,6 +789,139 @@ export const updateLocation = async (req, res, next) => {
   }
 };
 
+/**
+ * PATCH /api/pharmacy/sos-alerts
+ * Turn SOS alerts for this pharmacy on or off (opt-out of SOS broadcasts)
+ * Body: { enabled: boolean }
+ * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+export const updateSOSAlerts = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { enabled } = req.body;
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "enabled must be true or false"
+      });
+    }
+
+    const pharmacy = await pharmacyService.getPharmacyByUserId(userId);
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy not found"
+      });
+    }
+
+    if (pharmacy.verificationStatus !== 'VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: "Only verified pharmacies can change SOS alert settings"
+      });
+    }
+
+    const updatedPharmacy = await prisma.pharmacy.update({
+      where: { id: pharmacy.id },
+      data: { sosAlertsEnabled: enabled },
+      select: {
+        id: true,
+        pharmacyName: true,
+        sosAlertsEnabled: true
+      }
+    });
+
+    await createLog(
+      userId,
+      LOG_ACTIONS.PHARMACY_UPDATED,
+      `SOS alerts ${enabled ? "enabled" : "disabled"}: ${updatedPharmacy.pharmacyName}`,
+      "PHARMACY",
+      { pharmacyId: pharmacy.id, sosAlertsEnabled: enabled }
+    );
+
+    logger.info('[PHARMACY] SOS alerts updated', {
+      pharmacyId: pharmacy.id,
+      sosAlertsEnabled: enabled
+    });
+
+    res.status(200).json({
+      success: true,
+      message: enabled ? "SOS alerts turned on" : "SOS alerts turned off",
+      data: updatedPharmacy
+    });
+  } catch (error) {
+    logger.error('[PHARMACY] Update SOS alerts error', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/pharmacy/reorder-level
+ * Set the pharmacy's default reorder level: items without their own are low
+ * on stock at or below it (see inventory/low-stock.service.js)
+ * Body: { defaultReorderLevel: number }
+ * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+export const updateReorderLevel = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const defaultReorderLevel = lowStockService.parseReorderLevel(req.body.defaultReorderLevel);
+
+    const pharmacy = await pharmacyService.getPharmacyByUserId(userId);
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy not found"
+      });
+    }
+
+    if (pharmacy.verificationStatus !== 'VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: "Only verified pharmacies can change inventory settings"
+      });
+    }
+
+    const updatedPharmacy = await prisma.pharmacy.update({
+      where: { id: pharmacy.id },
+      data: { defaultReorderLevel },
+      select: {
+        id: true,
+        pharmacyName: true,
+        defaultReorderLevel: true
+      }
+    });
+
+    // Items now above the new level can alert again when they next fall to it
+    await lowStockService.rearmLowStockAlerts(pharmacy.id);
+
+    await createLog(
+      userId,
+      LOG_ACTIONS.PHARMACY_UPDATED,
+      `Default reorder level set to ${defaultReorderLevel}: ${updatedPharmacy.pharmacyName}`,
+      "PHARMACY",
+      { pharmacyId: pharmacy.id, defaultReorderLevel }
+    );
+
+    logger.info('[PHARMACY] Default reorder level updated', {
+      pharmacyId: pharmacy.id,
+      defaultReorderLevel
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Default reorder level updated",
+      data: updatedPharmacy
+    });
+  } catch (error) {
+    logger.error('[PHARMACY] Update reorder level error', { error: error.message });
+    next(error);
+  }
+};
+
 /**
  * GET /api/pharmacy/dashboard-stats
  * Get real-time dashboard statistics for the logged-in pharmacy
@@ -746,27 +964,35 @@ export const getDashboardStats = async (req, res, next) => {
       pendingSOSCount,
       recentInventory,
       stockValueAgg,
+      sosMetrics,
     ] = await Promise.all([
       // 1. Total stock quantity (sum of all quantities)
       prisma.inventory.aggregate({
         where: { pharmacyId },
         _sum: { quantity: true },
       }),
-      // 2. Low stock items (quantity < 10)
-      prisma.inventory.count({
-        where: { pharmacyId, quantity: { gt: 0, lt: 10 } },
-      }),
+      // 2. Low stock items (in stock, at or below their reorder level)
+      lowStockService.lowStockWhere(pharmacyId).then((lowStock) =>
+        prisma.inventory.count({
+          where: { pharmacyId, quantity: { gt: 0 }, ...lowStock },
+        })
+      ),
       // 3. Out of stock items (quantity === 0)
       prisma.inventory.count({
         where: { pharmacyId, quantity: 0 },
       }),
-      // 4. Expiring within 30 days
+      // 4. Items with a batch in stock expiring within 30 days
       prisma.inventory.count({
         where: {
           pharmacyId,
-          expiryDate: {
-            gte: new Date(),
-            lte: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+          batches: {
+            some: {
+              quantity: { gt: 0 },
+              expiryDate: {
+                gte: new Date(),
+                lte: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+              },
+            },
           },
         },
       }),
@@ -782,9 +1008,9 @@ export const getDashboardStats = async (req, res, next) => {
       prisma.order.count({
         where: { pharmacyId, status: 'pending' },
       }),
-      // 8. Fulfilled/delivered orders
+      // 8. Fulfilled (delivered) orders
       prisma.order.count({
-        where: { pharmacyId, status: { in: ['delivered', 'fulfilled', 'confirmed'] } },
+        where: { pharmacyId, status: 'delivered' },
       }),
       // 9. Pending SOS requests (global pending, pharmacy can see nearby)
       prisma.sOSRequest.count({
@@ -801,6 +1027,8 @@ export const getDashboardStats = async (req, res, next) => {
         `SELECT COALESCE(SUM(quantity * price), 0) as "totalValue" FROM "Inventory" WHERE "pharmacyId" = $1`,
         pharmacyId
       ),
+      // 12. SOS fulfilment metrics (last 30 days)
+      sosService.getSOSMetrics(pharmacyId),
     ]);
 
     const totalItems = inventoryAgg._sum.quantity || 0;
@@ -827,6 +1055,7 @@ export const getDashboardStats = async (req, res, next) => {
           fulfilledOrders: fulfilledOrdersCount,
           pendingSOS: pendingSOSCount,
           totalValue: Number(totalValue),
+          sos: sosMetrics,
         },
         inventory: recentInventory,
         pharmacy: {
@@ -871,6 +1100,12 @@ export const getPharmacyOrders = async (req, res, next) => {
 
     const where = { pharmacyId: pharmacy.id };
     if (status && status !== 'all') {
+      if (!orderService.isValidOrderStatus(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid order status: ${status}`
+        });
+      }
       where.status = status;
     }
 
@@ -886,6 +1121,7 @@ export const getPharmacyOrders = async (req, res, next) => {
               phone: true,
             },
           },
+          items: true,
         },
         orderBy: { createdAt: 'desc' },
         skip: (parseInt(page) - 1) * parseInt(limit),
@@ -894,11 +1130,11 @@ export const getPharmacyOrders = async (req, res, next) => {
       prisma.order.count({ where }),
     ]);
 
-    // Calculate revenue from completed orders
+    // Calculate revenue from delivered orders
     const revenueAgg = await prisma.order.aggregate({
       where: {
         pharmacyId: pharmacy.id,
-        status: { in: ['delivered', 'fulfilled', 'confirmed'] },
+        status: 'delivered',
       },
       _sum: { totalAmount: true },
     });
@@ -910,7 +1146,7 @@ export const getPharmacyOrders = async (req, res, next) => {
         stats: {
           total: totalCount,
           pending: await prisma.order.count({ where: { pharmacyId: pharmacy.id, status: 'pending' } }),
-          fulfilled: await prisma.order.count({ where: { pharmacyId: pharmacy.id, status: { in: ['delivered', 'fulfilled', 'confirmed'] } } }),
+          fulfilled: await prisma.order.count({ where: { pharmacyId: pharmacy.id, status: 'delivered' } }),
           revenue: revenueAgg._sum.totalAmount || 0,
         },
         pagination: {
@@ -927,6 +1163,187 @@ export const getPharmacyOrders = async (req, res, next) => {
   }
 };
 
+/**
+ * PATCH /api/pharmacy/orders/:id/status
+ * Move an order through its lifecycle (accept, reject, ready, out for delivery, delivered, cancel)
+ * Illegal transitions are rejected with 409; delivering draws the reserved stock,
+ * cancelling or rejecting releases it
+ * Body: { status, note? }
+ * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+export const updateOrderStatus = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { id: orderId } = req.params;
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: "Status is required"
+      });
+    }
+
+    const pharmacy = await pharmacyService.getPharmacyByUserId(userId);
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy not found."
+      });
+    }
+
+    if (pharmacy.verificationStatus !== 'VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: "Pharmacy must be verified to manage orders"
+      });
+    }
+
+    const order = await orderService.updateOrderStatus(orderId, pharmacy.id, status, {
+      changedBy: userId,
+      note,
+    });
+
+    await createLog(
+      userId,
+      status === 'cancelled' ? LOG_ACTIONS.ORDER_CANCELLED : LOG_ACTIONS.ORDER_UPDATED,
+      `Order ${order.id} marked ${status} by ${pharmacy.pharmacyName}`,
+      "ORDER",
+      { orderId: order.id, pharmacyId: pharmacy.id, status: order.status, note: note || null }
+    );
+
+    logger.info('[PHARMACY] Order status updated', { pharmacyId: pharmacy.id, orderId, status });
+
+    try {
+      await notificationService.notifyOrderStatusChange(order, status);
+    } catch (notificationError) {
+      console.error('[PHARMACY] Failed to send order status notification:', notificationError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Order marked ${status.replace(/_/g, ' ')}`,
+      data: order,
+    });
+  } catch (error) {
+    logger.error('[PHARMACY] updateOrderStatus error', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * GET /api/pharmacy/prescriptions/queue
+ * Prescriptions attached to this pharmacy's orders and the SOS requests it accepted
+ * or was alerted about
+ * Query params: ?status=PENDING|VALID|INVALID|NEEDS_CLARIFICATION|all
+ * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+export const getPrescriptionQueue = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { status } = req.query;
+
+    const pharmacy = await pharmacyService.getPharmacyByUserId(userId);
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy not found."
+      });
+    }
+
+    if (pharmacy.verificationStatus !== 'VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: "Pharmacy must be verified to review prescriptions"
+      });
+    }
+
+    const queue = await prescriptionService.getReviewQueue(pharmacy, { status });
+
+    res.status(200).json({
+      success: true,
+      data: { queue },
+      message: `Found ${queue.length} prescriptions`,
+    });
+  } catch (error) {
+    logger.error('[PHARMACY] getPrescriptionQueue error', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * PATCH /api/pharmacy/prescriptions/:type/:id/review
+ * Mark the prescription attached to an SOS request (type=sos) or order (type=order)
+ * as valid, invalid or needs_clarification
+ * Body: { decision, notes? } — notes required unless valid
+ * Requires: Authentication, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+export const reviewPrescription = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { type, id } = req.params;
+
+    const pharmacy = await pharmacyService.getPharmacyByUserId(userId);
+
+    if (!pharmacy) {
+      return res.status(404).json({
+        success: false,
+        message: "Pharmacy not found."
+      });
+    }
+
+    if (pharmacy.verificationStatus !== 'VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: "Pharmacy must be verified to review prescriptions"
+      });
+    }
+
+    const { review, record } = await prescriptionService.reviewPrescription(
+      type,
+      id,
+      pharmacy,
+      userId,
+      req.body
+    );
+
+    await createLog(
+      userId,
+      LOG_ACTIONS.PRESCRIPTION_REVIEWED,
+      `Prescription on ${type} ${id} marked ${review.status} by ${pharmacy.pharmacyName}`,
+      "PHARMACY",
+      { type, recordId: id, pharmacyId: pharmacy.id, decision: review.status, notes: review.notes }
+    );
+
+    logger.info('[PHARMACY] Prescription reviewed', { pharmacyId: pharmacy.id, type, id, decision: review.status });
+
+    try {
+      await notificationService.notifyPrescriptionReviewed({
+        patientId: record.patientId,
+        type,
+        recordId: id,
+        decision: review.status,
+        notes: review.notes,
+        pharmacyName: pharmacy.pharmacyName,
+        subject: type === "sos" ? record.medicineName : `order #${id.slice(-8)}`,
+      });
+    } catch (notificationError) {
+      console.error('[PHARMACY] Failed to send prescription review notification:', notificationError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Prescription review saved",
+      data: { review, prescriptionStatus: review.status },
+    });
+  } catch (error) {
+    logger.error('[PHARMACY] reviewPrescription error', { error: error.message });
+    next(error);
+  }
+};
+
 export default {
   onboardPharmacy,
   getMyPharmacy,
@@ -939,7 +1356,14 @@ export default {
   resetOnboarding,
   getNearbySOS,
   respondToSOS,
+  getAcceptedSOS,
+  updateSOSFulfilment,
   updateLocation,
+  updateSOSAlerts,
+  updateReorderLevel,
   getDashboardStats,
   getPharmacyOrders,
+  updateOrderStatus,
+  getPrescriptionQueue,
+  reviewPrescription,
 };
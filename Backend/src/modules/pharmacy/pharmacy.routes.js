@@ -93,6 +93,31 @@ router.post(
   pharmacyController.respondToSOS
 );
 
+/**
+ * GET /api/pharmacy/sos/accepted
+ * SOS requests this pharmacy accepted (in progress + last 7 days)
+ * Requires: JWT token, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+router.get(
+  "/pharmacy/sos/accepted",
+  authenticate(),
+  requirePharmacyAdmin,
+  pharmacyController.getAcceptedSOS
+);
+
+/**
+ * PATCH /api/pharmacy/sos/:id/fulfilment
+ * Advance an accepted SOS request
+ * Body: { action: 'ready' | 'dispatched' | 'handed_over' | 'failed', reason?: string (required for failed) }
+ * Requires: JWT token, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+router.patch(
+  "/pharmacy/sos/:id/fulfilment",
+  authenticate(),
+  requirePharmacyAdmin,
+  pharmacyController.updateSOSFulfilment
+);
+
 // ============================================
 // SYSTEM ADMIN ROUTES
 // ============================================
@@ -198,6 +223,46 @@ router.get(
   pharmacyController.getPharmacyOrders
 );
 
+/**
+ * PATCH /api/pharmacy/orders/:id/status
+ * Move an order to its next status; illegal transitions return 409
+ * Body: { status: "confirmed" | "rejected" | "ready_for_pickup" | "out_for_delivery" | "delivered" | "cancelled", note? }
+ * Delivering draws the reserved stock; cancelling or rejecting releases it
+ * Requires: JWT token, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+router.patch(
+  "/pharmacy/orders/:id/status",
+  authenticate(),
+  requirePharmacyAdmin,
+  pharmacyController.updateOrderStatus
+);
+
+/**
+ * GET /api/pharmacy/prescriptions/queue
+ * Prescription review queue (orders + alerted/accepted SOS requests)
+ * Query params: ?status=PENDING
+ * Requires: JWT token, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+router.get(
+  "/pharmacy/prescriptions/queue",
+  authenticate(),
+  requirePharmacyAdmin,
+  pharmacyController.getPrescriptionQueue
+);
+
+/**
+ * PATCH /api/pharmacy/prescriptions/:type/:id/review
+ * Record a decision on an attached prescription (type: sos | order)
+ * Body: { decision: "valid" | "invalid" | "needs_clarification", notes? }
+ * Requires: JWT token, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+router.patch(
+  "/pharmacy/prescriptions/:type/:id/review",
+  authenticate(),
+  requirePharmacyAdmin,
+  pharmacyController.reviewPrescription
+);
+
 /**
  * PATCH /api/pharmacy/update-location
  * Update pharmacy location (latitude, longitude, address)
@@ -210,4 +275,30 @@ router.patch(
   pharmacyController.updateLocation
 );
 
+/**
+ * PATCH /api/pharmacy/sos-alerts
+ * Turn SOS alerts on or off for this pharmacy
+ * Body: { enabled: boolean }
+ * Requires: JWT token, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+router.patch(
+  "/pharmacy/sos-alerts",
+  authenticate(),
+  requirePharmacyAdmin,
+  pharmacyController.updateSOSAlerts
+);
+
+/**
+ * PATCH /api/pharmacy/reorder-level
+ * Set the default reorder level for items without their own
+ * Body: { defaultReorderLevel: number }
+ * Requires: JWT token, roleId=2 (PHARMACY_ADMIN), VERIFIED pharmacy
+ */
+router.patch(
+  "/pharmacy/reorder-level",
+  authenticate(),
+  requirePharmacyAdmin,
+  pharmacyController.updateReorderLevel
+);
+
 export default router;
@@ -0,0 +1,448 @@
+/**
+ * Prescription Service - Business logic for patient prescription records
+ * Documents are stored through the upload middleware's storage driver;
+ * this service records them and cleans up the stored file on delete.
+ *
+ * Pharmacist verification:
+ * - SOS requests and orders with a prescriptionUrl start as prescriptionStatus PENDING
+ * - Verified pharmacies see them in a review queue (their own orders, SOS requests
+ *   they accepted or were alerted about and haven't declined)
+ * - A decision (VALID / INVALID / NEEDS_CLARIFICATION) is stored as a
+ *   PrescriptionReview row. Orders mirror it onto Order.prescriptionStatus
+ * - Every alerted pharmacy reviews a pending SOS request on its own: its latest
+ *   review is its decision. SOSRequest.prescriptionStatus only carries the
+ *   accepting pharmacy's decision (copied at acceptance, updated by its later reviews)
+ * - Rx-only items may only be dispensed once the prescription is VALID
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import { removeStoredFile } from "../../utils/fileStorage.js";
+
+export const REVIEW_DECISIONS = ["VALID", "INVALID", "NEEDS_CLARIFICATION"];
+const REVIEW_STATUSES = ["PENDING", ...REVIEW_DECISIONS];
+
+// Parent records that can no longer be dispensed don't need a review
+const REVIEWABLE_ORDER_STATUSES = ["pending", "confirmed", "ready_for_pickup", "out_for_delivery"];
+const REVIEWABLE_SOS_STATUSES = ["pending", "accepted"];
+
+// Latest decision shown alongside each queue item
+const LATEST_REVIEW = {
+  orderBy: { createdAt: "desc" },
+  take: 1,
+  select: { status: true, notes: true, createdAt: true, pharmacyId: true },
+};
+
+const PATIENT_SELECT = {
+  select: { id: true, name: true, email: true, phone: true },
+};
+
+/**
+ * Trim an optional text field, turning blanks into null
+ */
+const cleanText = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+
+/**
+ * Normalise a comma-separated medication list: "a ,b,, c" → "a, b, c"
+ */
+const cleanMedications = (value) => {
+  const text = cleanText(value);
+  if (!text) return null;
+
+  const names = text.split(",").map((name) => name.trim()).filter(Boolean);
+  return names.length > 0 ? names.join(", ") : null;
+};
+
+/**
+ * Parse an optional date field
+ */
+const parseDate = (value, fieldName) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${fieldName}`, 400);
+  }
+
+  return date;
+};
+
+/**
+ * Best-effort removal of a stored document; failures are logged, not thrown
+ */
+const discardFile = async (storageKey, storageDriver) => {
+  try {
+    await removeStoredFile(storageKey, storageDriver);
+  } catch (error) {
+    console.error("[PRESCRIPTIONS] Failed to remove stored file:", storageKey, error.message);
+  }
+};
+
+/**
+ * Get a patient's prescriptions, newest first
+ *
+ * @param {string} patientId - ID of the patient
+ * @returns {Promise<array>} Prescriptions
+ */
+export const getPatientPrescriptions = async (patientId) => {
+  return prisma.prescription.findMany({
+    where: { patientId },
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+/**
+ * Record an uploaded prescription document
+ * If validation or the insert fails, the already stored file is removed again
+ *
+ * @param {string} patientId - ID of the patient
+ * @param {object} data - { doctorName?, hospitalName?, prescriptionDate?, expiryDate?, medications?, notes? }
+ * @param {object} file - Uploaded multer file (url, storageKey, storageDriver)
+ * @returns {Promise<object>} Created prescription
+ */
+export const createPrescription = async (patientId, data, file) => {
+  if (!file) {
+    throw new AppError("Prescription file is required", 400);
+  }
+
+  try {
+    const issuedDate = parseDate(data?.prescriptionDate, "prescription date");
+    const expiryDate = parseDate(data?.expiryDate, "expiry date");
+
+    if (issuedDate && issuedDate > new Date()) {
+      throw new AppError("Prescription date cannot be in the future", 400);
+    }
+
+    if (issuedDate && expiryDate && expiryDate < issuedDate) {
+      throw new AppError("Expiry date must be after the prescription date", 400);
+    }
+
+    return await prisma.prescription.create({
+      data: {
+        patientId,
+        documentUrl: file.url,
+        storageKey: file.storageKey,
+        storageDriver: file.storageDriver,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        doctorName: cleanText(data?.doctorName),
+        hospitalName: cleanText(data?.hospitalName),
+        medications: cleanMedications(data?.medications),
+        notes: cleanText(data?.notes),
+        issuedDate,
+        expiryDate,
+      },
+    });
+  } catch (error) {
+    await discardFile(file.storageKey, file.storageDriver);
+    throw error;
+  }
+};
+
+/**
+ * Delete one of the patient's prescriptions and its stored document
+ *
+ * @param {string} prescriptionId - ID of the prescription
+ * @param {string} patientId - ID of the patient (ownership check)
+ * @returns {Promise<object>} Deleted prescription
+ */
+export const deletePrescription = async (prescriptionId, patientId) => {
+  const prescription = await prisma.prescription.findUnique({
+    where: { id: prescriptionId },
+  });
+
+  if (!prescription || prescription.patientId !== patientId) {
+    throw new AppError("Prescription not found", 404);
+  }
+
+  await prisma.prescription.delete({
+    where: { id: prescriptionId },
+  });
+
+  // The record is gone either way; a leftover file is only logged
+  await discardFile(prescription.storageKey, prescription.storageDriver);
+
+  return prescription;
+};
+
+/**
+ * Normalise a decision from the API: "needs-clarification" → "NEEDS_CLARIFICATION"
+ */
+const normaliseDecision = (decision) =>
+  String(decision || "").trim().toUpperCase().replace(/[-\s]+/g, "_");
+
+/**
+ * Whether Rx-only items may be dispensed against this SOS request or order
+ * @param {object} record - SOSRequest or Order with prescriptionUrl/prescriptionStatus
+ * @returns {boolean}
+ */
+export const isPrescriptionCleared = (record) =>
+  !!record?.prescriptionUrl && record.prescriptionStatus === "VALID";
+
+/**
+ * A pharmacy's own decision on the prescription attached to an SOS request
+ *
+ * @param {string} sosId - SOS request
+ * @param {string} pharmacyId - Reviewing pharmacy
+ * @param {object} client - Prisma client or transaction (defaults to prisma)
+ * @returns {Promise<string>} Status of its latest review, PENDING when it has none
+ */
+export const getSOSReviewStatus = async (sosId, pharmacyId, client = prisma) => {
+  const review = await client.prescriptionReview.findFirst({
+    where: { sosRequestId: sosId, pharmacyId },
+    orderBy: { createdAt: "desc" },
+    select: { status: true },
+  });
+
+  return review?.status || "PENDING";
+};
+
+/**
+ * Whether a pharmacy has itself marked the prescription on an SOS request VALID
+ * @param {object} sosRequest - SOSRequest (id, prescriptionUrl)
+ * @param {string} pharmacyId - Responding pharmacy
+ * @returns {Promise<boolean>}
+ */
+export const isSOSPrescriptionClearedFor = async (sosRequest, pharmacyId) =>
+  !!sosRequest?.prescriptionUrl &&
+  (await getSOSReviewStatus(sosRequest.id, pharmacyId)) === "VALID";
+
+/**
+ * Whether a pharmacy needs a verified prescription before fulfilling an SOS request
+ * True when the patient flagged it, or the pharmacy stocks the medicine as Rx-only
+ *
+ * @param {object} sosRequest - SOSRequest (medicineName, genericName, prescriptionRequired)
+ * @param {string} pharmacyId - Responding pharmacy
+ * @returns {Promise<boolean>}
+ */
+export const sosRequiresPrescription = async (sosRequest, pharmacyId) => {
+  if (sosRequest.prescriptionRequired) return true;
+
+  const names = [sosRequest.medicineName, sosRequest.genericName].filter(Boolean);
+  const rxItem = await prisma.inventory.findFirst({
+    where: {
+      pharmacyId,
+      requiresPrescription: true,
+      OR: names.flatMap((name) => [
+        { name: { equals: name.trim(), mode: "insensitive" } },
+        { genericName: { equals: name.trim(), mode: "insensitive" } },
+      ]),
+    },
+    select: { id: true },
+  });
+
+  return !!rxItem;
+};
+
+/**
+ * Get the prescription review queue for a verified pharmacy
+ * Oldest submissions first
+ *
+ * SOS items carry the pharmacy's own decision as prescriptionStatus
+ *
+ * @param {object} pharmacy - Reviewing pharmacy (id)
+ * @param {object} filters - { status?: PENDING | VALID | INVALID | NEEDS_CLARIFICATION | all }
+ * @returns {Promise<array>} Queue items: { id, type: "order" | "sos", prescriptionUrl, prescriptionStatus, ... }
+ */
+export const getReviewQueue = async (pharmacy, filters = {}) => {
+  const status = filters.status ? normaliseDecision(filters.status) : "PENDING";
+
+  if (status !== "ALL" && !REVIEW_STATUSES.includes(status)) {
+    throw new AppError(`Invalid review status. Must be one of: ${REVIEW_STATUSES.join(", ")}`, 400);
+  }
+
+  const statusWhere = status === "ALL" ? { not: null } : status;
+
+  const [orders, sosRequests] = await Promise.all([
+    prisma.order.findMany({
+      where: {
+        pharmacyId: pharmacy.id,
+        prescriptionUrl: { not: null },
+        prescriptionStatus: statusWhere,
+        status: { in: REVIEWABLE_ORDER_STATUSES },
+      },
+      include: {
+        patient: PATIENT_SELECT,
+        items: { select: { medicineName: true, quantity: true } },
+        prescription: {
+          select: { doctorName: true, hospitalName: true, medications: true, issuedDate: true },
+        },
+        prescriptionReviews: LATEST_REVIEW,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.sOSRequest.findMany({
+      where: {
+        prescriptionUrl: { not: null },
+        OR: [
+          { acceptedBy: pharmacy.id, status: "accepted" },
+          {
+            status: "pending",
+            alerts: { some: { pharmacyId: pharmacy.id } },
+            pharmacyResponses: { none: { pharmacyId: pharmacy.id, response: "rejected" } },
+          },
+        ],
+      },
+      include: {
+        patient: PATIENT_SELECT,
+        prescriptionReviews: { ...LATEST_REVIEW, where: { pharmacyId: pharmacy.id } },
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  const orderItems = orders.map((order) => ({
+    id: order.id,
+    type: "order",
+    status: order.status,
+    prescriptionUrl: order.prescriptionUrl,
+    prescriptionStatus: order.prescriptionStatus,
+    patient: order.patient,
+    medicines: order.items.map((item) => `${item.medicineName} × ${item.quantity}`),
+    details: order.prescription,
+    latestReview: order.prescriptionReviews[0] || null,
+    createdAt: order.createdAt,
+  }));
+
+  const sosItems = sosRequests
+    .map((sos) => ({
+      id: sos.id,
+      type: "sos",
+      status: sos.status,
+      prescriptionUrl: sos.prescriptionUrl,
+      prescriptionStatus: sos.prescriptionReviews[0]?.status || "PENDING",
+      patient: sos.patient,
+      medicines: [`${sos.medicineName} × ${sos.quantity}`],
+      details: { notes: sos.additionalNotes, urgencyLevel: sos.urgencyLevel },
+      latestReview: sos.prescriptionReviews[0] || null,
+      createdAt: sos.createdAt,
+    }))
+    .filter((item) => status === "ALL" || item.prescriptionStatus === status);
+
+  return [...orderItems, ...sosItems].sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Load an SOS request or order the pharmacy is allowed to review
+ */
+const getReviewableRecord = async (type, id, pharmacy) => {
+  if (type === "order") {
+    const order = await prisma.order.findUnique({ where: { id } });
+
+    if (!order || order.pharmacyId !== pharmacy.id) {
+      throw new AppError("Order not found", 404);
+    }
+
+    if (!REVIEWABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new AppError(`Prescription can no longer be reviewed, order is ${order.status}`, 409);
+    }
+
+    return order;
+  }
+
+  if (type === "sos") {
+    const sos = await prisma.sOSRequest.findUnique({
+      where: { id },
+      include: {
+        pharmacyResponses: { where: { pharmacyId: pharmacy.id }, select: { response: true } },
+        alerts: { where: { pharmacyId: pharmacy.id }, select: { id: true } },
+      },
+    });
+
+    if (!sos) {
+      throw new AppError("SOS request not found", 404);
+    }
+
+    if (!REVIEWABLE_SOS_STATUSES.includes(sos.status)) {
+      throw new AppError(`Prescription can no longer be reviewed, SOS request is ${sos.status}`, 409);
+    }
+
+    if (sos.status === "accepted" && sos.acceptedBy !== pharmacy.id) {
+      throw new AppError("This SOS request was accepted by another pharmacy", 403);
+    }
+
+    if (sos.status === "pending" && sos.alerts.length === 0) {
+      throw new AppError("Your pharmacy was not alerted about this SOS request", 403);
+    }
+
+    if (sos.pharmacyResponses.some((r) => r.response === "rejected")) {
+      throw new AppError("You have already declined this SOS request", 403);
+    }
+
+    return sos;
+  }
+
+  throw new AppError("Review type must be 'sos' or 'order'", 400);
+};
+
+/**
+ * Record a pharmacist's decision on the prescription attached to an SOS request or order
+ *
+ * @param {string} type - "sos" | "order"
+ * @param {string} id - ID of the SOS request or order
+ * @param {object} pharmacy - Reviewing pharmacy
+ * @param {string} reviewerId - User ID of the pharmacist
+ * @param {object} reviewData - { decision: valid | invalid | needs_clarification, notes? }
+ * @returns {Promise<object>} { review, record }
+ */
+export const reviewPrescription = async (type, id, pharmacy, reviewerId, reviewData = {}) => {
+  const decision = normaliseDecision(reviewData.decision);
+  const notes = cleanText(reviewData.notes);
+
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    throw new AppError("Decision must be one of: valid, invalid, needs_clarification", 400);
+  }
+
+  // The patient needs to know what is wrong
+  if (decision !== "VALID" && !notes) {
+    throw new AppError("Notes are required when a prescription is invalid or needs clarification", 400);
+  }
+
+  const record = await getReviewableRecord(type, id, pharmacy);
+
+  if (!record.prescriptionUrl) {
+    throw new AppError("No prescription is attached", 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const review = await tx.prescriptionReview.create({
+      data: {
+        sosRequestId: type === "sos" ? id : null,
+        orderId: type === "order" ? id : null,
+        pharmacyId: pharmacy.id,
+        reviewedBy: reviewerId,
+        status: decision,
+        notes,
+      },
+    });
+
+    if (type === "order") {
+      const updated = await tx.order.update({
+        where: { id },
+        data: { prescriptionStatus: decision },
+      });
+      return { review, record: updated };
+    }
+
+    // Only the accepting pharmacy's decision is the request's; other reviews stay per pharmacy
+    await tx.sOSRequest.updateMany({
+      where: { id, status: "accepted", acceptedBy: pharmacy.id },
+      data: { prescriptionStatus: decision },
+    });
+
+    return { review, record };
+  });
+};
+
+export default {
+  REVIEW_DECISIONS,
+  getPatientPrescriptions,
+  createPrescription,
+  deletePrescription,
+  isPrescriptionCleared,
+  getSOSReviewStatus,
+  isSOSPrescriptionClearedFor,
+  sosRequiresPrescription,
+  getReviewQueue,
+  reviewPrescription,
+};
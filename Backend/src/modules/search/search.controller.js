@@ -37,6 +37,7 @@ class SearchController {
    *       "price": 50,
    *       "quantity": 100,
    *       "inStock": true,
+   *       "requiresPrescription": false,
    *       "pharmacy": {
    *         "id": "uuid",
    *         "name": "City Meds",
@@ -6,11 +6,20 @@
  * - Calculate distance from user to pharmacies
  * - Sort results by proximity
  * - Filter out of stock items (optional)
+ *
+ * Stock is summed over each item's unexpired batches, less what open orders
+ * have reserved; expiryDate is the soonest of those batches' expiry.
  */
 
 import { prisma } from "../../database/prisma.js";
 import { calculateDistance, formatDistance } from "../../utils/distance.js";
 import { NotFoundError, BadRequestError } from "../../utils/errors.js";
+import { getSellableQuantity } from "../inventory/inventory.service.js";
+
+/**
+ * Batch filter for stock that can be sold right now
+ */
+const sellableBatches = (now) => ({ quantity: { gt: 0 }, expiryDate: { gt: now } });
 
 class SearchService {
   /**
@@ -72,6 +81,7 @@ class SearchService {
     }
 
     // Build Prisma query
+    const now = new Date();
     const whereClause = {
       OR: [
         {
@@ -87,8 +97,8 @@ class SearchService {
           },
         },
       ],
-      // Optionally filter out out-of-stock items
-      ...(includeOutOfStock ? {} : { quantity: { gt: 0 } }),
+      // Optionally filter out out-of-stock items (nothing unexpired on the shelf)
+      ...(includeOutOfStock ? {} : { batches: { some: sellableBatches(now) } }),
       // Only include inventory from verified pharmacies
       // Note: latitude and longitude are required Float fields in Pharmacy model
       // so they can never be null and don't need explicit filtering
@@ -101,6 +111,11 @@ class SearchService {
     const inventoryItems = await prisma.inventory.findMany({
       where: whereClause,
       include: {
+        batches: {
+          where: sellableBatches(now),
+          select: { quantity: true, expiryDate: true },
+          orderBy: { expiryDate: "asc" },
+        },
         pharmacy: {
           select: {
             id: true,
@@ -128,25 +143,36 @@ class SearchService {
     console.log('[SEARCH SERVICE AUDIT] Inventory items matching query "' + searchTerm + '": ' + inventoryItems.length);
 
     // Format results
-    let results = inventoryItems.map((item) => ({
-      id: item.id,
-      medicine: item.name,
-      genericName: item.genericName,
-      price: item.price,
-      quantity: item.quantity,
-      expiryDate: item.expiryDate,
-      inStock: item.quantity > 0,
-      pharmacy: {
-        id: item.pharmacy.id,
-        name: item.pharmacy.pharmacyName,
-        address: item.pharmacy.address,
-        contactNumber: item.pharmacy.contactNumber,
-        location: {
-          lat: item.pharmacy.latitude,
-          lng: item.pharmacy.longitude,
+    // Stock held by open orders is not available to new customers
+    const formatResult = (item) => {
+      const available = Math.max(getSellableQuantity(item.batches, now) - item.reservedQuantity, 0);
+      return {
+        id: item.id,
+        medicine: item.name,
+        genericName: item.genericName,
+        price: item.price,
+        quantity: available,
+        expiryDate: item.batches[0]?.expiryDate || null,
+        inStock: available > 0,
+        requiresPrescription: item.requiresPrescription,
+        pharmacy: {
+          id: item.pharmacy.id,
+          name: item.pharmacy.pharmacyName,
+          address: item.pharmacy.address,
+          contactNumber: item.pharmacy.contactNumber,
+          location: {
+            lat: item.pharmacy.latitude,
+            lng: item.pharmacy.longitude,
+          },
         },
-      },
-    }));
+      };
+    };
+    let results = inventoryItems.map(formatResult);
+
+    // Rows fully held by reservations count as out of stock
+    if (!includeOutOfStock) {
+      results = results.filter((result) => result.inStock);
+    }
 
     // If user location is provided, calculate distances and sort
     let failsafeApplied = false;
@@ -206,25 +232,7 @@ class SearchService {
         
         // FAILSAFE: If no results within radius but results exist overall, return closest pharmacy
         if (results.length === 0 && beforeFilter > 0) {
-          const allResults = inventoryItems.map((item) => ({
-            id: item.id,
-            medicine: item.name,
-            genericName: item.genericName,
-            price: item.price,
-            quantity: item.quantity,
-            expiryDate: item.expiryDate,
-            inStock: item.quantity > 0,
-            pharmacy: {
-              id: item.pharmacy.id,
-              name: item.pharmacy.pharmacyName,
-              address: item.pharmacy.address,
-              contactNumber: item.pharmacy.contactNumber,
-              location: {
-                lat: item.pharmacy.latitude,
-                lng: item.pharmacy.longitude,
-              },
-            },
-          })).map((result) => {
+          const allResults = inventoryItems.map(formatResult).map((result) => {
             const distance = calculateDistance(
               latitude,
               longitude,
@@ -328,7 +336,7 @@ class SearchService {
           select: {
             inventory: {
               where: {
-                quantity: { gt: 0 },
+                batches: { some: sellableBatches(new Date()) },
               },
             },
           },
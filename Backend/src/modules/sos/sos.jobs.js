@@ -0,0 +1,76 @@
+/**
+ * SOS Jobs - Background work for emergency requests
+ *
+ * Every sweep first expires requests past their TTL (notifying the patient
+ * with alternatives), then widens the alert radius of the ones still waiting.
+ */
+
+import config from "../../config/environment.js";
+import logger from "../../utils/logger.js";
+import notificationService from "../notifications/notification.service.js";
+import { expireStaleSOS, escalatePendingSOS, getSOSAlternatives } from "./sos.service.js";
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * Run one expiry + escalation sweep
+ * Skips if the previous sweep is still in progress
+ */
+const sweepSOSRequests = async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const expired = await expireStaleSOS();
+
+    for (const sosRequest of expired) {
+      try {
+        const alternatives = await getSOSAlternatives(sosRequest);
+        await notificationService.notifySosExpired(sosRequest, alternatives);
+      } catch (notificationError) {
+        console.error("[SOS] Failed to send expiry notification:", notificationError.message);
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info("SOS", `[SOS_EXPIRY] Expired ${expired.length} unanswered request(s)`);
+    }
+
+    const escalated = await escalatePendingSOS();
+
+    if (escalated > 0) {
+      logger.info("SOS", `[SOS_ESCALATION] Widened alert radius for ${escalated} request(s)`);
+    }
+  } catch (error) {
+    logger.error("SOS", `[SOS_SWEEP] Sweep failed: ${error.message}`, error);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+/**
+ * Start the SOS escalation/expiry job (idempotent)
+ */
+export const startSOSJobs = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(sweepSOSRequests, config.sos.sweepIntervalMs);
+  // Don't keep the process alive just for this timer
+  sweepTimer.unref();
+};
+
+/**
+ * Stop the SOS escalation/expiry job (used on shutdown)
+ */
+export const stopSOSJobs = () => {
+  if (!sweepTimer) return;
+
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+export default {
+  startSOSJobs,
+  stopSOSJobs,
+};
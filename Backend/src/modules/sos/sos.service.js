@@ -0,0 +1,807 @@
+/**
+ * SOS Service - Escalation and expiry of emergency requests
+ *
+ * Escalation: pharmacies within config.sos.escalationRadiiKm[0] are alerted
+ * when a request is created. While nobody accepts, every
+ * escalationIntervalMinutes the next, wider ring is alerted. A pharmacy is
+ * never alerted twice about the same request (see SOSAlert).
+ *
+ * Matching: pharmacies whose inventory covers the request are alerted with
+ * high priority; how the rest are alerted is config.sos.nonStockingAlert.
+ *
+ * Expiry: a request still pending at expiresAt (createdAt + ttlMinutes)
+ * expires, and the patient is pointed at pharmacies that list the medicine
+ * in stock.
+ *
+ * Responses: accepting is an atomic claim on a pending request, so when two
+ * pharmacies accept at once exactly one wins. Repeating a response the
+ * pharmacy already gave is a no-op, not an error.
+ *
+ * Patient changes: while a request is pending the patient can edit it or
+ * cancel it; pharmacies already alerted are told either way.
+ *
+ * Fulfilment (after acceptance):
+ * - Pharmacy: ready | dispatched, then handed_over
+ * - Patient:  received
+ * - Either:   failed, with a reason
+ * handed_over and received are confirmations; the request is completed once
+ * both are in, whichever comes first. Handing over takes the units out of the
+ * pharmacy's inventory, first expiry first out, when it lists the medicine
+ * with enough free stock (otherwise it sourced it elsewhere and nothing moves).
+ * If that brings the item to its reorder level, the pharmacy gets a low stock
+ * alert once the hand-over has committed.
+ */
+
+import { prisma } from "../../database/prisma.js";
+import { AppError } from "../../middlewares/errorHandler.js";
+import config from "../../config/environment.js";
+import notificationService from "../notifications/notification.service.js";
+import { resolvePharmacyAudience, countStockingPharmacies } from "../notifications/audience.service.js";
+import { findPharmaciesWithStock, drawStock } from "../inventory/inventory.service.js";
+import { getSOSReviewStatus } from "../prescriptions/prescription.service.js";
+import { alertLowStock } from "../inventory/low-stock.service.js";
+
+export const SOS_RESPONSES = ["accepted", "rejected"];
+export const SOS_ACTIVE_STATUSES = ["accepted", "ready", "dispatched"];
+
+// Fulfilment actions per party, with the statuses each can be taken from
+const FULFILMENT_ACTIONS = {
+  PHARMACY: {
+    ready: ["accepted"],
+    dispatched: ["accepted", "ready"],
+    handed_over: SOS_ACTIVE_STATUSES,
+    failed: SOS_ACTIVE_STATUSES,
+  },
+  PATIENT: {
+    received: SOS_ACTIVE_STATUSES,
+    failed: SOS_ACTIVE_STATUSES,
+  },
+};
+
+// Fields a patient can change while the request is still pending
+const EDITABLE_TEXT_FIELDS = ["contactNumber", "address", "additionalNotes"];
+const LOCATION_FIELDS = ["address", "latitude", "longitude"];
+
+const CONFIRMATION_FIELDS = {
+  handed_over: "handedOverAt",
+  received: "receivedAt",
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const FALLBACK_RADIUS_KM = 50;
+const MAX_ALTERNATIVES = 3;
+const RECENT_FULFILMENT_DAYS = 7;
+const METRICS_WINDOW_DAYS = 30;
+const SWEEP_BATCH_SIZE = 100;
+
+const PATIENT_CONTACT = {
+  select: { id: true, name: true, email: true, phone: true },
+};
+
+const secondsBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / 1000);
+
+/**
+ * Configured alert rings, smallest first
+ */
+const getRadii = () =>
+  config.sos.escalationRadiiKm.length > 0 ? config.sos.escalationRadiiKm : [FALLBACK_RADIUS_KM];
+
+/**
+ * Escalation fields for a new SOS request
+ * @param {Date} now
+ * @returns {object} Prisma data: escalationLevel, notifyRadiusKm, lastEscalatedAt, expiresAt
+ */
+export const getInitialEscalation = (now = new Date()) => ({
+  escalationLevel: 0,
+  notifyRadiusKm: getRadii()[0],
+  lastEscalatedAt: now,
+  expiresAt: new Date(now.getTime() + config.sos.ttlMinutes * MINUTE),
+});
+
+/**
+ * Names to match against inventory (brand and generic)
+ */
+const getMedicineTerms = (sosRequest) => [sosRequest.medicineName, sosRequest.genericName].filter(Boolean);
+
+/**
+ * Alert the first ring of pharmacies about a new SOS request
+ * @param {object} sosRequest - Created with getInitialEscalation()
+ * @returns {Promise<number>} Pharmacies alerted
+ */
+export const startSOSAlerts = async (sosRequest) => {
+  const radii = getRadii();
+
+  return notificationService.notifyNearbyPharmacies(sosRequest, {
+    radiusKm: radii[0],
+    escalationLevel: 0,
+    finalRing: radii.length === 1,
+  });
+};
+
+/**
+ * Re-run the current ring's alerts, e.g. after the patient moved the request
+ * Only pharmacies not alerted yet are notified
+ *
+ * @param {object} sosRequest
+ * @returns {Promise<number>} Pharmacies alerted
+ */
+export const alertCurrentRing = async (sosRequest) => {
+  const radii = getRadii();
+  const level = Math.min(sosRequest.escalationLevel || 0, radii.length - 1);
+
+  return notificationService.notifyNearbyPharmacies(sosRequest, {
+    radiusKm: sosRequest.notifyRadiusKm || radii[level],
+    escalationLevel: level,
+    finalRing: level === radii.length - 1,
+  });
+};
+
+/**
+ * How many verified pharmacies within each request's current alert radius
+ * can supply it from stock ("N nearby pharmacies have this in stock")
+ * One lookup covers all the requests (see countStockingPharmacies)
+ *
+ * @param {object[]} sosRequests
+ * @returns {Promise<object[]>} { inStockCount, radiusKm } per request, in order
+ *   (radiusKm null when the patient shared no location)
+ */
+const getStockAvailabilities = async (sosRequests) => {
+  const radii = getRadii();
+  const requests = sosRequests.map((sosRequest) => ({
+    origin: sosRequest,
+    radiusKm: sosRequest.notifyRadiusKm || radii[radii.length - 1],
+    medicine: { names: getMedicineTerms(sosRequest), quantity: sosRequest.quantity || 1 },
+  }));
+
+  const counts = await countStockingPharmacies(requests);
+
+  return sosRequests.map((sosRequest, index) => ({
+    inStockCount: counts[index],
+    radiusKm: sosRequest.latitude != null && sosRequest.longitude != null ? requests[index].radiusKm : null,
+  }));
+};
+
+/**
+ * Stock availability for a single request (see getStockAvailabilities)
+ *
+ * @param {object} sosRequest
+ * @returns {Promise<object>} { inStockCount, radiusKm }
+ */
+export const getSOSStockAvailability = async (sosRequest) => (await getStockAvailabilities([sosRequest]))[0];
+
+/**
+ * Widen the alert radius of pending requests that have waited a full interval
+ * on their current ring
+ *
+ * @returns {Promise<number>} Requests escalated
+ */
+export const escalatePendingSOS = async () => {
+  const radii = getRadii();
+  const now = new Date();
+  const waitedSince = new Date(now.getTime() - config.sos.escalationIntervalMinutes * MINUTE);
+
+  const due = await prisma.sOSRequest.findMany({
+    where: {
+      status: "pending",
+      escalationLevel: { lt: radii.length - 1 },
+      OR: [{ lastEscalatedAt: null }, { lastEscalatedAt: { lte: waitedSince } }],
+    },
+    orderBy: { createdAt: "asc" },
+    take: SWEEP_BATCH_SIZE,
+  });
+
+  let escalated = 0;
+
+  for (const sosRequest of due) {
+    const level = sosRequest.escalationLevel + 1;
+
+    // Claim the step so an overlapping sweep can't escalate the same request twice
+    const { count } = await prisma.sOSRequest.updateMany({
+      where: { id: sosRequest.id, status: "pending", escalationLevel: sosRequest.escalationLevel },
+      data: { escalationLevel: level, notifyRadiusKm: radii[level], lastEscalatedAt: now },
+    });
+
+    if (count === 0) continue;
+
+    await notificationService.notifyNearbyPharmacies(sosRequest, {
+      radiusKm: radii[level],
+      escalationLevel: level,
+      finalRing: level === radii.length - 1,
+    });
+    escalated++;
+  }
+
+  return escalated;
+};
+
+/**
+ * Expire pending requests past their expiresAt
+ * Requests created before expiresAt existed fall back to createdAt + ttlMinutes
+ *
+ * @returns {Promise<array>} Expired SOS requests
+ */
+export const expireStaleSOS = async () => {
+  const now = new Date();
+  const legacyCutoff = new Date(now.getTime() - config.sos.ttlMinutes * MINUTE);
+
+  const stale = await prisma.sOSRequest.findMany({
+    where: {
+      status: "pending",
+      OR: [
+        { expiresAt: { lte: now } },
+        { expiresAt: null, createdAt: { lte: legacyCutoff } },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+    take: SWEEP_BATCH_SIZE,
+  });
+
+  const expired = [];
+
+  for (const sosRequest of stale) {
+    // Only expire if it is still pending (a pharmacy may have accepted meanwhile)
+    const { count } = await prisma.sOSRequest.updateMany({
+      where: { id: sosRequest.id, status: "pending" },
+      data: { status: "expired", expiredAt: now },
+    });
+
+    if (count > 0) {
+      expired.push({ ...sosRequest, status: "expired", expiredAt: now });
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * 409 explaining why a request can no longer be responded to
+ */
+const notPendingError = (sosRequest) => {
+  const messages = {
+    accepted: "This SOS request has already been accepted by another pharmacy",
+    expired: "This SOS request has expired",
+    cancelled: "This SOS request was cancelled by the patient",
+  };
+
+  return new AppError(messages[sosRequest.status] || "This SOS request is no longer pending", 409);
+};
+
+/**
+ * Accept: claim the request only while it is still pending
+ * The conditional update takes the row lock, so a concurrent claim sees the
+ * winner's status and updates nothing
+ */
+const claimSOSRequest = async (tx, sosId, pharmacyId, note) => {
+  const sosRequest = await tx.sOSRequest.findUnique({ where: { id: sosId } });
+
+  if (!sosRequest) {
+    throw new AppError("SOS request not found", 404);
+  }
+
+  if (sosRequest.status === "accepted" && sosRequest.acceptedBy === pharmacyId) {
+    return { repeated: true };
+  }
+
+  // The request takes on the accepting pharmacy's own prescription decision
+  const prescriptionStatus = sosRequest.prescriptionUrl
+    ? await getSOSReviewStatus(sosId, pharmacyId, tx)
+    : sosRequest.prescriptionStatus;
+
+  const now = new Date();
+  const { count } = await tx.sOSRequest.updateMany({
+    where: { id: sosId, status: "pending" },
+    data: {
+      status: "accepted",
+      acceptedBy: pharmacyId,
+      acceptedAt: now,
+      timeToAcceptSeconds: secondsBetween(sosRequest.createdAt, now),
+      prescriptionStatus,
+    },
+  });
+
+  if (count === 0) {
+    const current = await tx.sOSRequest.findUnique({ where: { id: sosId } });
+
+    if (current.status === "accepted" && current.acceptedBy === pharmacyId) {
+      return { repeated: true };
+    }
+    throw notPendingError(current);
+  }
+
+  // The pharmacy may have declined earlier and changed its mind
+  await tx.pharmacyResponse.upsert({
+    where: { sosId_pharmacyId: { sosId, pharmacyId } },
+    create: { sosId, pharmacyId, response: "accepted", note: note || "Medicine available for pickup" },
+    update: { response: "accepted", note: note || "Medicine available for pickup", respondedAt: now },
+  });
+
+  return { repeated: false };
+};
+
+/**
+ * Reject: record that this pharmacy can't help; the request stays open for others
+ */
+const declineSOSRequest = async (tx, sosId, pharmacyId, note) => {
+  const sosRequest = await tx.sOSRequest.findUnique({ where: { id: sosId } });
+
+  if (!sosRequest) {
+    throw new AppError("SOS request not found", 404);
+  }
+
+  if (sosRequest.status === "accepted" && sosRequest.acceptedBy === pharmacyId) {
+    throw new AppError("You have already accepted this SOS request", 409);
+  }
+
+  const existing = await tx.pharmacyResponse.findUnique({
+    where: { sosId_pharmacyId: { sosId, pharmacyId } },
+  });
+
+  if (existing?.response === "rejected") {
+    return { repeated: true };
+  }
+
+  if (sosRequest.status !== "pending") {
+    throw notPendingError(sosRequest);
+  }
+
+  await tx.pharmacyResponse.create({
+    data: { sosId, pharmacyId, response: "rejected", note: note || "Unable to fulfill request" },
+  });
+
+  return { repeated: false };
+};
+
+/**
+ * Accept or reject an SOS request on behalf of a pharmacy
+ *
+ * @param {string} sosId
+ * @param {string} pharmacyId
+ * @param {string} response - accepted | rejected
+ * @param {string} note - Optional message for the patient
+ * @returns {Promise<object>} { sos (with patient contact), repeated }
+ *   repeated: the pharmacy had already given this response; nothing changed
+ * @throws {AppError} 404 unknown request, 409 no longer pending / claimed by another pharmacy
+ */
+export const respondToSOSRequest = async (sosId, pharmacyId, response, note) => {
+  if (!SOS_RESPONSES.includes(response)) {
+    throw new AppError("Response must be 'accepted' or 'rejected'", 400);
+  }
+
+  let result;
+
+  try {
+    result = await prisma.$transaction((tx) =>
+      response === "accepted"
+        ? claimSOSRequest(tx, sosId, pharmacyId, note)
+        : declineSOSRequest(tx, sosId, pharmacyId, note)
+    );
+  } catch (error) {
+    // Two identical responses from the same pharmacy raced; the other one was recorded
+    if (error.code !== "P2002") throw error;
+    result = { repeated: true };
+  }
+
+  const sos = await prisma.sOSRequest.findUnique({
+    where: { id: sosId },
+    include: { patient: PATIENT_CONTACT },
+  });
+
+  return { sos, repeated: result.repeated };
+};
+
+/**
+ * Validate a patient's edits to a pending request
+ * @returns {object} Prisma data with only the supplied fields
+ * @throws {AppError} 400 on invalid values
+ */
+const parseSOSEdits = (data = {}) => {
+  const edits = {};
+
+  if (data.quantity !== undefined) {
+    const quantity = Number(data.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError("Quantity must be a whole number of at least 1", 400);
+    }
+    edits.quantity = quantity;
+  }
+
+  for (const field of EDITABLE_TEXT_FIELDS) {
+    if (data[field] === undefined) continue;
+
+    const value = typeof data[field] === "string" ? data[field].trim() : "";
+    if (!value && field !== "additionalNotes") {
+      throw new AppError(`${field} cannot be empty`, 400);
+    }
+    edits[field] = value || null;
+  }
+
+  for (const field of ["latitude", "longitude"]) {
+    if (data[field] === undefined) continue;
+
+    const value = data[field] === null || data[field] === "" ? null : Number(data[field]);
+    if (value !== null && !Number.isFinite(value)) {
+      throw new AppError(`${field} must be a number`, 400);
+    }
+    edits[field] = value;
+  }
+
+  return edits;
+};
+
+/**
+ * Look up a patient's own SOS request
+ * @throws {AppError} 404 when it doesn't exist or belongs to someone else
+ */
+const findPatientSOS = async (sosId, patientId) => {
+  const sosRequest = await prisma.sOSRequest.findUnique({ where: { id: sosId } });
+
+  if (!sosRequest || sosRequest.patientId !== patientId) {
+    throw new AppError("SOS request not found", 404);
+  }
+
+  return sosRequest;
+};
+
+/**
+ * 409 for a patient change to a request that is no longer pending
+ */
+const notEditableError = (sosRequest, verb) =>
+  new AppError(
+    sosRequest.status === "accepted"
+      ? `This SOS request was already accepted by a pharmacy and can no longer be ${verb}. Contact the pharmacy instead`
+      : `This SOS request is ${sosRequest.status} and can no longer be ${verb}`,
+    409
+  );
+
+/**
+ * Edit a pending SOS request (quantity, contact number, address/location, notes)
+ *
+ * @param {string} sosId
+ * @param {string} patientId - Must own the request
+ * @param {object} data - Any of quantity, contactNumber, address, latitude, longitude, additionalNotes
+ * @returns {Promise<object>} { sos, changedFields, locationChanged }
+ * @throws {AppError} 400 invalid/no fields, 404 not the patient's request, 409 no longer pending
+ */
+export const updatePendingSOSRequest = async (sosId, patientId, data) => {
+  const edits = parseSOSEdits(data);
+
+  if (Object.keys(edits).length === 0) {
+    throw new AppError("No valid fields to update", 400);
+  }
+
+  const sosRequest = await findPatientSOS(sosId, patientId);
+
+  if (sosRequest.status !== "pending") {
+    throw notEditableError(sosRequest, "edited");
+  }
+
+  const changedFields = Object.keys(edits).filter((field) => edits[field] !== sosRequest[field]);
+
+  if (changedFields.length === 0) {
+    return { sos: sosRequest, changedFields, locationChanged: false };
+  }
+
+  // Only while still pending: a pharmacy may accept (or the request expire) meanwhile
+  const { count } = await prisma.sOSRequest.updateMany({
+    where: { id: sosId, patientId, status: "pending" },
+    data: edits,
+  });
+
+  if (count === 0) {
+    throw notEditableError(await findPatientSOS(sosId, patientId), "edited");
+  }
+
+  const sos = await prisma.sOSRequest.findUnique({ where: { id: sosId } });
+
+  return {
+    sos,
+    changedFields,
+    locationChanged: changedFields.some((field) => LOCATION_FIELDS.includes(field)),
+  };
+};
+
+/**
+ * Cancel a pending SOS request
+ *
+ * @param {string} sosId
+ * @param {string} patientId - Must own the request
+ * @param {string} reason - Optional
+ * @returns {Promise<object>} { sos, repeated }
+ *   repeated: the request was already cancelled; nothing changed
+ * @throws {AppError} 404 not the patient's request, 409 no longer pending
+ */
+export const cancelSOSRequest = async (sosId, patientId, reason) => {
+  const cancellationReason = typeof reason === "string" && reason.trim() ? reason.trim() : null;
+
+  const { count } = await prisma.sOSRequest.updateMany({
+    where: { id: sosId, patientId, status: "pending" },
+    data: { status: "cancelled", cancelledAt: new Date(), cancellationReason },
+  });
+
+  const sos = await findPatientSOS(sosId, patientId);
+
+  if (count === 0 && sos.status !== "cancelled") {
+    throw notEditableError(sos, "cancelled");
+  }
+
+  return { sos, repeated: count === 0 };
+};
+
+/**
+ * Take a handed-over request's units out of the accepting pharmacy's inventory
+ * Skipped when no matching item has enough free stock (see header)
+ *
+ * @param {object} tx - Prisma transaction client
+ * @param {object} sosRequest
+ * @param {string} userId - Pharmacy user handing it over (recorded on the stock movement)
+ * @returns {Promise<object|null>} The inventory item drawn from (see inventory.service drawStock), if any
+ */
+const drawHandedOverStock = async (tx, sosRequest, userId) => {
+  const stock = await findPharmaciesWithStock(getMedicineTerms(sosRequest), {
+    quantity: sosRequest.quantity,
+    pharmacyIds: [sosRequest.acceptedBy],
+    client: tx,
+  });
+
+  const match = stock.get(sosRequest.acceptedBy);
+  if (!match) return null;
+
+  const drawn = await drawStock(tx, match.inventoryId, sosRequest.quantity, {
+    type: "SOS_DISPENSE",
+    reason: "SOS request handed over",
+    referenceId: sosRequest.id,
+    userId,
+  });
+
+  return drawn?.item || null;
+};
+
+/**
+ * Move an accepted SOS request along its fulfilment (see header)
+ *
+ * @param {string} sosId
+ * @param {object} actor - { role: "PHARMACY", pharmacyId, userId } or { role: "PATIENT", patientId }
+ * @param {string} action - ready | dispatched | handed_over (pharmacy), received (patient), failed (either)
+ * @param {object} options - { reason } (required for failed)
+ * @returns {Promise<object>} { sos (with patient contact), repeated }
+ *   repeated: the action had already been taken; nothing changed
+ * @throws {AppError} 400 invalid action/reason, 404 not the actor's request, 409 wrong status
+ */
+export const advanceSOSFulfilment = async (sosId, actor, action, { reason } = {}) => {
+  const allowed = FULFILMENT_ACTIONS[actor.role] || {};
+
+  if (!allowed[action]) {
+    throw new AppError(`Invalid action. Must be one of: ${Object.keys(allowed).join(", ")}`, 400);
+  }
+
+  const failureReason = typeof reason === "string" ? reason.trim() : "";
+  if (action === "failed" && !failureReason) {
+    throw new AppError("A reason is required when marking an SOS request as failed", 400);
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const sosRequest = await tx.sOSRequest.findUnique({ where: { id: sosId } });
+    const isParty = sosRequest && (actor.role === "PHARMACY"
+      ? sosRequest.acceptedBy === actor.pharmacyId
+      : sosRequest.patientId === actor.patientId);
+
+    if (!isParty) {
+      throw new AppError("SOS request not found", 404);
+    }
+
+    const confirmationField = CONFIRMATION_FIELDS[action];
+
+    if ((confirmationField && sosRequest[confirmationField]) || sosRequest.status === action) {
+      return { repeated: true };
+    }
+
+    if (!allowed[action].includes(sosRequest.status)) {
+      throw new AppError(
+        `An SOS request that is ${sosRequest.status} cannot be marked ${action.replace(/_/g, " ")}`,
+        409
+      );
+    }
+
+    const now = new Date();
+    let data;
+
+    if (confirmationField) {
+      data = { [confirmationField]: now };
+    } else if (action === "failed") {
+      data = { status: "failed", failedAt: now, failedBy: actor.role, failureReason };
+    } else {
+      data = { status: action, readyAt: sosRequest.readyAt || now };
+    }
+
+    // Conditional on the status we validated against (and on the confirmation
+    // not being in yet), so a concurrent change wins cleanly
+    const { count } = await tx.sOSRequest.updateMany({
+      where: {
+        id: sosId,
+        status: sosRequest.status,
+        ...(confirmationField && { [confirmationField]: null }),
+      },
+      data,
+    });
+
+    if (count === 0) {
+      const current = await tx.sOSRequest.findUnique({ where: { id: sosId } });
+
+      // The same confirmation raced in from another request; it drew the stock
+      if (confirmationField && current?.[confirmationField]) {
+        return { repeated: true };
+      }
+      throw new AppError("This SOS request was just updated. Refresh and try again", 409);
+    }
+
+    const drawnItem = action === "handed_over"
+      ? await drawHandedOverStock(tx, sosRequest, actor.userId)
+      : null;
+
+    // Both confirmations in → completed. The update above holds the row lock,
+    // so of two simultaneous confirmations the later one sees both
+    if (confirmationField) {
+      await tx.sOSRequest.updateMany({
+        where: {
+          id: sosId,
+          status: { in: SOS_ACTIVE_STATUSES },
+          handedOverAt: { not: null },
+          receivedAt: { not: null },
+        },
+        data: {
+          status: "completed",
+          completedAt: now,
+          timeToCompleteSeconds: secondsBetween(sosRequest.createdAt, now),
+        },
+      });
+    }
+
+    return { repeated: false, drawnItem };
+  });
+
+  alertLowStock([result.drawnItem]);
+
+  const sos = await prisma.sOSRequest.findUnique({
+    where: { id: sosId },
+    include: { patient: PATIENT_CONTACT },
+  });
+
+  return { sos, repeated: result.repeated };
+};
+
+/**
+ * SOS requests a pharmacy accepted: everything in progress plus the last week's closed ones
+ *
+ * @param {string} pharmacyId
+ * @returns {Promise<array>} Newest first, with patient contact
+ */
+export const getPharmacyFulfilments = async (pharmacyId) => {
+  return prisma.sOSRequest.findMany({
+    where: {
+      acceptedBy: pharmacyId,
+      OR: [
+        { status: { in: SOS_ACTIVE_STATUSES } },
+        { updatedAt: { gte: new Date(Date.now() - RECENT_FULFILMENT_DAYS * DAY) } },
+      ],
+    },
+    include: { patient: PATIENT_CONTACT },
+    orderBy: { acceptedAt: "desc" },
+  });
+};
+
+/**
+ * A patient's SOS requests, newest first, with the accepting pharmacy's contact details
+ * and, while pending, stockAvailability (see getStockAvailabilities)
+ *
+ * @param {string} patientId
+ * @returns {Promise<array>}
+ */
+export const getPatientSOSHistory = async (patientId) => {
+  const sosRequests = await prisma.sOSRequest.findMany({
+    where: { patientId },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const pharmacyIds = [...new Set(sosRequests.map((sos) => sos.acceptedBy).filter(Boolean))];
+  const pharmacies = pharmacyIds.length > 0
+    ? await prisma.pharmacy.findMany({
+        where: { id: { in: pharmacyIds } },
+        select: { id: true, pharmacyName: true, contactNumber: true, address: true },
+      })
+    : [];
+  const pharmacyById = new Map(pharmacies.map((pharmacy) => [pharmacy.id, pharmacy]));
+
+  // Still-pending requests show how many pharmacies nearby could supply them
+  const pending = sosRequests.filter((sos) => sos.status === "pending");
+  const availabilities = await getStockAvailabilities(pending);
+  const stockBySosId = new Map(pending.map((sos, index) => [sos.id, availabilities[index]]));
+
+  return sosRequests.map((sos) => ({
+    ...sos,
+    acceptedPharmacy: pharmacyById.get(sos.acceptedBy) || null,
+    stockAvailability: stockBySosId.get(sos.id) || null,
+  }));
+};
+
+/**
+ * SOS fulfilment metrics over the last 30 days
+ *
+ * @param {string} pharmacyId - Optional; all pharmacies when omitted
+ * @returns {Promise<object>} { accepted, completed, failed, avgTimeToAcceptMinutes, avgTimeToCompleteMinutes }
+ */
+export const getSOSMetrics = async (pharmacyId) => {
+  const where = {
+    acceptedAt: { gte: new Date(Date.now() - METRICS_WINDOW_DAYS * DAY) },
+    ...(pharmacyId && { acceptedBy: pharmacyId }),
+  };
+
+  const [accepted, completed, failed, averages] = await Promise.all([
+    prisma.sOSRequest.count({ where }),
+    prisma.sOSRequest.count({ where: { ...where, status: "completed" } }),
+    prisma.sOSRequest.count({ where: { ...where, status: "failed" } }),
+    prisma.sOSRequest.aggregate({
+      where,
+      _avg: { timeToAcceptSeconds: true, timeToCompleteSeconds: true },
+    }),
+  ]);
+
+  const toMinutes = (seconds) => (seconds == null ? null : Math.round(seconds / 6) / 10);
+
+  return {
+    accepted,
+    completed,
+    failed,
+    avgTimeToAcceptMinutes: toMinutes(averages._avg.timeToAcceptSeconds),
+    avgTimeToCompleteMinutes: toMinutes(averages._avg.timeToCompleteSeconds),
+  };
+};
+
+/**
+ * Verified pharmacies that can supply the request from stock, nearest first
+ * Pharmacies that already declined the request are left out
+ *
+ * @param {object} sosRequest
+ * @returns {Promise<array>} [{ pharmacyId, pharmacyName, contactNumber, address, medicineName, distanceKm }]
+ */
+export const getSOSAlternatives = async (sosRequest) => {
+  const declined = await prisma.pharmacyResponse.findMany({
+    where: { sosId: sosRequest.id, response: "rejected" },
+    select: { pharmacyId: true },
+  });
+
+  const stocking = await resolvePharmacyAudience({
+    origin: sosRequest,
+    medicine: { names: getMedicineTerms(sosRequest), quantity: sosRequest.quantity || 1 },
+    requireStock: true,
+    excludePharmacyIds: declined.map((response) => response.pharmacyId),
+  });
+
+  return stocking.slice(0, MAX_ALTERNATIVES).map((pharmacy) => ({
+    pharmacyId: pharmacy.id,
+    pharmacyName: pharmacy.pharmacyName,
+    contactNumber: pharmacy.contactNumber,
+    address: pharmacy.address,
+    medicineName: pharmacy.stock.name,
+    distanceKm: pharmacy.distanceKm,
+  }));
+};
+
+export default {
+  SOS_RESPONSES,
+  SOS_ACTIVE_STATUSES,
+  respondToSOSRequest,
+  updatePendingSOSRequest,
+  cancelSOSRequest,
+  advanceSOSFulfilment,
+  getPharmacyFulfilments,
+  getPatientSOSHistory,
+  getSOSMetrics,
+  getInitialEscalation,
+  startSOSAlerts,
+  alertCurrentRing,
+  getSOSStockAvailability,
+  escalatePendingSOS,
+  expireStaleSOS,
+  getSOSAlternatives,
+};
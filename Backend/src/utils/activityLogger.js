@@ -130,6 +130,7 @@ export const LOG_ACTIONS = {
   PHARMACY_ONBOARDED: "PHARMACY_ONBOARDED",
   PHARMACY_APPROVED: "PHARMACY_APPROVED",
   PHARMACY_REJECTED: "PHARMACY_REJECTED",
+  PHARMACY_UPDATED: "PHARMACY_UPDATED",
   
   // System
   PROFILE_UPDATED: "PROFILE_UPDATED",
@@ -150,6 +151,16 @@ export const LOG_ACTIONS = {
   ORDER_UPDATED: "ORDER_UPDATED",
   ORDER_CANCELLED: "ORDER_CANCELLED",
   
+  // Prescriptions
+  PRESCRIPTION_UPLOADED: "PRESCRIPTION_UPLOADED",
+  PRESCRIPTION_DELETED: "PRESCRIPTION_DELETED",
+  PRESCRIPTION_REVIEWED: "PRESCRIPTION_REVIEWED",
+  
+  // Medications
+  MEDICATION_ADDED: "MEDICATION_ADDED",
+  MEDICATION_UPDATED: "MEDICATION_UPDATED",
+  MEDICATION_DELETED: "MEDICATION_DELETED",
+  
   // Content Management
   CONTENT_CREATED: "CONTENT_CREATED",
   CONTENT_UPDATED: "CONTENT_UPDATED",
@@ -1,10 +1,14 @@
 /**
- * Email Service - Sends OTP and password reset emails
+ * Email Service - Sends OTP and password reset emails, and the notification
+ * emails queued in the outbox (modules/notifications/email.service.js)
  * Uses Nodemailer for SMTP-based email delivery
  *
  * Configuration via environment:
- * - SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
- * - SMTP_FROM_EMAIL
+ * - EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS
+ * - EMAIL_FROM
+ *
+ * The defaults (localhost:1025, no auth) suit a local SMTP catcher such as
+ * MailHog or Mailpit, so development mail never leaves the machine.
  */
 
 import nodemailer from "nodemailer";
@@ -145,6 +149,24 @@ export const sendPasswordResetEmail = async (email, resetToken, name) => {
   }
 };
 
+/**
+ * Send an already-rendered email
+ * Unlike the helpers above, SMTP errors are passed through so the caller
+ * (the outbox) can record them and retry.
+ *
+ * @param {object} message - { to, subject, html, text }
+ * @returns {Promise<object>} Nodemailer send info
+ */
+export const sendEmail = async ({ to, subject, html, text }) => {
+  return transporter.sendMail({
+    from: FROM_EMAIL,
+    to,
+    subject,
+    html,
+    text,
+  });
+};
+
 /**
  * Test email connection (for development)
  */
@@ -0,0 +1,146 @@
+/**
+ * File Storage Drivers
+ * Pluggable backends for multer uploads
+ *
+ * Drivers:
+ * - local:      Files written under config.storage.localDir (dev/tests); downloaded
+ *               from /uploads by the users allowed to see them (modules/files)
+ * - cloudinary: Files uploaded to Cloudinary (production)
+ *
+ * Selected with STORAGE_DRIVER; defaults to cloudinary when its credentials are set,
+ * local otherwise. Every driver exposes the same interface:
+ * - createStorage({ folder, prefix }) → multer storage engine
+ * - describe(file)                    → { url, storageKey } for an uploaded multer file
+ * - remove(storageKey)                → delete a stored file
+ */
+
+import fs from "fs";
+import path from "path";
+import multer from "multer";
+import { CloudinaryStorage } from "multer-storage-cloudinary";
+import cloudinary from "../config/cloudinary.js";
+import config from "../config/environment.js";
+
+// File extension per accepted MIME type
+const EXTENSIONS = {
+  "application/pdf": "pdf",
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/png": "png",
+};
+
+/**
+ * Build a unique file name: <prefix>_<userId>_<timestamp>
+ */
+const buildFileId = (req, prefix) => `${prefix}_${req.user?.userId || "unknown"}_${Date.now()}`;
+
+/**
+ * Local disk driver
+ * storageKey is the path relative to the uploads root, e.g. "patients/prescriptions/x.pdf"
+ */
+const localDriver = {
+  name: "local",
+
+  createStorage({ folder, prefix }) {
+    return multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = path.join(config.storage.localDir, folder);
+        fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+      },
+      filename: (req, file, cb) => {
+        cb(null, `${buildFileId(req, prefix)}.${EXTENSIONS[file.mimetype] || "bin"}`);
+      },
+    });
+  },
+
+  describe(file) {
+    const storageKey = path.relative(config.storage.localDir, file.path).split(path.sep).join("/");
+    return {
+      url: `${config.storage.localPublicUrl}/${storageKey}`,
+      storageKey,
+    };
+  },
+
+  async remove(storageKey) {
+    const root = path.resolve(config.storage.localDir);
+    const filePath = path.resolve(root, storageKey);
+
+    // Never delete outside the uploads directory
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to delete file outside uploads directory: ${storageKey}`);
+    }
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+};
+
+/**
+ * Cloudinary driver
+ * storageKey is the Cloudinary public_id
+ */
+const cloudinaryDriver = {
+  name: "cloudinary",
+
+  createStorage({ folder, prefix }) {
+    return new CloudinaryStorage({
+      cloudinary: cloudinary,
+      params: async (req, file) => ({
+        folder: folder,
+        format: EXTENSIONS[file.mimetype] || "pdf",
+        public_id: buildFileId(req, prefix),
+        resource_type: "auto", // Automatically detect resource type
+        allowed_formats: ["pdf", "jpg", "jpeg", "png"],
+      }),
+    });
+  },
+
+  describe(file) {
+    return {
+      url: file.path,
+      storageKey: file.filename,
+    };
+  },
+
+  async remove(storageKey) {
+    await cloudinary.uploader.destroy(storageKey);
+  },
+};
+
+const DRIVERS = {
+  [localDriver.name]: localDriver,
+  [cloudinaryDriver.name]: cloudinaryDriver,
+};
+
+/**
+ * Get a storage driver by name (defaults to the configured driver)
+ * @param {string} [name] - "local" | "cloudinary"
+ * @returns {object} Storage driver
+ */
+export const getStorageDriver = (name = config.storage.driver) => {
+  const driver = DRIVERS[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}. Use one of: ${Object.keys(DRIVERS).join(", ")}`);
+  }
+
+  return driver;
+};
+
+/**
+ * Delete a previously stored file
+ * @param {string} storageKey - Key returned by describe()
+ * @param {string} [driverName] - Driver the file was stored with
+ */
+export const removeStoredFile = async (storageKey, driverName) => {
+  if (!storageKey) return;
+  await getStorageDriver(driverName).remove(storageKey);
+};
+
+export default {
+  getStorageDriver,
+  removeStoredFile,
+};
@@ -0,0 +1,192 @@
+/**
+ * Spreadsheet helpers - Read uploaded CSV and XLSX files, write exports
+ *
+ * Reading: both formats come back the same way: the non-empty rows of the
+ * first sheet, each with its row number in the file (for error reports) and
+ * its cells. CSV cells are strings; XLSX cells keep their type (string,
+ * number, boolean or Date), with formulas resolved to their result.
+ *
+ * Writing: toCsv / toXlsx take columns ({ header, key, width? }) and rows
+ * (objects keyed by column key).
+ */
+
+import path from "path";
+import ExcelJS from "exceljs";
+import { AppError } from "../middlewares/errorHandler.js";
+
+export const SPREADSHEET_FORMATS = {
+  csv: ["text/csv", "application/csv", "text/plain", "application/vnd.ms-excel"],
+  xlsx: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/octet-stream"],
+};
+
+/**
+ * Format of an uploaded file, from its extension (browsers disagree on CSV mimetypes)
+ *
+ * @param {object} file - Multer file { originalname, mimetype }
+ * @returns {string|null} "csv", "xlsx" or null when unsupported
+ */
+export const getSpreadsheetFormat = (file) => {
+  const format = path.extname(file?.originalname || "").slice(1).toLowerCase();
+  return SPREADSHEET_FORMATS[format]?.includes(file.mimetype) ? format : null;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+ * newlines and "" for a quote)
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new AppError("Invalid CSV: a quoted value is never closed", 400);
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// XLSX cell value → plain value
+const readXlsxCell = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date || typeof value !== "object") return value;
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if ("result" in value) return readXlsxCell(value.result);
+  if ("text" in value) return value.text;
+  return null;
+};
+
+const isBlank = (cell) => cell === null || cell === undefined || String(cell).trim() === "";
+
+/**
+ * Read the first sheet of a CSV or XLSX file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - "csv" or "xlsx"
+ * @returns {Promise<array>} [{ rowNumber, cells }], blank rows left out
+ * @throws {AppError} 400 when the file can't be read
+ */
+export const readSpreadsheet = async (buffer, format) => {
+  let rows;
+
+  if (format === "csv") {
+    const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+    rows = parseCsv(text).map((cells, index) => ({ rowNumber: index + 1, cells }));
+  } else {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch {
+      throw new AppError("Invalid XLSX file", 400);
+    }
+
+    const sheet = workbook.worksheets[0];
+    rows = [];
+    sheet?.eachRow((row, rowNumber) => {
+      // row.values is 1-based
+      rows.push({ rowNumber, cells: Array.from(row.values.slice(1), readXlsxCell) });
+    });
+  }
+
+  return rows.filter((row) => !row.cells.every(isBlank));
+};
+
+// Text a spreadsheet app would run as a formula (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV, with a BOM so Excel reads it as UTF-8
+ *
+ * @param {array} columns - [{ header, key }]
+ * @param {array} rows - Objects keyed by column key
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => {
+  const lines = [
+    columns.map((column) => toCsvCell(column.header)),
+    ...rows.map((row) => columns.map((column) => toCsvCell(row[column.key]))),
+  ];
+
+  return `\uFEFF${lines.map((line) => line.join(",")).join("\r\n")}\r\n`;
+};
+
+/**
+ * Write rows as a one-sheet XLSX workbook, header row bold and frozen
+ *
+ * @param {string} sheetName
+ * @param {array} columns - [{ header, key, width?, numFmt? (e.g. "yyyy-mm-dd") }]
+ * @param {array} rows - Objects keyed by column key
+ * @returns {Promise<Buffer>}
+ */
+export const toXlsx = async (sheetName, columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: "frozen", ySplit: 1 }] });
+
+  sheet.columns = columns.map(({ header, key, width, numFmt }) => ({
+    header,
+    key,
+    width: width || 14,
+    ...(numFmt && { style: { numFmt } }),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(rows);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+export default {
+  SPREADSHEET_FORMATS,
+  getSpreadsheetFormat,
+  parseCsv,
+  readSpreadsheet,
+  toCsv,
+  toXlsx,
+};
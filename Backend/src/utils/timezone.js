@@ -0,0 +1,139 @@
+/**
+ * Timezone Utilities
+ *
+ * Converts between UTC instants and wall-clock times in an IANA timezone
+ * (e.g. "Asia/Kathmandu") using Intl, so schedules such as "08:00 every
+ * Monday" can be stored as local times and evaluated on a UTC server.
+ */
+
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter for a timezone
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Intl.DateTimeFormat}
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      })
+    );
+  }
+
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check whether a string is a timezone Intl understands
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ *
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ *
+ * @example
+ * getZonedParts(new Date("2025-01-01T00:00:00Z"), "Asia/Kathmandu");
+ * // { year: 2025, month: 1, day: 1, hour: 5, minute: 45, second: 0, weekday: 3 }
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+};
+
+/**
+ * Local calendar date of an instant, as "YYYY-MM-DD"
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {string}
+ */
+export const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * Add whole days to a "YYYY-MM-DD" date key
+ * @param {string} dateKey
+ * @param {number} days
+ * @returns {string}
+ */
+export const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ *
+ * @param {string} dateKey - Local date, "YYYY-MM-DD"
+ * @param {string} time - Local time, "HH:mm"
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date}
+ *
+ * @example
+ * zonedTimeToUtc("2025-01-01", "08:00", "Asia/Kathmandu"); // 2025-01-01T02:15:00.000Z
+ */
+export const zonedTimeToUtc = (dateKey, time, timeZone) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the zone at a given instant, in ms
+  const offsetAt = (instant) => {
+    const p = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+  };
+
+  // Second pass settles instants next to a DST change
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+
+  return new Date(instant);
+};
+
+export default {
+  isValidTimeZone,
+  getZonedParts,
+  toDateKey,
+  addDays,
+  zonedTimeToUtc,
+};
@@ -9,6 +9,10 @@ const requiredEnvVars = [
   'JWT_REFRESH_SECRET',
   'EMAIL_USER',
   'EMAIL_PASS',
+];
+
+// Only required when uploads go to Cloudinary (STORAGE_DRIVER=cloudinary)
+const cloudinaryEnvVars = [
   'CLOUDINARY_CLOUD_NAME',
   'CLOUDINARY_API_KEY',
   'CLOUDINARY_API_SECRET',
@@ -22,6 +26,7 @@ const optionalEnvVars = [
   'JWT_REFRESH_EXPIRY',
   'OTP_EXPIRY_MINUTES',
   'RESET_TOKEN_EXPIRY_HOURS',
+  'STORAGE_DRIVER',
 ];
 
 /**
@@ -39,6 +44,15 @@ export function validateEnvironment() {
     }
   }
 
+  // Cloudinary credentials are only mandatory when it is explicitly selected
+  if (process.env.STORAGE_DRIVER === 'cloudinary') {
+    for (const varName of cloudinaryEnvVars) {
+      if (!process.env[varName]) {
+        missing.push(varName);
+      }
+    }
+  }
+
   // Check optional variables and warn if missing
   for (const varName of optionalEnvVars) {
     if (!process.env[varName]) {
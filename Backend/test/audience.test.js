@@ -0,0 +1,138 @@
+/**
+ * Notification audiences - integration test
+ *
+ * Pharmacy-targeted notifications reach verified pharmacies with an active
+ * owner. SOS alerts also honour the opt-out, the radius and live stock;
+ * follow-ups go to the pharmacies already alerted, opted out or not.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, ORIGIN } from "./helpers.js";
+
+describe("notification audiences", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let audienceService;
+  let patient;
+  let verified;
+  let pending;
+  let rejected;
+  let inactive;
+  let optedOut;
+  let nearby;
+  let far;
+
+  // Only this file's pharmacies, in the order the audience returned them
+  const idsOf = (audience) => {
+    const own = new Set([verified, pending, rejected, inactive, optedOut, nearby, far].map((pharmacy) => pharmacy.id));
+    return audience.map((pharmacy) => pharmacy.id).filter((id) => own.has(id));
+  };
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    audienceService = await import("../src/modules/notifications/audience.service.js");
+
+    fixtures = createFixtures(prisma, "audience");
+    patient = await fixtures.patient();
+    verified = await fixtures.pharmacy();
+    pending = await fixtures.pharmacy({ verificationStatus: "PENDING_VERIFICATION" });
+    rejected = await fixtures.pharmacy({ verificationStatus: "REJECTED" });
+    inactive = await fixtures.pharmacy({ owner: { isActive: false } });
+    optedOut = await fixtures.pharmacy({ sosAlertsEnabled: false });
+    // About 3 km and 33 km north of ORIGIN
+    nearby = await fixtures.pharmacy({ latitude: ORIGIN.latitude + 0.03 });
+    far = await fixtures.pharmacy({ latitude: ORIGIN.latitude + 0.3 });
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("reaches only verified pharmacies with an active owner", async () => {
+    const audience = await audienceService.resolvePharmacyAudience();
+
+    assert.deepEqual(idsOf(audience).sort(), [verified.id, optedOut.id, nearby.id, far.id].sort());
+    const reached = audience.find((pharmacy) => pharmacy.id === verified.id);
+    assert.equal(reached.userId, verified.userId);
+    assert.equal(reached.distanceKm, null);
+    assert.equal(reached.stock, null);
+    assert.equal(reached.latitude, undefined);
+  });
+
+  it("skips pharmacies that turned SOS alerts off, only for SOS alerts", async () => {
+    assert.ok(!idsOf(await audienceService.resolvePharmacyAudience({ sosAlerts: true })).includes(optedOut.id));
+    assert.ok(idsOf(await audienceService.resolvePharmacyAudience()).includes(optedOut.id));
+  });
+
+  it("cuts off at the radius and sorts nearest first", async () => {
+    const within5 = await audienceService.resolvePharmacyAudience({ origin: ORIGIN, radiusKm: 5 });
+    const [first, second, third, ...rest] = idsOf(within5);
+    assert.deepEqual([first, second].sort(), [verified.id, optedOut.id].sort());
+    assert.equal(third, nearby.id);
+    assert.deepEqual(rest, []);
+    assert.ok(within5.find((pharmacy) => pharmacy.id === nearby.id).distanceKm > 3);
+
+    const within50 = await audienceService.resolvePharmacyAudience({ origin: ORIGIN, radiusKm: 50 });
+    assert.equal(idsOf(within50).at(-1), far.id);
+
+    // Without origin coordinates there is nothing to measure from
+    const unlocated = await audienceService.resolvePharmacyAudience({ origin: { latitude: null }, radiusKm: 5 });
+    assert.ok(idsOf(unlocated).includes(far.id));
+  });
+
+  it("matches live stock and, with requireStock, drops pharmacies without it", async () => {
+    const item = await fixtures.medicine(verified, { genericName: "Cetirizine", quantity: 5 });
+    await fixtures.medicine(nearby, { name: item.name, quantity: 1 });
+    await fixtures.medicine(inactive, { name: item.name });
+
+    const medicine = { names: [item.name], quantity: 2 };
+    const audience = await audienceService.resolvePharmacyAudience({ medicine });
+    const stock = new Map(audience.map((pharmacy) => [pharmacy.id, pharmacy.stock]));
+
+    assert.deepEqual(stock.get(verified.id), { inventoryId: item.id, name: item.name, available: 5 });
+    // Too little stock to cover the quantity
+    assert.equal(stock.get(nearby.id), null);
+    assert.ok(idsOf(audience).includes(far.id));
+
+    assert.deepEqual(idsOf(await audienceService.resolvePharmacyAudience({ medicine, requireStock: true })), [verified.id]);
+
+    const byGeneric = await audienceService.resolvePharmacyAudience({
+      medicine: { names: ["Other brand", "cetirizine"] },
+      requireStock: true,
+    });
+    assert.deepEqual(idsOf(byGeneric), [verified.id]);
+  });
+
+  it("leaves out excluded pharmacies", async () => {
+    const audience = await audienceService.resolvePharmacyAudience({ excludePharmacyIds: [verified.id, far.id] });
+    assert.deepEqual(idsOf(audience).sort(), [optedOut.id, nearby.id].sort());
+
+    const limited = await audienceService.resolvePharmacyAudience({
+      pharmacyIds: [verified.id, nearby.id, pending.id],
+      excludePharmacyIds: [nearby.id],
+    });
+    assert.deepEqual(idsOf(limited), [verified.id]);
+    assert.deepEqual(await audienceService.resolvePharmacyAudience({ pharmacyIds: [] }), []);
+  });
+
+  it("follows up with the pharmacies already alerted, including those that opted out since", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, {}, [verified, optedOut, inactive, nearby]);
+
+    const alerted = await audienceService.resolveAlertedAudience(sosRequest.id);
+    assert.deepEqual(idsOf(alerted).sort(), [verified.id, optedOut.id, nearby.id].sort());
+
+    const others = await audienceService.resolveAlertedAudience(sosRequest.id, { excludePharmacyIds: [verified.id] });
+    assert.deepEqual(idsOf(others).sort(), [optedOut.id, nearby.id].sort());
+
+    const unalerted = await fixtures.sosRequest(patient);
+    assert.deepEqual(await audienceService.resolveAlertedAudience(unalerted.id), []);
+  });
+});
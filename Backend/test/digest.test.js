@@ -0,0 +1,146 @@
+/**
+ * Daily pharmacy digest - integration test
+ *
+ * Pharmacies that opt into the digest get one email a day, from the digest
+ * time onwards and outside their quiet hours. Each day is claimed before the
+ * digest is built, so overlapping sweeps queue it once. The report covers the
+ * types the pharmacy chose.
+ *
+ * Runs with NOTIFICATION_TIMEZONE=UTC and the default 07:00 digest time.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("pharmacy digest", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let digestService;
+  let preferenceService;
+  let noon;
+
+  // A pharmacy subscribed to the digest for the given types
+  const subscriber = async (types, data = {}) => {
+    const pharmacy = await fixtures.pharmacy(data);
+    await preferenceService.updatePreferences(pharmacy.userId, "PHARMACY_ADMIN", {
+      preferences: types.map((type) => ({ type, digest: true })),
+    });
+    return pharmacy;
+  };
+
+  const digestsFor = (pharmacy) =>
+    prisma.emailOutbox.findMany({ where: { to: pharmacy.user.email, template: "pharmacy-digest" } });
+
+  before(async () => {
+    // Configuration is read once, when the modules load
+    process.env.NOTIFICATION_TIMEZONE = "UTC";
+    process.env.NOTIFICATION_DIGEST_TIME = "07:00";
+    process.env.NOTIFICATION_EMAILS_ENABLED = "true";
+
+    prisma = await connectTestDatabase();
+    digestService = await import("../src/modules/notifications/digest.service.js");
+    preferenceService = await import("../src/modules/notifications/preference.service.js");
+
+    fixtures = createFixtures(prisma, "digest");
+    noon = new Date(`${new Date().toISOString().slice(0, 10)}T12:00:00Z`);
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("queues one digest a day, from the digest time onwards", async () => {
+    const pharmacy = await subscriber(["ORDER_UPDATE"]);
+    const early = new Date(noon.getTime() - 6 * 60 * 60 * 1000);
+
+    assert.equal(await digestService.sendDueDigests(early), 0);
+    assert.equal((await digestsFor(pharmacy)).length, 0);
+
+    await digestService.sendDueDigests(noon);
+    await digestService.sendDueDigests(new Date(noon.getTime() + 60 * 60 * 1000));
+    assert.equal((await digestsFor(pharmacy)).length, 1);
+    assert.deepEqual((await prisma.pharmacy.findUnique({ where: { id: pharmacy.id } })).lastDigestAt, noon);
+
+    await digestService.sendDueDigests(new Date(noon.getTime() + DAY));
+    assert.equal((await digestsFor(pharmacy)).length, 2);
+  });
+
+  it("queues a digest once when sweeps overlap", async () => {
+    const pharmacy = await subscriber(["LOW_STOCK_WARNING"]);
+
+    await Promise.all([digestService.sendDueDigests(noon), digestService.sendDueDigests(noon)]);
+
+    assert.equal((await digestsFor(pharmacy)).length, 1);
+  });
+
+  it("waits for quiet hours to end", async () => {
+    const pharmacy = await subscriber(["ORDER_UPDATE"], { quietHoursStart: "11:00", quietHoursEnd: "13:00" });
+
+    await digestService.sendDueDigests(noon);
+    assert.equal((await digestsFor(pharmacy)).length, 0);
+
+    await digestService.sendDueDigests(new Date(noon.getTime() + 90 * 60 * 1000));
+    assert.equal((await digestsFor(pharmacy)).length, 1);
+  });
+
+  it("leaves out pharmacies that didn't opt in", async () => {
+    const pharmacy = await fixtures.pharmacy();
+
+    await digestService.sendDueDigests(noon);
+
+    assert.equal((await digestsFor(pharmacy)).length, 0);
+  });
+
+  it("reports only the sections the pharmacy chose", async () => {
+    const pharmacy = await fixtures.pharmacy();
+    const low = await fixtures.medicine(pharmacy, { quantity: 3 });
+    await fixtures.medicine(pharmacy, { quantity: 500 });
+    const expiring = await fixtures.medicine(pharmacy, { quantity: 500, expiryDate: daysFromNow(45).toISOString() });
+
+    const patient = await fixtures.patient();
+    const open = await fixtures.sosRequest(patient, {}, [pharmacy]);
+    const declined = await fixtures.sosRequest(patient, {}, [pharmacy]);
+    await prisma.pharmacyResponse.create({
+      data: { sosId: declined.id, pharmacyId: pharmacy.id, response: "rejected" },
+    });
+
+    const now = new Date();
+    const digest = await digestService.buildPharmacyDigest(
+      pharmacy,
+      new Set(["SOS_UPDATE", "LOW_STOCK_WARNING", "EXPIRY_WARNING"]),
+      now
+    );
+
+    assert.deepEqual(digest.sos.map((sos) => sos.id), [open.id]);
+    assert.deepEqual(digest.lowStock.map((item) => item.id), [low.id]);
+    assert.deepEqual(
+      digest.expiring.map((window) => [window.days, window.items.map((item) => item.name)]),
+      [[30, []], [60, [expiring.name]], [90, []]]
+    );
+    assert.equal(digest.pendingOrders, undefined);
+
+    const { html, text } = digestService.renderDigestReport(digest);
+    assert.match(html, /Open SOS requests near you/);
+    assert.doesNotMatch(html, /Orders waiting for you/);
+    assert.match(text, new RegExp(`${low.name} \\| Paracetamol \\| 3`));
+  });
+
+  it("escapes what pharmacies and patients typed", () => {
+    const { html } = digestService.renderDigestReport({
+      lowStock: [{ name: "<b>Bold</b>", genericName: "x", quantity: 0 }],
+    });
+
+    assert.match(html, /&lt;b&gt;Bold&lt;\/b&gt;/);
+    assert.match(html, /Out of stock/);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Email outbox - integration test
+ *
+ * Notification emails are rendered into EmailOutbox and sent by processOutbox.
+ * Each email is claimed before it is sent, so overlapping sweeps send it once.
+ * A failed send is retried with backoff until the attempts run out, and an
+ * email left SENDING by a crash is picked up again after a timeout.
+ *
+ * Emails go to a small SMTP server started by the test, which can be told to
+ * refuse them. Runs with NOTIFICATION_EMAIL_MAX_ATTEMPTS=2.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Just enough SMTP to accept (or, with refuse set, reject) Nodemailer's messages
+ * @returns {object} net.Server with received (recipients accepted) and refuse
+ */
+const createSmtpServer = () => {
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.write("220 test SMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            socket.write("250 Queued\r\n");
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "RCPT") {
+          if (server.refuse) {
+            socket.write("550 Mailbox unavailable\r\n");
+          } else {
+            server.received.push(line.match(/<(.*)>/)[1]);
+            socket.write("250 OK\r\n");
+          }
+        } else if (command === "DATA") {
+          inData = true;
+          socket.write("354 Go ahead\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+  server.received = [];
+  server.refuse = false;
+  server.stop = () => {
+    for (const socket of sockets) socket.destroy();
+    return new Promise((resolve) => server.close(resolve));
+  };
+
+  return server;
+};
+
+describe("email outbox", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let emailService;
+  let smtp;
+  let patient;
+
+  const variables = { title: "Order Confirmed", message: "Your order was confirmed", actionUrl: "http://localhost/orders" };
+
+  const queueOne = async (user = patient) => {
+    await emailService.queueEmails([user.id], "notification", variables);
+    return prisma.emailOutbox.findFirst({ where: { to: user.email }, orderBy: { createdAt: "desc" } });
+  };
+
+  const reload = (email) => prisma.emailOutbox.findUnique({ where: { id: email.id } });
+
+  before(async () => {
+    smtp = createSmtpServer();
+    await new Promise((resolve) => smtp.listen(0, "127.0.0.1", resolve));
+
+    // Configuration is read once, when the modules load
+    process.env.EMAIL_HOST = "127.0.0.1";
+    process.env.EMAIL_PORT = String(smtp.address().port);
+    process.env.NOTIFICATION_EMAILS_ENABLED = "true";
+    process.env.NOTIFICATION_EMAIL_MAX_ATTEMPTS = "2";
+
+    prisma = await connectTestDatabase();
+    emailService = await import("../src/modules/notifications/email.service.js");
+
+    fixtures = createFixtures(prisma, "email-outbox");
+    patient = await fixtures.patient();
+  });
+
+  afterEach(async () => {
+    smtp.received = [];
+    smtp.refuse = false;
+    await prisma?.emailOutbox.deleteMany({ where: { to: { contains: fixtures.runId } } });
+  });
+
+  after(async () => {
+    await smtp.stop();
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("renders and queues an email per active user with an address", async () => {
+    const inactive = await fixtures.patient({ isActive: false });
+
+    assert.equal(await emailService.queueEmails([patient.id, inactive.id], "notification", variables), 1);
+
+    const email = await prisma.emailOutbox.findFirst({ where: { to: patient.email } });
+    assert.equal(email.status, "PENDING");
+    assert.equal(email.userId, patient.id);
+    assert.match(email.subject, /Order Confirmed/);
+    assert.match(email.html, new RegExp(patient.name));
+
+    await assert.rejects(emailService.queueEmails([patient.id], "notification", {}), /missing/);
+  });
+
+  it("sends due emails and marks them sent", async () => {
+    const email = await queueOne();
+
+    const result = await emailService.processOutbox();
+
+    assert.equal(result.sent, 1);
+    assert.deepEqual(smtp.received, [patient.email]);
+    const sent = await reload(email);
+    assert.equal(sent.status, "SENT");
+    assert.equal(sent.attempts, 1);
+    assert.ok(sent.sentAt);
+  });
+
+  it("sends an email once when sweeps overlap", async () => {
+    await queueOne();
+
+    const results = await Promise.all([emailService.processOutbox(), emailService.processOutbox()]);
+
+    assert.equal(results[0].sent + results[1].sent, 1);
+    assert.deepEqual(smtp.received, [patient.email]);
+  });
+
+  it("retries a failed send with backoff, then gives up", async () => {
+    const email = await queueOne();
+    smtp.refuse = true;
+
+    assert.equal((await emailService.processOutbox()).retrying, 1);
+    const retrying = await reload(email);
+    assert.equal(retrying.status, "PENDING");
+    assert.equal(retrying.attempts, 1);
+    assert.match(retrying.lastError, /550/);
+    assert.ok(retrying.nextAttemptAt > new Date(Date.now() + 0.5 * MINUTE));
+
+    // Not due again until the backoff has passed
+    assert.deepEqual(await emailService.processOutbox(), { sent: 0, retrying: 0, failed: 0 });
+
+    assert.equal((await emailService.processOutbox(new Date(Date.now() + 2 * MINUTE))).failed, 1);
+    const failed = await reload(email);
+    assert.equal(failed.status, "FAILED");
+    assert.equal(failed.attempts, 2);
+
+    smtp.refuse = false;
+    await emailService.processOutbox(new Date(Date.now() + 60 * MINUTE));
+    assert.deepEqual(smtp.received, []);
+  });
+
+  it("picks up emails left sending by a crash only after the timeout", async () => {
+    const email = await queueOne();
+    await prisma.emailOutbox.update({ where: { id: email.id }, data: { status: "SENDING", attempts: 1 } });
+
+    await emailService.processOutbox();
+    assert.equal((await reload(email)).status, "SENDING");
+
+    await emailService.processOutbox(new Date(Date.now() + 11 * MINUTE));
+    const sent = await reload(email);
+    assert.equal(sent.status, "SENT");
+    assert.equal(sent.attempts, 2);
+    assert.deepEqual(smtp.received, [patient.email]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Shared setup for the database-backed tests
+ *
+ * Tests run against a migrated PostgreSQL database given as TEST_DATABASE_URL
+ * (suites are skipped without one). Each test file makes its own users,
+ * pharmacies and stock through createFixtures and removes them afterwards;
+ * deleting the users cascades to everything hanging off them.
+ */
+
+const { TEST_DATABASE_URL } = process.env;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Kathmandu; fixtures sit here unless a test places them elsewhere
+export const ORIGIN = { latitude: 27.7172, longitude: 85.324 };
+
+// describe() options for a suite that needs the test database
+export const requiresDatabase = { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL is not set" };
+
+/**
+ * Point the app at the test database and load the Prisma client
+ * Modules read DATABASE_URL when they load, so import services after this
+ *
+ * @returns {Promise<object>} Prisma client
+ */
+export const connectTestDatabase = async () => {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+  const { prisma } = await import("../src/database/prisma.js");
+  return prisma;
+};
+
+/**
+ * A date the given number of days from now (negative for the past)
+ */
+export const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS);
+
+/**
+ * Fixture factory for one test file
+ *
+ * @param {object} prisma - From connectTestDatabase
+ * @param {string} label - Short name of the test file, used in emails and names
+ * @returns {object} { runId, patient, pharmacy, medicine, sosRequest, cleanup }
+ */
+export const createFixtures = (prisma, label) => {
+  const runId = `${label}-${Date.now().toString(36)}`;
+  const userIds = [];
+  let sequence = 0;
+  let rolesReady = null;
+
+  const nextName = (kind) => `${kind}-${runId}-${++sequence}`;
+
+  const ensureRoles = () => {
+    rolesReady ??= (async () => {
+      for (const role of [
+        { id: 1, name: "SYSTEM_ADMIN", displayName: "System Admin" },
+        { id: 2, name: "PHARMACY_ADMIN", displayName: "Pharmacy Admin" },
+        { id: 3, name: "PATIENT", displayName: "Patient" },
+      ]) {
+        await prisma.role.upsert({ where: { id: role.id }, create: role, update: {} });
+      }
+    })();
+    return rolesReady;
+  };
+
+  const createUser = async (roleId, data = {}) => {
+    await ensureRoles();
+    const name = nextName(roleId === 3 ? "patient" : "owner");
+    const user = await prisma.user.create({
+      data: { email: `${name}@fixtures.test`, name, password: "x", roleId, ...data },
+    });
+    userIds.push(user.id);
+    return user;
+  };
+
+  return {
+    runId,
+
+    /**
+     * A patient user
+     * @param {object} data - User fields to override
+     */
+    patient: (data = {}) => createUser(3, data),
+
+    /**
+     * A verified pharmacy (and its owner) at ORIGIN
+     * @param {object} data - Pharmacy fields to override, plus owner: user fields
+     * @returns {Promise<object>} Pharmacy including user
+     */
+    async pharmacy({ owner: ownerData = {}, ...data } = {}) {
+      const owner = await createUser(2, ownerData);
+      return prisma.pharmacy.create({
+        data: {
+          userId: owner.id,
+          pharmacyName: nextName("pharmacy"),
+          licenseNumber: nextName("license"),
+          address: "Test",
+          contactNumber: "0000000000",
+          ...ORIGIN,
+          verificationStatus: "VERIFIED",
+          ...data,
+        },
+        include: { user: true },
+      });
+    },
+
+    /**
+     * A medicine with one batch, added the way a pharmacy adds stock
+     * @param {object} pharmacy
+     * @param {object} data - addMedicine fields to override (quantity defaults to 10,
+     *   expiryDate to a year from now)
+     * @returns {Promise<object>} Inventory item with batches
+     */
+    async medicine(pharmacy, data = {}) {
+      const { addMedicine } = await import("../src/modules/inventory/inventory.service.js");
+      const { item } = await addMedicine(pharmacy.id, {
+        name: nextName("medicine"),
+        genericName: "Paracetamol",
+        price: 10,
+        batchNumber: "B1",
+        quantity: 10,
+        expiryDate: daysFromNow(365).toISOString(),
+        ...data,
+      });
+      return item;
+    },
+
+    /**
+     * A pending SOS request at ORIGIN, made directly (no pharmacies are alerted)
+     * @param {object} patient
+     * @param {object} data - SOSRequest fields to override
+     * @param {array} alerted - Pharmacies to record as already alerted
+     * @returns {Promise<object>} SOS request
+     */
+    async sosRequest(patient, data = {}, alerted = []) {
+      return prisma.sOSRequest.create({
+        data: {
+          patientId: patient.id,
+          medicineName: nextName("medicine"),
+          patientName: patient.name,
+          contactNumber: "0000000000",
+          address: "Test",
+          ...ORIGIN,
+          expiresAt: daysFromNow(1),
+          ...data,
+          alerts: { create: alerted.map((pharmacy) => ({ pharmacyId: pharmacy.id })) },
+        },
+      });
+    },
+
+    /**
+     * Remove everything the fixtures created
+     */
+    async cleanup() {
+      if (userIds.length > 0) {
+        await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+      }
+      // Queued emails outlive their user
+      await prisma.emailOutbox.deleteMany({ where: { to: { contains: runId } } });
+    },
+  };
+};
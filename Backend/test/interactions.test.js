@@ -0,0 +1,101 @@
+/**
+ * Drug–drug interaction checker - integration test
+ *
+ * Medicines are checked against the patient's active medications and each
+ * other, by ingredient, with aliases and combination products resolved.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+describe("drug interactions", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let interactionService;
+  let patient;
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    interactionService = (await import("../src/modules/medications/interaction.service.js")).default;
+
+    fixtures = createFixtures(prisma, "interactions");
+    patient = await fixtures.patient();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("splits combination products and resolves aliases", () => {
+    assert.deepEqual(interactionService.getIngredients("Acetaminophen 500 mg + Caffeine"), ["paracetamol", "caffeine"]);
+    assert.deepEqual(interactionService.getIngredients("Frusemide"), ["furosemide"]);
+  });
+
+  it("checks against the patient's active medications, most severe first", async () => {
+    const warfarin = await prisma.medication.create({
+      data: { patientId: patient.id, medicineName: "Coumadin", genericName: "Warfarin" },
+    });
+    // Stopped and finished courses are not checked
+    await prisma.medication.create({
+      data: { patientId: patient.id, medicineName: "Zocor", genericName: "Simvastatin", isActive: false },
+    });
+    await prisma.medication.create({
+      data: { patientId: patient.id, medicineName: "Norvasc", genericName: "Amlodipine", endDate: daysFromNow(-3) },
+    });
+
+    const { warnings, highestSeverity } = await interactionService.checkInteractions(patient.id, [
+      { name: "Tylenol", genericName: "Acetaminophen" },
+      { name: "Aspirin" },
+    ]);
+
+    assert.equal(highestSeverity, "major");
+    assert.deepEqual(
+      warnings.map((warning) => [warning.severity, warning.medicine, warning.interactsWith]),
+      [
+        ["major", "Aspirin", "Coumadin"],
+        ["minor", "Tylenol", "Coumadin"],
+      ]
+    );
+    assert.equal(warnings[0].medicationId, warfarin.id);
+  });
+
+  it("checks medicines requested together and flags duplicate therapy", async () => {
+    const { warnings } = await interactionService.checkInteractions(patient.id, [
+      { name: "Zocor", genericName: "Simvastatin" },
+      { name: "Norvasc", genericName: "Amlodipine" },
+      { name: "Panadol Extra", genericName: "Paracetamol + Caffeine" },
+      { name: "Calpol", genericName: "Paracetamol" },
+    ]);
+
+    assert.ok(warnings.some((warning) => warning.type === "interaction" && warning.interactsWith === "Norvasc"));
+    assert.ok(
+      warnings.some(
+        (warning) => warning.type === "duplicate" && warning.medicine === "Panadol Extra" && warning.interactsWith === "Calpol"
+      )
+    );
+  });
+
+  it("skips the medication being edited", async () => {
+    const warfarin = await prisma.medication.findFirst({ where: { patientId: patient.id, genericName: "Warfarin" } });
+
+    const { warnings } = await interactionService.checkInteractions(patient.id, [{ name: "Aspirin" }], {
+      excludeMedicationId: warfarin.id,
+    });
+
+    assert.deepEqual(warnings, []);
+  });
+
+  it("validates the medicines to check", async () => {
+    await assert.rejects(interactionService.checkInteractions(patient.id, []), { statusCode: 400 });
+    await assert.rejects(interactionService.checkInteractions(patient.id, [{ dosage: "5mg" }]), { statusCode: 400 });
+    assert.deepEqual(await interactionService.getInteractionWarnings(patient.id, []), []);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Batch inventory and first-expiry-first-out draws - integration test
+ *
+ * A medicine's stock is held in batches, each with its own expiry. Stock
+ * leaves the shelf first expiry first, skipping expired batches and units
+ * reserved for other orders, and the item's totals follow its batches.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+describe("inventory batches", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let inventoryService;
+  let pharmacy;
+
+  /**
+   * An item with a batch per entry: [batchNumber, quantity, days to expiry]
+   * Negative days give a batch that has already expired
+   */
+  const stockedItem = async (batches) => {
+    const [[batchNumber, quantity], ...rest] = batches;
+    const item = await fixtures.medicine(pharmacy, { batchNumber, quantity, expiryDate: daysFromNow(400).toISOString() });
+
+    for (const [number, units] of rest) {
+      await inventoryService.addBatch(item.id, pharmacy.id, {
+        batchNumber: number,
+        quantity: units,
+        expiryDate: daysFromNow(400).toISOString(),
+      });
+    }
+
+    // Back-date expiries once the batches are in (new stock must be sellable)
+    for (const [number, , days] of batches) {
+      await prisma.inventoryBatch.updateMany({
+        where: { inventoryId: item.id, batchNumber: number },
+        data: { expiryDate: daysFromNow(days) },
+      });
+    }
+
+    return item;
+  };
+
+  const batchQuantities = async (item) => {
+    const batches = await prisma.inventoryBatch.findMany({ where: { inventoryId: item.id } });
+    return Object.fromEntries(batches.map((batch) => [batch.batchNumber, batch.quantity]));
+  };
+
+  const draw = (item, quantity, options) =>
+    prisma.$transaction((tx) => inventoryService.drawStock(tx, item.id, quantity, options));
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    inventoryService = await import("../src/modules/inventory/inventory.service.js");
+
+    fixtures = createFixtures(prisma, "inventory-batches");
+    pharmacy = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("draws from the batch that expires first, then the next", async () => {
+    const item = await stockedItem([
+      ["LATE", 10, 300],
+      ["SOON", 4, 30],
+      ["MID", 5, 100],
+    ]);
+
+    const { movements, item: updated } = await draw(item, 7, { referenceId: "order-1" });
+
+    assert.deepEqual(await batchQuantities(item), { SOON: 0, MID: 2, LATE: 10 });
+    assert.deepEqual(
+      movements.map((movement) => [movement.batchNumber, movement.quantity, movement.type, movement.referenceId]),
+      [
+        ["SOON", -4, "SALE", "order-1"],
+        ["MID", -3, "SALE", "order-1"],
+      ]
+    );
+    assert.equal(updated.quantity, 12);
+    // The item's expiry is now that of the first batch with stock left
+    const next = await prisma.inventoryBatch.findFirst({ where: { inventoryId: item.id, batchNumber: "MID" } });
+    assert.deepEqual(updated.expiryDate, next.expiryDate);
+  });
+
+  it("never draws from expired batches", async () => {
+    const item = await stockedItem([
+      ["EXPIRED", 10, -1],
+      ["GOOD", 3, 60],
+    ]);
+
+    assert.equal(await draw(item, 4), null);
+    await draw(item, 3);
+
+    assert.deepEqual(await batchQuantities(item), { EXPIRED: 10, GOOD: 0 });
+  });
+
+  it("leaves units reserved for other orders alone", async () => {
+    const item = await stockedItem([["B1", 10, 60]]);
+    await prisma.inventory.update({ where: { id: item.id }, data: { reservedQuantity: 8 } });
+
+    assert.equal(await draw(item, 3), null);
+    await draw(item, 2);
+    assert.deepEqual(await batchQuantities(item), { B1: 8 });
+  });
+
+  it("releases the caller's own reservation as it draws", async () => {
+    const item = await stockedItem([["B1", 10, 60]]);
+    await prisma.inventory.update({ where: { id: item.id }, data: { reservedQuantity: 3 } });
+
+    assert.equal(await draw(item, 4, { reserved: true }), null);
+
+    const { item: updated } = await draw(item, 3, { reserved: true, type: "SOS_DISPENSE" });
+    assert.equal(updated.reservedQuantity, 0);
+    assert.equal(updated.quantity, 7);
+  });
+
+  it("adds stock of a medicine already held as another batch", async () => {
+    const item = await fixtures.medicine(pharmacy, { batchNumber: "A", quantity: 5, expiryDate: daysFromNow(200).toISOString() });
+
+    const { item: updated, batch, created } = await inventoryService.addMedicine(pharmacy.id, {
+      name: item.name.toUpperCase(),
+      genericName: item.genericName,
+      price: 10,
+      batchNumber: "B",
+      quantity: 7,
+      expiryDate: daysFromNow(50).toISOString(),
+    });
+
+    assert.equal(created, false);
+    assert.equal(updated.id, item.id);
+    assert.equal(batch.batchNumber, "B");
+    assert.equal(updated.quantity, 12);
+    assert.deepEqual(updated.batches.map((entry) => entry.batchNumber), ["B", "A"]);
+  });
+
+  it("sums the unexpired batches in the pharmacy's inventory", async () => {
+    const own = await fixtures.pharmacy();
+    const item = await fixtures.medicine(own, { batchNumber: "A", quantity: 6 });
+    await inventoryService.addBatch(item.id, own.id, { batchNumber: "B", quantity: 4, expiryDate: daysFromNow(90).toISOString() });
+    await prisma.inventoryBatch.updateMany({ where: { inventoryId: item.id, batchNumber: "B" }, data: { expiryDate: daysFromNow(-1) } });
+    await prisma.inventory.update({ where: { id: item.id }, data: { reservedQuantity: 2 } });
+
+    const { items } = await inventoryService.getPharmacyInventory(own.id);
+
+    assert.equal(items[0].quantity, 10);
+    assert.equal(items[0].unexpiredQuantity, 6);
+    assert.equal(items[0].availableQuantity, 4);
+  });
+
+  it("guards batch quantities and empty-batch removal", async () => {
+    const item = await stockedItem([["B1", 2, 60]]);
+    const [batch] = await prisma.inventoryBatch.findMany({ where: { inventoryId: item.id } });
+
+    await assert.rejects(inventoryService.updateBatch(item.id, batch.id, pharmacy.id, { quantity: 5 }), { statusCode: 400 });
+    await assert.rejects(inventoryService.deleteBatch(item.id, batch.id, pharmacy.id), { statusCode: 409 });
+
+    await draw(item, 2);
+    const updated = await inventoryService.deleteBatch(item.id, batch.id, pharmacy.id);
+    assert.deepEqual(updated.batches, []);
+    assert.equal(updated.quantity, 0);
+    assert.equal(updated.expiryDate, null);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Inventory export - integration test
+ *
+ * A pharmacy's stock comes out as CSV or XLSX (one row per batch, in the
+ * import's columns, so it can be imported elsewhere) or as a PDF stock-take
+ * sheet, filtered by low stock, expiry window and generic name.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+describe("inventory export", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let exportService;
+  let importService;
+  let inventoryService;
+  let spreadsheet;
+  let pharmacy;
+
+  const filters = (query) => exportService.parseExportFilters(query);
+
+  // Exported rows as objects keyed by header
+  const exportRows = async (format, query = {}) => {
+    const { body } = await exportService.exportInventory(pharmacy.id, format, filters(query));
+    const [header, ...rows] = await spreadsheet.readSpreadsheet(Buffer.from(body), format);
+    return rows.map(({ cells }) => Object.fromEntries(header.cells.map((column, index) => [column, cells[index]])));
+  };
+
+  const names = (rows) => rows.map((row) => `${row.name}/${row.batchNumber ?? ""}`);
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    exportService = await import("../src/modules/inventory/inventory-export.service.js");
+    importService = await import("../src/modules/inventory/inventory-import.service.js");
+    inventoryService = await import("../src/modules/inventory/inventory.service.js");
+    spreadsheet = await import("../src/utils/spreadsheet.js");
+
+    fixtures = createFixtures(prisma, "inventory-export");
+    pharmacy = await fixtures.pharmacy({ defaultReorderLevel: 5 });
+
+    // Amoxil: two batches, one expiring soon; Cetrizin: low; Napa: sold out
+    const amoxil = await fixtures.medicine(pharmacy, {
+      name: "Amoxil",
+      genericName: "Amoxicillin",
+      batchNumber: "A-LATE",
+      quantity: 40,
+      expiryDate: daysFromNow(300).toISOString(),
+    });
+    await fixtures.medicine(pharmacy, {
+      name: "Amoxil",
+      genericName: "Amoxicillin",
+      batchNumber: "A-SOON",
+      quantity: 20,
+      expiryDate: daysFromNow(20).toISOString(),
+    });
+    await fixtures.medicine(pharmacy, { name: "Cetrizin", genericName: "Cetirizine", batchNumber: "C1", quantity: 3 });
+    const napa = await fixtures.medicine(pharmacy, { name: "Napa", genericName: "Paracetamol", batchNumber: "N1", quantity: 2 });
+    await prisma.$transaction((tx) => inventoryService.drawStock(tx, napa.id, 2));
+    await prisma.inventory.update({ where: { id: amoxil.id }, data: { requiresPrescription: true } });
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("exports a CSV row per batch in stock, first to expire first", async () => {
+    const { filename, contentType, body, rowCount } = await exportService.exportInventory(pharmacy.id, "csv", filters({}));
+
+    assert.match(filename, /^inventory-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.equal(contentType, "text/csv; charset=utf-8");
+    assert.ok(body.startsWith("﻿"));
+    assert.equal(rowCount, 4);
+
+    const rows = await exportRows("csv");
+    assert.deepEqual(names(rows), ["Amoxil/A-SOON", "Amoxil/A-LATE", "Cetrizin/C1", "Napa/"]);
+    assert.deepEqual(
+      [rows[0].quantity, rows[0].totalQuantity, rows[0].requiresPrescription, rows[0].reorderLevel],
+      ["20", "60", "yes", ""]
+    );
+    assert.equal(rows[0].expiryDate, daysFromNow(20).toISOString().slice(0, 10));
+    assert.equal(rows[3].quantity, "0");
+  });
+
+  it("filters by low stock, expiry window and generic name", async () => {
+    assert.deepEqual(names(await exportRows("csv", { lowStock: "true" })), ["Cetrizin/C1", "Napa/"]);
+    assert.deepEqual(names(await exportRows("csv", { expiringWithinDays: "30" })), ["Amoxil/A-SOON"]);
+    assert.deepEqual(names(await exportRows("csv", { genericName: "  AMOX " })), ["Amoxil/A-SOON", "Amoxil/A-LATE"]);
+    assert.deepEqual(names(await exportRows("csv", { lowStock: "true", genericName: "amox" })), []);
+  });
+
+  it("counts expired batches as expiring", async () => {
+    const own = await fixtures.pharmacy();
+    const item = await fixtures.medicine(own, { batchNumber: "OLD", quantity: 4 });
+    await prisma.inventoryBatch.updateMany({ where: { inventoryId: item.id }, data: { expiryDate: daysFromNow(-10) } });
+
+    const { rowCount } = await exportService.exportInventory(own.id, "csv", filters({ expiringWithinDays: "0" }));
+
+    assert.equal(rowCount, 1);
+  });
+
+  it("rejects filters and formats it doesn't know", async () => {
+    for (const query of [{ lowStock: "yes" }, { expiringWithinDays: "-1" }, { expiringWithinDays: "1.5" }, { expiringWithinDays: "9999" }]) {
+      assert.throws(() => filters(query), { statusCode: 400 });
+    }
+
+    await assert.rejects(exportService.exportInventory(pharmacy.id, "json", filters({})), { statusCode: 400 });
+    await assert.rejects(exportService.exportInventory("missing", "csv", filters({})), { statusCode: 404 });
+  });
+
+  it("keeps spreadsheet apps from running exported text as formulas", async () => {
+    const own = await fixtures.pharmacy();
+    await fixtures.medicine(own, { name: "=HYPERLINK(\"x\")", genericName: "Test" });
+
+    const { body } = await exportService.exportInventory(own.id, "csv", filters({}));
+
+    assert.match(body, /\r\n"'=HYPERLINK\(""x""\)",Test,/);
+  });
+
+  it("exports XLSX that imports into another pharmacy", async () => {
+    const { body, contentType } = await exportService.exportInventory(pharmacy.id, "xlsx", filters({ genericName: "amox" }));
+    assert.equal(contentType, "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+
+    const other = await fixtures.pharmacy();
+    const report = await importService.importInventory(other.id, { buffer: body, spreadsheetFormat: "xlsx" });
+
+    assert.deepEqual([report.created, report.updated, report.rejected], [1, 1, 0]);
+    assert.deepEqual(report.ignoredColumns, ["totalQuantity", "reservedQuantity"]);
+    const [copy] = await prisma.inventory.findMany({ where: { pharmacyId: other.id } });
+    assert.deepEqual([copy.name, copy.quantity, copy.requiresPrescription], ["Amoxil", 60, true]);
+  });
+
+  it("prints a PDF stock-take sheet", async () => {
+    const { filename, contentType, body, rowCount } = await exportService.exportInventory(
+      pharmacy.id,
+      "pdf",
+      filters({ expiringWithinDays: "30" })
+    );
+
+    assert.match(filename, /^stock-take-\d{4}-\d{2}-\d{2}\.pdf$/);
+    assert.equal(contentType, "application/pdf");
+    assert.equal(rowCount, 1);
+    assert.equal(body.subarray(0, 5).toString(), "%PDF-");
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Bulk inventory import - integration test
+ *
+ * A CSV or XLSX file adds one batch per row, creating medicines or adding to
+ * those already stocked (matched by name and generic name). Every row is
+ * reported as created, updated or rejected with a reason; valid rows go in
+ * even when others are rejected. A dry run returns the same report and
+ * writes nothing.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+const csv = (...lines) => ({ buffer: Buffer.from(lines.join("\r\n")), spreadsheetFormat: "csv" });
+
+const actions = (report) => report.rows.map((row) => [row.row, row.action]);
+
+describe("inventory import", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let importService;
+  let spreadsheet;
+
+  const inventoryOf = (pharmacy) =>
+    prisma.inventory.findMany({
+      where: { pharmacyId: pharmacy.id },
+      include: { batches: { orderBy: { batchNumber: "asc" } } },
+      orderBy: { name: "asc" },
+    });
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    importService = await import("../src/modules/inventory/inventory-import.service.js");
+    spreadsheet = await import("../src/utils/spreadsheet.js");
+
+    fixtures = createFixtures(prisma, "inventory-import");
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("previews an import without writing anything, then imports the same rows", async () => {
+    const pharmacy = await fixtures.pharmacy();
+    const stocked = await fixtures.medicine(pharmacy, { name: "Napa", genericName: "Paracetamol" });
+    const file = csv(
+      "name,genericName,price,batchNumber,quantity,expiryDate",
+      "Amoxil,Amoxicillin,120,A1,30,2035-01-31",
+      "NAPA,paracetamol,,N2,50,2035-06-30",
+      "Flagyl,Metronidazole,,F1,10,2035-01-31"
+    );
+
+    const preview = await importService.importInventory(pharmacy.id, file, { dryRun: true });
+
+    assert.equal(preview.dryRun, true);
+    assert.deepEqual([preview.created, preview.updated, preview.rejected], [1, 1, 1]);
+    assert.deepEqual(actions(preview), [[2, "created"], [3, "updated"], [4, "rejected"]]);
+    assert.equal(preview.rows[1].inventoryId, stocked.id);
+    assert.match(preview.rows[2].reason, /Price/);
+    assert.deepEqual((await inventoryOf(pharmacy)).map((item) => item.id), [stocked.id]);
+    assert.equal(await prisma.stockMovement.count({ where: { inventory: { pharmacyId: pharmacy.id } } }), 1);
+
+    const report = await importService.importInventory(pharmacy.id, file, { userId: pharmacy.userId });
+
+    assert.equal(report.dryRun, false);
+    assert.deepEqual(actions(report), actions(preview));
+
+    const [amoxil, napa] = await inventoryOf(pharmacy);
+    assert.equal(amoxil.quantity, 30);
+    assert.equal(amoxil.price, 120);
+    assert.equal(napa.id, stocked.id);
+    assert.deepEqual(napa.batches.map((batch) => [batch.batchNumber, batch.quantity]), [["B1", 10], ["N2", 50]]);
+
+    const movement = await prisma.stockMovement.findFirst({ where: { inventoryId: amoxil.id } });
+    assert.deepEqual([movement.type, movement.reason, movement.userId], ["PURCHASE", "Bulk import", pharmacy.userId]);
+  });
+
+  it("reports why each rejected row was rejected and imports the rest", async () => {
+    const pharmacy = await fixtures.pharmacy();
+    await fixtures.medicine(pharmacy, { name: "Napa", genericName: "Paracetamol", batchNumber: "B1" });
+
+    const report = await importService.importInventory(
+      pharmacy.id,
+      csv(
+        "name,genericName,price,requiresPrescription,batchNumber,quantity,expiryDate",
+        ",Cetirizine,50,no,C1,10,2035-01-31",
+        "Zyrtec,Cetirizine,50,maybe,C1,10,2035-01-31",
+        "Zyrtec,Cetirizine,50,no,C1,10,31/02/2035",
+        "Zyrtec,Cetirizine,50,no,C1,-5,2035-01-31",
+        "Napa,Paracetamol,,,B1,5,2035-01-31",
+        "Zyrtec,Cetirizine,50,no,C1,10,2035-01-31",
+        "Zyrtec,Cetirizine,,,C1,10,2035-01-31"
+      )
+    );
+
+    const reasons = report.rows.map((row) => row.reason || row.action);
+    assert.match(reasons[0], /Missing required fields/);
+    assert.match(reasons[1], /yes or no/);
+    assert.match(reasons[2], /Expiry date/);
+    assert.match(reasons[3], /Quantity/);
+    assert.match(reasons[4], /already recorded/);
+    assert.equal(reasons[5], "created");
+    // The file's own earlier row counts too
+    assert.match(reasons[6], /already recorded/);
+    assert.deepEqual([report.created, report.updated, report.rejected], [1, 0, 6]);
+  });
+
+  it("updates a stocked medicine's details from a row without a batch", async () => {
+    const pharmacy = await fixtures.pharmacy();
+    const item = await fixtures.medicine(pharmacy, { name: "Napa", genericName: "Paracetamol", price: 10 });
+
+    const report = await importService.importInventory(
+      pharmacy.id,
+      csv("name,genericName,price,requiresPrescription,reorderLevel", "napa,PARACETAMOL,12.5,yes,20")
+    );
+
+    assert.deepEqual(actions(report), [[2, "updated"]]);
+    const updated = await prisma.inventory.findUnique({ where: { id: item.id } });
+    assert.deepEqual([updated.price, updated.requiresPrescription, updated.reorderLevel, updated.quantity], [12.5, true, 20, 10]);
+  });
+
+  it("recognises common headers and pack expiry dates", async () => {
+    const pharmacy = await fixtures.pharmacy();
+
+    const report = await importService.importInventory(
+      pharmacy.id,
+      csv("Medicine,Generic,MRP,Batch No,Qty,Expiry,Shelf", 'Brufen,Ibuprofen,"1,250.50",I1,8,02/2036,A3')
+    );
+
+    assert.deepEqual(report.ignoredColumns, ["Shelf"]);
+    const [item] = await inventoryOf(pharmacy);
+    assert.equal(item.price, 1250.5);
+    assert.equal(item.batches[0].expiryDate.toISOString().slice(0, 10), "2036-02-29");
+  });
+
+  it("reads XLSX files", async () => {
+    const pharmacy = await fixtures.pharmacy();
+    const buffer = await spreadsheet.toXlsx(
+      "Stock",
+      ["name", "genericName", "price", "batchNumber", "quantity", "expiryDate"].map((key) => ({ header: key, key })),
+      [{ name: "Losar", genericName: "Losartan", price: 80, batchNumber: "L1", quantity: 12, expiryDate: new Date("2035-03-31") }]
+    );
+
+    const report = await importService.importInventory(pharmacy.id, { buffer, spreadsheetFormat: "xlsx" });
+
+    assert.deepEqual(actions(report), [[2, "created"]]);
+    assert.equal((await inventoryOf(pharmacy))[0].quantity, 12);
+  });
+
+  it("refuses files it can't read as an inventory", async () => {
+    const pharmacy = await fixtures.pharmacy();
+    const importFile = (file) => importService.importInventory(pharmacy.id, file);
+
+    await assert.rejects(importFile(csv("name,price", "Napa,10")), { statusCode: 400, message: /genericName/ });
+    await assert.rejects(importFile(csv("name,genericName")), { statusCode: 400 });
+    await assert.rejects(importFile(csv("")), { statusCode: 400 });
+    await assert.rejects(importFile({ buffer: Buffer.from("not a workbook"), spreadsheetFormat: "xlsx" }), {
+      statusCode: 400,
+    });
+    await assert.rejects(importFile(null), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Low-stock alerts - integration test
+ *
+ * An item is low when its unexpired stock is at or below its reorder level
+ * (its own, or the pharmacy default). The change that brings it there alerts
+ * the pharmacy once; it alerts again only after stock has gone back above the
+ * level. The admin insights count the same unexpired stock.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+describe("low-stock alerts", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let inventoryService;
+  let lowStockService;
+  let adminController;
+
+  const writeOff = (pharmacy, item, quantity) =>
+    inventoryService.recordStockMovement(item.id, pharmacy.id, {
+      batchId: item.batches[0].id,
+      type: "DAMAGE",
+      quantity,
+      reason: "Damaged",
+    });
+
+  const alertsFor = (pharmacy) =>
+    prisma.notification.count({ where: { userId: pharmacy.userId, type: "LOW_STOCK_WARNING" } });
+
+  // Calls the insights endpoint and returns its data
+  const inventoryInsights = async () => {
+    let body;
+    const res = { status: () => res, json: (payload) => (body = payload) };
+    await adminController.getInventoryInsights({}, res, (error) => {
+      throw error;
+    });
+    return body.data;
+  };
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    inventoryService = await import("../src/modules/inventory/inventory.service.js");
+    lowStockService = await import("../src/modules/inventory/low-stock.service.js");
+    adminController = await import("../src/controllers/admin.controller.js");
+
+    fixtures = createFixtures(prisma, "low-stock");
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("alerts once per crossing of the reorder level", async () => {
+    const pharmacy = await fixtures.pharmacy({ defaultReorderLevel: 5 });
+    const item = await fixtures.medicine(pharmacy, { quantity: 10 });
+
+    const above = await writeOff(pharmacy, item, 4);
+    const crossed = await writeOff(pharmacy, item, 1);
+    const stillLow = await writeOff(pharmacy, item, 2);
+
+    assert.deepEqual([above.lowStockCrossed, crossed.lowStockCrossed, stillLow.lowStockCrossed], [false, true, false]);
+    assert.ok(stillLow.lowStockAlertedAt);
+
+    await lowStockService.alertLowStock([above, crossed, stillLow]);
+    assert.equal(await alertsFor(pharmacy), 1);
+
+    // Restocking above the level re-arms the alert for the next crossing
+    const restocked = await inventoryService.addBatch(item.id, pharmacy.id, {
+      batchNumber: "B2",
+      quantity: 10,
+      expiryDate: daysFromNow(200).toISOString(),
+    });
+    assert.equal(restocked.lowStockAlertedAt, null);
+
+    assert.equal((await writeOff(pharmacy, restocked, 7)).lowStockCrossed, false);
+    assert.equal((await writeOff(pharmacy, restocked, 1)).lowStockCrossed, true);
+  });
+
+  it("uses the item's own reorder level before the pharmacy default", async () => {
+    const pharmacy = await fixtures.pharmacy({ defaultReorderLevel: 5 });
+    const item = await fixtures.medicine(pharmacy, { quantity: 10 });
+
+    const raised = await inventoryService.updateInventoryItem(item.id, pharmacy.id, { reorderLevel: 12 });
+    assert.equal(raised.lowStockCrossed, true);
+
+    const reset = await inventoryService.updateInventoryItem(item.id, pharmacy.id, { reorderLevel: null });
+    assert.equal(reset.lowStockCrossed, false);
+    assert.equal(reset.lowStockAlertedAt, null);
+  });
+
+  it("doesn't count expired units as stock", async () => {
+    const pharmacy = await fixtures.pharmacy({ defaultReorderLevel: 5 });
+    const item = await fixtures.medicine(pharmacy, { batchNumber: "OLD", quantity: 20 });
+    await prisma.inventoryBatch.updateMany({ where: { inventoryId: item.id }, data: { expiryDate: daysFromNow(-1) } });
+
+    const updated = await inventoryService.addBatch(item.id, pharmacy.id, {
+      batchNumber: "NEW",
+      quantity: 3,
+      expiryDate: daysFromNow(100).toISOString(),
+    });
+
+    assert.equal(updated.quantity, 23);
+    assert.equal(updated.lowStockCrossed, true);
+    const low = await prisma.inventory.findMany({ where: await lowStockService.lowStockWhere(pharmacy.id) });
+    assert.deepEqual(low.map((entry) => entry.id), [item.id]);
+  });
+
+  it("re-arms items above a lowered pharmacy default", async () => {
+    const pharmacy = await fixtures.pharmacy({ defaultReorderLevel: 5 });
+    const item = await fixtures.medicine(pharmacy, { quantity: 6 });
+    const low = await writeOff(pharmacy, item, 1);
+    assert.equal(low.lowStockCrossed, true);
+
+    await prisma.pharmacy.update({ where: { id: pharmacy.id }, data: { defaultReorderLevel: 2 } });
+    assert.equal(await lowStockService.rearmLowStockAlerts(pharmacy.id), 1);
+
+    assert.equal((await writeOff(pharmacy, item, 3)).lowStockCrossed, true);
+  });
+
+  it("counts items with only expired stock as out of stock in the admin insights", async () => {
+    const genericName = `Insight-${fixtures.runId}`;
+    const before = await inventoryInsights();
+
+    const pharmacy = await fixtures.pharmacy({ defaultReorderLevel: 5 });
+    const expired = await fixtures.medicine(pharmacy, { genericName, quantity: 8 });
+    await prisma.inventoryBatch.updateMany({ where: { inventoryId: expired.id }, data: { expiryDate: daysFromNow(-1) } });
+    const other = await fixtures.pharmacy({ defaultReorderLevel: 5 });
+    await fixtures.medicine(other, { genericName, quantity: 4 });
+
+    const after = await inventoryInsights();
+
+    assert.equal(after.outOfStockCount - before.outOfStockCount, 1);
+    assert.equal(after.lowStockCount - before.lowStockCount, 2);
+    const shortage = after.shortages.find((entry) => entry.genericName === genericName);
+    assert.deepEqual(
+      [shortage.totalPharmacies, shortage.lowStockCount, shortage.outOfStockCount, shortage.avgQuantity],
+      [2, 2, 1, 2]
+    );
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Medication reminders and adherence - integration test
+ *
+ * Dose schedules expand to dose slots; the reminder sweep records each slot
+ * once as it falls due, patients mark doses taken or skipped, and adherence
+ * counts unmarked doses as missed once their grace period is over.
+ *
+ * Runs with MEDICATION_TIMEZONE=UTC so dose times can be derived from the clock.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+/**
+ * The dose slot the given number of minutes from now, with its "HH:mm" time
+ */
+const slotAt = (minutes) => {
+  const slot = new Date(Math.floor((Date.now() + minutes * MINUTE) / MINUTE) * MINUTE);
+  return { slot, time: slot.toISOString().slice(11, 16) };
+};
+
+describe("medication reminders and adherence", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let medicationService;
+  let patient;
+
+  // A fresh patient per test keeps adherence and daily doses to that test's medications
+  const newPatient = async () => {
+    patient = await fixtures.patient();
+  };
+
+  /**
+   * A scheduled medication whose schedule was set the given number of minutes ago
+   */
+  const scheduleMedication = async (times, setMinutesAgo = 8 * 60) => {
+    const medication = await medicationService.createMedication(patient.id, {
+      medicineName: "Metformin",
+      times,
+    });
+
+    return prisma.medication.update({
+      where: { id: medication.id },
+      data: { scheduleUpdatedAt: new Date(Date.now() - setMinutesAgo * MINUTE) },
+    });
+  };
+
+  before(async () => {
+    // Configuration is read once, when the modules load
+    process.env.MEDICATION_TIMEZONE = "UTC";
+
+    prisma = await connectTestDatabase();
+    medicationService = (await import("../src/modules/medications/medication.service.js")).default;
+
+    fixtures = createFixtures(prisma, "reminders");
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("expands a schedule to dose slots within its days and course", () => {
+    const medication = {
+      scheduleTimes: ["08:00", "20:00"],
+      daysOfWeek: [1, 3],
+      startDate: new Date("2026-03-03T00:00:00Z"),
+      endDate: new Date("2026-03-09T00:00:00Z"),
+    };
+
+    const slots = medicationService.getDoseSlots(
+      medication,
+      new Date("2026-03-01T00:00:00Z"),
+      new Date("2026-03-31T00:00:00Z")
+    );
+
+    // Wednesday the 4th and Monday the 9th; Monday the 2nd is before the course starts
+    assert.deepEqual(
+      slots.map((slot) => slot.toISOString()),
+      [
+        "2026-03-04T08:00:00.000Z",
+        "2026-03-04T20:00:00.000Z",
+        "2026-03-09T08:00:00.000Z",
+        "2026-03-09T20:00:00.000Z",
+      ]
+    );
+  });
+
+  it("validates schedules", () => {
+    assert.throws(() => medicationService.parseSchedule({ times: ["8am"] }), { statusCode: 400 });
+    assert.throws(() => medicationService.parseSchedule({ daysOfWeek: [7] }), { statusCode: 400 });
+    assert.throws(() => medicationService.parseSchedule({ remindersEnabled: "yes" }), { statusCode: 400 });
+
+    const times = Array.from({ length: 13 }, (_, hour) => `${String(hour).padStart(2, "0")}:00`);
+    assert.throws(() => medicationService.parseSchedule({ times }), { statusCode: 400 });
+
+    assert.deepEqual(medicationService.parseSchedule({ times: ["20:00", "08:00", "20:00"] }).scheduleTimes, [
+      "08:00",
+      "20:00",
+    ]);
+  });
+
+  it("records each due dose once", async () => {
+    await newPatient();
+    const { slot, time } = slotAt(-5);
+    const medication = await scheduleMedication([time]);
+
+    const first = await medicationService.createDueDoses();
+    const ours = first.filter((entry) => entry.medication.id === medication.id);
+    assert.equal(ours.length, 1);
+    assert.equal(ours[0].dose.scheduledFor.getTime(), slot.getTime());
+    assert.equal(ours[0].dose.status, "DUE");
+
+    const second = await medicationService.createDueDoses();
+    assert.equal(second.filter((entry) => entry.medication.id === medication.id).length, 0);
+  });
+
+  it("does not remind about paused medications or slots from before the schedule was set", async () => {
+    await newPatient();
+    const { time } = slotAt(-5);
+    const paused = await scheduleMedication([time]);
+    await medicationService.setMedicationStatus(patient.id, paused.id, "paused");
+    const rescheduled = await scheduleMedication([time], 2);
+
+    const due = await medicationService.createDueDoses();
+    assert.ok(!due.some((entry) => [paused.id, rescheduled.id].includes(entry.medication.id)));
+  });
+
+  it("marks doses only when one is scheduled and not too far ahead", async () => {
+    await newPatient();
+    const past = slotAt(-30);
+    const future = slotAt(3 * 60);
+    const medication = await scheduleMedication([past.time, future.time]);
+
+    const dose = await medicationService.markDose(patient.id, medication.id, {
+      scheduledFor: past.slot.toISOString(),
+      status: "taken",
+    });
+    assert.equal(dose.status, "TAKEN");
+
+    // Re-marking overwrites
+    const remarked = await medicationService.markDose(patient.id, medication.id, {
+      scheduledFor: past.slot.toISOString(),
+      status: "skipped",
+    });
+    assert.equal(remarked.id, dose.id);
+    assert.equal(remarked.status, "SKIPPED");
+
+    await assert.rejects(
+      medicationService.markDose(patient.id, medication.id, {
+        scheduledFor: new Date(past.slot.getTime() + MINUTE).toISOString(),
+        status: "taken",
+      }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      medicationService.markDose(patient.id, medication.id, { scheduledFor: future.slot.toISOString(), status: "taken" }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      medicationService.markDose(patient.id, medication.id, { scheduledFor: past.slot.toISOString(), status: "done" }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("counts unmarked doses as missed once the grace period is over", async () => {
+    await newPatient();
+    const taken = slotAt(-5 * 60);
+    const missed = slotAt(-4 * 60);
+    const recent = slotAt(-30);
+    const medication = await scheduleMedication([taken.time, missed.time, recent.time], 6 * 60);
+
+    await medicationService.markDose(patient.id, medication.id, {
+      scheduledFor: taken.slot.toISOString(),
+      status: "taken",
+    });
+
+    const adherence = await medicationService.getAdherence(patient.id, 7);
+    assert.deepEqual(adherence, { days: 7, taken: 1, skipped: 0, missed: 1, total: 2, percentage: 50 });
+
+    await assert.rejects(medicationService.getAdherence(patient.id, 91), { statusCode: 400 });
+  });
+
+  it("lists the day's doses with their status", async () => {
+    await newPatient();
+    const due = slotAt(-5);
+    const upcoming = slotAt(30);
+    await scheduleMedication([due.time, upcoming.time]);
+    // Both slots must fall on the same UTC day for this check
+    if (due.slot.toISOString().slice(0, 10) !== upcoming.slot.toISOString().slice(0, 10)) return;
+
+    const { doses } = await medicationService.getDailyDoses(patient.id, due.slot.toISOString().slice(0, 10));
+    assert.deepEqual(
+      doses.map((dose) => dose.status),
+      ["DUE", "UPCOMING"]
+    );
+
+    await assert.rejects(medicationService.getDailyDoses(patient.id, "tomorrow"), { statusCode: 400 });
+  });
+});
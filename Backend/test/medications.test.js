@@ -0,0 +1,150 @@
+/**
+ * Patient medication CRUD - integration test
+ *
+ * Patients keep a list of their medications with a derived status
+ * (active / paused / ended) and get suggestions from what they obtained
+ * through orders and SOS requests.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+const dateOnly = (date) => date.toISOString().slice(0, 10);
+
+describe("patient medications", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let medicationService;
+  let patient;
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    medicationService = (await import("../src/modules/medications/medication.service.js")).default;
+
+    fixtures = createFixtures(prisma, "medications");
+    patient = await fixtures.patient();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("creates medications with cleaned up details", async () => {
+    const medication = await medicationService.createMedication(patient.id, {
+      name: "  Glucophage ",
+      genericName: " Metformin ",
+      dosage: "",
+    });
+
+    assert.equal(medication.medicineName, "Glucophage");
+    assert.equal(medication.genericName, "Metformin");
+    assert.equal(medication.dosage, null);
+    assert.equal(medication.status, "active");
+
+    await assert.rejects(medicationService.createMedication(patient.id, { dosage: "5mg" }), { statusCode: 400 });
+  });
+
+  it("rejects courses that end before they start", async () => {
+    const start = dateOnly(daysFromNow(5));
+    const end = dateOnly(daysFromNow(1));
+
+    await assert.rejects(
+      medicationService.createMedication(patient.id, { medicineName: "Amoxil", startDate: start, endDate: end }),
+      { statusCode: 400 }
+    );
+
+    const medication = await medicationService.createMedication(patient.id, { medicineName: "Amoxil", startDate: start });
+    await assert.rejects(medicationService.updateMedication(patient.id, medication.id, { endDate: end }), {
+      statusCode: 400,
+    });
+    await assert.rejects(medicationService.updateMedicationSchedule(patient.id, medication.id, { endDate: end }), {
+      statusCode: 400,
+    });
+
+    // A single-day course is fine
+    const updated = await medicationService.updateMedicationSchedule(patient.id, medication.id, { endDate: start });
+    assert.equal(dateOnly(updated.endDate), start);
+  });
+
+  it("derives the status from isActive and the end date", async () => {
+    const medication = await medicationService.createMedication(patient.id, { medicineName: "Lipitor" });
+
+    const paused = await medicationService.setMedicationStatus(patient.id, medication.id, "paused");
+    assert.equal(paused.status, "paused");
+
+    const ended = await medicationService.setMedicationStatus(patient.id, medication.id, "ended");
+    assert.equal(ended.status, "ended");
+    assert.ok(ended.endDate);
+
+    // Resuming clears the end date that has been reached
+    const resumed = await medicationService.setMedicationStatus(patient.id, medication.id, "active");
+    assert.equal(resumed.status, "active");
+    assert.equal(resumed.endDate, null);
+
+    await assert.rejects(medicationService.setMedicationStatus(patient.id, medication.id, "stopped"), {
+      statusCode: 400,
+    });
+  });
+
+  it("filters the list by status", async () => {
+    const finished = await medicationService.createMedication(patient.id, {
+      medicineName: "Augmentin",
+      endDate: dateOnly(daysFromNow(-2)),
+    });
+
+    const ended = await medicationService.getPatientMedications(patient.id, { status: "ended" });
+    assert.ok(ended.some((medication) => medication.id === finished.id));
+    assert.ok(ended.every((medication) => medication.status === "ended"));
+
+    await assert.rejects(medicationService.getPatientMedications(patient.id, { status: "old" }), { statusCode: 400 });
+  });
+
+  it("keeps other patients' medications out of reach", async () => {
+    const medication = await medicationService.createMedication(patient.id, { medicineName: "Ventolin" });
+    const stranger = await fixtures.patient();
+
+    await assert.rejects(medicationService.updateMedication(stranger.id, medication.id, { dosage: "2 puffs" }), {
+      statusCode: 404,
+    });
+    await assert.rejects(medicationService.deleteMedication(stranger.id, medication.id), { statusCode: 404 });
+    await assert.rejects(medicationService.updateMedication(patient.id, medication.id, {}), { statusCode: 400 });
+
+    await medicationService.deleteMedication(patient.id, medication.id);
+    assert.equal(await prisma.medication.findUnique({ where: { id: medication.id } }), null);
+  });
+
+  it("suggests medicines obtained through orders and SOS requests", async () => {
+    const buyer = await fixtures.patient();
+    const pharmacy = await fixtures.pharmacy();
+    const item = await fixtures.medicine(pharmacy);
+
+    await prisma.order.create({
+      data: {
+        patientId: buyer.id,
+        pharmacyId: pharmacy.id,
+        status: "delivered",
+        deliveredAt: new Date(),
+        items: {
+          create: { inventoryId: item.id, medicineName: item.name, quantity: 1, unitPrice: 10, lineTotal: 10 },
+        },
+      },
+    });
+    await fixtures.sosRequest(buyer, { medicineName: "Insulin", status: "completed", acceptedAt: new Date() });
+    await fixtures.sosRequest(buyer, { medicineName: "Ceftriaxone", status: "expired" });
+    await medicationService.createMedication(buyer.id, { medicineName: "insulin" });
+
+    const suggestions = await medicationService.getMedicationSuggestions(buyer.id);
+    assert.deepEqual(
+      suggestions.map((suggestion) => [suggestion.medicineName, suggestion.source]),
+      [[item.name, "order"]]
+    );
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * In-app messaging - integration test
+ *
+ * A thread opens once a pharmacy takes on an SOS request or order, and only
+ * the patient and that pharmacy can read or post in it. Everyone else gets a
+ * 404. Reading a thread marks the other side's messages as read.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("messages", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let messageService;
+  let orderService;
+  let patient;
+  let pharmacy;
+  let other;
+  let stranger;
+
+  const acceptedSOS = () =>
+    fixtures.sosRequest(patient, { status: "accepted", acceptedBy: pharmacy.id, acceptedAt: new Date() });
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    messageService = (await import("../src/modules/messages/message.service.js")).default;
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+
+    fixtures = createFixtures(prisma, "messages");
+    patient = await fixtures.patient();
+    pharmacy = await fixtures.pharmacy();
+    other = await fixtures.pharmacy();
+    stranger = await fixtures.patient();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("lets both participants post and read an SOS thread", async () => {
+    const sosRequest = await acceptedSOS();
+
+    const sent = await messageService.postMessage("sos", sosRequest.id, patient.id, "  Are you open now? ");
+    assert.equal(sent.message.body, "Are you open now?");
+    assert.equal(sent.message.senderRole, "PATIENT");
+    assert.deepEqual(sent.recipient, { userId: pharmacy.userId, role: "PHARMACY" });
+
+    const reply = await messageService.postMessage("sos", sosRequest.id, pharmacy.userId, "Yes, until 9");
+    assert.deepEqual(reply.recipient, { userId: patient.id, role: "PATIENT" });
+
+    const thread = await messageService.getThreadMessages("sos", sosRequest.id, pharmacy.userId);
+    assert.equal(thread.role, "PHARMACY");
+    assert.deepEqual(
+      thread.messages.map((message) => message.body),
+      ["Are you open now?", "Yes, until 9"]
+    );
+    assert.equal(thread.unreadCount, 1);
+  });
+
+  it("keeps everyone else out with a 404", async () => {
+    const sosRequest = await acceptedSOS();
+    await messageService.postMessage("sos", sosRequest.id, patient.id, "Hello");
+
+    for (const userId of [other.userId, stranger.id]) {
+      await assert.rejects(messageService.getThreadMessages("sos", sosRequest.id, userId), { statusCode: 404 });
+      await assert.rejects(messageService.postMessage("sos", sosRequest.id, userId, "Hi"), { statusCode: 404 });
+      await assert.rejects(messageService.markThreadRead("sos", sosRequest.id, userId), { statusCode: 404 });
+    }
+  });
+
+  it("has no thread until a pharmacy takes the request on", async () => {
+    const pending = await fixtures.sosRequest(patient);
+    await assert.rejects(messageService.postMessage("sos", pending.id, patient.id, "Anyone?"), { statusCode: 404 });
+
+    const item = await fixtures.medicine(pharmacy);
+    const order = await orderService.createOrder(patient.id, { items: [{ inventoryId: item.id, quantity: 1 }] });
+    await assert.rejects(messageService.postMessage("order", order.id, patient.id, "Hi"), { statusCode: 404 });
+
+    await orderService.updateOrderStatus(order.id, pharmacy.id, "confirmed");
+    const { message } = await messageService.postMessage("order", order.id, patient.id, "Hi");
+    assert.equal(message.orderId, order.id);
+    await assert.rejects(messageService.postMessage("order", order.id, other.userId, "Hi"), { statusCode: 404 });
+  });
+
+  it("marks only the other side's messages as read", async () => {
+    const sosRequest = await acceptedSOS();
+    await messageService.postMessage("sos", sosRequest.id, patient.id, "One");
+    await messageService.postMessage("sos", sosRequest.id, patient.id, "Two");
+    await messageService.postMessage("sos", sosRequest.id, pharmacy.userId, "Three");
+
+    assert.equal(await messageService.markThreadRead("sos", sosRequest.id, pharmacy.userId), 2);
+    assert.equal(await messageService.markThreadRead("sos", sosRequest.id, pharmacy.userId), 0);
+
+    const { unreadCount } = await messageService.getThreadMessages("sos", sosRequest.id, patient.id);
+    assert.equal(unreadCount, 1);
+  });
+
+  it("validates messages and thread types", async () => {
+    const sosRequest = await acceptedSOS();
+
+    await assert.rejects(messageService.postMessage("sos", sosRequest.id, patient.id, "   "), { statusCode: 400 });
+    await assert.rejects(messageService.postMessage("sos", sosRequest.id, patient.id, "x".repeat(2001)), {
+      statusCode: 400,
+    });
+    await assert.rejects(messageService.getThreadMessages("chat", sosRequest.id, patient.id), { statusCode: 400 });
+    await assert.rejects(messageService.getThreadMessages("sos", sosRequest.id, patient.id, { before: "yesterday" }), {
+      statusCode: 400,
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Notification preferences and quiet hours - integration test
+ *
+ * Users choose in-app, email and (pharmacies) digest delivery per type; no
+ * choice means in-app only. During a pharmacy's quiet hours notifications
+ * still reach the inbox but send no email, except high-priority SOS alerts.
+ *
+ * Runs with NOTIFICATION_TIMEZONE=UTC so quiet hours can be derived from the clock.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("notification preferences", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let preferenceService;
+  let notificationService;
+
+  const hour = (offset) => `${String((new Date().getUTCHours() + offset + 24) % 24).padStart(2, "0")}:00`;
+
+  // A pharmacy in quiet hours right now that wants SOS and order updates by email too
+  const quietPharmacy = async () => {
+    const pharmacy = await fixtures.pharmacy({ quietHoursStart: hour(-1), quietHoursEnd: hour(2) });
+    await preferenceService.updatePreferences(pharmacy.userId, "PHARMACY_ADMIN", {
+      preferences: [
+        { type: "SOS_UPDATE", email: true },
+        { type: "ORDER_UPDATE", email: true },
+      ],
+    });
+    return pharmacy;
+  };
+
+  const queuedEmails = (user) => prisma.emailOutbox.count({ where: { to: user.email } });
+
+  before(async () => {
+    // Configuration is read once, when the modules load
+    process.env.NOTIFICATION_TIMEZONE = "UTC";
+
+    prisma = await connectTestDatabase();
+    preferenceService = await import("../src/modules/notifications/preference.service.js");
+    notificationService = (await import("../src/modules/notifications/notification.service.js")).default;
+
+    fixtures = createFixtures(prisma, "preferences");
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("tells whether a time falls in quiet hours, across midnight too", () => {
+    const at = (time) => new Date(`2026-01-15T${time}:00Z`);
+
+    assert.equal(preferenceService.isWithinQuietHours("13:00", "15:00", at("14:30")), true);
+    assert.equal(preferenceService.isWithinQuietHours("13:00", "15:00", at("15:00")), false);
+    assert.equal(preferenceService.isWithinQuietHours("22:00", "07:00", at("23:30")), true);
+    assert.equal(preferenceService.isWithinQuietHours("22:00", "07:00", at("06:59")), true);
+    assert.equal(preferenceService.isWithinQuietHours("22:00", "07:00", at("12:00")), false);
+    assert.equal(preferenceService.isWithinQuietHours(null, "07:00", at("06:00")), false);
+  });
+
+  it("starts everyone on in-app only and saves only the types given", async () => {
+    const patient = await fixtures.patient();
+
+    const defaults = await preferenceService.getPreferences(patient.id, "PATIENT");
+    assert.ok(defaults.preferences.every(({ inApp, email, digest }) => inApp && !email && !digest));
+    assert.deepEqual(defaults.digestTypes, []);
+    assert.equal(defaults.quietHours, undefined);
+
+    const updated = await preferenceService.updatePreferences(patient.id, "PATIENT", {
+      preferences: [{ type: "ORDER_UPDATE", email: true }],
+    });
+    const byType = new Map(updated.preferences.map((preference) => [preference.type, preference]));
+    assert.deepEqual(byType.get("ORDER_UPDATE"), { type: "ORDER_UPDATE", inApp: true, email: true, digest: false });
+    assert.deepEqual(byType.get("SOS_UPDATE"), { type: "SOS_UPDATE", inApp: true, email: false, digest: false });
+  });
+
+  it("rejects preferences a role can't have", async () => {
+    const patient = await fixtures.patient();
+    const pharmacy = await fixtures.pharmacy();
+    const update = (userId, role, data) => preferenceService.updatePreferences(userId, role, data);
+
+    for (const data of [
+      { preferences: {} },
+      { preferences: [{ type: "LOW_STOCK_WARNING", inApp: false }] },
+      { preferences: [{ type: "ORDER_UPDATE", email: "yes" }] },
+      { preferences: [{ type: "ORDER_UPDATE", digest: true }] },
+      { quietHours: { start: "22:00", end: "07:00" } },
+    ]) {
+      await assert.rejects(update(patient.id, "PATIENT", data), { statusCode: 400 });
+    }
+
+    for (const quietHours of [{ start: "22:00" }, { start: "7:00", end: "08:00" }, { start: "22:00", end: "22:00" }]) {
+      await assert.rejects(update(pharmacy.userId, "PHARMACY_ADMIN", { quietHours }), { statusCode: 400 });
+    }
+    await assert.rejects(update(pharmacy.userId, "PHARMACY_ADMIN", { preferences: [{ type: "NEW_MESSAGE", digest: true }] }), {
+      statusCode: 400,
+    });
+  });
+
+  it("saves and clears a pharmacy's quiet hours", async () => {
+    const pharmacy = await fixtures.pharmacy();
+
+    const saved = await preferenceService.updatePreferences(pharmacy.userId, "PHARMACY_ADMIN", {
+      quietHours: { start: "22:00", end: "07:00" },
+      preferences: [{ type: "LOW_STOCK_WARNING", digest: true }],
+    });
+    assert.deepEqual(saved.quietHours, { start: "22:00", end: "07:00" });
+    assert.equal(saved.preferences.find((preference) => preference.type === "LOW_STOCK_WARNING").digest, true);
+
+    const cleared = await preferenceService.updatePreferences(pharmacy.userId, "PHARMACY_ADMIN", { quietHours: null });
+    assert.equal(cleared.quietHours, null);
+  });
+
+  it("marks quiet recipients, except for high-priority SOS alerts", async () => {
+    const quiet = await quietPharmacy();
+    const awake = await fixtures.pharmacy({ quietHoursStart: hour(3), quietHoursEnd: hour(5) });
+    const userIds = [quiet.userId, awake.userId];
+
+    const normal = await preferenceService.resolveDelivery(userIds, "SOS_UPDATE", "normal");
+    assert.deepEqual(normal.get(quiet.userId), { inApp: true, email: true, digest: false, quiet: true });
+    assert.equal(normal.get(awake.userId).quiet, false);
+
+    const urgent = await preferenceService.resolveDelivery(userIds, "SOS_UPDATE", "high");
+    assert.equal(urgent.get(quiet.userId).quiet, false);
+
+    // Only SOS alerts break through
+    const urgentOrder = await preferenceService.resolveDelivery(userIds, "ORDER_UPDATE", "high");
+    assert.equal(urgentOrder.get(quiet.userId).quiet, true);
+  });
+
+  it("saves but doesn't email during quiet hours, unless it is a high-priority SOS alert", async () => {
+    const pharmacy = await quietPharmacy();
+
+    const order = await notificationService.createNotification(
+      pharmacy.userId,
+      "New Order",
+      "You have a new order",
+      "ORDER_UPDATE",
+      null,
+      "PHARMACY"
+    );
+    assert.ok(order);
+    assert.equal(await queuedEmails(pharmacy.user), 0);
+
+    await notificationService.broadcastNotification(
+      [pharmacy.userId],
+      "Urgent: New SOS",
+      "A patient nearby urgently needs a medicine",
+      "SOS_UPDATE",
+      null,
+      "PHARMACY",
+      "high"
+    );
+    assert.equal(await queuedEmails(pharmacy.user), 1);
+  });
+
+  it("skips the inbox for types turned off in-app", async () => {
+    const patient = await fixtures.patient();
+    await preferenceService.updatePreferences(patient.id, "PATIENT", {
+      preferences: [{ type: "ORDER_UPDATE", inApp: false }],
+    });
+
+    assert.equal(
+      await notificationService.createNotification(patient.id, "Order Confirmed", "Confirmed", "ORDER_UPDATE"),
+      null
+    );
+    assert.equal(
+      await notificationService.broadcastNotification([patient.id], "Order Confirmed", "Confirmed", "ORDER_UPDATE"),
+      0
+    );
+    assert.equal(await prisma.notification.count({ where: { userId: patient.id } }), 0);
+  });
+});
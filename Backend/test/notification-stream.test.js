@@ -0,0 +1,215 @@
+/**
+ * Live notification delivery - integration test
+ *
+ * Each open tab holds an SSE connection in the stream hub. Saved notifications
+ * are pushed to their recipients' tabs, and SOS notifications also raise an
+ * "sos" refresh event for the recipients and every system admin. Pharmacies
+ * in quiet hours get the refresh event but not the notification.
+ *
+ * Runs with NOTIFICATION_TIMEZONE=UTC so quiet hours can be derived from the clock.
+ *
+ * The hub tests need nothing else. The delivery tests need a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * and are skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+/**
+ * Open a stream the way GET /api/notifications/stream does, recording what is written
+ * @returns {object} { res, close, events() → [{ event, data }] }
+ */
+const openTab = (stream, user) => {
+  const req = Object.assign(new EventEmitter(), { user });
+  const res = {
+    chunks: [],
+    ended: false,
+    writeHead(status, headers) {
+      Object.assign(this, { status, headers });
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    },
+    end() {
+      this.ended = true;
+    },
+  };
+
+  stream.openStream(req, res);
+
+  return {
+    res,
+    close: () => req.emit("close"),
+    events: () =>
+      res.chunks
+        .map((chunk) => chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/))
+        .filter(Boolean)
+        .map(([, event, data]) => ({ event, data: JSON.parse(data) })),
+  };
+};
+
+const eventNames = (tab) => tab.events().map(({ event }) => event);
+
+describe("notification stream hub", () => {
+  let stream;
+
+  before(async () => {
+    stream = await import("../src/modules/notifications/notification.stream.js");
+  });
+
+  afterEach(() => stream.closeAllStreams());
+
+  it("opens an event stream and says it is ready", () => {
+    const tab = openTab(stream, { userId: "user-1", role: "PATIENT" });
+
+    assert.equal(tab.res.status, 200);
+    assert.equal(tab.res.headers["Content-Type"], "text/event-stream");
+    assert.match(tab.res.chunks[0], /^retry: \d+\n\n$/);
+    assert.deepEqual(tab.events(), [{ event: "ready", data: { userId: "user-1" } }]);
+  });
+
+  it("reaches every open tab of the given users and no one else", () => {
+    const first = openTab(stream, { userId: "user-1", role: "PATIENT" });
+    const second = openTab(stream, { userId: "user-1", role: "PATIENT" });
+    const other = openTab(stream, { userId: "user-2", role: "PATIENT" });
+
+    assert.equal(stream.publishToUsers(["user-1", "user-1", "nobody"], "order", { orderId: "o1" }), 2);
+
+    for (const tab of [first, second]) {
+      assert.deepEqual(tab.events().at(-1), { event: "order", data: { orderId: "o1" } });
+    }
+    assert.deepEqual(eventNames(other), ["ready"]);
+  });
+
+  it("reaches users by role", () => {
+    const admin = openTab(stream, { userId: "admin-1", role: "SYSTEM_ADMIN" });
+    const patient = openTab(stream, { userId: "user-1", role: "PATIENT" });
+
+    assert.equal(stream.publishToRole("SYSTEM_ADMIN", "sos", { sosId: "s1" }), 1);
+    assert.deepEqual(eventNames(admin), ["ready", "sos"]);
+    assert.deepEqual(eventNames(patient), ["ready"]);
+  });
+
+  it("drops closed tabs and ends the rest on shutdown", () => {
+    const closed = openTab(stream, { userId: "user-1", role: "PATIENT" });
+    const open = openTab(stream, { userId: "user-1", role: "PATIENT" });
+
+    closed.close();
+    assert.equal(stream.publishToUsers(["user-1"], "order", { orderId: "o1" }), 1);
+    assert.deepEqual(eventNames(closed), ["ready"]);
+
+    stream.closeAllStreams();
+    assert.equal(open.res.ended, true);
+    assert.equal(stream.publishToUsers(["user-1"], "order", { orderId: "o1" }), 0);
+  });
+});
+
+describe("live notification delivery", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let stream;
+  let notificationService;
+  let patient;
+  let admin;
+
+  const hour = (offset) => `${String((new Date().getUTCHours() + offset + 24) % 24).padStart(2, "0")}:00`;
+
+  const tabFor = (user, role) => openTab(stream, { userId: user.id, role });
+
+  before(async () => {
+    // Configuration is read once, when the modules load
+    process.env.NOTIFICATION_TIMEZONE = "UTC";
+
+    prisma = await connectTestDatabase();
+    stream = await import("../src/modules/notifications/notification.stream.js");
+    notificationService = (await import("../src/modules/notifications/notification.service.js")).default;
+
+    fixtures = createFixtures(prisma, "notification-stream");
+    patient = await fixtures.patient();
+    admin = { id: "stream-admin" };
+  });
+
+  afterEach(() => stream.closeAllStreams());
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("pushes a saved notification to the recipient's tab", async () => {
+    const tab = tabFor(patient, "PATIENT");
+
+    const notification = await notificationService.createNotification(
+      patient.id,
+      "Order Confirmed",
+      "Your order was confirmed",
+      "ORDER_UPDATE",
+      { orderId: "order-1", status: "confirmed" },
+      "PATIENT"
+    );
+
+    const [, pushed, refresh] = tab.events();
+    assert.equal(pushed.event, "notification");
+    assert.equal(pushed.data.id, notification.id);
+    assert.equal(pushed.data.title, "Order Confirmed");
+    assert.deepEqual(refresh, { event: "order", data: { orderId: "order-1", status: "confirmed" } });
+  });
+
+  it("tells system admins about SOS changes too", async () => {
+    const tab = tabFor(patient, "PATIENT");
+    const adminTab = tabFor(admin, "SYSTEM_ADMIN");
+
+    await notificationService.createNotification(
+      patient.id,
+      "SOS Accepted",
+      "A pharmacy accepted your SOS",
+      "SOS_UPDATE",
+      { sosId: "sos-1", status: "accepted" },
+      "PATIENT"
+    );
+
+    assert.deepEqual(eventNames(tab), ["ready", "notification", "sos"]);
+    assert.deepEqual(adminTab.events().at(-1), { event: "sos", data: { sosId: "sos-1", status: "accepted" } });
+  });
+
+  it("holds back the notification, not the refresh, during quiet hours", async () => {
+    const pharmacy = await fixtures.pharmacy({ quietHoursStart: hour(-1), quietHoursEnd: hour(2) });
+    const tab = tabFor(pharmacy.user, "PHARMACY_ADMIN");
+
+    const notification = await notificationService.createNotification(
+      pharmacy.userId,
+      "SOS Withdrawn",
+      "The patient withdrew the request",
+      "SOS_UPDATE",
+      { sosId: "sos-2" },
+      "PHARMACY"
+    );
+
+    assert.ok(notification);
+    assert.deepEqual(eventNames(tab), ["ready", "sos"]);
+  });
+
+  it("pushes nothing for a type turned off in-app", async () => {
+    const muted = await fixtures.patient();
+    await prisma.notificationPreference.create({
+      data: { userId: muted.id, type: "ORDER_UPDATE", inApp: false },
+    });
+    const tab = tabFor(muted, "PATIENT");
+
+    const notification = await notificationService.createNotification(
+      muted.id,
+      "Order Confirmed",
+      "Your order was confirmed",
+      "ORDER_UPDATE",
+      { orderId: "order-2" }
+    );
+
+    assert.equal(notification, null);
+    assert.deepEqual(eventNames(tab), ["ready"]);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Order stock reservation - integration test
+ *
+ * Placing an order reserves its units; delivering draws them from the batches
+ * and clears the reservation, while cancelling, rejecting or letting the
+ * reservation expire gives them back. Reserved items cannot be deleted.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("order stock reservation", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let orderService;
+  let inventoryService;
+  let patient;
+  let pharmacy;
+
+  /**
+   * A fresh medicine with one unexpired batch of the given size
+   */
+  const stockMedicine = (quantity) => fixtures.medicine(pharmacy, { quantity });
+
+  const getItem = (inventoryId) =>
+    prisma.inventory.findUnique({ where: { id: inventoryId }, include: { batches: true } });
+
+  const placeOrder = (inventoryId, quantity) =>
+    orderService.createOrder(patient.id, { items: [{ inventoryId, quantity }] });
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+    inventoryService = await import("../src/modules/inventory/inventory.service.js");
+
+    fixtures = createFixtures(prisma, "reservation");
+    patient = await fixtures.patient();
+    pharmacy = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("reserves stock when an order is placed", async () => {
+    const item = await stockMedicine(10);
+
+    await placeOrder(item.id, 4);
+
+    const current = await getItem(item.id);
+    assert.equal(current.reservedQuantity, 4);
+    assert.equal(current.quantity, 10);
+  });
+
+  it("draws the batch and clears the reservation on delivery", async () => {
+    const item = await stockMedicine(10);
+    const order = await placeOrder(item.id, 4);
+
+    for (const status of ["confirmed", "ready_for_pickup", "delivered"]) {
+      await orderService.updateOrderStatus(order.id, pharmacy.id, status);
+    }
+
+    const current = await getItem(item.id);
+    assert.equal(current.reservedQuantity, 0);
+    assert.equal(current.quantity, 6);
+    assert.equal(current.batches[0].quantity, 6);
+  });
+
+  it("releases the reservation when the patient cancels", async () => {
+    const item = await stockMedicine(10);
+    const order = await placeOrder(item.id, 4);
+
+    await orderService.cancelOrder(order.id, patient.id);
+
+    const current = await getItem(item.id);
+    assert.equal(current.reservedQuantity, 0);
+    assert.equal(current.quantity, 10);
+  });
+
+  it("releases the reservation when the pharmacy rejects", async () => {
+    const item = await stockMedicine(10);
+    const order = await placeOrder(item.id, 4);
+
+    await orderService.updateOrderStatus(order.id, pharmacy.id, "rejected");
+
+    const current = await getItem(item.id);
+    assert.equal(current.reservedQuantity, 0);
+    assert.equal(current.quantity, 10);
+  });
+
+  it("releases the reservation when it expires", async () => {
+    const item = await stockMedicine(10);
+    const order = await placeOrder(item.id, 4);
+
+    await prisma.order.update({
+      where: { id: order.id },
+      data: { reservationExpiresAt: new Date(Date.now() - 1000) },
+    });
+    const expired = await orderService.expireStaleReservations();
+
+    assert.ok(expired.some((entry) => entry.id === order.id));
+    assert.equal((await getItem(item.id)).reservedQuantity, 0);
+  });
+
+  it("does not reserve more than is in stock", async () => {
+    const item = await stockMedicine(5);
+
+    const results = await Promise.allSettled([placeOrder(item.id, 3), placeOrder(item.id, 3)]);
+
+    assert.equal(results.filter((result) => result.status === "fulfilled").length, 1);
+    assert.equal(results.find((result) => result.status === "rejected").reason.statusCode, 409);
+    assert.equal((await getItem(item.id)).reservedQuantity, 3);
+  });
+
+  it("keeps reserved items from being deleted", async () => {
+    const item = await stockMedicine(10);
+    const order = await placeOrder(item.id, 2);
+
+    await assert.rejects(inventoryService.deleteInventoryItem(item.id, pharmacy.id), { statusCode: 409 });
+    assert.ok(await getItem(item.id));
+
+    await orderService.cancelOrder(order.id, patient.id);
+    await inventoryService.deleteInventoryItem(item.id, pharmacy.id);
+    assert.equal(await getItem(item.id), null);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Pharmacy order state machine - integration test
+ *
+ * Pharmacies move their orders along ORDER_TRANSITIONS only. Each change is
+ * guarded against concurrent updates, stamps the lifecycle timestamps and
+ * leaves a row in the status history.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("order status transitions", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let orderService;
+  let patient;
+  let pharmacy;
+
+  const placeOrder = async () => {
+    const item = await fixtures.medicine(pharmacy);
+    return orderService.createOrder(patient.id, { items: [{ inventoryId: item.id, quantity: 1 }] });
+  };
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+
+    fixtures = createFixtures(prisma, "order-status");
+    patient = await fixtures.patient();
+    pharmacy = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("knows which moves are allowed", () => {
+    assert.ok(orderService.canTransition("pending", "confirmed"));
+    assert.ok(orderService.canTransition("confirmed", "out_for_delivery"));
+    assert.ok(!orderService.canTransition("pending", "delivered"));
+    assert.ok(!orderService.canTransition("delivered", "cancelled"));
+    assert.ok(!orderService.isValidOrderStatus("shipped"));
+  });
+
+  it("records every transition and stamps its timestamps", async () => {
+    const order = await placeOrder();
+    const owner = pharmacy.user.id;
+
+    const confirmed = await orderService.updateOrderStatus(order.id, pharmacy.id, "confirmed", { changedBy: owner });
+    assert.equal(confirmed.status, "confirmed");
+    assert.ok(confirmed.confirmedAt);
+    assert.equal(confirmed.reservationExpiresAt, null);
+
+    await orderService.updateOrderStatus(order.id, pharmacy.id, "out_for_delivery", { changedBy: owner });
+    const delivered = await orderService.updateOrderStatus(order.id, pharmacy.id, "delivered", {
+      changedBy: owner,
+      note: " Left at the door ",
+    });
+    assert.ok(delivered.deliveredAt);
+
+    const history = await prisma.orderStatusHistory.findMany({
+      where: { orderId: order.id },
+      orderBy: { createdAt: "asc" },
+    });
+    assert.deepEqual(
+      history.map((entry) => [entry.fromStatus, entry.toStatus]),
+      [
+        [null, "pending"],
+        ["pending", "confirmed"],
+        ["confirmed", "out_for_delivery"],
+        ["out_for_delivery", "delivered"],
+      ]
+    );
+    assert.equal(history[3].changedBy, owner);
+    assert.equal(history[3].note, "Left at the door");
+  });
+
+  it("refuses moves outside the state machine with 409", async () => {
+    const order = await placeOrder();
+
+    await assert.rejects(orderService.updateOrderStatus(order.id, pharmacy.id, "delivered"), { statusCode: 409 });
+
+    await orderService.updateOrderStatus(order.id, pharmacy.id, "rejected");
+    await assert.rejects(orderService.updateOrderStatus(order.id, pharmacy.id, "confirmed"), { statusCode: 409 });
+    assert.equal(await prisma.orderStatusHistory.count({ where: { orderId: order.id } }), 2);
+  });
+
+  it("rejects unknown statuses with 400", async () => {
+    const order = await placeOrder();
+
+    await assert.rejects(orderService.updateOrderStatus(order.id, pharmacy.id, "shipped"), { statusCode: 400 });
+  });
+
+  it("hides other pharmacies' orders", async () => {
+    const order = await placeOrder();
+    const other = await fixtures.pharmacy();
+
+    await assert.rejects(orderService.updateOrderStatus(order.id, other.id, "confirmed"), { statusCode: 404 });
+  });
+
+  it("lets only one of two concurrent updates win", async () => {
+    const order = await placeOrder();
+
+    const results = await Promise.allSettled([
+      orderService.updateOrderStatus(order.id, pharmacy.id, "confirmed"),
+      orderService.updateOrderStatus(order.id, pharmacy.id, "rejected"),
+    ]);
+
+    assert.equal(results.filter((result) => result.status === "fulfilled").length, 1);
+    assert.equal(results.find((result) => result.status === "rejected").reason.statusCode, 409);
+  });
+
+  it("lets the patient cancel only while pending", async () => {
+    const order = await placeOrder();
+    await orderService.updateOrderStatus(order.id, pharmacy.id, "confirmed");
+
+    await assert.rejects(orderService.cancelOrder(order.id, patient.id), { statusCode: 409 });
+
+    const pending = await placeOrder();
+    const cancelled = await orderService.cancelOrder(pending.id, patient.id);
+    assert.equal(cancelled.status, "cancelled");
+    assert.ok(cancelled.cancelledAt);
+  });
+});
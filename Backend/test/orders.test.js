@@ -0,0 +1,135 @@
+/**
+ * Order placement - integration test
+ *
+ * Orders are built from inventory line items with the price at the time of
+ * ordering, and every item has to come from one verified pharmacy.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("order placement", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let orderService;
+  let patient;
+  let pharmacy;
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+
+    fixtures = createFixtures(prisma, "orders");
+    patient = await fixtures.patient();
+    pharmacy = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("snapshots each line item with its price and totals the order", async () => {
+    const first = await fixtures.medicine(pharmacy, { price: 12.5 });
+    const second = await fixtures.medicine(pharmacy, { price: 3.1 });
+
+    const order = await orderService.createOrder(patient.id, {
+      items: [
+        { inventoryId: first.id, quantity: 2 },
+        { inventoryId: second.id, quantity: 3 },
+      ],
+    });
+
+    assert.equal(order.status, "pending");
+    assert.equal(order.pharmacyId, pharmacy.id);
+    assert.equal(order.items.length, 2);
+    assert.equal(order.totalAmount, 34.3);
+
+    // Later price changes do not touch the order
+    await prisma.inventory.update({ where: { id: first.id }, data: { price: 99 } });
+    const stored = await orderService.getPatientOrderById(order.id, patient.id);
+    const line = stored.items.find((item) => item.inventoryId === first.id);
+    assert.equal(line.unitPrice, 12.5);
+    assert.equal(line.lineTotal, 25);
+    assert.equal(line.medicineName, first.name);
+  });
+
+  it("merges repeated items into one line", async () => {
+    const item = await fixtures.medicine(pharmacy);
+
+    const order = await orderService.createOrder(patient.id, {
+      items: [
+        { inventoryId: item.id, quantity: 1 },
+        { inventoryId: item.id, quantity: 2 },
+      ],
+    });
+
+    assert.equal(order.items.length, 1);
+    assert.equal(order.items[0].quantity, 3);
+  });
+
+  it("rejects empty orders and invalid quantities", async () => {
+    const item = await fixtures.medicine(pharmacy);
+
+    await assert.rejects(orderService.createOrder(patient.id, { items: [] }), { statusCode: 400 });
+    await assert.rejects(
+      orderService.createOrder(patient.id, { items: [{ inventoryId: item.id, quantity: 0 }] }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("rejects items from more than one pharmacy", async () => {
+    const other = await fixtures.pharmacy();
+    const ours = await fixtures.medicine(pharmacy);
+    const theirs = await fixtures.medicine(other);
+
+    await assert.rejects(
+      orderService.createOrder(patient.id, {
+        items: [
+          { inventoryId: ours.id, quantity: 1 },
+          { inventoryId: theirs.id, quantity: 1 },
+        ],
+      }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(
+      orderService.createOrder(patient.id, {
+        pharmacyId: other.id,
+        items: [{ inventoryId: ours.id, quantity: 1 }],
+      }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("only accepts orders for verified pharmacies", async () => {
+    const unverified = await fixtures.pharmacy({ verificationStatus: "PENDING_VERIFICATION" });
+    const item = await fixtures.medicine(unverified);
+
+    await assert.rejects(
+      orderService.createOrder(patient.id, { items: [{ inventoryId: item.id, quantity: 1 }] }),
+      { statusCode: 400 }
+    );
+  });
+
+  it("caps the page size when listing a patient's orders", async () => {
+    const shopper = await fixtures.patient();
+    const item = await fixtures.medicine(pharmacy, { quantity: 100 });
+
+    for (let i = 0; i < 3; i++) {
+      await orderService.createOrder(shopper.id, { items: [{ inventoryId: item.id, quantity: 1 }] });
+    }
+
+    assert.equal((await orderService.getPatientOrders(shopper.id, { limit: "2" })).length, 2);
+    assert.equal((await orderService.getPatientOrders(shopper.id, { limit: "0" })).length, 3);
+    assert.equal((await orderService.getPatientOrders(shopper.id, { limit: "-5" })).length, 1);
+    assert.equal((await orderService.getPatientOrders(shopper.id, { limit: "100000" })).length, 3);
+    await assert.rejects(orderService.getPatientOrders(shopper.id, { status: "lost" }), { statusCode: 400 });
+  });
+});
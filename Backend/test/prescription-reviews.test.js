@@ -0,0 +1,130 @@
+/**
+ * Pharmacist prescription verification - integration test
+ *
+ * Pharmacies review the prescriptions attached to their orders and to SOS
+ * requests they were alerted about. Order decisions are mirrored onto the
+ * order; every alerted pharmacy keeps its own decision on a pending SOS request.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+const PRESCRIPTION_URL = "http://localhost:5000/uploads/patients/prescriptions/review.pdf";
+
+describe("prescription reviews", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let prescriptionService;
+  let orderService;
+  let notificationService;
+  let patient;
+  let pharmacy;
+
+  const review = (type, id, reviewer, decision, notes) =>
+    prescriptionService.reviewPrescription(type, id, reviewer, reviewer.userId, { decision, notes });
+
+  const queueIds = async (reviewer, status) =>
+    (await prescriptionService.getReviewQueue(reviewer, { status })).map((item) => item.id);
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    prescriptionService = await import("../src/modules/prescriptions/prescription.service.js");
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+    notificationService = (await import("../src/modules/notifications/notification.service.js")).default;
+
+    fixtures = createFixtures(prisma, "reviews");
+    patient = await fixtures.patient();
+    pharmacy = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("mirrors order decisions onto the order", async () => {
+    const prescription = await prisma.prescription.create({
+      data: { patientId: patient.id, documentUrl: PRESCRIPTION_URL },
+    });
+    const item = await fixtures.medicine(pharmacy);
+    const order = await orderService.createOrder(patient.id, {
+      items: [{ inventoryId: item.id, quantity: 1 }],
+      prescriptionId: prescription.id,
+    });
+
+    assert.ok((await queueIds(pharmacy)).includes(order.id));
+
+    const { record } = await review("order", order.id, pharmacy, "needs-clarification", "Dosage is unreadable");
+    assert.equal(record.prescriptionStatus, "NEEDS_CLARIFICATION");
+    assert.ok(!(await queueIds(pharmacy)).includes(order.id));
+    assert.ok((await queueIds(pharmacy, "needs_clarification")).includes(order.id));
+
+    await review("order", order.id, pharmacy, "valid");
+    assert.ok(prescriptionService.isPrescriptionCleared(await prisma.order.findUnique({ where: { id: order.id } })));
+  });
+
+  it("keeps each alerted pharmacy's SOS decision separate", async () => {
+    const other = await fixtures.pharmacy();
+    const sos = await fixtures.sosRequest(
+      patient,
+      { prescriptionUrl: PRESCRIPTION_URL, prescriptionStatus: "PENDING" },
+      [pharmacy, other]
+    );
+
+    await review("sos", sos.id, pharmacy, "valid");
+    await review("sos", sos.id, other, "invalid", "Expired prescription");
+
+    assert.equal(await prescriptionService.getSOSReviewStatus(sos.id, pharmacy.id), "VALID");
+    assert.equal(await prescriptionService.getSOSReviewStatus(sos.id, other.id), "INVALID");
+    assert.ok(await prescriptionService.isSOSPrescriptionClearedFor(sos, pharmacy.id));
+    assert.ok(!(await prescriptionService.isSOSPrescriptionClearedFor(sos, other.id)));
+
+    // Nobody has accepted it, so the request itself is still undecided
+    const stored = await prisma.sOSRequest.findUnique({ where: { id: sos.id } });
+    assert.equal(stored.prescriptionStatus, "PENDING");
+
+    assert.ok((await queueIds(pharmacy, "valid")).includes(sos.id));
+    assert.ok((await queueIds(other, "invalid")).includes(sos.id));
+    assert.ok(!(await queueIds(other)).includes(sos.id));
+  });
+
+  it("only lets alerted pharmacies that have not declined review an SOS request", async () => {
+    const stranger = await fixtures.pharmacy();
+    const decliner = await fixtures.pharmacy();
+    const sos = await fixtures.sosRequest(patient, { prescriptionUrl: PRESCRIPTION_URL }, [decliner]);
+    await prisma.pharmacyResponse.create({ data: { sosId: sos.id, pharmacyId: decliner.id, response: "rejected" } });
+
+    await assert.rejects(review("sos", sos.id, stranger, "valid"), { statusCode: 403 });
+    await assert.rejects(review("sos", sos.id, decliner, "valid"), { statusCode: 403 });
+    assert.ok(!(await queueIds(stranger)).includes(sos.id));
+    assert.ok(!(await queueIds(decliner)).includes(sos.id));
+  });
+
+  it("requires notes unless the prescription is valid", async () => {
+    const sos = await fixtures.sosRequest(patient, { prescriptionUrl: PRESCRIPTION_URL }, [pharmacy]);
+
+    await assert.rejects(review("sos", sos.id, pharmacy, "invalid"), { statusCode: 400 });
+    await assert.rejects(review("sos", sos.id, pharmacy, "maybe"), { statusCode: 400 });
+    await assert.rejects(review("prescription", sos.id, pharmacy, "valid"), { statusCode: 400 });
+  });
+
+  it("links the patient to their SOS page", async () => {
+    const notification = await notificationService.notifyPrescriptionReviewed({
+      patientId: patient.id,
+      type: "sos",
+      recordId: "sos-id",
+      decision: "VALID",
+      pharmacyName: pharmacy.pharmacyName,
+      subject: "Amoxicillin",
+    });
+
+    assert.equal(notification.metadata.link, "/sos");
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Prescription records and file access - integration test
+ *
+ * Patients keep prescription documents on file and delete them again (with the
+ * stored document). Locally stored documents are only served to the patient
+ * and the pharmacies they were shared with.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+describe("prescriptions", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let prescriptionService;
+  let fileService;
+  let orderService;
+  let uploadsDir;
+  let patient;
+
+  /**
+   * Store a document the way the local upload driver does and describe it as multer would
+   */
+  const upload = (name) => {
+    const storageKey = `patients/prescriptions/${name}-${fixtures.runId}.pdf`;
+    const filePath = path.join(uploadsDir, storageKey);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, "%PDF-1.4");
+
+    return {
+      url: `http://localhost:5000/uploads/${storageKey}`,
+      storageKey,
+      storageDriver: "local",
+      originalname: `${name}.pdf`,
+      mimetype: "application/pdf",
+      filePath,
+    };
+  };
+
+  before(async () => {
+    // Configuration is read once, when the modules load
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), "prescriptions-test-"));
+    process.env.UPLOADS_DIR = uploadsDir;
+    process.env.UPLOADS_PUBLIC_URL = "http://localhost:5000/uploads";
+
+    prisma = await connectTestDatabase();
+    prescriptionService = await import("../src/modules/prescriptions/prescription.service.js");
+    fileService = (await import("../src/modules/files/file.service.js")).default;
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+
+    fixtures = createFixtures(prisma, "prescriptions");
+    patient = await fixtures.patient();
+  });
+
+  after(async () => {
+    if (uploadsDir) fs.rmSync(uploadsDir, { recursive: true, force: true });
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("records an uploaded document with cleaned up details", async () => {
+    const file = upload("record");
+
+    const prescription = await prescriptionService.createPrescription(
+      patient.id,
+      { doctorName: "  Dr. Shrestha ", medications: "Amoxicillin ,, Paracetamol,", notes: "   " },
+      file
+    );
+
+    assert.equal(prescription.documentUrl, file.url);
+    assert.equal(prescription.storageKey, file.storageKey);
+    assert.equal(prescription.doctorName, "Dr. Shrestha");
+    assert.equal(prescription.medications, "Amoxicillin, Paracetamol");
+    assert.equal(prescription.notes, null);
+  });
+
+  it("requires a file", async () => {
+    await assert.rejects(prescriptionService.createPrescription(patient.id, {}, null), { statusCode: 400 });
+  });
+
+  it("removes the stored file when the details are invalid", async () => {
+    const file = upload("future");
+
+    await assert.rejects(
+      prescriptionService.createPrescription(patient.id, { prescriptionDate: daysFromNow(2).toISOString() }, file),
+      { statusCode: 400 }
+    );
+    assert.equal(fs.existsSync(file.filePath), false);
+  });
+
+  it("deletes only the patient's own prescriptions, with their file", async () => {
+    const file = upload("delete");
+    const prescription = await prescriptionService.createPrescription(patient.id, {}, file);
+    const stranger = await fixtures.patient();
+
+    await assert.rejects(prescriptionService.deletePrescription(prescription.id, stranger.id), { statusCode: 404 });
+    assert.ok(fs.existsSync(file.filePath));
+
+    await prescriptionService.deletePrescription(prescription.id, patient.id);
+    assert.equal(await prisma.prescription.findUnique({ where: { id: prescription.id } }), null);
+    assert.equal(fs.existsSync(file.filePath), false);
+  });
+
+  it("serves a document to its patient and the pharmacy it was sent to only", async () => {
+    const file = upload("access");
+    const prescription = await prescriptionService.createPrescription(patient.id, {}, file);
+    const pharmacy = await fixtures.pharmacy();
+    const bystander = await fixtures.pharmacy();
+    const stranger = await fixtures.patient();
+
+    const resolved = await fileService.getAccessibleFilePath(patient.id, file.storageKey);
+    assert.equal(resolved, file.filePath);
+
+    // Sharing happens by attaching the prescription to an order
+    await assert.rejects(fileService.getAccessibleFilePath(pharmacy.userId, file.storageKey), { statusCode: 404 });
+    const item = await fixtures.medicine(pharmacy);
+    await orderService.createOrder(patient.id, {
+      items: [{ inventoryId: item.id, quantity: 1 }],
+      prescriptionId: prescription.id,
+    });
+    assert.equal(await fileService.getAccessibleFilePath(pharmacy.userId, file.storageKey), file.filePath);
+
+    await assert.rejects(fileService.getAccessibleFilePath(bystander.userId, file.storageKey), { statusCode: 404 });
+    await assert.rejects(fileService.getAccessibleFilePath(stranger.id, file.storageKey), { statusCode: 404 });
+  });
+
+  it("never resolves paths outside the uploads directory", async () => {
+    await assert.rejects(fileService.getAccessibleFilePath(patient.id, "../../etc/passwd"), { statusCode: 404 });
+  });
+});
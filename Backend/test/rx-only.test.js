@@ -0,0 +1,122 @@
+/**
+ * Rx-only medicines - integration test
+ *
+ * Prescription-only inventory can only be ordered with a prescription attached
+ * and is never dispensed until a pharmacist has marked that prescription valid.
+ * SOS requests need a verified prescription when the patient flagged it or the
+ * pharmacy stocks the medicine as Rx-only.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("Rx-only medicines", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let orderService;
+  let prescriptionService;
+  let patient;
+  let pharmacy;
+  let prescription;
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+    prescriptionService = await import("../src/modules/prescriptions/prescription.service.js");
+
+    fixtures = createFixtures(prisma, "rx-only");
+    patient = await fixtures.patient();
+    pharmacy = await fixtures.pharmacy();
+    prescription = await prisma.prescription.create({
+      data: { patientId: patient.id, documentUrl: "http://localhost:5000/uploads/rx.pdf" },
+    });
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("needs a prescription to order an Rx-only medicine", async () => {
+    const item = await fixtures.medicine(pharmacy, { requiresPrescription: true });
+
+    await assert.rejects(
+      orderService.createOrder(patient.id, { items: [{ inventoryId: item.id, quantity: 1 }] }),
+      { statusCode: 400 }
+    );
+
+    const order = await orderService.createOrder(patient.id, {
+      items: [{ inventoryId: item.id, quantity: 1 }],
+      prescriptionId: prescription.id,
+    });
+    assert.equal(order.prescriptionStatus, "PENDING");
+    assert.equal(order.items[0].requiresPrescription, true);
+  });
+
+  it("does not accept another patient's prescription", async () => {
+    const item = await fixtures.medicine(pharmacy, { requiresPrescription: true });
+    const stranger = await fixtures.patient();
+
+    await assert.rejects(
+      orderService.createOrder(stranger.id, {
+        items: [{ inventoryId: item.id, quantity: 1 }],
+        prescriptionId: prescription.id,
+      }),
+      { statusCode: 404 }
+    );
+  });
+
+  it("only dispenses once the prescription is marked valid", async () => {
+    const item = await fixtures.medicine(pharmacy, { requiresPrescription: true });
+    const order = await orderService.createOrder(patient.id, {
+      items: [{ inventoryId: item.id, quantity: 1 }],
+      prescriptionId: prescription.id,
+    });
+
+    await assert.rejects(orderService.updateOrderStatus(order.id, pharmacy.id, "confirmed"), { statusCode: 409 });
+
+    await prescriptionService.reviewPrescription("order", order.id, pharmacy, pharmacy.userId, {
+      decision: "valid",
+    });
+    const confirmed = await orderService.updateOrderStatus(order.id, pharmacy.id, "confirmed");
+    assert.equal(confirmed.status, "confirmed");
+  });
+
+  it("can always reject an order whose prescription is not verified", async () => {
+    const item = await fixtures.medicine(pharmacy, { requiresPrescription: true });
+    const order = await orderService.createOrder(patient.id, {
+      items: [{ inventoryId: item.id, quantity: 1 }],
+      prescriptionId: prescription.id,
+    });
+
+    const rejected = await orderService.updateOrderStatus(order.id, pharmacy.id, "rejected");
+    assert.equal(rejected.status, "rejected");
+  });
+
+  it("asks for a prescription on SOS requests when the pharmacy stocks the medicine as Rx-only", async () => {
+    const rx = await fixtures.medicine(pharmacy, { requiresPrescription: true, genericName: "Amoxicillin" });
+    const otc = await fixtures.medicine(pharmacy);
+
+    assert.equal(await prescriptionService.sosRequiresPrescription({ medicineName: rx.name.toUpperCase() }, pharmacy.id), true);
+    assert.equal(
+      await prescriptionService.sosRequiresPrescription({ medicineName: "Other", genericName: "amoxicillin" }, pharmacy.id),
+      true
+    );
+    assert.equal(await prescriptionService.sosRequiresPrescription({ medicineName: otc.name }, pharmacy.id), false);
+    assert.equal(
+      await prescriptionService.sosRequiresPrescription({ medicineName: otc.name, prescriptionRequired: true }, pharmacy.id),
+      true
+    );
+  });
+
+  it("rejects a non-boolean Rx flag", async () => {
+    await assert.rejects(fixtures.medicine(pharmacy, { requiresPrescription: "yes" }), { statusCode: 400 });
+  });
+});
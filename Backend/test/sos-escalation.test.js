@@ -0,0 +1,145 @@
+/**
+ * SOS escalation and expiry - integration test
+ *
+ * A new SOS request alerts the pharmacies in the first ring. While nobody
+ * accepts, each sweep after escalationIntervalMinutes widens the ring and
+ * alerts only pharmacies not alerted yet; requests still pending at expiresAt
+ * expire. Uses the default rings of 5, 15 and 50 km.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, ORIGIN } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+// About 10 and 30 km north of ORIGIN
+const MIDDLE_RING = { latitude: ORIGIN.latitude + 0.09, longitude: ORIGIN.longitude };
+const OUTER_RING = { latitude: ORIGIN.latitude + 0.27, longitude: ORIGIN.longitude };
+
+describe("SOS escalation and expiry", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let sosService;
+  let patient;
+  let near;
+  let middle;
+  let far;
+
+  /**
+   * A new request with its first ring alerted, the way the SOS endpoint creates it
+   */
+  const raiseSOS = async (data = {}) => {
+    const sosRequest = await fixtures.sosRequest(patient, { ...sosService.getInitialEscalation(), ...data });
+    await sosService.startSOSAlerts(sosRequest);
+    return sosRequest;
+  };
+
+  const alertedPharmacies = async (sosId) =>
+    (await prisma.sOSAlert.findMany({ where: { sosId } })).map((alert) => alert.pharmacyId).sort();
+
+  // Make the current ring look like it has been waiting for the given number of minutes
+  const waitOnRing = (sosId, minutes) =>
+    prisma.sOSRequest.update({
+      where: { id: sosId },
+      data: { lastEscalatedAt: new Date(Date.now() - minutes * MINUTE) },
+    });
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    sosService = await import("../src/modules/sos/sos.service.js");
+
+    fixtures = createFixtures(prisma, "sos-escalation");
+    patient = await fixtures.patient();
+    near = await fixtures.pharmacy();
+    middle = await fixtures.pharmacy(MIDDLE_RING);
+    far = await fixtures.pharmacy(OUTER_RING);
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("starts new requests on the smallest ring", async () => {
+    const now = Date.now();
+    const escalation = sosService.getInitialEscalation();
+
+    assert.equal(escalation.escalationLevel, 0);
+    assert.equal(escalation.notifyRadiusKm, 5);
+    assert.ok(Math.abs(escalation.expiresAt.getTime() - (now + 120 * MINUTE)) < MINUTE);
+
+    const sosRequest = await raiseSOS();
+    assert.deepEqual(await alertedPharmacies(sosRequest.id), [near.id]);
+  });
+
+  it("widens the ring once the interval has passed, alerting only new pharmacies", async () => {
+    const sosRequest = await raiseSOS();
+    await waitOnRing(sosRequest.id, 11);
+
+    assert.ok((await sosService.escalatePendingSOS()) >= 1);
+
+    const escalated = await prisma.sOSRequest.findUnique({ where: { id: sosRequest.id } });
+    assert.equal(escalated.escalationLevel, 1);
+    assert.equal(escalated.notifyRadiusKm, 15);
+    assert.deepEqual(await alertedPharmacies(sosRequest.id), [near.id, middle.id].sort());
+
+    // The near pharmacy heard about it once
+    assert.equal(
+      await prisma.notification.count({ where: { userId: near.userId, metadata: { path: ["sosId"], equals: sosRequest.id } } }),
+      1
+    );
+
+    // The new ring has to wait its own interval
+    await sosService.escalatePendingSOS();
+    assert.equal((await prisma.sOSRequest.findUnique({ where: { id: sosRequest.id } })).escalationLevel, 1);
+
+    await waitOnRing(sosRequest.id, 11);
+    await sosService.escalatePendingSOS();
+    assert.deepEqual(await alertedPharmacies(sosRequest.id), [near.id, middle.id, far.id].sort());
+
+    // The widest ring is final
+    await waitOnRing(sosRequest.id, 11);
+    await sosService.escalatePendingSOS();
+    assert.equal((await prisma.sOSRequest.findUnique({ where: { id: sosRequest.id } })).escalationLevel, 2);
+  });
+
+  it("does not escalate requests that are no longer pending", async () => {
+    const sosRequest = await raiseSOS();
+    await sosService.respondToSOSRequest(sosRequest.id, near.id, "accepted");
+    await waitOnRing(sosRequest.id, 11);
+
+    await sosService.escalatePendingSOS();
+
+    assert.equal((await prisma.sOSRequest.findUnique({ where: { id: sosRequest.id } })).escalationLevel, 0);
+    assert.deepEqual(await alertedPharmacies(sosRequest.id), [near.id]);
+  });
+
+  it("expires pending requests past their expiry only", async () => {
+    const stale = await raiseSOS({ expiresAt: new Date(Date.now() - MINUTE) });
+    const legacy = await fixtures.sosRequest(patient, {
+      expiresAt: null,
+      createdAt: new Date(Date.now() - 121 * MINUTE),
+    });
+    const current = await raiseSOS();
+    const accepted = await raiseSOS({ expiresAt: new Date(Date.now() - MINUTE) });
+    await sosService.respondToSOSRequest(accepted.id, near.id, "accepted");
+
+    const expired = (await sosService.expireStaleSOS()).map((sosRequest) => sosRequest.id);
+
+    assert.ok(expired.includes(stale.id));
+    assert.ok(expired.includes(legacy.id));
+    assert.ok(!expired.includes(current.id));
+    assert.ok(!expired.includes(accepted.id));
+
+    const stored = await prisma.sOSRequest.findUnique({ where: { id: stale.id } });
+    assert.equal(stored.status, "expired");
+    assert.ok(stored.expiredAt);
+  });
+});
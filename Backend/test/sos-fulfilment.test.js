@@ -0,0 +1,154 @@
+/**
+ * SOS fulfilment lifecycle - integration test
+ *
+ * After acceptance the pharmacy marks the request ready or dispatched and
+ * confirms the handover, the patient confirms receipt, and either side can
+ * report it failed. The request completes once both confirmations are in.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("SOS fulfilment", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let sosService;
+  let notificationService;
+  let patient;
+  let pharmacy;
+  let asPharmacy;
+  let asPatient;
+
+  const acceptedSOS = (data = {}) =>
+    fixtures.sosRequest(patient, {
+      status: "accepted",
+      acceptedBy: pharmacy.id,
+      acceptedAt: new Date(),
+      ...data,
+    });
+
+  const advance = (sosRequest, actor, action, options) =>
+    sosService.advanceSOSFulfilment(sosRequest.id, actor, action, options);
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    sosService = await import("../src/modules/sos/sos.service.js");
+    notificationService = (await import("../src/modules/notifications/notification.service.js")).default;
+
+    fixtures = createFixtures(prisma, "sos-fulfilment");
+    patient = await fixtures.patient();
+    pharmacy = await fixtures.pharmacy();
+    asPharmacy = { role: "PHARMACY", pharmacyId: pharmacy.id, userId: pharmacy.userId };
+    asPatient = { role: "PATIENT", patientId: patient.id };
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("completes once the pharmacy hands over and the patient confirms", async () => {
+    const sosRequest = await acceptedSOS();
+
+    const ready = await advance(sosRequest, asPharmacy, "ready");
+    assert.equal(ready.sos.status, "ready");
+    assert.ok(ready.sos.readyAt);
+
+    await advance(sosRequest, asPharmacy, "dispatched");
+    const handedOver = await advance(sosRequest, asPharmacy, "handed_over");
+    assert.equal(handedOver.sos.status, "dispatched");
+    assert.ok(handedOver.sos.handedOverAt);
+
+    const received = await advance(sosRequest, asPatient, "received");
+    assert.equal(received.sos.status, "completed");
+    assert.ok(received.sos.completedAt);
+    assert.ok(received.sos.timeToCompleteSeconds >= 0);
+  });
+
+  it("completes in either confirmation order", async () => {
+    const sosRequest = await acceptedSOS();
+
+    const received = await advance(sosRequest, asPatient, "received");
+    assert.equal(received.sos.status, "accepted");
+
+    const handedOver = await advance(sosRequest, asPharmacy, "handed_over");
+    assert.equal(handedOver.sos.status, "completed");
+  });
+
+  it("treats repeated actions as no-ops", async () => {
+    const sosRequest = await acceptedSOS();
+
+    assert.equal((await advance(sosRequest, asPharmacy, "ready")).repeated, false);
+    assert.equal((await advance(sosRequest, asPharmacy, "ready")).repeated, true);
+    await advance(sosRequest, asPharmacy, "handed_over");
+    assert.equal((await advance(sosRequest, asPharmacy, "handed_over")).repeated, true);
+  });
+
+  it("only allows each party its own actions, in order", async () => {
+    const sosRequest = await acceptedSOS();
+
+    await assert.rejects(advance(sosRequest, asPatient, "ready"), { statusCode: 400 });
+    await assert.rejects(advance(sosRequest, asPharmacy, "received"), { statusCode: 400 });
+
+    await advance(sosRequest, asPharmacy, "dispatched");
+    await assert.rejects(advance(sosRequest, asPharmacy, "ready"), { statusCode: 409 });
+
+    const pending = await fixtures.sosRequest(patient);
+    await assert.rejects(advance(pending, asPatient, "received"), { statusCode: 409 });
+  });
+
+  it("hides requests from anyone but the two parties", async () => {
+    const sosRequest = await acceptedSOS();
+    const other = await fixtures.pharmacy();
+    const stranger = await fixtures.patient();
+
+    await assert.rejects(
+      advance(sosRequest, { role: "PHARMACY", pharmacyId: other.id, userId: other.userId }, "ready"),
+      { statusCode: 404 }
+    );
+    await assert.rejects(advance(sosRequest, { role: "PATIENT", patientId: stranger.id }, "received"), {
+      statusCode: 404,
+    });
+  });
+
+  it("needs a reason to fail and ends the lifecycle", async () => {
+    const sosRequest = await acceptedSOS();
+
+    await assert.rejects(advance(sosRequest, asPatient, "failed", { reason: "  " }), { statusCode: 400 });
+
+    const failed = await advance(sosRequest, asPatient, "failed", { reason: "Pharmacy was closed" });
+    assert.equal(failed.sos.status, "failed");
+    assert.equal(failed.sos.failedBy, "PATIENT");
+    assert.equal(failed.sos.failureReason, "Pharmacy was closed");
+
+    await assert.rejects(advance(sosRequest, asPharmacy, "handed_over"), { statusCode: 409 });
+  });
+
+  it("takes handed over units out of the pharmacy's stock", async () => {
+    const item = await fixtures.medicine(pharmacy, { quantity: 10 });
+    const sosRequest = await acceptedSOS({ medicineName: item.name, quantity: 3 });
+
+    await advance(sosRequest, asPharmacy, "handed_over");
+
+    assert.equal((await prisma.inventory.findUnique({ where: { id: item.id } })).quantity, 7);
+  });
+
+  it("links the pharmacy to its SOS requests page", async () => {
+    const sosRequest = await acceptedSOS();
+    const { sos } = await advance(sosRequest, asPatient, "received");
+
+    const notification = await notificationService.notifySosFulfilment(sos, "received", {
+      role: "PATIENT",
+      pharmacy,
+    });
+
+    assert.equal(notification.metadata.link, "/pharmacy/sos-requests");
+  });
+});
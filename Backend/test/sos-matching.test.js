@@ -0,0 +1,147 @@
+/**
+ * SOS stock matching - integration test
+ *
+ * SOS requests are matched against live inventory: a pharmacy counts as
+ * stocking a medicine when an item's brand or generic name matches and its
+ * unreserved, unexpired stock covers the quantity. Stocking pharmacies get
+ * high-priority alerts, are counted for the patient ("N nearby pharmacies have
+ * this in stock") and are offered as alternatives unless they declined.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, ORIGIN } from "./helpers.js";
+
+// About 33 km north of ORIGIN
+const FAR_AWAY = { latitude: ORIGIN.latitude + 0.3, longitude: ORIGIN.longitude };
+
+describe("SOS stock matching", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let sosService;
+  let notificationService;
+  let patient;
+
+  const notificationAbout = (pharmacy, sosId) =>
+    prisma.notification.findFirst({
+      where: { userId: pharmacy.userId, metadata: { path: ["sosId"], equals: sosId } },
+    });
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    sosService = await import("../src/modules/sos/sos.service.js");
+    notificationService = (await import("../src/modules/notifications/notification.service.js")).default;
+
+    fixtures = createFixtures(prisma, "sos-matching");
+    patient = await fixtures.patient();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("counts nearby pharmacies whose unreserved stock covers the request", async () => {
+    const stocking = await fixtures.pharmacy();
+    const item = await fixtures.medicine(stocking, { genericName: "Salbutamol" });
+
+    const short = await fixtures.pharmacy();
+    await fixtures.medicine(short, { name: item.name, quantity: 2 });
+
+    const reserved = await fixtures.pharmacy();
+    const held = await fixtures.medicine(reserved, { name: item.name });
+    await prisma.inventory.update({ where: { id: held.id }, data: { reservedQuantity: 8 } });
+
+    const far = await fixtures.pharmacy(FAR_AWAY);
+    await fixtures.medicine(far, { name: item.name });
+
+    const sosRequest = await fixtures.sosRequest(patient, { medicineName: item.name, quantity: 3, notifyRadiusKm: 5 });
+    assert.deepEqual(await sosService.getSOSStockAvailability(sosRequest), { inStockCount: 1, radiusKm: 5 });
+
+    const widened = { ...sosRequest, notifyRadiusKm: 50 };
+    assert.equal((await sosService.getSOSStockAvailability(widened)).inStockCount, 2);
+
+    // The generic name matches too, whatever the brand
+    const byGeneric = await fixtures.sosRequest(patient, { medicineName: "Asthalin", genericName: "salbutamol" });
+    assert.equal((await sosService.getSOSStockAvailability(byGeneric)).inStockCount, 1);
+  });
+
+  it("shows stock availability on pending requests in the patient's history", async () => {
+    const owner = await fixtures.patient();
+    const pharmacy = await fixtures.pharmacy();
+    const item = await fixtures.medicine(pharmacy);
+
+    const pending = await fixtures.sosRequest(owner, { medicineName: item.name, notifyRadiusKm: 5 });
+    const unlocated = await fixtures.sosRequest(owner, { medicineName: item.name, latitude: null, longitude: null });
+    const unstocked = await fixtures.sosRequest(owner);
+    const accepted = await fixtures.sosRequest(owner, { medicineName: item.name, status: "accepted", acceptedBy: pharmacy.id });
+
+    const history = new Map((await sosService.getPatientSOSHistory(owner.id)).map((sos) => [sos.id, sos]));
+
+    assert.deepEqual(history.get(pending.id).stockAvailability, { inStockCount: 1, radiusKm: 5 });
+    assert.deepEqual(history.get(unlocated.id).stockAvailability, { inStockCount: 1, radiusKm: null });
+    assert.deepEqual(history.get(unstocked.id).stockAvailability, { inStockCount: 0, radiusKm: 50 });
+    assert.equal(history.get(accepted.id).stockAvailability, null);
+    assert.equal(history.get(accepted.id).acceptedPharmacy.id, pharmacy.id);
+  });
+
+  it("alerts stocking pharmacies first and links every alert to the SOS requests page", async () => {
+    const stocking = await fixtures.pharmacy();
+    const item = await fixtures.medicine(stocking);
+    const other = await fixtures.pharmacy();
+    const optedOut = await fixtures.pharmacy({ sosAlertsEnabled: false });
+    const far = await fixtures.pharmacy(FAR_AWAY);
+
+    const sosRequest = await fixtures.sosRequest(patient, { medicineName: item.name });
+    await notificationService.notifyNearbyPharmacies(sosRequest, { radiusKm: 5, escalationLevel: 0, finalRing: false });
+
+    const stockingAlert = await notificationAbout(stocking, sosRequest.id);
+    assert.equal(stockingAlert.priority, "high");
+    assert.equal(stockingAlert.metadata.inStock, true);
+    assert.equal(stockingAlert.metadata.link, "/pharmacy/sos-requests");
+
+    const otherAlert = await notificationAbout(other, sosRequest.id);
+    assert.equal(otherAlert.priority, "normal");
+    assert.equal(otherAlert.metadata.inStock, false);
+    assert.equal(otherAlert.metadata.link, "/pharmacy/sos-requests");
+
+    assert.equal(await notificationAbout(optedOut, sosRequest.id), null);
+    assert.equal(await notificationAbout(far, sosRequest.id), null);
+
+    // Pharmacies that lose the request are pointed at the same page
+    await notificationService.notifySosClaimedByOther(sosRequest.id, stocking.id, stocking.pharmacyName, item.name);
+    const claimed = await prisma.notification.findFirst({
+      where: { userId: other.userId, title: { contains: "Fulfilled" }, metadata: { path: ["sosId"], equals: sosRequest.id } },
+    });
+    assert.equal(claimed.metadata.link, "/pharmacy/sos-requests");
+  });
+
+  it("offers stocking alternatives nearest first, leaving out pharmacies that declined", async () => {
+    const nearest = await fixtures.pharmacy();
+    const item = await fixtures.medicine(nearest);
+    const nextDoor = await fixtures.pharmacy({ latitude: ORIGIN.latitude + 0.01 });
+    await fixtures.medicine(nextDoor, { name: item.name });
+    const declined = await fixtures.pharmacy();
+    await fixtures.medicine(declined, { name: item.name });
+
+    const sosRequest = await fixtures.sosRequest(patient, { medicineName: item.name, quantity: 2 });
+    await prisma.pharmacyResponse.create({
+      data: { sosId: sosRequest.id, pharmacyId: declined.id, response: "rejected" },
+    });
+
+    const alternatives = await sosService.getSOSAlternatives(sosRequest);
+
+    assert.deepEqual(
+      alternatives.map((alternative) => alternative.pharmacyId),
+      [nearest.id, nextDoor.id]
+    );
+    assert.equal(alternatives[0].medicineName, item.name);
+    assert.ok(alternatives[1].distanceKm > 1);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * SOS patient edits and cancellation - integration test
+ *
+ * While a request is pending its patient can edit or cancel it, and the
+ * pharmacies already alerted are told. Once a pharmacy accepts, both are refused.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("SOS patient changes", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let sosService;
+  let notificationService;
+  let patient;
+  let alerted;
+  let bystander;
+
+  const notificationsAbout = (pharmacy, sosId) =>
+    prisma.notification.findMany({
+      where: { userId: pharmacy.userId, metadata: { path: ["sosId"], equals: sosId } },
+    });
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    sosService = await import("../src/modules/sos/sos.service.js");
+    notificationService = (await import("../src/modules/notifications/notification.service.js")).default;
+
+    fixtures = createFixtures(prisma, "sos-changes");
+    patient = await fixtures.patient();
+    alerted = await fixtures.pharmacy();
+    bystander = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("edits a pending request and reports what changed", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, { quantity: 1 });
+
+    const { sos, changedFields, locationChanged } = await sosService.updatePendingSOSRequest(sosRequest.id, patient.id, {
+      quantity: "3",
+      address: " New Road ",
+      contactNumber: sosRequest.contactNumber,
+    });
+
+    assert.equal(sos.quantity, 3);
+    assert.equal(sos.address, "New Road");
+    assert.deepEqual(changedFields.sort(), ["address", "quantity"]);
+    assert.equal(locationChanged, true);
+
+    const unchanged = await sosService.updatePendingSOSRequest(sosRequest.id, patient.id, { quantity: 3 });
+    assert.deepEqual(unchanged.changedFields, []);
+  });
+
+  it("validates edits", async () => {
+    const sosRequest = await fixtures.sosRequest(patient);
+
+    for (const edit of [{ quantity: 0 }, { contactNumber: "  " }, { latitude: "north" }, { medicineName: "Other" }]) {
+      await assert.rejects(sosService.updatePendingSOSRequest(sosRequest.id, patient.id, edit), { statusCode: 400 });
+    }
+  });
+
+  it("cancels a pending request once", async () => {
+    const sosRequest = await fixtures.sosRequest(patient);
+
+    const cancelled = await sosService.cancelSOSRequest(sosRequest.id, patient.id, " Found it elsewhere ");
+    assert.equal(cancelled.repeated, false);
+    assert.equal(cancelled.sos.status, "cancelled");
+    assert.equal(cancelled.sos.cancellationReason, "Found it elsewhere");
+    assert.ok(cancelled.sos.cancelledAt);
+
+    assert.equal((await sosService.cancelSOSRequest(sosRequest.id, patient.id)).repeated, true);
+    await assert.rejects(sosService.updatePendingSOSRequest(sosRequest.id, patient.id, { quantity: 2 }), {
+      statusCode: 409,
+    });
+  });
+
+  it("refuses changes once a pharmacy has accepted", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, {}, [alerted]);
+    await sosService.respondToSOSRequest(sosRequest.id, alerted.id, "accepted");
+
+    await assert.rejects(sosService.updatePendingSOSRequest(sosRequest.id, patient.id, { quantity: 2 }), {
+      statusCode: 409,
+      message: /Contact the pharmacy/,
+    });
+    await assert.rejects(sosService.cancelSOSRequest(sosRequest.id, patient.id), { statusCode: 409 });
+  });
+
+  it("hides other patients' requests", async () => {
+    const sosRequest = await fixtures.sosRequest(patient);
+    const stranger = await fixtures.patient();
+
+    await assert.rejects(sosService.updatePendingSOSRequest(sosRequest.id, stranger.id, { quantity: 2 }), {
+      statusCode: 404,
+    });
+    await assert.rejects(sosService.cancelSOSRequest(sosRequest.id, stranger.id), { statusCode: 404 });
+  });
+
+  it("tells only the alerted pharmacies about edits and withdrawals", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, {}, [alerted]);
+    await prisma.notification.create({
+      data: {
+        userId: alerted.userId,
+        title: "New SOS",
+        message: "New SOS",
+        type: "SOS_UPDATE",
+        metadata: { sosId: sosRequest.id },
+      },
+    });
+
+    const { sos, changedFields } = await sosService.updatePendingSOSRequest(sosRequest.id, patient.id, { quantity: 2 });
+    assert.equal(await notificationService.notifySosUpdated(sos, changedFields), 1);
+
+    const updated = (await notificationsAbout(alerted, sosRequest.id)).find((n) => n.title.startsWith("SOS Updated"));
+    assert.match(updated.message, /quantity is now 2/);
+    assert.equal(updated.metadata.link, "/pharmacy/sos-requests");
+
+    const cancelled = await sosService.cancelSOSRequest(sosRequest.id, patient.id);
+    assert.equal(await notificationService.notifySosWithdrawn(cancelled.sos), 1);
+
+    const notifications = await notificationsAbout(alerted, sosRequest.id);
+    const withdrawn = notifications.find((n) => n.title.startsWith("SOS Withdrawn"));
+    assert.equal(withdrawn.metadata.link, "/pharmacy/sos-requests");
+    assert.equal(withdrawn.isRead, false);
+    // Earlier notifications about the request need no action any more
+    assert.ok(notifications.filter((n) => n !== withdrawn).every((n) => n.isRead));
+
+    assert.deepEqual(await notificationsAbout(bystander, sosRequest.id), []);
+  });
+});
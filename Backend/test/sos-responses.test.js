@@ -0,0 +1,134 @@
+/**
+ * Race-safe SOS acceptance - integration test
+ *
+ * Accepting is an atomic claim on a pending request: when pharmacies accept at
+ * once exactly one wins and the others get a 409. Repeating a response the
+ * pharmacy already gave changes nothing and is reported as repeated.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures } from "./helpers.js";
+
+describe("SOS responses", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let sosService;
+  let patient;
+  let first;
+  let second;
+
+  const respond = (sosRequest, pharmacy, response, note) =>
+    sosService.respondToSOSRequest(sosRequest.id, pharmacy.id, response, note);
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    sosService = await import("../src/modules/sos/sos.service.js");
+
+    fixtures = createFixtures(prisma, "sos-responses");
+    patient = await fixtures.patient();
+    first = await fixtures.pharmacy();
+    second = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("lets exactly one of two concurrent accepts win", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, {}, [first, second]);
+
+    const results = await Promise.allSettled([respond(sosRequest, first, "accepted"), respond(sosRequest, second, "accepted")]);
+
+    const winners = results.filter((result) => result.status === "fulfilled");
+    assert.equal(winners.length, 1);
+    assert.equal(results.find((result) => result.status === "rejected").reason.statusCode, 409);
+
+    const { sos } = winners[0].value;
+    const stored = await prisma.sOSRequest.findUnique({ where: { id: sosRequest.id } });
+    assert.equal(stored.status, "accepted");
+    assert.equal(stored.acceptedBy, sos.acceptedBy);
+    assert.ok(stored.acceptedAt);
+    assert.ok(stored.timeToAcceptSeconds >= 0);
+    assert.equal(await prisma.pharmacyResponse.count({ where: { sosId: sosRequest.id, response: "accepted" } }), 1);
+  });
+
+  it("treats a repeated accept by the winner as a no-op", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, {}, [first]);
+
+    const accepted = await respond(sosRequest, first, "accepted", "Ready in 10 minutes");
+    assert.equal(accepted.repeated, false);
+    assert.equal(accepted.sos.patient.id, patient.id);
+
+    const repeated = await respond(sosRequest, first, "accepted");
+    assert.equal(repeated.repeated, true);
+
+    const response = await prisma.pharmacyResponse.findUnique({
+      where: { sosId_pharmacyId: { sosId: sosRequest.id, pharmacyId: first.id } },
+    });
+    assert.equal(response.note, "Ready in 10 minutes");
+  });
+
+  it("treats a repeated decline as a no-op and keeps the request open", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, {}, [first, second]);
+
+    assert.equal((await respond(sosRequest, first, "rejected")).repeated, false);
+    assert.equal((await respond(sosRequest, first, "rejected")).repeated, true);
+
+    const stored = await prisma.sOSRequest.findUnique({ where: { id: sosRequest.id } });
+    assert.equal(stored.status, "pending");
+    assert.equal(await prisma.pharmacyResponse.count({ where: { sosId: sosRequest.id } }), 1);
+  });
+
+  it("lets a pharmacy that declined change its mind while the request is pending", async () => {
+    const sosRequest = await fixtures.sosRequest(patient, {}, [first]);
+
+    await respond(sosRequest, first, "rejected");
+    const { sos } = await respond(sosRequest, first, "accepted");
+
+    assert.equal(sos.acceptedBy, first.id);
+    const response = await prisma.pharmacyResponse.findUnique({
+      where: { sosId_pharmacyId: { sosId: sosRequest.id, pharmacyId: first.id } },
+    });
+    assert.equal(response.response, "accepted");
+  });
+
+  it("explains why a request can no longer be answered", async () => {
+    const taken = await fixtures.sosRequest(patient, {}, [first, second]);
+    await respond(taken, first, "accepted");
+
+    await assert.rejects(respond(taken, second, "accepted"), { statusCode: 409, message: /another pharmacy/ });
+    await assert.rejects(respond(taken, second, "rejected"), { statusCode: 409 });
+    await assert.rejects(respond(taken, first, "rejected"), { statusCode: 409 });
+
+    const expired = await fixtures.sosRequest(patient, { status: "expired" }, [first]);
+    await assert.rejects(respond(expired, first, "accepted"), { statusCode: 409, message: /expired/ });
+
+    await assert.rejects(sosService.respondToSOSRequest("missing", first.id, "accepted"), { statusCode: 404 });
+    await assert.rejects(respond(taken, first, "maybe"), { statusCode: 400 });
+  });
+
+  it("carries the accepting pharmacy's own prescription decision onto the request", async () => {
+    const sosRequest = await fixtures.sosRequest(
+      patient,
+      { prescriptionUrl: "http://localhost:5000/uploads/sos.pdf", prescriptionStatus: "PENDING" },
+      [first, second]
+    );
+    await prisma.prescriptionReview.createMany({
+      data: [
+        { sosRequestId: sosRequest.id, pharmacyId: first.id, reviewedBy: first.userId, status: "VALID" },
+        { sosRequestId: sosRequest.id, pharmacyId: second.id, reviewedBy: second.userId, status: "INVALID", notes: "x" },
+      ],
+    });
+
+    const { sos } = await respond(sosRequest, second, "accepted");
+    assert.equal(sos.prescriptionStatus, "INVALID");
+  });
+});
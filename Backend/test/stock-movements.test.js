@@ -0,0 +1,169 @@
+/**
+ * Stock movement ledger - integration test
+ *
+ * Every stock change is a StockMovement: receipts, sales, SOS hand-overs and
+ * the pharmacy's own corrections, write-offs and returns, each with who, why
+ * and a reference. An item's quantity is the sum of its movements.
+ *
+ * Needs a migrated PostgreSQL database:
+ *   TEST_DATABASE_URL=postgresql://... npm test
+ * Skipped when TEST_DATABASE_URL is not set. Fixtures are removed afterwards.
+ */
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { requiresDatabase, connectTestDatabase, createFixtures, daysFromNow } from "./helpers.js";
+
+describe("stock movements", requiresDatabase, () => {
+  let prisma;
+  let fixtures;
+  let inventoryService;
+  let stockMovementService;
+  let orderService;
+  let pharmacy;
+
+  const movementsOf = (item) =>
+    prisma.stockMovement.findMany({ where: { inventoryId: item.id }, orderBy: [{ createdAt: "asc" }, { id: "asc" }] });
+
+  const ledgerTotal = async (item) => (await movementsOf(item)).reduce((sum, movement) => sum + movement.quantity, 0);
+
+  const record = (item, movement) =>
+    inventoryService.recordStockMovement(item.id, pharmacy.id, { batchId: item.batches[0].id, ...movement }, pharmacy.userId);
+
+  before(async () => {
+    prisma = await connectTestDatabase();
+    inventoryService = await import("../src/modules/inventory/inventory.service.js");
+    stockMovementService = await import("../src/modules/inventory/stock-movement.service.js");
+    orderService = (await import("../src/modules/orders/order.service.js")).default;
+
+    fixtures = createFixtures(prisma, "stock-movements");
+    pharmacy = await fixtures.pharmacy();
+  });
+
+  after(async () => {
+    if (!prisma) return;
+
+    await fixtures.cleanup();
+    await prisma.$disconnect();
+  });
+
+  it("records the first receipt as a purchase", async () => {
+    const { item } = await inventoryService.addMedicine(
+      pharmacy.id,
+      {
+        name: `Receipt-${fixtures.runId}`,
+        genericName: "Paracetamol",
+        price: 10,
+        batchNumber: "B1",
+        quantity: 10,
+        expiryDate: daysFromNow(365).toISOString(),
+        referenceId: "INV-1001",
+      },
+      pharmacy.userId
+    );
+
+    const [movement] = await movementsOf(item);
+    assert.equal(movement.type, "PURCHASE");
+    assert.equal(movement.quantity, 10);
+    assert.equal(movement.batchNumber, "B1");
+    assert.equal(movement.referenceId, "INV-1001");
+    assert.equal(movement.userId, pharmacy.userId);
+  });
+
+  it("keeps the item's quantity equal to the sum of its movements", async () => {
+    const item = await fixtures.medicine(pharmacy, { quantity: 20 });
+
+    await record(item, { type: "DAMAGE", quantity: 3, reason: "Broken in transit" });
+    await record(item, { type: "ADJUSTMENT", quantity: -2, reason: "Stock take" });
+    await record(item, { type: "RETURN", quantity: 1, reason: "Unopened return" });
+    const updated = await record(item, { type: "EXPIRY_WRITE_OFF", quantity: 4, reason: "Recalled lot" });
+
+    assert.equal(updated.quantity, 12);
+    assert.equal(updated.batches[0].quantity, 12);
+    assert.equal(await ledgerTotal(item), 12);
+    assert.deepEqual(
+      (await movementsOf(item)).map((movement) => [movement.type, movement.quantity]),
+      [
+        ["PURCHASE", 20],
+        ["DAMAGE", -3],
+        ["ADJUSTMENT", -2],
+        ["RETURN", 1],
+        ["EXPIRY_WRITE_OFF", -4],
+      ]
+    );
+  });
+
+  it("records deliveries as sales referencing the order", async () => {
+    const patient = await fixtures.patient();
+    const item = await fixtures.medicine(pharmacy, { quantity: 10 });
+    const order = await orderService.createOrder(patient.id, { items: [{ inventoryId: item.id, quantity: 4 }] });
+
+    for (const status of ["confirmed", "ready_for_pickup", "delivered"]) {
+      await orderService.updateOrderStatus(order.id, pharmacy.id, status);
+    }
+
+    const sale = (await movementsOf(item)).find((movement) => movement.type === "SALE");
+    assert.equal(sale.quantity, -4);
+    assert.equal(sale.referenceId, order.id);
+    assert.equal(await ledgerTotal(item), 6);
+  });
+
+  it("rejects movements a pharmacy can't record", async () => {
+    const item = await fixtures.medicine(pharmacy, { quantity: 5 });
+
+    for (const movement of [
+      { type: "SALE", quantity: 1, reason: "x" },
+      { type: "DAMAGE", quantity: 1 },
+      { type: "DAMAGE", quantity: -1, reason: "x" },
+      { type: "ADJUSTMENT", quantity: 0, reason: "x" },
+      { type: "ADJUSTMENT", quantity: 1.5, reason: "x" },
+      { type: "RETURN", quantity: 1, reason: "x".repeat(201) },
+    ]) {
+      await assert.rejects(record(item, movement), { statusCode: 400 });
+    }
+
+    await assert.rejects(record(item, { type: "DAMAGE", quantity: 6, reason: "Flood" }), { statusCode: 409 });
+    await assert.rejects(record(item, { batchId: "missing", type: "RETURN", quantity: 1, reason: "x" }), {
+      statusCode: 404,
+    });
+
+    const other = await fixtures.pharmacy();
+    await assert.rejects(
+      inventoryService.recordStockMovement(item.id, other.id, {
+        batchId: item.batches[0].id,
+        type: "RETURN",
+        quantity: 1,
+        reason: "x",
+      }),
+      { statusCode: 403 }
+    );
+
+    assert.equal((await movementsOf(item)).length, 1);
+  });
+
+  it("won't write off units open orders have reserved", async () => {
+    const item = await fixtures.medicine(pharmacy, { quantity: 5 });
+    await prisma.inventory.update({ where: { id: item.id }, data: { reservedQuantity: 4 } });
+
+    await assert.rejects(record(item, { type: "DAMAGE", quantity: 2, reason: "Dropped" }), { statusCode: 409 });
+    const updated = await record(item, { type: "DAMAGE", quantity: 1, reason: "Dropped" });
+
+    assert.equal(updated.quantity, 4);
+  });
+
+  it("shows an item's history newest first, with who made each change", async () => {
+    const item = await fixtures.medicine(pharmacy, { quantity: 10 });
+    await record(item, { type: "DAMAGE", quantity: 1, reason: "Cracked" });
+    await record(item, { type: "RETURN", quantity: 2, reason: "Returned" });
+
+    const { movements, pagination } = await stockMovementService.getStockHistory(item.id, pharmacy.id, 1, 2);
+
+    assert.deepEqual(movements.map((movement) => movement.type), ["RETURN", "DAMAGE"]);
+    assert.deepEqual(movements[0].user, { id: pharmacy.userId, name: pharmacy.user.name });
+    assert.equal(pagination.totalItems, 3);
+    assert.equal(pagination.hasNextPage, true);
+
+    const other = await fixtures.pharmacy();
+    await assert.rejects(stockMovementService.getStockHistory(item.id, other.id), { statusCode: 403 });
+  });
+});
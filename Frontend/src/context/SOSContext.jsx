@@ -1,17 +1,27 @@
 import React, { createContext, useContext, useState, useCallback } from "react";
+import httpClient from "../core/services/httpClient";
+import { useLiveEvents } from "../shared/hooks/useLiveEvents";
+
+// Fallback polling while the notification stream is down
+const SOS_POLL_INTERVAL_MS = 30000;
 
 /**
  * SOSContext
  * 
  * Manages SOS request state globally for the pharmacy admin
  * Tracks pending SOS count for sidebar badge and provides access to current SOS data
+ * Live: "sos" stream events refresh the count and bump sosUpdate, which pages
+ * watch to refresh their own lists (polls every 30 seconds while the stream is down)
+ *
+ * @param {boolean} live - Subscribe to SOS updates (approved pharmacies only)
  */
 const SOSContext = createContext();
 
-export const SOSProvider = ({ children }) => {
+export const SOSProvider = ({ children, live = false }) => {
   const [pendingSOS, setPendingSOS] = useState([]);
   const [sosCount, setSosCount] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
+  const [sosUpdate, setSosUpdate] = useState(0);
 
   /**
    * Update SOS count from fetched data
@@ -45,6 +55,15 @@ export const SOSProvider = ({ children }) => {
     }
   }, [updateSOSCount]);
 
+  useLiveEvents(
+    ["sos"],
+    () => {
+      fetchSOSRequests(httpClient);
+      setSosUpdate((n) => n + 1);
+    },
+    { pollInterval: SOS_POLL_INTERVAL_MS, enabled: live }
+  );
+
   /**
    * Reset count (useful after responding to an SOS)
    */
@@ -59,6 +78,7 @@ export const SOSProvider = ({ children }) => {
         sosCount,
         pendingSOS,
         isLoading,
+        sosUpdate,
         updateSOSCount,
         fetchSOSRequests,
         resetCount,
@@ -0,0 +1,17 @@
+/**
+ * Stock Movement Constants
+ * Types of the inventory stock ledger (see Backend stock-movement.service)
+ */
+
+export const MOVEMENT_LABELS = {
+  PURCHASE: "Stock received",
+  SALE: "Sale",
+  SOS_DISPENSE: "SOS dispense",
+  ADJUSTMENT: "Adjustment",
+  DAMAGE: "Damaged",
+  EXPIRY_WRITE_OFF: "Expiry write-off",
+  RETURN: "Return",
+};
+
+// Movements a pharmacy records by hand; sales and SOS dispenses are recorded automatically
+export const MANUAL_MOVEMENT_TYPES = ["ADJUSTMENT", "DAMAGE", "EXPIRY_WRITE_OFF", "RETURN", "PURCHASE"];
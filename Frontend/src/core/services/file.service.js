@@ -0,0 +1,78 @@
+/**
+ * File Service - Opening uploaded documents (prescriptions, license documents)
+ *
+ * With the backend's local storage driver, documents are served at /uploads
+ * only to users allowed to see them, so a plain link can't open them: they are
+ * downloaded with the auth token and shown from an object URL instead.
+ * Cloudinary URLs are public and used as they are.
+ */
+
+import httpClient from "./httpClient";
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Whether a document URL needs an authenticated download
+ * @param {string} url - Stored document URL
+ * @returns {boolean}
+ */
+export const isProtectedFileUrl = (url) => {
+  try {
+    return new URL(url, API_BASE_URL).pathname.startsWith("/uploads/");
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Download a protected document
+ * Backend: GET /uploads/<storageKey>
+ * @param {string} url - Stored document URL
+ * @returns {Promise<Blob>}
+ */
+export const fetchStoredFile = async (url) => {
+  try {
+    const response = await httpClient.get(url, { responseType: "blob" });
+    return response.data;
+  } catch (error) {
+    const err = new Error(
+      error.response?.status === 404 ? "Document not found or not available to you" : "Failed to load document"
+    );
+    err.statusCode = error.response?.status;
+    throw err;
+  }
+};
+
+/**
+ * Open a document in a new tab
+ * The tab is opened straight away so the browser doesn't block it as a popup
+ * @param {string} url - Stored document URL
+ */
+export const openStoredFile = async (url) => {
+  if (!isProtectedFileUrl(url)) {
+    window.open(url, "_blank", "noopener,noreferrer");
+    return;
+  }
+
+  const tab = window.open("", "_blank");
+
+  try {
+    const objectUrl = URL.createObjectURL(await fetchStoredFile(url));
+    if (tab) {
+      tab.location.href = objectUrl;
+    } else {
+      window.open(objectUrl, "_blank");
+    }
+    // The tab has loaded it by then
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+  } catch (error) {
+    tab?.close();
+    throw error;
+  }
+};
+
+export default {
+  isProtectedFileUrl,
+  fetchStoredFile,
+  openStoredFile,
+};
@@ -7,8 +7,9 @@ import httpClient from "./httpClient";
 
 /**
  * Add medicine to inventory
+ * A medicine already in stock gets the batch added instead (see response message)
  * Backend: POST /api/inventory
- * @param {object} medicineData - { name, genericName, quantity, price, expiryDate }
+ * @param {object} medicineData - { name, genericName, price, requiresPrescription, batchNumber, quantity, expiryDate, costPrice? }
  * @throws {Error} Throws error with detailed message
  */
 export const addMedicine = async (medicineData) => {
@@ -82,7 +83,7 @@ export const getMyInventory = async (page = 1, limit = 20) => {
  * Update inventory item
  * Backend: PATCH /api/inventory/:id
  * @param {string} inventoryId - Inventory item ID
- * @param {object} updateData - Fields to update (quantity, price, name, genericName, expiryDate)
+ * @param {object} updateData - Fields to update (name, genericName, price, requiresPrescription)
  * @throws {Error} Throws error with detailed message
  */
 export const updateInventoryItem = async (inventoryId, updateData) => {
@@ -143,12 +144,173 @@ export const deleteInventoryItem = async (inventoryId) => {
   }
 };
 
+/**
+ * Send a batch request and unwrap the updated inventory item
+ * @throws {Error} Throws error with detailed message
+ */
+const batchRequest = async (request, fallbackMessage) => {
+  try {
+    const response = await request();
+
+    if (!response.data) {
+      throw new Error("Invalid response format from server");
+    }
+
+    return response.data;
+  } catch (error) {
+    let errorMessage = fallbackMessage;
+
+    // Upload errors come as { message, error: "CODE" }
+    if (error.response?.data?.error?.message) {
+      errorMessage = error.response.data.error.message;
+    } else if (error.response?.data?.message) {
+      errorMessage = error.response.data.message;
+    } else if (error.response?.data?.error) {
+      errorMessage = error.response.data.error;
+    } else if (error.message) {
+      errorMessage = error.message;
+    }
+
+    const err = new Error(errorMessage);
+    err.statusCode = error.response?.status;
+    throw err;
+  }
+};
+
+/**
+ * Add a batch to an inventory item
+ * Backend: POST /api/inventory/:id/batches
+ * @param {string} inventoryId - Inventory item ID
+ * @param {object} batchData - { batchNumber, quantity, expiryDate, costPrice? }
+ * @returns {Promise<object>} Response with the updated item (including batches)
+ */
+export const addBatch = (inventoryId, batchData) =>
+  batchRequest(() => httpClient.post(`/inventory/${inventoryId}/batches`, batchData), "Failed to add batch");
+
+/**
+ * Correct a batch
+ * Backend: PATCH /api/inventory/:id/batches/:batchId
+ * @param {string} inventoryId - Inventory item ID
+ * @param {string} batchId - Batch ID
+ * @param {object} updateData - Any of batchNumber, expiryDate, costPrice
+ * @returns {Promise<object>} Response with the updated item (including batches)
+ */
+export const updateBatch = (inventoryId, batchId, updateData) =>
+  batchRequest(
+    () => httpClient.patch(`/inventory/${inventoryId}/batches/${batchId}`, updateData),
+    "Failed to update batch"
+  );
+
+/**
+ * Remove an empty batch
+ * Backend: DELETE /api/inventory/:id/batches/:batchId
+ * @param {string} inventoryId - Inventory item ID
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object>} Response with the updated item (including batches)
+ */
+export const deleteBatch = (inventoryId, batchId) =>
+  batchRequest(() => httpClient.delete(`/inventory/${inventoryId}/batches/${batchId}`), "Failed to remove batch");
+
+/**
+ * Record a stock movement on a batch (receipt, adjustment, damage, write-off, return)
+ * Backend: POST /api/inventory/:id/movements
+ * @param {string} inventoryId - Inventory item ID
+ * @param {object} movementData - { batchId, type, quantity, reason, referenceId }
+ * @returns {Promise<object>} Response with the updated item (including batches)
+ */
+export const recordStockMovement = (inventoryId, movementData) =>
+  batchRequest(
+    () => httpClient.post(`/inventory/${inventoryId}/movements`, movementData),
+    "Failed to record stock movement"
+  );
+
+/**
+ * Get an item's stock history, newest first
+ * Backend: GET /api/inventory/:id/movements
+ * @param {string} inventoryId - Inventory item ID
+ * @param {number} page - Page number (default: 1)
+ * @param {number} limit - Movements per page (default: 20)
+ * @returns {Promise<object>} Response with movements and pagination
+ */
+export const getStockHistory = (inventoryId, page = 1, limit = 20) =>
+  batchRequest(
+    () => httpClient.get(`/inventory/${inventoryId}/movements`, { params: { page, limit } }),
+    "Failed to load stock history"
+  );
+
+/**
+ * Import medicines and batches from a CSV / XLSX file
+ * Backend: POST /api/inventory/import
+ * @param {File} file - Spreadsheet with a header row
+ * @param {boolean} dryRun - Preview the report without saving
+ * @returns {Promise<object>} Response with the row-by-row report
+ */
+export const importInventory = (file, dryRun = false) => {
+  const formData = new FormData();
+  formData.append("file", file);
+  formData.append("dryRun", String(dryRun));
+
+  return batchRequest(
+    () =>
+      httpClient.post("/inventory/import", formData, {
+        headers: { "Content-Type": "multipart/form-data" },
+      }),
+    "Failed to import inventory"
+  );
+};
+
+/**
+ * Download the pharmacy's stock as a file
+ * Backend: GET /api/inventory/export
+ * @param {string} format - "csv", "xlsx" or "pdf" (stock-take sheet)
+ * @param {object} filters - { lowStock, expiringWithinDays, genericName } (all optional)
+ * @returns {Promise<object>} { blob, filename }
+ */
+export const exportInventory = async (format, filters = {}) => {
+  try {
+    const response = await httpClient.get("/inventory/export", {
+      params: { format, ...filters },
+      responseType: "blob",
+    });
+
+    const disposition = response.headers["content-disposition"] || "";
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `inventory.${format}`;
+
+    return { blob: response.data, filename };
+  } catch (error) {
+    let errorMessage = "Failed to export inventory";
+
+    // Error bodies arrive as a Blob too
+    if (error.response?.data instanceof Blob) {
+      try {
+        const body = JSON.parse(await error.response.data.text());
+        errorMessage = body.error?.message || body.message || errorMessage;
+      } catch {
+        // Not JSON; keep the generic message
+      }
+    } else if (error.message) {
+      errorMessage = error.message;
+    }
+
+    const err = new Error(errorMessage);
+    err.statusCode = error.response?.status;
+    throw err;
+  }
+};
+
 // Default export for backward compatibility
 const inventoryService = {
   addMedicine,
+  importInventory,
+  exportInventory,
   getMyInventory,
   updateInventoryItem,
   deleteInventoryItem,
+  addBatch,
+  updateBatch,
+  deleteBatch,
+  recordStockMovement,
+  getStockHistory,
 };
 
 export default inventoryService;
@@ -0,0 +1,50 @@
+/**
+ * Message Service - Frontend API wrapper for patient ↔ pharmacy chat threads
+ *
+ * A thread belongs to an accepted SOS request (threadType "sos") or an
+ * accepted order (threadType "order").
+ */
+
+import httpClient from "./httpClient";
+
+/**
+ * Get messages in a thread, oldest first
+ *
+ * @param {string} threadType - sos | order
+ * @param {string} threadId - SOS request or order ID
+ * @returns {Promise} { success, data: { thread, role, participants, messages, unreadCount } }
+ */
+export const getThreadMessages = async (threadType, threadId) => {
+  return httpClient.get(`/messages/${threadType}/${threadId}`);
+};
+
+/**
+ * Post a message to a thread
+ *
+ * @param {string} threadType - sos | order
+ * @param {string} threadId - SOS request or order ID
+ * @param {string} body - Message text
+ * @returns {Promise} { success, data: {...message}, message: "..." }
+ */
+export const sendMessage = async (threadType, threadId, body) => {
+  return httpClient.post(`/messages/${threadType}/${threadId}`, { body });
+};
+
+/**
+ * Mark the other participant's messages as read (read receipts)
+ *
+ * @param {string} threadType - sos | order
+ * @param {string} threadId - SOS request or order ID
+ * @returns {Promise} { success, data: { markedCount: 3 }, message: "..." }
+ */
+export const markThreadRead = async (threadType, threadId) => {
+  return httpClient.put(`/messages/${threadType}/${threadId}/read`);
+};
+
+const messageService = {
+  getThreadMessages,
+  sendMessage,
+  markThreadRead,
+};
+
+export default messageService;
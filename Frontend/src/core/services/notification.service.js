@@ -6,6 +6,7 @@
  * - Getting unread count for navbar badge
  * - Marking notifications as read
  * - Deleting notifications
+ * - Delivery preferences (per type channels, pharmacy quiet hours)
  */
 
 import httpClient from "./httpClient";
@@ -60,12 +61,33 @@ export const deleteNotification = async (notificationId) => {
   return httpClient.delete(`/notifications/${notificationId}`);
 };
 
+/**
+ * Get delivery preferences for every notification type the user can receive
+ *
+ * @returns {Promise} { success, data: { preferences: [{ type, inApp, email, digest }], quietHours?, timezone } }
+ */
+export const getPreferences = async () => {
+  return httpClient.get(`/notifications/preferences`);
+};
+
+/**
+ * Save delivery preferences
+ *
+ * @param {object} updates - { preferences?: [{ type, inApp?, email?, digest? }], quietHours?: { start, end } | null }
+ * @returns {Promise} { success, data: {...preferences}, message: "..." }
+ */
+export const updatePreferences = async (updates) => {
+  return httpClient.put(`/notifications/preferences`, updates);
+};
+
 const notificationService = {
   getNotifications,
   getUnreadCount,
   markNotificationAsRead,
   markAllAsRead,
   deleteNotification,
+  getPreferences,
+  updatePreferences,
 };
 
 export default notificationService;
@@ -0,0 +1,168 @@
+/**
+ * Notification Stream - Live events from GET /notifications/stream (Server-Sent Events)
+ *
+ * One shared connection per tab, open while anything is subscribed.
+ * Uses fetch instead of EventSource so the token travels in the
+ * Authorization header like every other request. Drops are retried with
+ * backoff; connection listeners are told when the stream is up or down so
+ * callers can poll in the meantime (see useLiveEvents).
+ *
+ * Events: notification, sos ({ sosId, status }), order ({ orderId, status })
+ */
+
+import httpClient from "./httpClient";
+
+const RECONNECT_MIN_MS = 5000;
+const RECONNECT_MAX_MS = 60000;
+
+// event name → Set of handlers
+const handlers = new Map();
+const connectionListeners = new Set();
+
+let controller = null;
+let retryTimer = null;
+let retryDelay = RECONNECT_MIN_MS;
+let connected = false;
+
+const hasSubscribers = () => handlers.size > 0;
+
+const setConnected = (value) => {
+  if (connected === value) return;
+  connected = value;
+  connectionListeners.forEach((listener) => listener(value));
+};
+
+/**
+ * Parse one SSE block ("event: x\ndata: {...}") and hand it to subscribers
+ */
+const dispatch = (block) => {
+  let event = "message";
+  const data = [];
+
+  for (const line of block.split("\n")) {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+  }
+
+  if (event === "ready") {
+    retryDelay = RECONNECT_MIN_MS;
+    setConnected(true);
+    return;
+  }
+  if (data.length === 0) return;
+
+  let payload;
+  try {
+    payload = JSON.parse(data.join("\n"));
+  } catch {
+    return;
+  }
+
+  handlers.get(event)?.forEach((handler) => handler(payload));
+};
+
+const scheduleReconnect = () => {
+  if (!hasSubscribers() || retryTimer) return;
+
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    connect();
+  }, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+};
+
+const connect = async () => {
+  const token = localStorage.getItem("token");
+  if (!token) {
+    scheduleReconnect();
+    return;
+  }
+
+  const current = new AbortController();
+  controller = current;
+
+  try {
+    const response = await fetch(`${httpClient.defaults.baseURL}/notifications/stream`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: "text/event-stream" },
+      credentials: "include",
+      signal: current.signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Stream responded with ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = "";
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += value.replace(/\r\n/g, "\n");
+      let end;
+      while ((end = buffer.indexOf("\n\n")) !== -1) {
+        dispatch(buffer.slice(0, end));
+        buffer = buffer.slice(end + 2);
+      }
+    }
+  } catch (error) {
+    // Aborted by disconnect(): nobody is listening any more
+    if (current.signal.aborted) return;
+    console.warn("[NOTIFICATION STREAM] Disconnected:", error.message);
+  }
+
+  if (controller === current) controller = null;
+  setConnected(false);
+  scheduleReconnect();
+};
+
+const ensureConnected = () => {
+  if (!controller && !retryTimer) connect();
+};
+
+const disconnect = () => {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  controller?.abort();
+  controller = null;
+  retryDelay = RECONNECT_MIN_MS;
+  setConnected(false);
+};
+
+/**
+ * Listen for a stream event; opens the connection if needed
+ * @param {string} event - notification | sos | order
+ * @param {function} handler - Called with the event payload
+ * @returns {function} Unsubscribe (closes the connection after the last one)
+ */
+export const subscribe = (event, handler) => {
+  if (!handlers.has(event)) handlers.set(event, new Set());
+  handlers.get(event).add(handler);
+  ensureConnected();
+
+  return () => {
+    const set = handlers.get(event);
+    set?.delete(handler);
+    if (set?.size === 0) handlers.delete(event);
+    if (!hasSubscribers()) disconnect();
+  };
+};
+
+/**
+ * Be told when the stream connects or drops
+ * @param {function} listener - Called with true/false on every change
+ * @returns {function} Stop listening
+ */
+export const onConnectionChange = (listener) => {
+  connectionListeners.add(listener);
+  return () => connectionListeners.delete(listener);
+};
+
+export const isConnected = () => connected;
+
+export default {
+  subscribe,
+  onConnectionChange,
+  isConnected,
+};
@@ -184,6 +184,31 @@ export const getPharmacyOrders = async (page = 1, limit = 50, status = 'all') =>
   }
 };
 
+/**
+ * Get prescription review queue
+ * Backend: GET /api/pharmacy/prescriptions/queue
+ * status: PENDING | VALID | INVALID | NEEDS_CLARIFICATION | all
+ */
+export const getPrescriptionQueue = async (status = "PENDING") => {
+  const response = await httpClient.get("/pharmacy/prescriptions/queue", {
+    params: { status }
+  });
+  return response.data;
+};
+
+/**
+ * Review the prescription attached to an SOS request or order
+ * Backend: PATCH /api/pharmacy/prescriptions/:type/:id/review
+ * type: "sos" | "order", decision: "valid" | "invalid" | "needs_clarification"
+ */
+export const reviewPrescription = async (type, id, decision, notes) => {
+  const response = await httpClient.patch(`/pharmacy/prescriptions/${type}/${id}/review`, {
+    decision,
+    notes
+  });
+  return response.data;
+};
+
 /**
  * Get pharmacy by user ID (Not implemented in backend)
  * TODO: Add backend endpoint if needed
@@ -210,6 +235,8 @@ const pharmacyService = {
   getPharmacyByUserId,
   getDashboardStats,
   getPharmacyOrders,
+  getPrescriptionQueue,
+  reviewPrescription,
 };
 
 export default pharmacyService;
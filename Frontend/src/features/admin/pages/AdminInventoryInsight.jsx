@@ -4,7 +4,7 @@ import AdminLayout from '../components/AdminLayout';
 import { httpClient } from '../../../core/services/httpClient';
 
 const AdminInventoryInsight = () => {
-  const [inventoryData, setInventoryData] = useState([]);
+  const [totals, setTotals] = useState({ totalItems: 0, lowStockCount: 0, outOfStockCount: 0 });
   const [shortages, setShortages] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -25,8 +25,9 @@ const AdminInventoryInsight = () => {
       const data = response.data;
       
       if (data.success) {
-        setShortages(data.data.shortages || []);
-        setInventoryData(data.data.inventory || []);
+        const { shortages: shortageList, ...counts } = data.data;
+        setShortages(shortageList || []);
+        setTotals(counts);
       }
     } catch (error) {
       console.error('Error fetching inventory insights:', error);
@@ -117,7 +118,7 @@ const AdminInventoryInsight = () => {
                 <div>
                   <p className="text-gray-600 text-sm font-medium">Total Items</p>
                   <p className="text-3xl font-bold text-gray-900 mt-2">
-                    {inventoryData.reduce((sum, item) => sum + (item.totalItems || 0), 0)}
+                    {totals.totalItems}
                   </p>
                 </div>
                 <div className="bg-blue-100 p-3 rounded-full">
@@ -144,9 +145,8 @@ const AdminInventoryInsight = () => {
               <div className="flex items-center justify-between">
                 <div>
                   <p className="text-gray-600 text-sm font-medium">Low Stock Items</p>
-                  <p className="text-3xl font-bold text-yellow-600 mt-2">
-                    {shortages.filter(s => s.outOfStockCount < 5 && s.outOfStockCount > 0).length}
-                  </p>
+                  <p className="text-3xl font-bold text-yellow-600 mt-2">{totals.lowStockCount}</p>
+                  <p className="text-xs text-gray-500 mt-1">At or below their reorder level</p>
                 </div>
                 <div className="bg-yellow-100 p-3 rounded-full">
                   <TrendingDown className="text-yellow-600 w-8 h-8" />
@@ -157,7 +157,7 @@ const AdminInventoryInsight = () => {
             <div className="bg-white rounded-lg shadow-sm p-6 border border-gray-200">
               <div className="flex items-center justify-between">
                 <div>
-                  <p className="text-gray-600 text-sm font-medium">Total Medicines</p>
+                  <p className="text-gray-600 text-sm font-medium">Medicines in Shortage</p>
                   <p className="text-3xl font-bold text-green-600 mt-2">{shortages.length}</p>
                 </div>
                 <div className="bg-green-100 p-3 rounded-full">
@@ -245,7 +245,9 @@ const AdminInventoryInsight = () => {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <div className="text-2xl font-bold text-red-600">{item.outOfStockCount}</div>
-                          <div className="text-xs text-gray-500">pharmacies</div>
+                          <div className="text-xs text-gray-500">
+                            pharmacies · {item.lowStockCount} of {item.totalPharmacies} low
+                          </div>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           {item.outOfStockCount >= 5 ? (
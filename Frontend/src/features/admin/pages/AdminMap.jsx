@@ -3,6 +3,7 @@ import { MapContainer, TileLayer, Marker, Popup, Circle } from 'react-leaflet';
 import { MapPin, AlertCircle, Check, RefreshCw } from 'lucide-react';
 import AdminLayout from '../components/AdminLayout';
 import { httpClient } from '../../../core/services/httpClient';
+import { useLiveEvents } from '../../../shared/hooks/useLiveEvents';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 
@@ -73,11 +74,11 @@ const AdminMap = () => {
 
   useEffect(() => {
     fetchMapData();
-    // Auto-refresh every 30 seconds
-    const interval = setInterval(fetchMapData, 30000);
-    return () => clearInterval(interval);
   }, []);
 
+  // SOS changes arrive over the notification stream; refresh every 30 seconds while it's down
+  const isLive = useLiveEvents(['sos'], () => fetchMapData(), { pollInterval: 30000 });
+
   const fetchMapData = async () => {
     try {
       // Fetch SOS requests and pharmacies in parallel
@@ -185,6 +186,9 @@ const AdminMap = () => {
                   <p className="text-lg font-semibold text-gray-900 mt-2">
                     {lastUpdated.toLocaleTimeString()}
                   </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {isLive ? 'Live' : 'Refreshing every 30s'}
+                  </p>
                 </div>
                 <div className="bg-blue-100 p-3 rounded-full">
                   <RefreshCw className="text-blue-600 w-8 h-8" />
@@ -17,6 +17,7 @@ import {
   Download
 } from "lucide-react";
 import AdminLayout from "../components/AdminLayout";
+import { useStoredFile } from "../../../shared/hooks/useStoredFile";
 
 const AdminPharmacyDetails = () => {
   const { id } = useParams();
@@ -29,6 +30,7 @@ const AdminPharmacyDetails = () => {
   const [rejectionReason, setRejectionReason] = useState("");
   const [actionLoading, setActionLoading] = useState(false);
   const [showImageModal, setShowImageModal] = useState(false);
+  const licenseFile = useStoredFile(pharmacy?.licenseDocument || pharmacy?.licenseDocumentUrl);
 
   useEffect(() => {
     if (user && user.roleId !== 1) {
@@ -282,9 +284,19 @@ const AdminPharmacyDetails = () => {
               </h3>
               {pharmacy.licenseDocument || pharmacy.licenseDocumentUrl ? (
                 (() => {
-                  const docUrl = pharmacy.licenseDocument || pharmacy.licenseDocumentUrl;
-                  const isImage = /\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(docUrl);
-                  const isPDF = /\.pdf$/i.test(docUrl);
+                  const storedUrl = pharmacy.licenseDocument || pharmacy.licenseDocumentUrl;
+                  const isImage = /\.(jpg|jpeg|png|gif|webp|bmp)$/i.test(storedUrl);
+                  const isPDF = /\.pdf$/i.test(storedUrl);
+                  // Locally stored documents are downloaded with the admin's token first
+                  const docUrl = licenseFile.url;
+
+                  if (!docUrl) {
+                    return (
+                      <p style={{ fontSize: "14px", color: licenseFile.error ? "#EF4444" : "#6B7280" }}>
+                        {licenseFile.error || "Loading document..."}
+                      </p>
+                    );
+                  }
                   
                   return (
                     <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
@@ -698,7 +710,7 @@ const AdminPharmacyDetails = () => {
       )}
 
       {/* Image Enlargement Modal */}
-      {showImageModal && pharmacy && (pharmacy.licenseDocument || pharmacy.licenseDocumentUrl) && (
+      {showImageModal && licenseFile.url && (
         <div
           style={{
             position: "fixed",
@@ -745,7 +757,7 @@ const AdminPharmacyDetails = () => {
               ✕ Close
             </button>
             <img
-              src={pharmacy.licenseDocument || pharmacy.licenseDocumentUrl}
+              src={licenseFile.url}
               alt="License Document - Full Size"
               style={{
                 maxWidth: "100%",
@@ -1,7 +1,7 @@
 import React from "react";
 import { ShoppingBag, Clock, CheckCircle, AlertCircle } from "lucide-react";
 
-export function OrderCard({ order, onViewDetails }) {
+export function OrderCard({ order, onViewDetails, onCancel }) {
   const getStatusColor = (status) => {
     switch (status?.toUpperCase()) {
       case "PENDING":
@@ -18,6 +18,14 @@ export function OrderCard({ order, onViewDetails }) {
           textColor: "#1E40AF",
           icon: CheckCircle 
         };
+      case "READY_FOR_PICKUP":
+      case "OUT_FOR_DELIVERY":
+        return { 
+          bg: "bg-indigo-50", 
+          text: "text-indigo-800", 
+          textColor: "#3730A3",
+          icon: ShoppingBag 
+        };
       case "DELIVERED":
         return { 
           bg: "bg-green-50", 
@@ -26,6 +34,7 @@ export function OrderCard({ order, onViewDetails }) {
           icon: CheckCircle 
         };
       case "CANCELLED":
+      case "REJECTED":
         return { 
           bg: "bg-red-50", 
           text: "text-red-800", 
@@ -44,6 +53,8 @@ export function OrderCard({ order, onViewDetails }) {
 
   const statusInfo = getStatusColor(order.status);
   const StatusIcon = statusInfo.icon;
+  const items = order.items || [];
+  const itemCount = items.reduce((sum, item) => sum + (item.quantity || 0), 0);
 
   return (
     <div 
@@ -64,13 +75,27 @@ export function OrderCard({ order, onViewDetails }) {
       {/* Order Content */}
       <div className="flex justify-between items-start mb-4 gap-4">
         <div className="flex-1">
-          <p className="text-sm text-gray-500">{order.items?.length || 1} items</p>
-          <p className="font-medium text-gray-900 mt-1">{order.pharmacy?.name}</p>
+          <p className="text-sm text-gray-500">
+            {itemCount} item{itemCount !== 1 ? "s" : ""}
+          </p>
+          <p className="font-medium text-gray-900 mt-1">{order.pharmacy?.pharmacyName}</p>
+          {items.length > 0 && (
+            <ul className="mt-2 space-y-0.5 text-sm text-gray-600">
+              {items.map((item) => (
+                <li key={item.id} className="flex justify-between gap-4">
+                  <span>
+                    {item.medicineName} × {item.quantity}
+                  </span>
+                  <span className="text-gray-500">₹{item.lineTotal?.toFixed(2)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         <div className={`flex items-center gap-2 px-3 py-1.5 rounded-md text-sm font-medium ${statusInfo.bg} ${statusInfo.text}`}>
           <StatusIcon size={16} />
-          <span>{order.status}</span>
+          <span className="capitalize">{order.status?.replace(/_/g, " ")}</span>
         </div>
       </div>
 
@@ -78,8 +103,19 @@ export function OrderCard({ order, onViewDetails }) {
       <div className="flex justify-between items-center pt-3 border-t border-gray-100">
         <div className="text-right">
           <p className="text-xs text-gray-500 font-medium">Amount:</p>
-          <p className="text-xl font-bold text-blue-600 mt-0.5">₹{order.total?.toFixed(2)}</p>
+          <p className="text-xl font-bold text-blue-600 mt-0.5">₹{order.totalAmount?.toFixed(2)}</p>
         </div>
+        {onCancel && order.status?.toLowerCase() === "pending" && (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              onCancel(order.id);
+            }}
+            className="px-3 py-1.5 text-sm font-medium text-red-600 border border-red-200 rounded-md hover:bg-red-50 transition"
+          >
+            Cancel Order
+          </button>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,54 @@
+import React from "react";
+import { AlertTriangle, AlertCircle, Info } from "lucide-react";
+
+const SEVERITY_STYLES = {
+  major: { box: "bg-red-50 border-red-200", text: "text-red-800", badge: "bg-red-600 text-white", icon: AlertTriangle },
+  moderate: { box: "bg-amber-50 border-amber-200", text: "text-amber-800", badge: "bg-amber-500 text-white", icon: AlertCircle },
+  minor: { box: "bg-blue-50 border-blue-200", text: "text-blue-800", badge: "bg-blue-500 text-white", icon: Info },
+};
+
+/**
+ * Severity-rated drug interaction warnings
+ * @param {array} warnings - From POST /patient/medications/check-interactions
+ * @param {string} title - Optional heading
+ */
+export function InteractionWarnings({ warnings, title = "Possible drug interactions" }) {
+  if (!warnings?.length) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-semibold text-gray-900">{title}</p>
+      {warnings.map((warning, index) => {
+        const style = SEVERITY_STYLES[warning.severity] || SEVERITY_STYLES.minor;
+        const SeverityIcon = style.icon;
+
+        return (
+          <div key={index} className={`p-3 border rounded-lg ${style.box}`}>
+            <div className="flex items-start gap-2">
+              <SeverityIcon size={16} className={`flex-shrink-0 mt-0.5 ${style.text}`} />
+              <div className={`text-sm ${style.text}`}>
+                <p className="font-medium flex flex-wrap items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${style.badge}`}>
+                    {warning.severity}
+                  </span>
+                  {warning.type === "duplicate"
+                    ? `Duplicate: ${warning.medicine} and ${warning.interactsWith}`
+                    : `${warning.medicine} + ${warning.interactsWith}`}
+                </p>
+                <p className="mt-1">{warning.description}</p>
+                {warning.advice && <p className="mt-1 text-xs opacity-90">{warning.advice}</p>}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+      <p className="text-xs text-gray-500">
+        This check covers common interactions only. Always confirm with your doctor or pharmacist.
+      </p>
+    </div>
+  );
+}
+
+export default InteractionWarnings;
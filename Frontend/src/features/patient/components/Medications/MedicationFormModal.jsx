@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from "react";
+import { Modal } from "../../../../shared/components/ui";
+import patientService from "../../services/patient.service";
+import { InteractionWarnings } from "./InteractionWarnings";
+
+const EMPTY_FORM = {
+  medicineName: "",
+  genericName: "",
+  dosage: "",
+  frequency: "",
+  startDate: "",
+  endDate: "",
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+/**
+ * Add or edit a medication's details and course dates
+ * Dose times are set separately in ScheduleModal
+ * @param {boolean} isOpen
+ * @param {object} medication - Medication being edited (null when adding)
+ * @param {object} initialValues - Prefill when adding (e.g. from a suggestion)
+ * @param {function} onClose
+ * @param {function} onSaved - Called with the saved medication
+ */
+export function MedicationFormModal({ isOpen, medication, initialValues, onClose, onSaved }) {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [matches, setMatches] = useState([]);
+  const [showMatches, setShowMatches] = useState(false);
+  const [interactionWarnings, setInteractionWarnings] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the medication (or blank form) when the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setFormData(
+        medication
+          ? {
+              medicineName: medication.medicineName || "",
+              genericName: medication.genericName || "",
+              dosage: medication.dosage || "",
+              frequency: medication.frequency || "",
+              startDate: toDateInput(medication.startDate),
+              endDate: toDateInput(medication.endDate),
+            }
+          : { ...EMPTY_FORM, ...initialValues }
+      );
+      setMatches([]);
+      setShowMatches(false);
+      setError(null);
+    }
+  }, [isOpen, medication, initialValues]);
+
+  // Suggest catalogue names while the patient types
+  useEffect(() => {
+    const query = formData.medicineName.trim();
+
+    if (!showMatches || query.length < 2) {
+      setMatches([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await patientService.searchMedications(query);
+        setMatches(response.data?.medicines || []);
+      } catch (err) {
+        console.error("[MEDICATION FORM] Search failed", err);
+        setMatches([]);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [formData.medicineName, showMatches]);
+
+  // Check the medicine against the patient's other medications once typing pauses
+  useEffect(() => {
+    const name = formData.medicineName.trim();
+    const genericName = formData.genericName.trim();
+
+    if (!isOpen || (!name && !genericName)) {
+      setInteractionWarnings([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await patientService.checkInteractions([
+          { name, genericName, medicationId: medication?.id },
+        ]);
+        setInteractionWarnings(response.data?.warnings || []);
+      } catch (err) {
+        console.error("[MEDICATION FORM] Interaction check failed", err);
+        setInteractionWarnings([]);
+      }
+    }, 600);
+
+    return () => clearTimeout(timer);
+  }, [isOpen, medication, formData.medicineName, formData.genericName]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSelectMatch = (match) => {
+    setFormData((prev) => ({
+      ...prev,
+      medicineName: match.medicineName,
+      genericName: match.genericName || prev.genericName,
+    }));
+    setShowMatches(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.medicineName.trim()) {
+      setError("Medicine name is required");
+      return;
+    }
+
+    if (formData.startDate && formData.endDate && formData.endDate < formData.startDate) {
+      setError("End date cannot be before start date");
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      startDate: formData.startDate || null,
+      endDate: formData.endDate || null,
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = medication
+        ? await patientService.updateMedication(medication.id, payload)
+        : await patientService.createMedication(payload);
+      onSaved(response.data?.medication);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save medication");
+      console.error("[MEDICATION FORM]", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    "mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={medication ? "Edit Medication" : "Add Medication"}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {/* Name with catalogue suggestions */}
+        <div className="relative">
+          <label className="text-sm font-medium text-gray-700">
+            Medicine name *
+            <input
+              type="text"
+              name="medicineName"
+              value={formData.medicineName}
+              onChange={(e) => {
+                handleChange(e);
+                setShowMatches(true);
+              }}
+              onBlur={() => setTimeout(() => setShowMatches(false), 150)}
+              placeholder="e.g., Crocin 500"
+              autoComplete="off"
+              className={inputClass}
+            />
+          </label>
+          {showMatches && matches.length > 0 && (
+            <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg max-h-56 overflow-y-auto">
+              {matches.map((match) => (
+                <li key={`${match.medicineName}-${match.genericName}`}>
+                  <button
+                    type="button"
+                    onMouseDown={() => handleSelectMatch(match)}
+                    className="w-full text-left px-3 py-2 text-sm hover:bg-blue-50"
+                  >
+                    <span className="font-medium text-gray-900">{match.medicineName}</span>
+                    {match.genericName && <span className="text-gray-500"> · {match.genericName}</span>}
+                    {match.requiresPrescription && (
+                      <span className="ml-2 px-1.5 py-0.5 bg-purple-100 text-purple-700 text-xs rounded">Rx</span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700">
+          Generic name
+          <input
+            type="text"
+            name="genericName"
+            value={formData.genericName}
+            onChange={handleChange}
+            placeholder="e.g., Paracetamol"
+            className={inputClass}
+          />
+        </label>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="text-sm font-medium text-gray-700">
+            Dosage
+            <input
+              type="text"
+              name="dosage"
+              value={formData.dosage}
+              onChange={handleChange}
+              placeholder="e.g., 500 mg"
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            Frequency
+            <input
+              type="text"
+              name="frequency"
+              value={formData.frequency}
+              onChange={handleChange}
+              placeholder="e.g., Twice a day"
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <label className="text-sm font-medium text-gray-700">
+            Start date
+            <input
+              type="date"
+              name="startDate"
+              value={formData.startDate}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            End date
+            <input
+              type="date"
+              name="endDate"
+              value={formData.endDate}
+              min={formData.startDate || undefined}
+              onChange={handleChange}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <InteractionWarnings warnings={interactionWarnings} />
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex gap-3 justify-end pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? "Saving..." : medication ? "Save Changes" : "Add Medication"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default MedicationFormModal;
@@ -0,0 +1,61 @@
+import React, { useState, useEffect } from "react";
+import { Sparkles, Plus } from "lucide-react";
+import patientService from "../../services/patient.service";
+
+/**
+ * Medicines from delivered orders and accepted SOS requests not yet in the list
+ * Hidden when there is nothing to suggest
+ * @param {number} refreshKey - Change to reload (e.g. after a medication is added)
+ * @param {function} onAdd - Called with the suggestion the patient picked
+ */
+export function MedicationSuggestions({ refreshKey, onAdd }) {
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    patientService
+      .getMedicationSuggestions()
+      .then((response) => setSuggestions(response.data?.suggestions || []))
+      .catch((err) => {
+        console.error("[MEDICATION SUGGESTIONS]", err);
+        setSuggestions([]);
+      });
+  }, [refreshKey]);
+
+  if (suggestions.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h2 className="text-lg font-bold text-gray-900 mb-1 flex items-center gap-2">
+        <Sparkles size={20} />
+        Add from your recent orders
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">Medicines you received through PharmEasy that aren't in your list yet.</p>
+
+      <ul className="divide-y divide-gray-100">
+        {suggestions.map((suggestion) => (
+          <li key={suggestion.medicineName} className="py-3 flex items-center justify-between gap-4">
+            <div>
+              <p className="font-medium text-gray-900">{suggestion.medicineName}</p>
+              <p className="text-xs text-gray-500">
+                {suggestion.genericName && `${suggestion.genericName} · `}
+                {suggestion.source === "sos" ? "Emergency request" : "Order"} on{" "}
+                {new Date(suggestion.obtainedAt).toLocaleDateString()}
+              </p>
+            </div>
+            <button
+              onClick={() => onAdd(suggestion)}
+              className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+            >
+              <Plus size={14} />
+              Add
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default MedicationSuggestions;
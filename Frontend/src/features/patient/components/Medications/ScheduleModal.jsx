@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from "react";
+import { Plus, Trash2 } from "lucide-react";
+import { Modal } from "../../../../shared/components/ui";
+import patientService from "../../services/patient.service";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+/**
+ * Edit a medication's dose schedule: times, days of week, date range, reminders
+ * @param {object} medication - Medication being edited (null when closed)
+ * @param {function} onClose
+ * @param {function} onSaved - Called with the updated medication
+ */
+export function ScheduleModal({ medication, onClose, onSaved }) {
+  const [times, setTimes] = useState([]);
+  const [daysOfWeek, setDaysOfWeek] = useState([]);
+  const [startDate, setStartDate] = useState("");
+  const [endDate, setEndDate] = useState("");
+  const [remindersEnabled, setRemindersEnabled] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the medication's current schedule when the modal opens
+  useEffect(() => {
+    if (medication) {
+      setTimes(medication.scheduleTimes?.length ? medication.scheduleTimes : ["08:00"]);
+      setDaysOfWeek(medication.daysOfWeek || []);
+      setStartDate(toDateInput(medication.startDate));
+      setEndDate(toDateInput(medication.endDate));
+      setRemindersEnabled(medication.remindersEnabled ?? true);
+      setError(null);
+    }
+  }, [medication]);
+
+  const toggleDay = (day) => {
+    setDaysOfWeek((prev) =>
+      prev.includes(day) ? prev.filter((d) => d !== day) : [...prev, day].sort((a, b) => a - b)
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const response = await patientService.updateMedicationSchedule(medication.id, {
+        times: times.filter(Boolean),
+        daysOfWeek,
+        startDate: startDate || null,
+        endDate: endDate || null,
+        remindersEnabled,
+      });
+      onSaved(response.data?.medication);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save schedule");
+      console.error("[SCHEDULE MODAL]", err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!medication} onClose={onClose} title={`Schedule: ${medication?.medicineName || ""}`}>
+      <form onSubmit={handleSubmit} className="space-y-5">
+        {/* Dose times */}
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Dose times</p>
+          <div className="space-y-2">
+            {times.map((time, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <input
+                  type="time"
+                  value={time}
+                  onChange={(e) => setTimes(times.map((t, i) => (i === index ? e.target.value : t)))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => setTimes(times.filter((_, i) => i !== index))}
+                  aria-label="Remove dose time"
+                  className="p-2 text-gray-500 hover:text-red-600 rounded-lg"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={() => setTimes([...times, "20:00"])}
+            className="mt-2 flex items-center gap-1 text-sm text-blue-600 hover:underline"
+          >
+            <Plus size={14} />
+            Add time
+          </button>
+          {times.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1">No dose times: reminders are turned off for this medication.</p>
+          )}
+        </div>
+
+        {/* Days of week */}
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">Days</p>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAYS.map((label, day) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleDay(day)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                  daysOfWeek.includes(day) ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">Leave all unselected to take it every day.</p>
+        </div>
+
+        {/* Date range */}
+        <div className="grid grid-cols-2 gap-4">
+          <label className="text-sm font-medium text-gray-700">
+            Start date
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <label className="text-sm font-medium text-gray-700">
+            End date
+            <input
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={remindersEnabled}
+            onChange={(e) => setRemindersEnabled(e.target.checked)}
+          />
+          Send me a reminder at each dose time
+        </label>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <div className="flex gap-3 justify-end pt-2">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={saving}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save Schedule"}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+export default ScheduleModal;
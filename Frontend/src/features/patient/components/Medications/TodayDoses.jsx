@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Clock, Check, X, AlertCircle, Loader } from "lucide-react";
+import patientService from "../../services/patient.service";
+
+const STATUS_STYLES = {
+  UPCOMING: "bg-gray-100 text-gray-700",
+  DUE: "bg-blue-100 text-blue-700",
+  TAKEN: "bg-green-100 text-green-700",
+  SKIPPED: "bg-amber-100 text-amber-700",
+  MISSED: "bg-red-100 text-red-700",
+};
+
+/**
+ * Today's scheduled doses with taken / skipped actions
+ * Hidden when the patient has no scheduled medications
+ * @param {number} refreshKey - Change to reload (e.g. after a schedule edit)
+ */
+export function TodayDoses({ refreshKey }) {
+  const [schedule, setSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [markingKey, setMarkingKey] = useState(null);
+
+  const loadDoses = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await patientService.getMedicationDoses();
+      setSchedule(response.data || null);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load today's doses");
+      console.error("[TODAY DOSES]", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDoses();
+  }, [loadDoses, refreshKey]);
+
+  const handleMark = async (dose, status) => {
+    const key = `${dose.medicationId}-${dose.scheduledFor}`;
+
+    try {
+      setMarkingKey(key);
+      setError(null);
+      await patientService.markMedicationDose(dose.medicationId, dose.scheduledFor, status);
+      await loadDoses();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update dose");
+      console.error("[MARK DOSE]", err);
+    } finally {
+      setMarkingKey(null);
+    }
+  };
+
+  const doses = schedule?.doses || [];
+
+  if (!loading && !error && doses.length === 0) {
+    return null;
+  }
+
+  const formatTime = (value) =>
+    new Date(value).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: schedule?.timezone,
+    });
+
+  return (
+    <div className="mb-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <h2 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <Clock size={20} />
+        Today's Doses
+      </h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 text-sm text-red-700">
+          <AlertCircle size={16} className="flex-shrink-0 mt-0.5" />
+          {error}
+        </div>
+      )}
+
+      {loading && !schedule ? (
+        <div className="h-16 bg-gray-100 rounded-lg animate-pulse" />
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {doses.map((dose) => {
+            const key = `${dose.medicationId}-${dose.scheduledFor}`;
+            const canMark = !["TAKEN", "SKIPPED"].includes(dose.status);
+
+            return (
+              <li key={key} className="py-3 flex items-center justify-between gap-4">
+                <div className="flex items-center gap-4">
+                  <span className="w-16 text-sm font-semibold text-gray-900">
+                    {formatTime(dose.scheduledFor)}
+                  </span>
+                  <div>
+                    <p className="font-medium text-gray-900">{dose.medicineName}</p>
+                    {dose.dosage && <p className="text-xs text-gray-500">{dose.dosage}</p>}
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <span className={`px-2.5 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[dose.status]}`}>
+                    {dose.status.toLowerCase()}
+                  </span>
+                  {canMark && (
+                    markingKey === key ? (
+                      <Loader size={16} className="animate-spin text-gray-500" />
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => handleMark(dose, "taken")}
+                          className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg text-xs font-medium bg-green-600 text-white hover:bg-green-700 transition-colors"
+                        >
+                          <Check size={14} />
+                          Taken
+                        </button>
+                        <button
+                          onClick={() => handleMark(dose, "skipped")}
+                          className="flex items-center gap-1 px-2.5 py-1.5 rounded-lg text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                        >
+                          <X size={14} />
+                          Skip
+                        </button>
+                      </>
+                    )
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TodayDoses;
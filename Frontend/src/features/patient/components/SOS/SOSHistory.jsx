@@ -0,0 +1,317 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { History, Phone, MapPin, Check, AlertCircle, Loader2, Pencil, X, MessageSquare } from "lucide-react";
+import patientService from "../../services/patient.service";
+import MessageThread from "../../../../shared/components/MessageThread";
+
+const STATUS_STYLES = {
+  pending: { label: "Finding pharmacies", className: "bg-orange-100 text-orange-700" },
+  accepted: { label: "Accepted", className: "bg-blue-100 text-blue-700" },
+  ready: { label: "Ready for pickup", className: "bg-green-100 text-green-700" },
+  dispatched: { label: "On its way", className: "bg-green-100 text-green-700" },
+  completed: { label: "Completed", className: "bg-gray-100 text-gray-700" },
+  failed: { label: "Failed", className: "bg-red-100 text-red-700" },
+  expired: { label: "Expired", className: "bg-gray-100 text-gray-500" },
+  cancelled: { label: "Cancelled", className: "bg-gray-100 text-gray-500" },
+};
+
+const ACTIVE_STATUSES = ["accepted", "ready", "dispatched"];
+
+/**
+ * The patient's SOS requests with fulfilment progress
+ * Pending requests can be edited or cancelled
+ * Accepted requests can be confirmed as received or reported as failed,
+ * and have a message thread with the accepting pharmacy
+ * Hidden when the patient has no SOS requests
+ */
+export function SOSHistory() {
+  const [requests, setRequests] = useState([]);
+  const [error, setError] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({});
+  const [openChatId, setOpenChatId] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await patientService.getSOSHistory();
+      setRequests(response.data?.sosRequests || []);
+    } catch (err) {
+      console.error("[SOS HISTORY]", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleFulfilment = async (request, action) => {
+    let reason;
+
+    if (action === "failed") {
+      reason = window.prompt("What went wrong with this request?");
+      if (!reason?.trim()) return;
+    }
+
+    try {
+      setUpdatingId(request.id);
+      setError(null);
+      await patientService.updateSOSFulfilment(request.id, action, reason);
+      await loadHistory();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update SOS request");
+      console.error("[SOS HISTORY] Update failed", err);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const startEditing = (request) => {
+    setEditingId(request.id);
+    setEditForm({
+      quantity: request.quantity,
+      contactNumber: request.contactNumber,
+      address: request.address,
+      additionalNotes: request.additionalNotes || "",
+    });
+  };
+
+  const handleSaveEdit = async (request) => {
+    try {
+      setUpdatingId(request.id);
+      setError(null);
+      await patientService.updateSOSRequest(request.id, editForm);
+      setEditingId(null);
+      await loadHistory();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update SOS request");
+      console.error("[SOS HISTORY] Edit failed", err);
+      // 409: accepted or expired in the meantime
+      if (err.response?.status === 409) {
+        setEditingId(null);
+        await loadHistory();
+      }
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleCancel = async (request) => {
+    if (!window.confirm(`Cancel your SOS request for ${request.medicineName}? Nearby pharmacies will be told it's no longer needed.`)) {
+      return;
+    }
+
+    try {
+      setUpdatingId(request.id);
+      setError(null);
+      await patientService.cancelSOSRequest(request.id);
+      await loadHistory();
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to cancel SOS request");
+      console.error("[SOS HISTORY] Cancel failed", err);
+      if (err.response?.status === 409) {
+        await loadHistory();
+      }
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (requests.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8 bg-white rounded-2xl shadow-sm border border-gray-100 p-6">
+      <h2 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <History size={20} />
+        My SOS Requests
+      </h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 text-sm text-red-700">
+          <AlertCircle size={16} className="flex-shrink-0 mt-0.5" />
+          {error}
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {requests.map((request) => {
+          const status = STATUS_STYLES[request.status] || { label: request.status, className: "bg-gray-100 text-gray-700" };
+          const isActive = ACTIVE_STATUSES.includes(request.status);
+          const pharmacy = request.acceptedPharmacy;
+
+          return (
+            <li key={request.id} className="py-4">
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {request.medicineName} × {request.quantity}
+                  </p>
+                  <p className="text-xs text-gray-500">{new Date(request.createdAt).toLocaleString()}</p>
+                </div>
+                <span className={`px-2.5 py-1 rounded-full text-xs font-medium whitespace-nowrap ${status.className}`}>
+                  {status.label}
+                </span>
+              </div>
+
+              {request.status === "pending" && request.stockAvailability && (
+                <p className={`mt-2 text-sm ${request.stockAvailability.inStockCount > 0 ? "text-green-700" : "text-gray-500"}`}>
+                  {request.stockAvailability.inStockCount > 0
+                    ? `${request.stockAvailability.inStockCount} nearby ${request.stockAvailability.inStockCount === 1 ? "pharmacy has" : "pharmacies have"} this in stock`
+                    : "No nearby pharmacy lists this in stock yet. We're still asking around."}
+                </p>
+              )}
+
+              {pharmacy && (
+                <div className="mt-2 text-sm text-gray-700 space-y-1">
+                  <p className="font-medium">{pharmacy.pharmacyName}</p>
+                  <p className="flex items-center gap-1 text-gray-500">
+                    <Phone size={14} />
+                    {pharmacy.contactNumber}
+                  </p>
+                  <p className="flex items-center gap-1 text-gray-500">
+                    <MapPin size={14} />
+                    {pharmacy.address}
+                  </p>
+                  <button
+                    onClick={() => setOpenChatId(openChatId === request.id ? null : request.id)}
+                    className="flex items-center gap-1 text-blue-600 hover:text-blue-700 font-medium"
+                  >
+                    <MessageSquare size={14} />
+                    {openChatId === request.id ? "Hide messages" : "Message pharmacy"}
+                  </button>
+                </div>
+              )}
+
+              {pharmacy && openChatId === request.id && (
+                <MessageThread threadType="sos" threadId={request.id} className="mt-3" />
+              )}
+
+              {isActive && request.handedOverAt && !request.receivedAt && (
+                <p className="mt-2 text-sm text-blue-700">The pharmacy has marked this as handed over. Please confirm.</p>
+              )}
+              {isActive && request.receivedAt && (
+                <p className="mt-2 text-sm text-gray-500">You confirmed receipt. Waiting for the pharmacy to confirm.</p>
+              )}
+              {request.status === "failed" && request.failureReason && (
+                <p className="mt-2 text-sm text-red-700">Reason: {request.failureReason}</p>
+              )}
+
+              {request.status === "pending" && editingId === request.id && (
+                <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <label className="text-xs text-gray-600">
+                    Quantity
+                    <input
+                      type="number"
+                      min="1"
+                      value={editForm.quantity}
+                      onChange={(e) => setEditForm({ ...editForm, quantity: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-600">
+                    Contact number
+                    <input
+                      type="tel"
+                      value={editForm.contactNumber}
+                      onChange={(e) => setEditForm({ ...editForm, contactNumber: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-600 sm:col-span-2">
+                    Address
+                    <input
+                      type="text"
+                      value={editForm.address}
+                      onChange={(e) => setEditForm({ ...editForm, address: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                  </label>
+                  <label className="text-xs text-gray-600 sm:col-span-2">
+                    Notes
+                    <textarea
+                      rows={2}
+                      value={editForm.additionalNotes}
+                      onChange={(e) => setEditForm({ ...editForm, additionalNotes: e.target.value })}
+                      className="mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+                    />
+                  </label>
+                </div>
+              )}
+
+              {request.status === "pending" && (
+                <div className="mt-3 flex gap-2">
+                  {updatingId === request.id ? (
+                    <Loader2 size={18} className="animate-spin text-gray-500" />
+                  ) : editingId === request.id ? (
+                    <>
+                      <button
+                        onClick={() => handleSaveEdit(request)}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+                      >
+                        <Check size={14} />
+                        Save changes
+                      </button>
+                      <button
+                        onClick={() => setEditingId(null)}
+                        className="px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        Discard
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => startEditing(request)}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        <Pencil size={14} />
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleCancel(request)}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-red-50 text-red-700 hover:bg-red-100 transition-colors"
+                      >
+                        <X size={14} />
+                        Cancel request
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {isActive && (
+                <div className="mt-3 flex gap-2">
+                  {updatingId === request.id ? (
+                    <Loader2 size={18} className="animate-spin text-gray-500" />
+                  ) : (
+                    <>
+                      {!request.receivedAt && (
+                        <button
+                          onClick={() => handleFulfilment(request, "received")}
+                          className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-green-600 text-white hover:bg-green-700 transition-colors"
+                        >
+                          <Check size={14} />
+                          I received it
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleFulfilment(request, "failed")}
+                        className="flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors"
+                      >
+                        <AlertCircle size={14} />
+                        Report a problem
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default SOSHistory;
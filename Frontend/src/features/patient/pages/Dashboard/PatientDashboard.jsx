@@ -83,8 +83,9 @@ export function PatientDashboard() {
   // Extract stats from dashboard data
   const stats = {
     activePrescriptions: dashboardData?.stats?.prescriptions || 0,
-    pendingOrders: orders?.filter(order => order?.status === 'PENDING')?.length || 0,
+    pendingOrders: orders?.filter(order => order?.status === 'pending')?.length || 0,
     medications: dashboardData?.stats?.medications || 0,
+    adherence: dashboardData?.stats?.adherence?.percentage ?? null,
     totalOrders: dashboardData?.stats?.totalOrders || 0,
   };
 
@@ -169,6 +170,15 @@ export function PatientDashboard() {
                   <div className="flex flex-col">
                     <p className="text-sm text-slate-600 font-semibold mb-1">Medications</p>
                     <p className="text-4xl font-bold text-slate-900">{stats.medications}</p>
+                    {stats.adherence !== null && (
+                      <p
+                        className={`text-xs font-semibold mt-1 ${
+                          stats.adherence >= 80 ? "text-emerald-600" : stats.adherence >= 50 ? "text-amber-600" : "text-red-600"
+                        }`}
+                      >
+                        {stats.adherence}% doses taken (7 days)
+                      </p>
+                    )}
                   </div>
                 </div>
               </div>
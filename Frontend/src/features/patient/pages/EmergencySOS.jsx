@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
 import {
@@ -20,6 +20,8 @@ import {
   Minus,
 } from "lucide-react";
 import patientService from "../services/patient.service";
+import { InteractionWarnings } from "../components/Medications/InteractionWarnings";
+import { SOSHistory } from "../components/SOS/SOSHistory";
 
 /**
  * Emergency SOS Request Form
@@ -36,6 +38,9 @@ export default function EmergencySOS()
   const [locationError, setLocationError] = useState("");
   const [prescriptionFile, setPrescriptionFile] = useState(null);
   const [submitError, setSubmitError] = useState("");
+  const [interactionWarnings, setInteractionWarnings] = useState([]);
+  const [submittedRequest, setSubmittedRequest] = useState(null);
+  const [stockAvailability, setStockAvailability] = useState(null);
 
   const [formData, setFormData] = useState({
     medicineName: "",
@@ -51,6 +56,29 @@ export default function EmergencySOS()
     prescriptionRequired: false,
   });
 
+  // Check the requested medicine against the patient's medications once typing pauses
+  useEffect(() => {
+    const name = formData.medicineName.trim();
+    const genericName = formData.genericName.trim();
+
+    if (!name && !genericName) {
+      setInteractionWarnings([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await patientService.checkInteractions([{ name, genericName }]);
+        setInteractionWarnings(response.data?.warnings || []);
+      } catch (err) {
+        console.error("[EMERGENCY SOS] Interaction check failed", err);
+        setInteractionWarnings([]);
+      }
+    }, 600);
+
+    return () => clearTimeout(timer);
+  }, [formData.medicineName, formData.genericName]);
+
   const urgencyLevels = [
     {
       value: "critical",
@@ -121,6 +149,8 @@ export default function EmergencySOS()
       const response = await patientService.submitSOSRequest(sosData);
       
       console.log("[SOS] Request submitted successfully:", response);
+      setSubmittedRequest(response.data?.sosRequest || null);
+      setStockAvailability(response.data?.stockAvailability || null);
       setIsSubmitting(false);
       setIsSubmitted(true);
     } catch (err) {
@@ -160,16 +190,40 @@ export default function EmergencySOS()
           </h1>
           <p className="text-gray-600 mb-6">
             Your urgent medicine request has been sent to nearby pharmacies.
-            You'll receive a response within minutes.
+            If none respond, we'll keep widening the search area.
           </p>
 
           <div className="bg-gray-50 rounded-xl p-4 mb-6">
             <div className="flex items-center justify-between mb-3">
               <span className="text-sm text-gray-500">Request ID</span>
               <span className="font-mono font-semibold text-gray-900">
-                SOS-{Date.now().toString(36).toUpperCase()}
+                SOS-{(submittedRequest?.id || Date.now().toString(36)).slice(-8).toUpperCase()}
               </span>
             </div>
+            {submittedRequest?.notifyRadiusKm && submittedRequest?.latitude != null && (
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-sm text-gray-500">Searching within</span>
+                <span className="font-semibold text-gray-900">{submittedRequest.notifyRadiusKm} km</span>
+              </div>
+            )}
+            {stockAvailability && (
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-sm text-gray-500">In stock nearby</span>
+                <span className={`font-semibold ${stockAvailability.inStockCount > 0 ? "text-green-600" : "text-gray-900"}`}>
+                  {stockAvailability.inStockCount > 0
+                    ? `${stockAvailability.inStockCount} ${stockAvailability.inStockCount === 1 ? "pharmacy" : "pharmacies"}`
+                    : "None listed yet"}
+                </span>
+              </div>
+            )}
+            {submittedRequest?.expiresAt && (
+              <div className="flex items-center justify-between mb-3">
+                <span className="text-sm text-gray-500">Open until</span>
+                <span className="font-semibold text-gray-900">
+                  {new Date(submittedRequest.expiresAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                </span>
+              </div>
+            )}
             <div className="flex items-center justify-between">
               <span className="text-sm text-gray-500">Status</span>
               <span className="inline-flex items-center gap-1 text-orange-600 font-medium">
@@ -189,6 +243,8 @@ export default function EmergencySOS()
             <button
               onClick={() => {
                 setIsSubmitted(false);
+                setSubmittedRequest(null);
+                setStockAvailability(null);
                 setFormData({
                   medicineName: "",
                   genericName: "",
@@ -406,6 +462,8 @@ export default function EmergencySOS()
                 />
               </div>
 
+              <InteractionWarnings warnings={interactionWarnings} />
+
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -717,6 +775,8 @@ export default function EmergencySOS()
             with nearby pharmacies
           </p>
         </motion.form>
+
+        <SOSHistory />
       </div>
     </div>
   );
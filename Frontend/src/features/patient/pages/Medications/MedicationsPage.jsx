@@ -1,6 +1,11 @@
 import React, { useState, useEffect } from "react";
 import { Button } from "../../../../shared/components/ui";
 import patientService from "../../services/patient.service";
+import { TodayDoses } from "../../components/Medications/TodayDoses";
+import { ScheduleModal } from "../../components/Medications/ScheduleModal";
+import { InteractionWarnings } from "../../components/Medications/InteractionWarnings";
+import { MedicationFormModal } from "../../components/Medications/MedicationFormModal";
+import { MedicationSuggestions } from "../../components/Medications/MedicationSuggestions";
 import {
   Pill,
   Search,
@@ -9,8 +14,30 @@ import {
   AlertCircle,
   Plus,
   Heart,
+  Bell,
+  Clock,
+  Pencil,
+  Pause,
+  Play,
+  CircleStop,
 } from "lucide-react";
 
+const STATUS_BADGES = {
+  active: "bg-green-100 text-green-800",
+  paused: "bg-amber-100 text-amber-800",
+  ended: "bg-gray-100 text-gray-700",
+};
+
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// "08:00, 20:00 · Mon, Wed" or "08:00 · Every day"
+const describeSchedule = (medication) => {
+  const days = medication.daysOfWeek?.length
+    ? medication.daysOfWeek.map((day) => WEEKDAY_LABELS[day]).join(", ")
+    : "Every day";
+  return `${medication.scheduleTimes.join(", ")} · ${days}`;
+};
+
 export function MedicationsPage() {
   const [medications, setMedications] = useState([]);
   const [filteredMedications, setFilteredMedications] = useState([]);
@@ -18,10 +45,20 @@ export function MedicationsPage() {
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [activeTab, setActiveTab] = useState("all");
+  const [schedulingMedication, setSchedulingMedication] = useState(null);
+  const [dosesRefreshKey, setDosesRefreshKey] = useState(0);
+  const [interactionWarnings, setInteractionWarnings] = useState([]);
+  const [formOpen, setFormOpen] = useState(false);
+  const [editingMedication, setEditingMedication] = useState(null);
+  const [formInitialValues, setFormInitialValues] = useState(null);
+  const [suggestionsRefreshKey, setSuggestionsRefreshKey] = useState(0);
+  const [updatingId, setUpdatingId] = useState(null);
 
   const tabs = [
     { id: "all", label: "All Medications" },
     { id: "active", label: "Active" },
+    { id: "paused", label: "Paused" },
+    { id: "ended", label: "Ended" },
     { id: "favorites", label: "Favorites" },
   ];
 
@@ -33,6 +70,30 @@ export function MedicationsPage() {
     filterMedications();
   }, [medications, searchTerm, activeTab]);
 
+  // Re-check the active medications against each other whenever the list changes
+  useEffect(() => {
+    const active = medications.filter((med) => med.status === "active");
+
+    if (active.length < 2) {
+      setInteractionWarnings([]);
+      return;
+    }
+
+    patientService
+      .checkInteractions(
+        active.map((med) => ({
+          name: med.medicineName,
+          genericName: med.genericName,
+          medicationId: med.id,
+        }))
+      )
+      .then((response) => setInteractionWarnings(response.data?.warnings || []))
+      .catch((err) => {
+        console.error("[MEDICATIONS PAGE] Interaction check failed", err);
+        setInteractionWarnings([]);
+      });
+  }, [medications]);
+
   const loadMedications = async () => {
     try {
       setLoading(true);
@@ -53,14 +114,14 @@ export function MedicationsPage() {
     if (searchTerm) {
       filtered = filtered.filter(
         (med) =>
-          med.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+          med.medicineName.toLowerCase().includes(searchTerm.toLowerCase()) ||
           med.genericName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
           med.manufacturer?.toLowerCase().includes(searchTerm.toLowerCase())
       );
     }
 
-    if (activeTab === "active") {
-      filtered = filtered.filter((med) => med.isActive);
+    if (["active", "paused", "ended"].includes(activeTab)) {
+      filtered = filtered.filter((med) => med.status === activeTab);
     } else if (activeTab === "favorites") {
       filtered = filtered.filter((med) => med.isFavorite);
     }
@@ -81,6 +142,58 @@ export function MedicationsPage() {
     }
   };
 
+  const handleScheduleSaved = (updated) => {
+    if (updated) {
+      setMedications((prev) => prev.map((med) => (med.id === updated.id ? { ...med, ...updated } : med)));
+    }
+    setSchedulingMedication(null);
+    setDosesRefreshKey((key) => key + 1);
+  };
+
+  const openAddForm = (initialValues = null) => {
+    setEditingMedication(null);
+    setFormInitialValues(initialValues);
+    setFormOpen(true);
+  };
+
+  const openEditForm = (medication) => {
+    setEditingMedication(medication);
+    setFormInitialValues(null);
+    setFormOpen(true);
+  };
+
+  const handleFormSaved = (saved) => {
+    if (saved) {
+      setMedications((prev) =>
+        prev.some((med) => med.id === saved.id)
+          ? prev.map((med) => (med.id === saved.id ? { ...med, ...saved } : med))
+          : [saved, ...prev]
+      );
+    }
+    setFormOpen(false);
+    setSuggestionsRefreshKey((key) => key + 1);
+    setDosesRefreshKey((key) => key + 1);
+  };
+
+  const handleSetStatus = async (medication, status) => {
+    if (status === "ended" && !window.confirm(`Stop taking ${medication.medicineName}? It will be marked as ended today.`)) {
+      return;
+    }
+
+    try {
+      setUpdatingId(medication.id);
+      const response = await patientService.setMedicationStatus(medication.id, status);
+      const updated = response.data?.medication;
+      setMedications((prev) => prev.map((med) => (med.id === updated.id ? { ...med, ...updated } : med)));
+      setDosesRefreshKey((key) => key + 1);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to update medication");
+      console.error("[SET MEDICATION STATUS]", err);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
   const handleRemoveMedication = async (medicationId) => {
     if (window.confirm("Are you sure you want to remove this medication?")) {
       try {
@@ -88,7 +201,10 @@ export function MedicationsPage() {
         setMedications((prev) =>
           prev.filter((med) => med.id !== medicationId)
         );
+        setSuggestionsRefreshKey((key) => key + 1);
+        setDosesRefreshKey((key) => key + 1);
       } catch (err) {
+        setError(err.response?.data?.message || "Failed to remove medication");
         console.error("[REMOVE MEDICATION]", err);
       }
     }
@@ -98,16 +214,46 @@ export function MedicationsPage() {
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
       <div className="bg-white border-b border-gray-200 px-6 py-6 mb-6 sticky top-0 z-10">
-          <div className="max-w-7xl mx-auto">
-            <h1 className="text-3xl font-bold text-gray-900 mb-1 flex items-center gap-2">
-              <Pill size={32} />
-              My Medications
-            </h1>
-            <p className="text-gray-600">Track your medication history</p>
+          <div className="max-w-7xl mx-auto flex items-center justify-between gap-4">
+            <div>
+              <h1 className="text-3xl font-bold text-gray-900 mb-1 flex items-center gap-2">
+                <Pill size={32} />
+                My Medications
+              </h1>
+              <p className="text-gray-600">Track your medication history</p>
+            </div>
+            <Button onClick={() => openAddForm()} className="flex items-center gap-2">
+              <Plus size={18} />
+              Add Medication
+            </Button>
           </div>
         </div>
 
         <div className="px-6 max-w-7xl mx-auto">
+          {/* Today's scheduled doses */}
+          <TodayDoses refreshKey={dosesRefreshKey} />
+
+          {/* Medicines from past orders and SOS requests */}
+          <MedicationSuggestions
+            refreshKey={suggestionsRefreshKey}
+            onAdd={(suggestion) =>
+              openAddForm({
+                medicineName: suggestion.medicineName,
+                genericName: suggestion.genericName || "",
+              })
+            }
+          />
+
+          {/* Interactions between active medications */}
+          {interactionWarnings.length > 0 && (
+            <div className="mb-6 bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+              <InteractionWarnings
+                warnings={interactionWarnings}
+                title="Possible interactions between your medications"
+              />
+            </div>
+          )}
+
           {/* Search Bar */}
           <div className="mb-6">
             <div className="relative">
@@ -175,7 +321,7 @@ export function MedicationsPage() {
                     <div className="flex justify-between items-start mb-4">
                       <div>
                         <h3 className="font-bold text-gray-900 text-lg">
-                          {medication.name}
+                          {medication.medicineName}
                         </h3>
                         {medication.genericName && (
                           <p className="text-sm text-gray-600">
@@ -226,13 +372,30 @@ export function MedicationsPage() {
                       )}
                     </div>
 
+                    {/* Schedule */}
+                    <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm flex items-start justify-between gap-2">
+                      <div className="flex items-start gap-2 text-gray-700">
+                        <Clock size={16} className="flex-shrink-0 mt-0.5" />
+                        <span>
+                          {medication.scheduleTimes?.length ? describeSchedule(medication) : "No schedule set"}
+                          {medication.scheduleTimes?.length > 0 && medication.remindersEnabled && (
+                            <Bell size={12} className="inline ml-1 text-blue-600" aria-label="Reminders on" />
+                          )}
+                        </span>
+                      </div>
+                      <button
+                        onClick={() => setSchedulingMedication(medication)}
+                        className="text-blue-600 hover:underline text-xs font-medium flex-shrink-0"
+                      >
+                        {medication.scheduleTimes?.length ? "Edit" : "Set schedule"}
+                      </button>
+                    </div>
+
                     {/* Status Badge */}
                     <div className="mb-4 flex gap-2">
-                      {medication.isActive && (
-                        <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-full">
-                          Active
-                        </span>
-                      )}
+                      <span className={`px-3 py-1 text-xs font-medium rounded-full capitalize ${STATUS_BADGES[medication.status] || STATUS_BADGES.active}`}>
+                        {medication.status}
+                      </span>
                       {medication.isPrescription && (
                         <span className="px-3 py-1 bg-blue-100 text-blue-800 text-xs font-medium rounded-full">
                           Prescription
@@ -241,14 +404,52 @@ export function MedicationsPage() {
                     </div>
 
                     {/* Added Date */}
-                    {medication.dateAdded && (
+                    {(medication.startDate || medication.endDate) && (
                       <div className="mb-4 text-xs text-gray-500 flex items-center gap-1">
                         <Calendar size={14} />
-                        Added {new Date(medication.dateAdded).toLocaleDateString()}
+                        {medication.startDate ? new Date(medication.startDate).toLocaleDateString() : "…"}
+                        {" – "}
+                        {medication.endDate ? new Date(medication.endDate).toLocaleDateString() : "ongoing"}
                       </div>
                     )}
 
                     {/* Actions */}
+                    <div className="mb-2 grid grid-cols-3 gap-2 text-xs font-medium">
+                      <button
+                        onClick={() => openEditForm(medication)}
+                        className="p-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors flex items-center justify-center gap-1"
+                      >
+                        <Pencil size={14} />
+                        Edit
+                      </button>
+                      {medication.status === "active" ? (
+                        <button
+                          onClick={() => handleSetStatus(medication, "paused")}
+                          disabled={updatingId === medication.id}
+                          className="p-2 text-amber-700 bg-amber-50 hover:bg-amber-100 rounded-lg transition-colors flex items-center justify-center gap-1 disabled:opacity-50"
+                        >
+                          <Pause size={14} />
+                          Pause
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleSetStatus(medication, "active")}
+                          disabled={updatingId === medication.id}
+                          className="p-2 text-green-700 bg-green-50 hover:bg-green-100 rounded-lg transition-colors flex items-center justify-center gap-1 disabled:opacity-50"
+                        >
+                          <Play size={14} />
+                          Resume
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleSetStatus(medication, "ended")}
+                        disabled={updatingId === medication.id || medication.status === "ended"}
+                        className="p-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors flex items-center justify-center gap-1 disabled:opacity-50"
+                      >
+                        <CircleStop size={14} />
+                        End
+                      </button>
+                    </div>
                     <button
                       onClick={() => handleRemoveMedication(medication.id)}
                       className="w-full p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors flex items-center justify-center gap-2 text-sm font-medium"
@@ -274,6 +475,20 @@ export function MedicationsPage() {
             )}
           </div>
         </div>
+
+        <MedicationFormModal
+          isOpen={formOpen}
+          medication={editingMedication}
+          initialValues={formInitialValues}
+          onClose={() => setFormOpen(false)}
+          onSaved={handleFormSaved}
+        />
+
+        <ScheduleModal
+          medication={schedulingMedication}
+          onClose={() => setSchedulingMedication(null)}
+          onSaved={handleScheduleSaved}
+        />
       </div>
   );
 }
@@ -10,8 +10,10 @@ import {
   AlertCircle,
   Loader,
   CheckCircle,
+  FileText,
 } from "lucide-react";
 import searchService from "../../../core/services/search.service";
+import patientService from "../services/patient.service";
 import useGeoLocation from "../../../shared/hooks/useGeoLocation";
 import { useLocation } from "../../../context/LocationContext";
 
@@ -26,6 +28,11 @@ export default function MedicineSearch() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [locationError, setLocationError] = useState(null);
+  const [orderQuantities, setOrderQuantities] = useState({});
+  const [orderingId, setOrderingId] = useState(null);
+  const [orderError, setOrderError] = useState(null);
+  const [prescriptions, setPrescriptions] = useState(null);
+  const [selectedPrescriptions, setSelectedPrescriptions] = useState({});
   const [filters, setFilters] = useState({
     nearbyOnly: false,
     inStock: true,
@@ -127,6 +134,51 @@ export default function MedicineSearch() {
     }
   };
 
+  // Load the patient's prescriptions once any Rx-only medicine shows up in the results
+  const hasRxResults = medicines.some((medicine) => medicine.requiresPrescription);
+  useEffect(() => {
+    if (!hasRxResults || prescriptions !== null) return;
+
+    patientService
+      .getPrescriptions()
+      .then((response) => {
+        setPrescriptions((response.data?.prescriptions || []).filter((p) => p.documentUrl));
+      })
+      .catch((err) => {
+        console.error("[MEDICINE SEARCH] Failed to load prescriptions", err);
+        setPrescriptions([]);
+      });
+  }, [hasRxResults, prescriptions]);
+
+  // Place an order for a single search result (one pharmacy, one line item)
+  const handlePlaceOrder = async (medicine) => {
+    const quantity = orderQuantities[medicine.id] || 1;
+    const prescriptionId = selectedPrescriptions[medicine.id];
+
+    if (medicine.requiresPrescription && !prescriptionId) {
+      setOrderError("⚠️ This is a prescription-only medicine. Select a prescription to order it.");
+      return;
+    }
+
+    setOrderingId(medicine.id);
+    setOrderError(null);
+
+    try {
+      await patientService.createOrder({
+        pharmacyId: medicine.pharmacy?.id,
+        items: [{ inventoryId: medicine.id, quantity }],
+        ...(prescriptionId && { prescriptionId }),
+      });
+      navigate("/patient/orders");
+    } catch (err) {
+      const errorMsg = err.response?.data?.message || err.message || "Failed to place order";
+      setOrderError(`⚠️ ${errorMsg}`);
+      console.error("[MEDICINE SEARCH] Order failed", err);
+    } finally {
+      setOrderingId(null);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -255,6 +307,17 @@ export default function MedicineSearch() {
           </div>
         )}
 
+        {/* Order Error Alert */}
+        {orderError && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
+            <AlertCircle className="text-red-600 flex-shrink-0 mt-0.5" size={20} />
+            <div>
+              <p className="font-semibold text-red-900">Order Error</p>
+              <p className="text-red-700 text-sm">{orderError}</p>
+            </div>
+          </div>
+        )}
+
         {/* Results */}
         {medicines.length > 0 && (
           <div className="space-y-4">
@@ -269,9 +332,19 @@ export default function MedicineSearch() {
                   className="bg-white rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow"
                 >
                   {/* Medicine Name */}
-                  <h3 className="text-lg font-bold text-gray-900 mb-2">
-                    {medicine.medicine || medicine.brandName}
-                  </h3>
+                  <div className="flex items-start justify-between gap-2 mb-2">
+                    <h3 className="text-lg font-bold text-gray-900">
+                      {medicine.medicine || medicine.brandName}
+                    </h3>
+                    {medicine.requiresPrescription && (
+                      <span
+                        title="Prescription required"
+                        className="px-2 py-0.5 rounded text-xs font-bold bg-red-100 text-red-700 flex-shrink-0"
+                      >
+                        Rx
+                      </span>
+                    )}
+                  </div>
                   <p className="text-sm text-gray-600 mb-1">
                     {medicine.genericName && `Generic: ${medicine.genericName}`}
                   </p>
@@ -332,11 +405,63 @@ export default function MedicineSearch() {
                     >
                       View All Stores
                     </button>
-                    <button
-                      className="w-full px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-900 font-medium rounded-lg transition-colors"
-                    >
-                      Add to Cart
-                    </button>
+                    {medicine.inStock && medicine.requiresPrescription && (
+                      prescriptions?.length === 0 ? (
+                        <button
+                          onClick={() => navigate("/patient/prescriptions")}
+                          className="w-full flex items-center justify-center gap-2 px-4 py-2 text-sm text-red-700 bg-red-50 hover:bg-red-100 rounded-lg transition-colors"
+                        >
+                          <FileText size={14} />
+                          Upload a prescription to order
+                        </button>
+                      ) : (
+                        <select
+                          value={selectedPrescriptions[medicine.id] || ""}
+                          onChange={(e) =>
+                            setSelectedPrescriptions({
+                              ...selectedPrescriptions,
+                              [medicine.id]: e.target.value,
+                            })
+                          }
+                          aria-label="Prescription"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        >
+                          <option value="">Select prescription...</option>
+                          {(prescriptions || []).map((prescription) => (
+                            <option key={prescription.id} value={prescription.id}>
+                              {prescription.doctorName ? `Dr. ${prescription.doctorName}` : prescription.fileName || "Prescription"}
+                              {" · "}
+                              {new Date(prescription.issuedDate || prescription.createdAt).toLocaleDateString()}
+                            </option>
+                          ))}
+                        </select>
+                      )
+                    )}
+                    {medicine.inStock && (
+                      <div className="flex gap-2">
+                        <input
+                          type="number"
+                          min={1}
+                          max={medicine.quantity}
+                          value={orderQuantities[medicine.id] || 1}
+                          onChange={(e) =>
+                            setOrderQuantities({
+                              ...orderQuantities,
+                              [medicine.id]: Math.max(1, parseInt(e.target.value) || 1),
+                            })
+                          }
+                          aria-label="Order quantity"
+                          className="w-20 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <button
+                          onClick={() => handlePlaceOrder(medicine)}
+                          disabled={orderingId === medicine.id}
+                          className="flex-1 px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-900 font-medium rounded-lg transition-colors disabled:opacity-50"
+                        >
+                          {orderingId === medicine.id ? "Placing Order..." : "Place Order"}
+                        </button>
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
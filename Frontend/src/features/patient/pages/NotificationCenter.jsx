@@ -14,6 +14,7 @@ import {
   AlertCircle,
   Loader,
   ArrowLeft,
+  MessageSquare,
 } from "lucide-react";
 import { Link } from "react-router-dom";
 import Layout from "../../../shared/layouts/Layout";
@@ -102,6 +103,12 @@ export default function NotificationCenter() {
             <AlertCircle className="text-green-600" size={20} />
           </div>
         );
+      case "NEW_MESSAGE":
+        return (
+          <div className="w-10 h-10 bg-blue-100 rounded-xl flex items-center justify-center">
+            <MessageSquare className="text-blue-600" size={20} />
+          </div>
+        );
       case "SYSTEM_MESSAGE":
         return (
           <div className="w-10 h-10 bg-gray-100 rounded-xl flex items-center justify-center">
@@ -125,6 +132,8 @@ export default function NotificationCenter() {
         return "border-l-blue-500";
       case "MEDICINE_ALERT":
         return "border-l-green-500";
+      case "NEW_MESSAGE":
+        return "border-l-blue-400";
       case "SYSTEM_MESSAGE":
         return "border-l-gray-400";
       default:
@@ -385,6 +394,7 @@ export default function NotificationCenter() {
                                 {notification.type === "CMS_ALERT" && "Announcement"}
                                 {notification.type === "MEDICINE_ALERT" && "Medicine Alert"}
                                 {notification.type === "SYSTEM_MESSAGE" && "System"}
+                                {notification.type === "NEW_MESSAGE" && "Message"}
                               </span>
                             </div>
                           </div>
@@ -493,6 +503,15 @@ export default function NotificationCenter() {
                         View SOS Details
                       </Link>
                     )}
+
+                    {selectedNotification.type === "NEW_MESSAGE" && selectedNotification.metadata?.link && (
+                      <Link
+                        to={selectedNotification.metadata.link}
+                        className="flex items-center justify-center gap-2 w-full px-4 py-3 bg-blue-600 text-white rounded-xl font-medium hover:bg-blue-700 transition-colors"
+                      >
+                        Open Conversation
+                      </Link>
+                    )}
                   </div>
 
                   <div className="p-4 border-t border-gray-100">
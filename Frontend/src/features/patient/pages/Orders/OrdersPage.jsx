@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import { Button } from "../../../../shared/components/ui";
 import { OrderCard } from "../../components/Dashboard/OrderCard";
 import patientService from "../../services/patient.service";
@@ -10,11 +10,16 @@ import {
   ChevronDown,
   AlertCircle,
   Loader,
+  MapPin,
+  Phone,
+  X,
 } from "lucide-react";
 
 export function OrdersPage() {
   const navigate = useNavigate();
+  const { id: selectedOrderId } = useParams();
   const [orders, setOrders] = useState([]);
+  const [selectedOrder, setSelectedOrder] = useState(null);
   const [filteredOrders, setFilteredOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -22,7 +27,16 @@ export function OrdersPage() {
   const [statusFilter, setStatusFilter] = useState("all");
   const [showFilterMenu, setShowFilterMenu] = useState(false);
 
-  const statuses = ["all", "pending", "confirmed", "delivered", "cancelled"];
+  const statuses = [
+    "all",
+    "pending",
+    "confirmed",
+    "ready_for_pickup",
+    "out_for_delivery",
+    "delivered",
+    "cancelled",
+    "rejected",
+  ];
 
   useEffect(() => {
     loadOrders();
@@ -32,10 +46,18 @@ export function OrdersPage() {
     filterOrders();
   }, [orders, searchTerm, statusFilter]);
 
+  useEffect(() => {
+    if (!selectedOrderId) {
+      setSelectedOrder(null);
+      return;
+    }
+    loadOrderDetails(selectedOrderId);
+  }, [selectedOrderId]);
+
   const loadOrders = async () => {
     try {
       setLoading(true);
-      const response = await patientService.getOrders();
+      const response = await patientService.getOrders({ limit: 50 });
       setOrders(response.data?.orders || []);
       setError(null);
     } catch (err) {
@@ -46,6 +68,33 @@ export function OrdersPage() {
     }
   };
 
+  const loadOrderDetails = async (orderId) => {
+    try {
+      const response = await patientService.getOrderDetails(orderId);
+      setSelectedOrder(response.data?.order || null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load order details");
+      console.error("[ORDERS PAGE]", err);
+    }
+  };
+
+  const handleCancelOrder = async (orderId) => {
+    if (!window.confirm("Cancel this order?")) return;
+
+    try {
+      const response = await patientService.cancelOrder(orderId);
+      const cancelled = response.data?.order;
+      setOrders((prev) => prev.map((order) => (order.id === orderId ? cancelled : order)));
+      if (selectedOrder?.id === orderId) {
+        setSelectedOrder(cancelled);
+      }
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to cancel order");
+      console.error("[ORDERS PAGE]", err);
+    }
+  };
+
   const filterOrders = () => {
     let filtered = orders;
 
@@ -53,7 +102,7 @@ export function OrdersPage() {
       filtered = filtered.filter(
         (order) =>
           order.id.toLowerCase().includes(searchTerm.toLowerCase()) ||
-          order.pharmacyName.toLowerCase().includes(searchTerm.toLowerCase())
+          order.pharmacy?.pharmacyName?.toLowerCase().includes(searchTerm.toLowerCase())
       );
     }
 
@@ -70,8 +119,11 @@ export function OrdersPage() {
     const colors = {
       pending: { bg: "bg-yellow-50", text: "text-yellow-800", badge: "bg-yellow-100" },
       confirmed: { bg: "bg-blue-50", text: "text-blue-800", badge: "bg-blue-100" },
+      ready_for_pickup: { bg: "bg-indigo-50", text: "text-indigo-800", badge: "bg-indigo-100" },
+      out_for_delivery: { bg: "bg-purple-50", text: "text-purple-800", badge: "bg-purple-100" },
       delivered: { bg: "bg-green-50", text: "text-green-800", badge: "bg-green-100" },
       cancelled: { bg: "bg-red-50", text: "text-red-800", badge: "bg-red-100" },
+      rejected: { bg: "bg-red-50", text: "text-red-800", badge: "bg-red-100" },
     };
     return colors[status?.toLowerCase()] || colors.pending;
   };
@@ -134,7 +186,7 @@ export function OrdersPage() {
                             : "text-gray-700"
                         }`}
                       >
-                        {status}
+                        {status.replace(/_/g, " ")}
                       </button>
                     ))}
                   </div>
@@ -166,6 +218,88 @@ export function OrdersPage() {
             </div>
           )}
 
+          {/* Selected Order Details */}
+          {selectedOrder && (
+            <div className="mb-6 p-6 bg-white border border-blue-200 rounded-lg shadow-sm">
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h2 className="text-xl font-bold text-gray-900">
+                    Order #{selectedOrder.id.slice(-8)}
+                  </h2>
+                  <p className="text-sm text-gray-500">
+                    Placed {new Date(selectedOrder.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3">
+                  <span
+                    className={`px-3 py-1 rounded-md text-sm font-medium capitalize ${getStatusColor(selectedOrder.status).badge} ${getStatusColor(selectedOrder.status).text}`}
+                  >
+                    {selectedOrder.status?.replace(/_/g, " ")}
+                  </span>
+                  <button
+                    onClick={() => navigate("/patient/orders")}
+                    className="text-gray-400 hover:text-gray-600"
+                    aria-label="Close order details"
+                  >
+                    <X size={20} />
+                  </button>
+                </div>
+              </div>
+
+              {selectedOrder.pharmacy && (
+                <div className="mb-4 text-sm text-gray-700 space-y-1">
+                  <p className="font-semibold text-gray-900">{selectedOrder.pharmacy.pharmacyName}</p>
+                  <p className="flex items-center gap-2">
+                    <MapPin size={14} /> {selectedOrder.pharmacy.address}
+                  </p>
+                  <p className="flex items-center gap-2">
+                    <Phone size={14} /> {selectedOrder.pharmacy.contactNumber}
+                  </p>
+                </div>
+              )}
+
+              <table className="w-full text-sm mb-4">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-2 font-medium">Medicine</th>
+                    <th className="py-2 font-medium text-right">Qty</th>
+                    <th className="py-2 font-medium text-right">Unit Price</th>
+                    <th className="py-2 font-medium text-right">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedOrder.items?.map((item) => (
+                    <tr key={item.id} className="border-b border-gray-50">
+                      <td className="py-2">
+                        <p className="text-gray-900">{item.medicineName}</p>
+                        {item.genericName && (
+                          <p className="text-xs text-gray-500">{item.genericName}</p>
+                        )}
+                      </td>
+                      <td className="py-2 text-right">{item.quantity}</td>
+                      <td className="py-2 text-right">₹{item.unitPrice.toFixed(2)}</td>
+                      <td className="py-2 text-right">₹{item.lineTotal.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="flex justify-between items-center">
+                <p className="text-sm text-gray-600">{selectedOrder.notes}</p>
+                <div className="flex items-center gap-4">
+                  <p className="text-lg font-bold text-blue-600">
+                    ₹{selectedOrder.totalAmount?.toFixed(2)}
+                  </p>
+                  {selectedOrder.status?.toLowerCase() === "pending" && (
+                    <Button variant="danger" onClick={() => handleCancelOrder(selectedOrder.id)}>
+                      Cancel Order
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Orders List */}
           <div>
             {loading ? (
@@ -180,10 +314,11 @@ export function OrdersPage() {
             ) : filteredOrders.length > 0 ? (
               <div className="space-y-4">
                 {filteredOrders.map((order) => (
-                  <div key={order.id} onClick={() => navigate(`/patient/orders/${order.id}`)}>
+                  <div key={order.id}>
                     <OrderCard
                       order={order}
                       onViewDetails={(id) => navigate(`/patient/orders/${id}`)}
+                      onCancel={handleCancelOrder}
                     />
                   </div>
                 ))}
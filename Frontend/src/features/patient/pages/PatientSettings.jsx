@@ -11,9 +11,11 @@ import {
   AlertCircle,
   Mail,
   Phone,
+  Bell,
 } from "lucide-react";
 import { useAuth } from "../../../context/AuthContext";
 import httpClient from "../../../core/services/httpClient";
+import NotificationPreferences from "../../../shared/components/NotificationPreferences";
 
 export default function PatientSettings() {
   const { user, refreshUser } = useAuth();
@@ -186,6 +188,17 @@ export default function PatientSettings() {
               <Lock size={20} />
               Security
             </button>
+            <button
+              onClick={() => setActiveTab("notifications")}
+              className={`flex items-center gap-2 px-6 py-4 font-medium transition-colors ${
+                activeTab === "notifications"
+                  ? "text-blue-600 border-b-2 border-blue-600"
+                  : "text-gray-600 hover:text-gray-900"
+              }`}
+            >
+              <Bell size={20} />
+              Notifications
+            </button>
           </div>
 
           {/* Tab Content */}
@@ -458,6 +471,23 @@ export default function PatientSettings() {
                 </form>
               </motion.div>
             )}
+
+            {/* Notifications Tab */}
+            {activeTab === "notifications" && (
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.3 }}
+              >
+                <h2 className="text-xl font-semibold text-gray-900 mb-6">
+                  Notification Preferences
+                </h2>
+                <NotificationPreferences
+                  onSaved={(message) => showNotification("success", message)}
+                  onError={(message) => showNotification("error", message)}
+                />
+              </motion.div>
+            )}
           </div>
         </div>
       </main>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from "react";
 import { Button } from "../../../../shared/components/ui";
 import patientService from "../../services/patient.service";
+import { openStoredFile } from "../../../../core/services/file.service";
 import {
   FileText,
   Upload,
@@ -125,21 +126,16 @@ export function PrescriptionsPage() {
     }
   };
 
-  const handleDownload = async (prescriptionId) => {
+  const handleDownload = async (prescription) => {
+    if (!prescription.documentUrl) {
+      setError("No document is attached to this prescription");
+      return;
+    }
+
     try {
-      const response = await patientService.downloadPrescription(
-        prescriptionId
-      );
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement("a");
-      link.href = url;
-      link.setAttribute("download", `prescription-${prescriptionId}.pdf`);
-      document.body.appendChild(link);
-      link.click();
-      link.parentElement.removeChild(link);
+      await openStoredFile(prescription.documentUrl);
     } catch (err) {
-      setError(err.response?.data?.message || "Failed to download prescription");
-      console.error("[PRESCRIPTION DOWNLOAD]", err);
+      setError(err.message);
     }
   };
 
@@ -363,7 +359,7 @@ export function PrescriptionsPage() {
 
                       <div className="flex items-center gap-2">
                         <button
-                          onClick={() => handleDownload(prescription.id)}
+                          onClick={() => handleDownload(prescription)}
                           className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
                           title="Download"
                         >
@@ -381,10 +377,10 @@ export function PrescriptionsPage() {
 
                     {/* Details */}
                     <div className="space-y-2 text-sm">
-                      {prescription.prescriptionDate && (
+                      {prescription.issuedDate && (
                         <div className="flex items-center gap-2 text-gray-600">
                           <Calendar size={16} />
-                          {new Date(prescription.prescriptionDate).toLocaleDateString()}
+                          {new Date(prescription.issuedDate).toLocaleDateString()}
                         </div>
                       )}
 
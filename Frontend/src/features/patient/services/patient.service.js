@@ -66,6 +66,67 @@ const patientService = {
     return response.data;
   },
 
+  // Add medication
+  createMedication: async (medication) => {
+    const response = await httpClient.post("/patient/medications", medication);
+    return response.data;
+  },
+
+  // Edit medication details and/or schedule
+  updateMedication: async (medicationId, updates) => {
+    const response = await httpClient.put(`/patient/medications/${medicationId}`, updates);
+    return response.data;
+  },
+
+  // Pause, resume or end a medication (status: active | paused | ended)
+  setMedicationStatus: async (medicationId, status) => {
+    const response = await httpClient.patch(`/patient/medications/${medicationId}/status`, { status });
+    return response.data;
+  },
+
+  // Suggest medications from delivered orders and accepted SOS requests
+  getMedicationSuggestions: async () => {
+    const response = await httpClient.get("/patient/medications/suggestions");
+    return response.data;
+  },
+
+  // Check medicines against active medications for drug interactions
+  checkInteractions: async (medicines) => {
+    const response = await httpClient.post("/patient/medications/check-interactions", { medicines });
+    return response.data;
+  },
+
+  // Set a medication's dose schedule
+  updateMedicationSchedule: async (medicationId, schedule) => {
+    const response = await httpClient.put(`/patient/medications/${medicationId}/schedule`, schedule);
+    return response.data;
+  },
+
+  // Get scheduled doses for a day (YYYY-MM-DD, default today)
+  getMedicationDoses: async (date) => {
+    const response = await httpClient.get("/patient/medications/doses", {
+      params: date ? { date } : {},
+    });
+    return response.data;
+  },
+
+  // Mark a dose as taken or skipped
+  markMedicationDose: async (medicationId, scheduledFor, status) => {
+    const response = await httpClient.post(`/patient/medications/${medicationId}/doses`, {
+      scheduledFor,
+      status,
+    });
+    return response.data;
+  },
+
+  // Get dose adherence over the last N days
+  getMedicationAdherence: async (days = 7) => {
+    const response = await httpClient.get("/patient/medications/adherence", {
+      params: { days },
+    });
+    return response.data;
+  },
+
   // Remove medication
   removeMedication: async (medicationId) => {
     const response = await httpClient.delete(`/patient/medications/${medicationId}`);
@@ -156,6 +217,24 @@ const patientService = {
     return response.data;
   },
 
+  // Edit a pending SOS request (quantity, contactNumber, address, latitude, longitude, additionalNotes)
+  updateSOSRequest: async (sosId, updates) => {
+    const response = await httpClient.patch(`/patient/sos/${sosId}`, updates);
+    return response.data;
+  },
+
+  // Cancel a pending SOS request
+  cancelSOSRequest: async (sosId, reason) => {
+    const response = await httpClient.post(`/patient/sos/${sosId}/cancel`, { reason });
+    return response.data;
+  },
+
+  // Confirm receipt of an accepted SOS request or report a problem (action: received | failed)
+  updateSOSFulfilment: async (sosId, action, reason) => {
+    const response = await httpClient.patch(`/patient/sos/${sosId}/fulfilment`, { action, reason });
+    return response.data;
+  },
+
   // Get single SOS request details
   getSOSDetails: async (sosId) => {
     const response = await httpClient.get(`/patient/sos/${sosId}`);
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Loader, Phone, MapPin, Package, Truck, CheckCircle, XCircle, User, MessageSquare } from "lucide-react";
+import httpClient from "../../../core/services/httpClient";
+
+const STATUS_STYLES = {
+  accepted: "bg-blue-100 text-blue-700",
+  ready: "bg-green-100 text-green-700",
+  dispatched: "bg-green-100 text-green-700",
+  completed: "bg-gray-100 text-gray-700",
+  failed: "bg-red-100 text-red-700",
+};
+
+const ACTIVE_STATUSES = ["accepted", "ready", "dispatched"];
+
+/**
+ * SOS requests this pharmacy accepted, with fulfilment actions
+ * Ready / Dispatched → Handed over (completes once the patient confirms) or Failed
+ * @param {number} refreshKey - Change to reload (e.g. after accepting a request)
+ * @param {function} onCountChange - Called with the number of requests in progress
+ * @param {function} onOpenDetails - Called with a request to show its map and messages
+ */
+export default function AcceptedSOSList({ refreshKey, onCountChange, onOpenDetails }) {
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  const fetchAccepted = useCallback(async () => {
+    try {
+      const response = await httpClient.get("/pharmacy/sos/accepted");
+      const sosRequests = response.data?.data?.sosRequests || [];
+      setRequests(sosRequests);
+      onCountChange?.(sosRequests.filter((r) => ACTIVE_STATUSES.includes(r.status)).length);
+    } catch (err) {
+      console.error("Error fetching accepted SOS requests:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [onCountChange]);
+
+  useEffect(() => {
+    fetchAccepted();
+  }, [fetchAccepted, refreshKey]);
+
+  const handleAction = async (request, action) => {
+    let reason;
+
+    if (action === "failed") {
+      reason = prompt("Why can't this request be completed?");
+      if (!reason?.trim()) return;
+    }
+
+    setUpdatingId(request.id);
+
+    try {
+      await httpClient.patch(`/pharmacy/sos/${request.id}/fulfilment`, { action, reason });
+      await fetchAccepted();
+    } catch (err) {
+      console.error("Error updating SOS fulfilment:", err);
+      alert(
+        err.response?.data?.message ||
+        err.response?.data?.error?.message ||
+        "Failed to update SOS request. Please try again."
+      );
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader className="animate-spin text-blue-600" size={32} />
+      </div>
+    );
+  }
+
+  if (requests.length === 0) {
+    return (
+      <div className="bg-white rounded-xl p-12 text-center shadow-sm border border-gray-100">
+        <Package className="text-gray-400 mx-auto mb-4" size={48} />
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">No Accepted Requests</h3>
+        <p className="text-gray-500">SOS requests you accept will appear here until they are completed.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {requests.map((request) => {
+        const isActive = ACTIVE_STATUSES.includes(request.status);
+        const busy = updatingId === request.id;
+
+        return (
+          <div key={request.id} className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+            <div className="flex items-start justify-between gap-6">
+              <div className="flex-1 space-y-2">
+                <div className="flex items-center gap-3">
+                  <span className={`px-3 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[request.status] || "bg-gray-100 text-gray-700"}`}>
+                    {request.status}
+                  </span>
+                  {request.acceptedAt && (
+                    <span className="text-xs text-gray-500">
+                      Accepted {new Date(request.acceptedAt).toLocaleString()}
+                    </span>
+                  )}
+                </div>
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+                  <User size={18} />
+                  {request.patient?.name || request.patientName}
+                </h3>
+                <p className="text-sm text-red-600 font-medium">
+                  💊 {request.medicineName}{request.genericName ? ` (${request.genericName})` : ""} × {request.quantity || 1}
+                </p>
+                <div className="flex flex-wrap gap-4 text-sm text-gray-600">
+                  <span className="flex items-center gap-1">
+                    <Phone size={14} className="text-blue-600" />
+                    {request.contactNumber || request.patient?.phone || "N/A"}
+                  </span>
+                  <span className="flex items-center gap-1">
+                    <MapPin size={14} className="text-purple-600" />
+                    {request.address}
+                  </span>
+                  <button
+                    onClick={() => onOpenDetails?.(request)}
+                    className="flex items-center gap-1 text-blue-600 hover:text-blue-700 font-medium"
+                  >
+                    <MessageSquare size={14} />
+                    Map & messages
+                  </button>
+                </div>
+                {isActive && request.receivedAt && !request.handedOverAt && (
+                  <p className="text-sm text-blue-700">The patient confirmed receipt. Confirm the handover to complete.</p>
+                )}
+                {isActive && request.handedOverAt && (
+                  <p className="text-sm text-gray-500">Handed over. Waiting for the patient to confirm receipt.</p>
+                )}
+                {request.status === "failed" && request.failureReason && (
+                  <p className="text-sm text-red-700">
+                    Failed ({request.failedBy === "PATIENT" ? "reported by patient" : "by you"}): {request.failureReason}
+                  </p>
+                )}
+              </div>
+
+              {isActive && (
+                <div className="flex flex-col gap-2">
+                  {busy ? (
+                    <Loader className="animate-spin text-gray-500" size={20} />
+                  ) : (
+                    <>
+                      {request.status === "accepted" && (
+                        <button
+                          onClick={() => handleAction(request, "ready")}
+                          className="flex items-center gap-2 px-4 py-2 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 transition-colors"
+                        >
+                          <Package size={16} />
+                          Ready for pickup
+                        </button>
+                      )}
+                      {request.status !== "dispatched" && (
+                        <button
+                          onClick={() => handleAction(request, "dispatched")}
+                          className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition-colors"
+                        >
+                          <Truck size={16} />
+                          Dispatched
+                        </button>
+                      )}
+                      {!request.handedOverAt && (
+                        <button
+                          onClick={() => handleAction(request, "handed_over")}
+                          className="flex items-center gap-2 px-4 py-2 bg-gray-900 text-white rounded-lg text-sm hover:bg-gray-800 transition-colors"
+                        >
+                          <CheckCircle size={16} />
+                          Handed over
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleAction(request, "failed")}
+                        className="flex items-center gap-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300 transition-colors"
+                      >
+                        <XCircle size={16} />
+                        Failed
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,362 @@
+import React, { useState } from "react";
+import { Plus, Edit2, Save, X, Trash2, Loader, ArrowUpDown } from "lucide-react";
+import inventoryService from "../../../core/services/inventory.service";
+import { MOVEMENT_LABELS, MANUAL_MOVEMENT_TYPES } from "../../../core/constants/stockMovements";
+
+const EMPTY_BATCH = { batchNumber: "", quantity: "", expiryDate: "", costPrice: "", referenceId: "" };
+
+const EMPTY_MOVEMENT = { type: "ADJUSTMENT", quantity: "", reason: "", referenceId: "" };
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "");
+
+const daysUntil = (date) => Math.floor((new Date(date) - new Date()) / (1000 * 60 * 60 * 24));
+
+const inputClass = "px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+/**
+ * Batches of one inventory item, first to expire first (the order stock is sold in)
+ * Add and correct batches inline; stock changes are recorded as movements
+ * (an empty batch can be removed)
+ * @param {object} item - Inventory item including batches
+ * @param {function} onChange - Called with the updated item after a change
+ */
+export default function InventoryBatches({ item, onChange }) {
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState({});
+  const [movingId, setMovingId] = useState(null);
+  const [movement, setMovement] = useState(EMPTY_MOVEMENT);
+  const [newBatch, setNewBatch] = useState(EMPTY_BATCH);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (request) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await request();
+      onChange(response.data);
+      return true;
+    } catch (err) {
+      setError(err?.message || "Failed to update batches");
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toPayload = (values) => ({
+    batchNumber: values.batchNumber.trim(),
+    expiryDate: values.expiryDate,
+    costPrice: values.costPrice === "" ? null : parseFloat(values.costPrice),
+  });
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newBatch.batchNumber.trim() || newBatch.quantity === "" || !newBatch.expiryDate) {
+      setError("Batch number, quantity and expiry date are required");
+      return;
+    }
+
+    const added = await run(() =>
+      inventoryService.addBatch(item.id, {
+        ...toPayload(newBatch),
+        quantity: parseInt(newBatch.quantity),
+        referenceId: newBatch.referenceId.trim() || undefined,
+      })
+    );
+    if (added) setNewBatch(EMPTY_BATCH);
+  };
+
+  const handleEdit = (batch) => {
+    setMovingId(null);
+    setEditingId(batch.id);
+    setEditValues({
+      batchNumber: batch.batchNumber,
+      expiryDate: toDateInput(batch.expiryDate),
+      costPrice: batch.costPrice ?? "",
+    });
+  };
+
+  const handleSave = async (batchId) => {
+    const saved = await run(() => inventoryService.updateBatch(item.id, batchId, toPayload(editValues)));
+    if (saved) setEditingId(null);
+  };
+
+  const handleStartMovement = (batch) => {
+    setEditingId(null);
+    setMovingId(batch.id);
+    setMovement(EMPTY_MOVEMENT);
+  };
+
+  const handleRecordMovement = async (e, batchId) => {
+    e.preventDefault();
+    const quantity = parseInt(movement.quantity);
+    if (!quantity) {
+      setError("Enter the number of units");
+      return;
+    }
+    if (movement.type !== "PURCHASE" && !movement.reason.trim()) {
+      setError("A reason is required for this stock movement");
+      return;
+    }
+
+    const recorded = await run(() =>
+      inventoryService.recordStockMovement(item.id, {
+        batchId,
+        type: movement.type,
+        quantity,
+        reason: movement.reason.trim() || undefined,
+        referenceId: movement.referenceId.trim() || undefined,
+      })
+    );
+    if (recorded) setMovingId(null);
+  };
+
+  const handleDelete = async (batch) => {
+    if (!window.confirm(`Remove batch ${batch.batchNumber} of ${item.name}?`)) {
+      return;
+    }
+    await run(() => inventoryService.deleteBatch(item.id, batch.id));
+  };
+
+  const getExpiryLabel = (expiryDate) => {
+    const days = daysUntil(expiryDate);
+    if (days < 0) return <span className="text-xs text-red-600">Expired — not sold</span>;
+    if (days <= 30) return <span className="text-xs text-orange-600">Expires in {days} days</span>;
+    return <span className="text-xs text-gray-600">{new Date(expiryDate).toLocaleDateString()}</span>;
+  };
+
+  return (
+    <div className="space-y-3">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <table className="min-w-full text-sm bg-white rounded-lg border border-gray-100">
+        <thead className="text-gray-500 border-b border-gray-100">
+          <tr>
+            <th className="text-left px-4 py-2 font-medium">Batch</th>
+            <th className="text-left px-4 py-2 font-medium">Quantity</th>
+            <th className="text-left px-4 py-2 font-medium">Expiry</th>
+            <th className="text-left px-4 py-2 font-medium">Cost price (₹)</th>
+            <th className="text-left px-4 py-2 font-medium">Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          {item.batches.length === 0 && (
+            <tr>
+              <td colSpan="5" className="px-4 py-3 text-gray-500">No batches recorded. Add one below.</td>
+            </tr>
+          )}
+          {item.batches.map((batch) =>
+            editingId === batch.id ? (
+              <tr key={batch.id} className="border-b border-gray-50">
+                <td className="px-4 py-2">
+                  <input
+                    value={editValues.batchNumber}
+                    onChange={(e) => setEditValues({ ...editValues, batchNumber: e.target.value })}
+                    className={`w-28 ${inputClass}`}
+                  />
+                </td>
+                <td className="px-4 py-2 text-gray-600">{batch.quantity}</td>
+                <td className="px-4 py-2">
+                  <input
+                    type="date"
+                    value={editValues.expiryDate}
+                    onChange={(e) => setEditValues({ ...editValues, expiryDate: e.target.value })}
+                    className={inputClass}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={editValues.costPrice}
+                    onChange={(e) => setEditValues({ ...editValues, costPrice: e.target.value })}
+                    className={`w-24 ${inputClass}`}
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => handleSave(batch.id)}
+                      disabled={busy}
+                      className="p-1.5 text-green-600 hover:bg-green-50 rounded transition-colors disabled:opacity-50"
+                      title="Save batch"
+                    >
+                      <Save size={16} />
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className="p-1.5 text-gray-600 hover:bg-gray-100 rounded transition-colors"
+                      title="Cancel"
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ) : (
+              <React.Fragment key={batch.id}>
+                <tr className="border-b border-gray-50">
+                  <td className="px-4 py-2 font-medium text-gray-900">{batch.batchNumber}</td>
+                  <td className="px-4 py-2 text-gray-600">{batch.quantity}</td>
+                  <td className="px-4 py-2">{getExpiryLabel(batch.expiryDate)}</td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {batch.costPrice !== null && batch.costPrice !== undefined ? `₹${batch.costPrice.toFixed(2)}` : "—"}
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => handleEdit(batch)}
+                        disabled={busy}
+                        className="p-1.5 text-blue-600 hover:bg-blue-50 rounded transition-colors disabled:opacity-50"
+                        title="Edit batch"
+                      >
+                        <Edit2 size={16} />
+                      </button>
+                      <button
+                        onClick={() => handleStartMovement(batch)}
+                        disabled={busy}
+                        className="p-1.5 text-purple-600 hover:bg-purple-50 rounded transition-colors disabled:opacity-50"
+                        title="Record stock movement"
+                      >
+                        <ArrowUpDown size={16} />
+                      </button>
+                      {batch.quantity === 0 && (
+                        <button
+                          onClick={() => handleDelete(batch)}
+                          disabled={busy}
+                          className="p-1.5 text-red-600 hover:bg-red-50 rounded transition-colors disabled:opacity-50"
+                          title="Remove empty batch"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+                {movingId === batch.id && (
+                  <tr className="border-b border-gray-50 bg-purple-50/40">
+                    <td colSpan="5" className="px-4 py-2">
+                      <form
+                        onSubmit={(e) => handleRecordMovement(e, batch.id)}
+                        className="flex flex-wrap items-center gap-2"
+                      >
+                        <select
+                          value={movement.type}
+                          onChange={(e) => setMovement({ ...movement, type: e.target.value })}
+                          className={inputClass}
+                          aria-label="Movement type"
+                        >
+                          {MANUAL_MOVEMENT_TYPES.map((type) => (
+                            <option key={type} value={type}>
+                              {MOVEMENT_LABELS[type]}
+                            </option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min={movement.type === "ADJUSTMENT" ? undefined : "1"}
+                          placeholder={movement.type === "ADJUSTMENT" ? "± units" : "Units"}
+                          value={movement.quantity}
+                          onChange={(e) => setMovement({ ...movement, quantity: e.target.value })}
+                          className={`w-24 ${inputClass}`}
+                          aria-label="Units"
+                        />
+                        <input
+                          placeholder={movement.type === "PURCHASE" ? "Reason (optional)" : "Reason"}
+                          value={movement.reason}
+                          onChange={(e) => setMovement({ ...movement, reason: e.target.value })}
+                          maxLength={200}
+                          className={`flex-1 min-w-40 ${inputClass}`}
+                          aria-label="Reason"
+                        />
+                        <input
+                          placeholder="Reference (optional)"
+                          value={movement.referenceId}
+                          onChange={(e) => setMovement({ ...movement, referenceId: e.target.value })}
+                          maxLength={200}
+                          className={`w-40 ${inputClass}`}
+                          aria-label="Reference"
+                        />
+                        <button
+                          type="submit"
+                          disabled={busy}
+                          className="p-1.5 text-green-600 hover:bg-green-50 rounded transition-colors disabled:opacity-50"
+                          title="Record movement"
+                        >
+                          <Save size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setMovingId(null)}
+                          className="p-1.5 text-gray-600 hover:bg-gray-100 rounded transition-colors"
+                          title="Cancel"
+                        >
+                          <X size={16} />
+                        </button>
+                      </form>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            )
+          )}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleAdd} className="flex flex-wrap items-end gap-2 text-sm">
+        <input
+          placeholder="Batch number"
+          value={newBatch.batchNumber}
+          onChange={(e) => setNewBatch({ ...newBatch, batchNumber: e.target.value })}
+          className={`w-32 ${inputClass}`}
+          aria-label="Batch number"
+        />
+        <input
+          type="number"
+          min="0"
+          placeholder="Quantity"
+          value={newBatch.quantity}
+          onChange={(e) => setNewBatch({ ...newBatch, quantity: e.target.value })}
+          className={`w-24 ${inputClass}`}
+          aria-label="Quantity"
+        />
+        <input
+          type="date"
+          value={newBatch.expiryDate}
+          onChange={(e) => setNewBatch({ ...newBatch, expiryDate: e.target.value })}
+          className={inputClass}
+          aria-label="Expiry date"
+        />
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="Cost price"
+          value={newBatch.costPrice}
+          onChange={(e) => setNewBatch({ ...newBatch, costPrice: e.target.value })}
+          className={`w-28 ${inputClass}`}
+          aria-label="Cost price"
+        />
+        <input
+          placeholder="Invoice / reference"
+          value={newBatch.referenceId}
+          onChange={(e) => setNewBatch({ ...newBatch, referenceId: e.target.value })}
+          maxLength={200}
+          className={`w-40 ${inputClass}`}
+          aria-label="Reference"
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          {busy ? <Loader className="animate-spin" size={16} /> : <Plus size={16} />}
+          Add batch
+        </button>
+      </form>
+    </div>
+  );
+}
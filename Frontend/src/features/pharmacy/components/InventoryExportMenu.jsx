@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Download, FileText, FileSpreadsheet, ClipboardList, Loader } from "lucide-react";
+import inventoryService from "../../../core/services/inventory.service";
+
+const FORMATS = [
+  { format: "csv", label: "CSV", icon: FileText },
+  { format: "xlsx", label: "Excel (.xlsx)", icon: FileSpreadsheet },
+  { format: "pdf", label: "Stock-take sheet (PDF)", icon: ClipboardList },
+];
+
+const EXPIRY_WINDOWS = [30, 60, 90];
+
+/**
+ * Export menu: download the stock as CSV, XLSX or a printable PDF stock-take
+ * sheet, optionally limited to low stock, batches expiring soon or a generic name
+ * @param {function} onError - Called with a message when the export fails
+ */
+export default function InventoryExportMenu({ onError }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [lowStock, setLowStock] = useState(false);
+  const [expiringWithinDays, setExpiringWithinDays] = useState("");
+  const [genericName, setGenericName] = useState("");
+  const [downloading, setDownloading] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, []);
+
+  const handleExport = async (format) => {
+    setDownloading(format);
+
+    try {
+      const { blob, filename } = await inventoryService.exportInventory(format, {
+        ...(lowStock && { lowStock: true }),
+        ...(expiringWithinDays && { expiringWithinDays }),
+        ...(genericName.trim() && { genericName: genericName.trim() }),
+      });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+      setIsOpen(false);
+    } catch (err) {
+      onError?.(err?.message || "Failed to export inventory");
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors flex items-center gap-2"
+        aria-expanded={isOpen}
+      >
+        <Download size={20} />
+        Export
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-72 bg-white rounded-lg shadow-lg border border-gray-200 z-20 p-4 space-y-4">
+          <div className="space-y-3 text-sm">
+            <p className="font-medium text-gray-700">Include</p>
+            <label className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={lowStock}
+                onChange={(e) => setLowStock(e.target.checked)}
+                className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              Low stock only (at or below reorder level)
+            </label>
+            <select
+              value={expiringWithinDays}
+              onChange={(e) => setExpiringWithinDays(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+              aria-label="Expiring within"
+            >
+              <option value="">Any expiry</option>
+              {EXPIRY_WINDOWS.map((days) => (
+                <option key={days} value={days}>
+                  Expiring within {days} days
+                </option>
+              ))}
+            </select>
+            <input
+              placeholder="Generic name contains..."
+              value={genericName}
+              onChange={(e) => setGenericName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-200 rounded-lg"
+              aria-label="Generic name"
+            />
+          </div>
+
+          <div className="border-t border-gray-100 pt-3 space-y-1">
+            {FORMATS.map((choice) => (
+              <button
+                key={choice.format}
+                onClick={() => handleExport(choice.format)}
+                disabled={downloading !== null}
+                className="w-full flex items-center gap-3 px-3 py-2 text-sm text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                {downloading === choice.format ? <Loader className="animate-spin" size={18} /> : <choice.icon size={18} />}
+                {choice.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
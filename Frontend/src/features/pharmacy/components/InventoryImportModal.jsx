@@ -0,0 +1,174 @@
+import React, { useState } from "react";
+import { Upload, Loader, CheckCircle, Download } from "lucide-react";
+import Modal from "../../../shared/components/ui/Modal";
+import inventoryService from "../../../core/services/inventory.service";
+
+const TEMPLATE_CSV =
+  "name,genericName,price,requiresPrescription,reorderLevel,batchNumber,quantity,expiryDate,costPrice,referenceId\n" +
+  "Cetamol 500mg,Paracetamol,25,no,20,BN-2024-001,100,12/2027,18.5,INV-0042\n";
+
+const ACTION_STYLES = {
+  created: "bg-green-100 text-green-700",
+  updated: "bg-blue-100 text-blue-700",
+  rejected: "bg-red-100 text-red-700",
+};
+
+/**
+ * Bulk inventory import from a CSV / XLSX file
+ * The file is previewed first (a dry run with the row-by-row report),
+ * then imported once the pharmacy confirms
+ * @param {boolean} isOpen - Controls modal visibility
+ * @param {function} onClose - Callback when the modal closes
+ * @param {function} onImported - Called with the result message after an import
+ */
+export default function InventoryImportModal({ isOpen, onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setFile(null);
+    setReport(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const run = async (dryRun) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await inventoryService.importInventory(file, dryRun);
+      setReport(response.data);
+      if (!dryRun) onImported(response.message);
+    } catch (err) {
+      setError(err?.message || "Failed to import inventory");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadTemplate = () => {
+    const url = URL.createObjectURL(new Blob([TEMPLATE_CSV], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "inventory-import-template.csv";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importable = report ? report.created + report.updated : 0;
+  const imported = report && !report.dryRun;
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Import Inventory" size="xl">
+      <div className="space-y-4">
+        <div className="text-sm text-gray-600 space-y-1">
+          <p>
+            Upload a CSV or Excel (.xlsx) file with one row per batch. Medicines you already stock (same name and
+            generic name) get the batch added, and the price or reorder level if you give one; new ones are created.
+            Leave reorderLevel empty to use your default.
+          </p>
+          <p>
+            Expiry dates can be YYYY-MM-DD, DD/MM/YYYY or MM/YYYY as printed on the pack.{" "}
+            <button type="button" onClick={downloadTemplate} className="inline-flex items-center gap-1 text-blue-600 hover:underline">
+              <Download size={14} />
+              Download template
+            </button>
+          </p>
+        </div>
+
+        <input
+          type="file"
+          accept=".csv,.xlsx"
+          onChange={(e) => {
+            setFile(e.target.files?.[0] || null);
+            setReport(null);
+            setError(null);
+          }}
+          className="block w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          aria-label="Inventory file"
+        />
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {report && (
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              {imported ? (
+                <span className="flex items-center gap-1 font-medium text-green-700">
+                  <CheckCircle size={16} /> Imported
+                </span>
+              ) : (
+                <span className="font-medium text-gray-700">Preview — nothing saved yet</span>
+              )}
+              <span className="px-2 py-0.5 rounded bg-green-100 text-green-700">{report.created} new</span>
+              <span className="px-2 py-0.5 rounded bg-blue-100 text-blue-700">{report.updated} updated</span>
+              <span className="px-2 py-0.5 rounded bg-red-100 text-red-700">{report.rejected} rejected</span>
+            </div>
+            {report.ignoredColumns.length > 0 && (
+              <p className="text-xs text-gray-500">Ignored columns: {report.ignoredColumns.join(", ")}</p>
+            )}
+
+            <div className="max-h-80 overflow-y-auto border border-gray-100 rounded-lg">
+              <table className="min-w-full text-sm">
+                <thead className="sticky top-0 bg-gray-50 text-gray-500">
+                  <tr>
+                    <th className="text-left px-4 py-2 font-medium">Row</th>
+                    <th className="text-left px-4 py-2 font-medium">Medicine</th>
+                    <th className="text-left px-4 py-2 font-medium">Batch</th>
+                    <th className="text-left px-4 py-2 font-medium">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map((row) => (
+                    <tr key={row.row} className="border-t border-gray-50">
+                      <td className="px-4 py-2 text-gray-500">{row.row}</td>
+                      <td className="px-4 py-2">
+                        <p className="text-gray-900">{row.name || "—"}</p>
+                        {row.genericName && <p className="text-xs text-gray-500">{row.genericName}</p>}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">{row.batchNumber || "—"}</td>
+                      <td className="px-4 py-2">
+                        <span className={`px-2 py-0.5 rounded text-xs font-medium ${ACTION_STYLES[row.action]}`}>
+                          {row.action}
+                        </span>
+                        {row.reason && <p className="mt-1 text-xs text-red-600">{row.reason}</p>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 pt-2">
+          <button
+            type="button"
+            onClick={handleClose}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+          >
+            {imported ? "Done" : "Cancel"}
+          </button>
+          {!imported && (
+            <button
+              type="button"
+              onClick={() => run(!report)}
+              disabled={!file || busy || (report && importable === 0)}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {busy ? <Loader className="animate-spin" size={18} /> : <Upload size={18} />}
+              {report ? `Import ${importable} row${importable === 1 ? "" : "s"}` : "Preview import"}
+            </button>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+}
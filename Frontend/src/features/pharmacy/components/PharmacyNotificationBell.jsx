@@ -15,8 +15,10 @@ import {
   Volume2,
   VolumeX,
   ExternalLink,
+  MessageSquare,
 } from "lucide-react";
 import notificationService from "../../../core/services/notification.service";
+import { useLiveEvents } from "../../../shared/hooks/useLiveEvents";
 
 // ── Sound assets (CDN, royalty-free) ─────────────────────
 const SOUND_URGENT =
@@ -66,6 +68,14 @@ const TYPE_CONFIG = {
     label: "Announcement",
     pulse: false,
   },
+  NEW_MESSAGE: {
+    icon: MessageSquare,
+    bg: "bg-blue-100",
+    text: "text-blue-600",
+    ring: "ring-blue-200",
+    label: "Message",
+    pulse: false,
+  },
   SYSTEM_MESSAGE: {
     icon: Bell,
     bg: "bg-gray-100",
@@ -140,7 +150,7 @@ export default function PharmacyNotificationBell() {
     [soundEnabled]
   );
 
-  // ── Fetch unread count (polling every 20s) ───────────
+  // ── Fetch unread count (live, polling every 20s as fallback) ─
   const fetchUnreadCount = useCallback(async () => {
     try {
       const res = await notificationService.getUnreadCount();
@@ -163,10 +173,10 @@ export default function PharmacyNotificationBell() {
 
   useEffect(() => {
     fetchUnreadCount();
-    const id = setInterval(fetchUnreadCount, 20_000);
-    return () => clearInterval(id);
   }, [fetchUnreadCount]);
 
+  useLiveEvents(["notification"], fetchUnreadCount, { pollInterval: 20_000 });
+
   // ── Fetch notifications when dropdown opens ──────────
   const fetchNotifications = useCallback(async () => {
     setLoading(true);
@@ -4,6 +4,7 @@ import L from "leaflet";
 import { motion, AnimatePresence } from "framer-motion";
 import { X, Crosshair, Navigation2, MapPin } from "lucide-react";
 import "leaflet/dist/leaflet.css";
+import MessageThread from "../../../shared/components/MessageThread";
 
 // Fix default marker icons
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
@@ -147,13 +148,15 @@ export default function SOSMapModal({ isOpen, onClose, sosRequest, pharmacyLocat
 
   const hasPatient = patientLat != null && patientLng != null;
   const hasPharmacy = pharmLat != null && pharmLng != null;
+  // Accepted requests open a chat thread with the patient
+  const canChat = Boolean(sosRequest.acceptedBy);
 
-  if (!hasPatient) return null;
+  if (!hasPatient && !canChat) return null;
 
   const center = [patientLat, patientLng];
   const pharmCoords = hasPharmacy ? [pharmLat, pharmLng] : null;
   const distance =
-    hasPharmacy ? haversine(patientLat, patientLng, pharmLat, pharmLng).toFixed(1) : null;
+    hasPatient && hasPharmacy ? haversine(patientLat, patientLng, pharmLat, pharmLng).toFixed(1) : null;
 
   const handleGetDirections = () => {
     const url = `https://www.google.com/maps/dir/?api=1&destination=${patientLat},${patientLng}${
@@ -184,7 +187,7 @@ export default function SOSMapModal({ isOpen, onClose, sosRequest, pharmacyLocat
             animate={{ scale: 1, opacity: 1, y: 0 }}
             exit={{ scale: 0.92, opacity: 0, y: 24 }}
             transition={{ type: "spring", damping: 26, stiffness: 300 }}
-            className="relative w-full max-w-3xl bg-white rounded-2xl shadow-2xl overflow-hidden"
+            className={`relative w-full ${canChat ? "max-w-5xl" : "max-w-3xl"} bg-white rounded-2xl shadow-2xl overflow-hidden`}
             onClick={(e) => e.stopPropagation()}
           >
             {/* Header */}
@@ -215,62 +218,77 @@ export default function SOSMapModal({ isOpen, onClose, sosRequest, pharmacyLocat
               </button>
             </div>
 
-            {/* Map */}
-            <div className="relative w-full h-[420px]">
-              <MapContainer
-                center={center}
-                zoom={13}
-                scrollWheelZoom
-                className="w-full h-full z-0"
-                style={{ height: "100%", width: "100%" }}
-              >
-                <TileLayer
-                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>'
-                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                />
-
-                {/* Patient marker (red pulsing) */}
-                <Marker position={center} icon={patientIcon}>
-                  <Popup>
-                    <div className="text-sm">
-                      <p className="font-bold text-red-600">
-                        {sosRequest.patientName || sosRequest.patient?.name || "Patient"}
-                      </p>
-                      {sosRequest.medicineName && (
-                        <p className="text-gray-700">💊 {sosRequest.medicineName}</p>
-                      )}
-                      <p className="text-gray-500 text-xs mt-1">{sosRequest.address}</p>
-                    </div>
-                  </Popup>
-                </Marker>
-
-                {/* Pharmacy marker (blue) */}
-                {pharmCoords && (
-                  <Marker position={pharmCoords} icon={pharmacyIcon}>
-                    <Popup>
-                      <div className="text-sm">
-                        <p className="font-bold text-blue-600">
-                          {pharmacyLocation.name || "Your Pharmacy"}
-                        </p>
-                        <p className="text-gray-500 text-xs">{distance} km to patient</p>
-                      </div>
-                    </Popup>
-                  </Marker>
-                )}
+            <div className={canChat ? "grid grid-cols-1 md:grid-cols-3" : ""}>
+              {/* Map */}
+              <div className={`relative w-full h-[420px] ${canChat ? "md:col-span-2" : ""}`}>
+                {hasPatient ? (
+                  <MapContainer
+                    center={center}
+                    zoom={13}
+                    scrollWheelZoom
+                    className="w-full h-full z-0"
+                    style={{ height: "100%", width: "100%" }}
+                  >
+                    <TileLayer
+                      attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>'
+                      url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                    />
+
+                    {/* Patient marker (red pulsing) */}
+                    <Marker position={center} icon={patientIcon}>
+                      <Popup>
+                        <div className="text-sm">
+                          <p className="font-bold text-red-600">
+                            {sosRequest.patientName || sosRequest.patient?.name || "Patient"}
+                          </p>
+                          {sosRequest.medicineName && (
+                            <p className="text-gray-700">💊 {sosRequest.medicineName}</p>
+                          )}
+                          <p className="text-gray-500 text-xs mt-1">{sosRequest.address}</p>
+                        </div>
+                      </Popup>
+                    </Marker>
+
+                    {/* Pharmacy marker (blue) */}
+                    {pharmCoords && (
+                      <Marker position={pharmCoords} icon={pharmacyIcon}>
+                        <Popup>
+                          <div className="text-sm">
+                            <p className="font-bold text-blue-600">
+                              {pharmacyLocation.name || "Your Pharmacy"}
+                            </p>
+                            <p className="text-gray-500 text-xs">{distance} km to patient</p>
+                          </div>
+                        </Popup>
+                      </Marker>
+                    )}
+
+                    {/* Auto-fit both markers */}
+                    {pharmCoords && (
+                      <FitBounds patient={center} pharmacy={pharmCoords} />
+                    )}
 
-                {/* Auto-fit both markers */}
-                {pharmCoords && (
-                  <FitBounds patient={center} pharmacy={pharmCoords} />
+                    {/* Zoom-to-patient handle */}
+                    <ZoomToPatientControl latlng={center} triggerRef={zoomRef} />
+                  </MapContainer>
+                ) : (
+                  <div className="flex h-full items-center justify-center bg-gray-50 text-sm text-gray-500">
+                    The patient didn't share a map location.
+                  </div>
                 )}
+              </div>
 
-                {/* Zoom-to-patient handle */}
-                <ZoomToPatientControl latlng={center} triggerRef={zoomRef} />
-              </MapContainer>
+              {/* Chat with the patient */}
+              {canChat && (
+                <div className="p-4 border-t md:border-t-0 md:border-l border-gray-100">
+                  <MessageThread threadType="sos" threadId={sosRequest.id} className="h-full" />
+                </div>
+              )}
             </div>
 
             {/* Footer Actions */}
             <div className="flex items-center justify-between px-6 py-4 bg-gray-50 border-t border-gray-100">
-              <div className="flex items-center gap-3">
+              <div className={`flex items-center gap-3 ${hasPatient ? "" : "invisible"}`}>
                 <button
                   onClick={() => zoomRef.current?.()}
                   className="flex items-center gap-2 px-4 py-2.5 bg-white border border-gray-200 rounded-xl text-sm font-medium text-gray-700 hover:bg-gray-100 transition-colors shadow-sm"
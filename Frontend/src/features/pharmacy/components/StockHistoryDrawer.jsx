@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from "react";
+import { X, Loader, ChevronLeft, ChevronRight } from "lucide-react";
+import inventoryService from "../../../core/services/inventory.service";
+import { MOVEMENT_LABELS } from "../../../core/constants/stockMovements";
+
+const PAGE_SIZE = 20;
+
+/**
+ * Side drawer with an inventory item's stock history, newest first
+ * Every change to the item's stock is a movement: who made it, why, and the
+ * order / SOS request / invoice it belongs to
+ * @param {object} item - Inventory item (null when closed)
+ * @param {function} onClose - Callback when the drawer closes
+ */
+export default function StockHistoryDrawer({ item, onClose }) {
+  const [movements, setMovements] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the newest page whenever another item is opened
+  const [itemId, setItemId] = useState(item?.id);
+  if (item?.id !== itemId) {
+    setItemId(item?.id);
+    setPage(1);
+  }
+
+  useEffect(() => {
+    if (!itemId) return;
+
+    let cancelled = false;
+    const loadHistory = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await inventoryService.getStockHistory(itemId, page, PAGE_SIZE);
+        if (cancelled) return;
+        setMovements(response.data || []);
+        setPagination(response.pagination);
+      } catch (err) {
+        if (!cancelled) setError(err?.message || "Failed to load stock history");
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [itemId, page]);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape") {
+        onClose();
+      }
+    };
+
+    if (item) {
+      document.addEventListener("keydown", handleEscape);
+    }
+
+    return () => {
+      document.removeEventListener("keydown", handleEscape);
+    };
+  }, [item, onClose]);
+
+  if (!item) return null;
+
+  return (
+    <div className="fixed inset-0 z-50">
+      {/* Backdrop */}
+      <div className="fixed inset-0 bg-black bg-opacity-50 transition-opacity" onClick={onClose} aria-hidden="true" />
+
+      {/* Drawer */}
+      <aside
+        className="fixed inset-y-0 right-0 flex flex-col w-full max-w-md bg-white shadow-xl"
+        role="dialog"
+        aria-label={`Stock history of ${item.name}`}
+      >
+        <div className="flex items-start justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Stock history</h3>
+            <p className="text-sm text-gray-500">
+              {item.name} · {item.quantity} units in stock
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            aria-label="Close"
+          >
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <Loader className="animate-spin text-blue-600" size={28} />
+            </div>
+          ) : error ? (
+            <p className="py-12 text-center text-sm text-red-600">{error}</p>
+          ) : movements.length === 0 ? (
+            <p className="py-12 text-center text-sm text-gray-500">No stock movements recorded yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {movements.map((movement) => (
+                <li key={movement.id} className="py-3">
+                  <div className="flex items-center justify-between gap-4">
+                    <span className="text-sm font-medium text-gray-900">
+                      {MOVEMENT_LABELS[movement.type] || movement.type}
+                    </span>
+                    <span
+                      className={`text-sm font-semibold ${
+                        movement.quantity > 0 ? "text-green-600" : "text-red-600"
+                      }`}
+                    >
+                      {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                    </span>
+                  </div>
+                  {movement.reason && <p className="text-sm text-gray-600">{movement.reason}</p>}
+                  <p className="mt-1 text-xs text-gray-500">
+                    {new Date(movement.createdAt).toLocaleString()} · Batch {movement.batchNumber}
+                    {movement.referenceId && ` · Ref ${movement.referenceId}`}
+                    {movement.user?.name && ` · ${movement.user.name}`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200 text-sm text-gray-600">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={!pagination.hasPreviousPage || loading}
+              className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+            >
+              <ChevronLeft size={16} />
+              Newer
+            </button>
+            <span>
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={!pagination.hasNextPage || loading}
+              className="flex items-center gap-1 px-2 py-1 rounded hover:bg-gray-100 disabled:opacity-50"
+            >
+              Older
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -11,9 +11,16 @@ import {
   Save,
   X,
   Trash2,
-  Calendar
+  Calendar,
+  Layers,
+  History,
+  Upload
 } from "lucide-react";
 import inventoryService from "../../../core/services/inventory.service";
+import InventoryBatches from "../components/InventoryBatches";
+import StockHistoryDrawer from "../components/StockHistoryDrawer";
+import InventoryImportModal from "../components/InventoryImportModal";
+import InventoryExportMenu from "../components/InventoryExportMenu";
 import Modal from "../../../shared/components/ui/Modal";
 import { Input } from "../../../shared/components/ui/Input";
 import LoadingSpinner from "../../../shared/components/ui/LoadingSpinner";
@@ -43,31 +50,56 @@ const COMMON_GENERIC_NAMES = [
   "Diclofenac",
 ];
 
+// Unexpired batch stock, and the part of it not held by open orders
+// (what the API reports as unexpiredQuantity and availableQuantity)
+const withAvailability = (item) => {
+  const now = new Date();
+  const unexpiredQuantity = item.batches
+    .filter((batch) => new Date(batch.expiryDate) > now)
+    .reduce((sum, batch) => sum + batch.quantity, 0);
+  return {
+    ...item,
+    unexpiredQuantity,
+    availableQuantity: Math.max(unexpiredQuantity - item.reservedQuantity, 0),
+  };
+};
+
 export default function PharmacyInventory() {
   const [inventory, setInventory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [isAddModalOpen, setIsAddModalOpen] = useState(false);
+  const [isImportModalOpen, setIsImportModalOpen] = useState(false);
   const [editingItemId, setEditingItemId] = useState(null);
   const [editValues, setEditValues] = useState({});
+  const [expandedItemId, setExpandedItemId] = useState(null);
+  const [historyItem, setHistoryItem] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [defaultReorderLevel, setDefaultReorderLevel] = useState(null);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
     totalItems: 0,
   });
 
+  // Stock is low at or below the item's reorder level, or the pharmacy default
+  const reorderLevelOf = React.useCallback(
+    (item) => item.reorderLevel ?? defaultReorderLevel,
+    [defaultReorderLevel]
+  );
+
   // Statistics calculated from inventory
   const stats = React.useMemo(() => {
     const totalItems = inventory.length;
-    const lowStockItems = inventory.filter(item => item.quantity < 10).length;
+    const lowStockItems = inventory.filter(item => item.quantity > 0 && item.unexpiredQuantity <= reorderLevelOf(item)).length;
     const outOfStockItems = inventory.filter(item => item.quantity === 0).length;
-    const expiringItems = inventory.filter(item => {
+    const expiringItems = inventory.filter(item => item.batches.some(batch => {
       const daysUntilExpiry = Math.floor(
-        (new Date(item.expiryDate) - new Date()) / (1000 * 60 * 60 * 24)
+        (new Date(batch.expiryDate) - new Date()) / (1000 * 60 * 60 * 24)
       );
-      return daysUntilExpiry >= 0 && daysUntilExpiry <= 30;
-    }).length;
+      return batch.quantity > 0 && daysUntilExpiry >= 0 && daysUntilExpiry <= 30;
+    })).length;
 
     return [
       { title: "Total Items", value: totalItems.toString(), icon: Package },
@@ -75,7 +107,7 @@ export default function PharmacyInventory() {
       { title: "Out of Stock", value: outOfStockItems.toString(), icon: X },
       { title: "Expiring Soon", value: expiringItems.toString(), icon: Calendar },
     ];
-  }, [inventory]);
+  }, [inventory, reorderLevelOf]);
 
   // Fetch inventory on component mount
   useEffect(() => {
@@ -97,6 +129,7 @@ export default function PharmacyInventory() {
 
       setInventory(response.data);
       setPagination(response.pagination || {});
+      setDefaultReorderLevel(response.defaultReorderLevel);
       logger.success("INVENTORY", "Inventory fetched successfully", { 
         itemsCount: response.data.length 
       });
@@ -133,8 +166,9 @@ export default function PharmacyInventory() {
   const handleEdit = (item) => {
     setEditingItemId(item.id);
     setEditValues({
-      quantity: item.quantity,
       price: item.price,
+      requiresPrescription: item.requiresPrescription,
+      reorderLevel: item.reorderLevel ?? "",
     });
   };
 
@@ -162,6 +196,13 @@ export default function PharmacyInventory() {
     }
   };
 
+  // A batch was added, changed or removed
+  const handleBatchChange = (updatedItem) => {
+    setInventory((current) =>
+      current.map((item) => (item.id === updatedItem.id ? withAvailability(updatedItem) : item))
+    );
+  };
+
   // Handle delete
   const handleDelete = async (itemId, itemName) => {
     if (!window.confirm(`Are you sure you want to delete "${itemName}"?`)) {
@@ -182,11 +223,12 @@ export default function PharmacyInventory() {
     }
   };
 
-  // Get status badge based on quantity
-  const getStatusBadge = (quantity) => {
+  // Get status badge based on available quantity and reorder level
+  const getStatusBadge = (item) => {
+    const quantity = item.availableQuantity;
     if (quantity === 0) {
       return <span className="px-2.5 py-1 rounded-full text-xs bg-red-50 text-red-600">Out of Stock</span>;
-    } else if (quantity < 10) {
+    } else if (quantity <= reorderLevelOf(item)) {
       return <span className="px-2.5 py-1 rounded-full text-xs bg-orange-50 text-orange-600">Low Stock</span>;
     } else {
       return <span className="px-2.5 py-1 rounded-full text-xs bg-green-50 text-green-600">In Stock</span>;
@@ -195,6 +237,10 @@ export default function PharmacyInventory() {
 
   // Get expiry badge
   const getExpiryBadge = (expiryDate) => {
+    if (!expiryDate) {
+      return <span className="text-xs text-gray-400">—</span>;
+    }
+
     const daysUntilExpiry = Math.floor(
       (new Date(expiryDate) - new Date()) / (1000 * 60 * 60 * 24)
     );
@@ -245,6 +291,15 @@ export default function PharmacyInventory() {
       </header>
 
       <main className="p-6">
+        {notice && (
+          <div className="mb-6 bg-green-50 border border-green-200 rounded-lg p-4 flex items-start justify-between gap-4">
+            <p className="text-sm text-green-700">{notice}</p>
+            <button onClick={() => setNotice(null)} className="text-green-700" title="Dismiss">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
           {stats.map((stat) => (
             <div key={stat.title} className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
@@ -273,13 +328,23 @@ export default function PharmacyInventory() {
                 className="w-full pl-10 pr-4 py-2.5 bg-gray-50 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
             </div>
-            <button
-              onClick={() => setIsAddModalOpen(true)}
-              className="px-4 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors flex items-center gap-2"
-            >
-              <Plus size={20} />
-              Add Medicine
-            </button>
+            <div className="flex gap-3">
+              <InventoryExportMenu onError={(message) => alert(message)} />
+              <button
+                onClick={() => setIsImportModalOpen(true)}
+                className="px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50 transition-colors flex items-center gap-2"
+              >
+                <Upload size={20} />
+                Import
+              </button>
+              <button
+                onClick={() => setIsAddModalOpen(true)}
+                className="px-4 py-2.5 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors flex items-center gap-2"
+              >
+                <Plus size={20} />
+                Add Medicine
+              </button>
+            </div>
           </div>
 
           <div className="overflow-x-auto">
@@ -290,7 +355,7 @@ export default function PharmacyInventory() {
                   <th className="text-left px-6 py-4">Generic Name</th>
                   <th className="text-left px-6 py-4">Quantity</th>
                   <th className="text-left px-6 py-4">Price (₹)</th>
-                  <th className="text-left px-6 py-4">Expiry Date</th>
+                  <th className="text-left px-6 py-4">Next Expiry</th>
                   <th className="text-left px-6 py-4">Status</th>
                   <th className="text-left px-6 py-4">Actions</th>
                 </tr>
@@ -320,82 +385,141 @@ export default function PharmacyInventory() {
                   </tr>
                 ) : (
                   filteredInventory.map((item) => (
-                    <tr key={item.id} className="border-b border-gray-50 hover:bg-gray-50">
-                      <td className="px-6 py-4 font-medium text-gray-900">{item.name}</td>
-                      <td className="px-6 py-4 text-gray-600">{item.genericName}</td>
-                      <td className="px-6 py-4">
-                        {editingItemId === item.id ? (
-                          <input
-                            type="number"
-                            min="0"
-                            value={editValues.quantity}
-                            onChange={(e) => setEditValues({ ...editValues, quantity: parseInt(e.target.value) || 0 })}
-                            className="w-20 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-                          />
-                        ) : (
-                          <span className="text-gray-600">{item.quantity}</span>
-                        )}
-                      </td>
-                      <td className="px-6 py-4">
-                        {editingItemId === item.id ? (
-                          <input
-                            type="number"
-                            min="0"
-                            step="0.01"
-                            value={editValues.price}
-                            onChange={(e) => setEditValues({ ...editValues, price: parseFloat(e.target.value) || 0 })}
-                            className="w-24 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
-                          />
-                        ) : (
-                          <span className="text-gray-600">₹{item.price.toFixed(2)}</span>
-                        )}
-                      </td>
-                      <td className="px-6 py-4">
-                        {getExpiryBadge(item.expiryDate)}
-                      </td>
-                      <td className="px-6 py-4">
-                        {getStatusBadge(item.quantity)}
-                      </td>
-                      <td className="px-6 py-4">
-                        <div className="flex items-center gap-2">
+                    <React.Fragment key={item.id}>
+                      <tr className="border-b border-gray-50 hover:bg-gray-50">
+                        <td className="px-6 py-4 font-medium text-gray-900">
+                          <div className="flex items-center gap-2">
+                            {item.name}
+                            {editingItemId === item.id ? (
+                              <label className="flex items-center gap-1 text-xs font-normal text-gray-600">
+                                <input
+                                  type="checkbox"
+                                  checked={!!editValues.requiresPrescription}
+                                  onChange={(e) => setEditValues({ ...editValues, requiresPrescription: e.target.checked })}
+                                />
+                                Rx
+                              </label>
+                            ) : item.requiresPrescription && (
+                              <span title="Prescription required" className="px-1.5 py-0.5 rounded text-xs font-bold bg-red-100 text-red-700">
+                                Rx
+                              </span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 text-gray-600">{item.genericName}</td>
+                        <td className="px-6 py-4">
+                          <div>
+                            <span className="text-gray-600">{item.quantity}</span>
+                            <p className="text-xs text-gray-500">
+                              {item.batches.length} batch{item.batches.length !== 1 ? "es" : ""}
+                              {item.availableQuantity !== item.quantity && ` · ${item.availableQuantity} available`}
+                            </p>
+                            {item.reservedQuantity > 0 && (
+                              <p className="text-xs text-amber-600">{item.reservedQuantity} reserved</p>
+                            )}
+                            {editingItemId === item.id ? (
+                              <label className="mt-1 flex items-center gap-1 text-xs text-gray-500">
+                                Reorder at
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={editValues.reorderLevel}
+                                  onChange={(e) => setEditValues({ ...editValues, reorderLevel: e.target.value })}
+                                  placeholder={`${defaultReorderLevel}`}
+                                  className="w-16 px-2 py-0.5 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                  title="Leave empty to use your default reorder level"
+                                />
+                              </label>
+                            ) : (
+                              <p className="text-xs text-gray-400">
+                                Reorder at {reorderLevelOf(item)}
+                                {item.reorderLevel === null && " (default)"}
+                              </p>
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4">
                           {editingItemId === item.id ? (
-                            <>
-                              <button
-                                onClick={() => handleSaveEdit(item.id)}
-                                className="p-2 text-green-600 hover:bg-green-50 rounded transition-colors"
-                                title="Save changes"
-                              >
-                                <Save size={18} />
-                              </button>
-                              <button
-                                onClick={handleCancelEdit}
-                                className="p-2 text-gray-600 hover:bg-gray-100 rounded transition-colors"
-                                title="Cancel"
-                              >
-                                <X size={18} />
-                              </button>
-                            </>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={editValues.price}
+                              onChange={(e) => setEditValues({ ...editValues, price: parseFloat(e.target.value) || 0 })}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
                           ) : (
-                            <>
-                              <button
-                                onClick={() => handleEdit(item)}
-                                className="p-2 text-blue-600 hover:bg-blue-50 rounded transition-colors"
-                                title="Edit"
-                              >
-                                <Edit2 size={18} />
-                              </button>
-                              <button
-                                onClick={() => handleDelete(item.id, item.name)}
-                                className="p-2 text-red-600 hover:bg-red-50 rounded transition-colors"
-                                title="Delete"
-                              >
-                                <Trash2 size={18} />
-                              </button>
-                            </>
+                            <span className="text-gray-600">₹{item.price.toFixed(2)}</span>
                           )}
-                        </div>
-                      </td>
-                    </tr>
+                        </td>
+                        <td className="px-6 py-4">
+                          {getExpiryBadge(item.expiryDate)}
+                        </td>
+                        <td className="px-6 py-4">
+                          {getStatusBadge(item)}
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="flex items-center gap-2">
+                            {editingItemId === item.id ? (
+                              <>
+                                <button
+                                  onClick={() => handleSaveEdit(item.id)}
+                                  className="p-2 text-green-600 hover:bg-green-50 rounded transition-colors"
+                                  title="Save changes"
+                                >
+                                  <Save size={18} />
+                                </button>
+                                <button
+                                  onClick={handleCancelEdit}
+                                  className="p-2 text-gray-600 hover:bg-gray-100 rounded transition-colors"
+                                  title="Cancel"
+                                >
+                                  <X size={18} />
+                                </button>
+                              </>
+                            ) : (
+                              <>
+                                <button
+                                  onClick={() => setExpandedItemId(expandedItemId === item.id ? null : item.id)}
+                                  className={`p-2 rounded transition-colors ${expandedItemId === item.id ? "bg-blue-50 text-blue-700" : "text-gray-600 hover:bg-gray-100"}`}
+                                  title="Batches"
+                                >
+                                  <Layers size={18} />
+                                </button>
+                                <button
+                                  onClick={() => setHistoryItem(item)}
+                                  className="p-2 text-gray-600 hover:bg-gray-100 rounded transition-colors"
+                                  title="Stock history"
+                                >
+                                  <History size={18} />
+                                </button>
+                                <button
+                                  onClick={() => handleEdit(item)}
+                                  className="p-2 text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                                  title="Edit"
+                                >
+                                  <Edit2 size={18} />
+                                </button>
+                                <button
+                                  onClick={() => handleDelete(item.id, item.name)}
+                                  className="p-2 text-red-600 hover:bg-red-50 rounded transition-colors"
+                                  title="Delete"
+                                >
+                                  <Trash2 size={18} />
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                      {expandedItemId === item.id && (
+                        <tr className="border-b border-gray-100 bg-gray-50">
+                          <td colSpan="7" className="px-6 py-4">
+                            <InventoryBatches item={item} onChange={handleBatchChange} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))
                 )}
               </tbody>
@@ -432,11 +556,25 @@ export default function PharmacyInventory() {
       <AddMedicineModal
         isOpen={isAddModalOpen}
         onClose={() => setIsAddModalOpen(false)}
-        onSuccess={() => {
+        onSuccess={(message) => {
           setIsAddModalOpen(false);
+          setNotice(message);
           fetchInventory(pagination.currentPage);
         }}
       />
+
+      {/* Import Modal */}
+      <InventoryImportModal
+        isOpen={isImportModalOpen}
+        onClose={() => setIsImportModalOpen(false)}
+        onImported={(message) => {
+          setNotice(message);
+          fetchInventory(pagination.currentPage);
+        }}
+      />
+
+      {/* Stock History Drawer */}
+      <StockHistoryDrawer item={historyItem} onClose={() => setHistoryItem(null)} />
     </div>
   );
 }
@@ -446,9 +584,13 @@ function AddMedicineModal({ isOpen, onClose, onSuccess }) {
   const [formData, setFormData] = useState({
     name: "",
     genericName: "",
-    quantity: "",
     price: "",
+    requiresPrescription: false,
+    batchNumber: "",
+    quantity: "",
     expiryDate: "",
+    costPrice: "",
+    reorderLevel: "",
   });
   const [errors, setErrors] = useState({});
   const [submitting, setSubmitting] = useState(false);
@@ -461,9 +603,13 @@ function AddMedicineModal({ isOpen, onClose, onSuccess }) {
       setFormData({
         name: "",
         genericName: "",
-        quantity: "",
         price: "",
+        requiresPrescription: false,
+        batchNumber: "",
+        quantity: "",
         expiryDate: "",
+        costPrice: "",
+        reorderLevel: "",
       });
       setErrors({});
     }
@@ -497,14 +643,26 @@ function AddMedicineModal({ isOpen, onClose, onSuccess }) {
       newErrors.genericName = "Generic name is required";
     }
 
+    if (!formData.batchNumber.trim()) {
+      newErrors.batchNumber = "Batch number is required";
+    }
+
     if (!formData.quantity || parseInt(formData.quantity) < 0) {
       newErrors.quantity = "Quantity must be 0 or greater";
     }
 
+    if (formData.costPrice !== "" && parseFloat(formData.costPrice) < 0) {
+      newErrors.costPrice = "Cost price cannot be negative";
+    }
+
     if (!formData.price || parseFloat(formData.price) <= 0) {
       newErrors.price = "Price must be greater than 0";
     }
 
+    if (formData.reorderLevel !== "" && !(Number.isInteger(Number(formData.reorderLevel)) && Number(formData.reorderLevel) >= 0)) {
+      newErrors.reorderLevel = "Reorder level must be a whole number, 0 or greater";
+    }
+
     if (!formData.expiryDate) {
       newErrors.expiryDate = "Expiry date is required";
     } else {
@@ -532,16 +690,20 @@ function AddMedicineModal({ isOpen, onClose, onSuccess }) {
       setSubmitting(true);
       logger.info("INVENTORY", "Adding new medicine", { name: formData.name });
 
-      await inventoryService.addMedicine({
+      const response = await inventoryService.addMedicine({
         name: formData.name.trim(),
         genericName: formData.genericName.trim(),
-        quantity: parseInt(formData.quantity),
         price: parseFloat(formData.price),
+        requiresPrescription: formData.requiresPrescription,
+        batchNumber: formData.batchNumber.trim(),
+        quantity: parseInt(formData.quantity),
         expiryDate: formData.expiryDate,
+        costPrice: formData.costPrice === "" ? null : parseFloat(formData.costPrice),
+        reorderLevel: formData.reorderLevel === "" ? null : Number(formData.reorderLevel),
       });
 
       logger.success("INVENTORY", "Medicine added successfully");
-      onSuccess();
+      onSuccess(response.message);
     } catch (err) {
       logger.error("INVENTORY", "Failed to add medicine", err);
       const errorMessage = err?.message || "Failed to add medicine";
@@ -600,6 +762,46 @@ function AddMedicineModal({ isOpen, onClose, onSuccess }) {
         </div>
 
         <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Price (₹)"
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="e.g., 5.99"
+            value={formData.price}
+            onChange={(e) => setFormData({ ...formData, price: e.target.value })}
+            error={errors.price}
+            required
+          />
+
+          <Input
+            label="Reorder Level"
+            type="number"
+            min="0"
+            placeholder="Your default"
+            value={formData.reorderLevel}
+            onChange={(e) => setFormData({ ...formData, reorderLevel: e.target.value })}
+            error={errors.reorderLevel}
+          />
+        </div>
+
+        <div className="pt-2 border-t border-gray-100">
+          <p className="text-sm font-medium text-gray-700">First batch</p>
+          <p className="text-xs text-gray-500">
+            Already stock this medicine? The batch is added to it, and its price and reorder level stay as they are.
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Batch Number"
+            placeholder="e.g., CT2401"
+            value={formData.batchNumber}
+            onChange={(e) => setFormData({ ...formData, batchNumber: e.target.value })}
+            error={errors.batchNumber}
+            required
+          />
+
           <Input
             label="Quantity"
             type="number"
@@ -612,26 +814,40 @@ function AddMedicineModal({ isOpen, onClose, onSuccess }) {
           />
 
           <Input
-            label="Price (₹)"
+            label="Expiry Date"
+            type="date"
+            value={formData.expiryDate}
+            onChange={(e) => setFormData({ ...formData, expiryDate: e.target.value })}
+            error={errors.expiryDate}
+            required
+          />
+
+          <Input
+            label="Cost Price (₹)"
             type="number"
             min="0"
             step="0.01"
-            placeholder="e.g., 5.99"
-            value={formData.price}
-            onChange={(e) => setFormData({ ...formData, price: e.target.value })}
-            error={errors.price}
-            required
+            placeholder="Optional"
+            value={formData.costPrice}
+            onChange={(e) => setFormData({ ...formData, costPrice: e.target.value })}
+            error={errors.costPrice}
           />
         </div>
 
-        <Input
-          label="Expiry Date"
-          type="date"
-          value={formData.expiryDate}
-          onChange={(e) => setFormData({ ...formData, expiryDate: e.target.value })}
-          error={errors.expiryDate}
-          required
-        />
+        <label className="flex items-start gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={formData.requiresPrescription}
+            onChange={(e) => setFormData({ ...formData, requiresPrescription: e.target.checked })}
+            className="mt-0.5"
+          />
+          <span>
+            Prescription-only (Rx)
+            <span className="block text-xs text-gray-500">
+              Patients must attach a prescription, and you verify it before the order or SOS can be accepted.
+            </span>
+          </span>
+        </label>
 
         <div className="flex gap-3 justify-end pt-4">
           <button
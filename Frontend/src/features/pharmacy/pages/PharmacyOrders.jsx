@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from "react";
-import { TrendingUp, TrendingDown, ClipboardList, Loader, Package, RefreshCw } from "lucide-react";
+import { TrendingUp, TrendingDown, ClipboardList, Loader, Package, RefreshCw, Check, X, PackageCheck, Truck } from "lucide-react";
 import httpClient from "../../../core/services/httpClient";
 
 // Skeleton Pulse for loading
@@ -26,6 +26,7 @@ function SkeletonRow() {
       <td className="px-6 py-4"><div className="h-5 bg-gray-200 rounded-full w-20" /></td>
       <td className="px-6 py-4"><div className="h-4 bg-gray-200 rounded w-16" /></td>
       <td className="px-6 py-4"><div className="h-4 bg-gray-200 rounded w-24" /></td>
+      <td className="px-6 py-4"><div className="h-8 bg-gray-200 rounded w-32" /></td>
     </tr>
   );
 }
@@ -36,6 +37,8 @@ export default function PharmacyOrders() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filterStatus, setFilterStatus] = useState("all");
+  const [updatingId, setUpdatingId] = useState(null);
+  const [actionError, setActionError] = useState(null);
 
   useEffect(() => {
     fetchOrders();
@@ -68,17 +71,73 @@ export default function PharmacyOrders() {
     }
   };
 
+  const updateStatus = async (order, status) => {
+    let note;
+
+    if (status === "rejected") {
+      note = window.prompt("Reason for rejecting this order (optional):");
+      if (note === null) return;
+    }
+
+    if (status === "cancelled" && !window.confirm("Cancel this order? Its reserved stock will be released back to inventory.")) {
+      return;
+    }
+
+    try {
+      setUpdatingId(order.id);
+      setActionError(null);
+
+      await httpClient.patch(`/pharmacy/orders/${order.id}/status`, { status, note });
+      await fetchOrders();
+    } catch (err) {
+      console.error("Error updating order status:", err);
+      setActionError(
+        err.response?.data?.message ||
+        err.message ||
+        "Failed to update order."
+      );
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Next steps available from each status (mirrors ORDER_TRANSITIONS on the backend)
+  const getActions = (status) => {
+    switch (status) {
+      case "pending":
+        return [
+          { status: "confirmed", label: "Accept", icon: Check, className: "bg-green-600 text-white hover:bg-green-700" },
+          { status: "rejected", label: "Reject", icon: X, className: "bg-red-50 text-red-700 hover:bg-red-100" },
+        ];
+      case "confirmed":
+        return [
+          { status: "ready_for_pickup", label: "Ready", icon: PackageCheck, className: "bg-blue-600 text-white hover:bg-blue-700" },
+          { status: "out_for_delivery", label: "Dispatch", icon: Truck, className: "bg-indigo-50 text-indigo-700 hover:bg-indigo-100" },
+          { status: "cancelled", label: "Cancel", icon: X, className: "bg-red-50 text-red-700 hover:bg-red-100" },
+        ];
+      case "ready_for_pickup":
+      case "out_for_delivery":
+        return [
+          { status: "delivered", label: "Delivered", icon: Check, className: "bg-green-600 text-white hover:bg-green-700" },
+        ];
+      default:
+        return [];
+    }
+  };
+
   const getStatusBadge = (status) => {
     const styles = {
       pending: "bg-yellow-100 text-yellow-700",
       confirmed: "bg-blue-100 text-blue-700",
+      ready_for_pickup: "bg-indigo-100 text-indigo-700",
+      out_for_delivery: "bg-purple-100 text-purple-700",
       delivered: "bg-green-100 text-green-700",
-      fulfilled: "bg-green-100 text-green-700",
       cancelled: "bg-red-100 text-red-700",
+      rejected: "bg-red-100 text-red-700",
     };
     return (
       <span className={`px-2.5 py-1 rounded-full text-xs font-medium capitalize ${styles[status] || "bg-gray-100 text-gray-700"}`}>
-        {status}
+        {status.replace(/_/g, " ")}
       </span>
     );
   };
@@ -149,6 +208,15 @@ export default function PharmacyOrders() {
           </div>
         )}
 
+        {actionError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6 flex items-start justify-between">
+            <p>{actionError}</p>
+            <button onClick={() => setActionError(null)} aria-label="Dismiss error">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
         {/* Filter */}
         <div className="mb-4">
           <select
@@ -159,8 +227,11 @@ export default function PharmacyOrders() {
             <option value="all">All Orders</option>
             <option value="pending">Pending</option>
             <option value="confirmed">Confirmed</option>
+            <option value="ready_for_pickup">Ready for Pickup</option>
+            <option value="out_for_delivery">Out for Delivery</option>
             <option value="delivered">Delivered</option>
             <option value="cancelled">Cancelled</option>
+            <option value="rejected">Rejected</option>
           </select>
         </div>
 
@@ -178,6 +249,7 @@ export default function PharmacyOrders() {
                   <th className="text-left px-6 py-4">Status</th>
                   <th className="text-left px-6 py-4">Total</th>
                   <th className="text-left px-6 py-4">Date</th>
+                  <th className="text-left px-6 py-4">Actions</th>
                 </tr>
               </thead>
               <tbody>
@@ -189,7 +261,7 @@ export default function PharmacyOrders() {
                   </>
                 ) : orders.length === 0 ? (
                   <tr>
-                    <td colSpan="5" className="px-6 py-16 text-center">
+                    <td colSpan="6" className="px-6 py-16 text-center">
                       <Package className="mx-auto mb-3 text-gray-300" size={48} />
                       <p className="text-gray-700 font-semibold text-lg">No orders yet</p>
                       <p className="text-gray-500 text-sm mt-1">
@@ -202,13 +274,45 @@ export default function PharmacyOrders() {
                     <tr key={order.id} className="border-b border-gray-50 hover:bg-gray-50 transition-colors">
                       <td className="px-6 py-4 font-medium text-gray-900">{order.id.slice(0, 12)}...</td>
                       <td className="px-6 py-4 text-gray-600">{order.patient?.name || "Unknown"}</td>
-                      <td className="px-6 py-4">{getStatusBadge(order.status)}</td>
+                      <td className="px-6 py-4">
+                        {getStatusBadge(order.status)}
+                        {order.items?.some((item) => item.requiresPrescription) && (
+                          <p className={`text-xs mt-1 ${order.prescriptionStatus === "VALID" ? "text-green-600" : "text-amber-600"}`}>
+                            Rx · {order.prescriptionStatus === "VALID" ? "verified" : "needs review"}
+                          </p>
+                        )}
+                      </td>
                       <td className="px-6 py-4 text-gray-600">
                         {order.totalAmount ? `Rs. ${order.totalAmount.toLocaleString()}` : "-"}
                       </td>
                       <td className="px-6 py-4 text-gray-500 text-xs">
                         {new Date(order.createdAt).toLocaleDateString()}
                       </td>
+                      <td className="px-6 py-4">
+                        <div className="flex items-center gap-2">
+                          {getActions(order.status).map((action) => {
+                            const ActionIcon = action.icon;
+                            return (
+                              <button
+                                key={action.status}
+                                onClick={() => updateStatus(order, action.status)}
+                                disabled={updatingId === order.id}
+                                className={`flex items-center gap-1 px-2.5 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50 ${action.className}`}
+                              >
+                                {updatingId === order.id ? (
+                                  <Loader size={14} className="animate-spin" />
+                                ) : (
+                                  <ActionIcon size={14} />
+                                )}
+                                {action.label}
+                              </button>
+                            );
+                          })}
+                          {getActions(order.status).length === 0 && (
+                            <span className="text-xs text-gray-400">—</span>
+                          )}
+                        </div>
+                      </td>
                     </tr>
                   ))
                 )}
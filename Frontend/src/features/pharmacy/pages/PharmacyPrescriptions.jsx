@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  FileCheck,
+  FileText,
+  ExternalLink,
+  CheckCircle,
+  XCircle,
+  HelpCircle,
+  Loader,
+  RefreshCw,
+} from "lucide-react";
+import { getPrescriptionQueue, reviewPrescription } from "../../../core/services/pharmacy.service";
+import { openStoredFile } from "../../../core/services/file.service";
+
+const DECISIONS = [
+  { value: "valid", label: "Valid", icon: CheckCircle, className: "bg-green-600 text-white hover:bg-green-700" },
+  { value: "needs_clarification", label: "Needs Clarification", icon: HelpCircle, className: "bg-amber-50 text-amber-700 hover:bg-amber-100" },
+  { value: "invalid", label: "Invalid", icon: XCircle, className: "bg-red-50 text-red-700 hover:bg-red-100" },
+];
+
+function SkeletonCard() {
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 animate-pulse">
+      <div className="h-4 bg-gray-200 rounded w-40 mb-3" />
+      <div className="h-3 bg-gray-100 rounded w-64 mb-2" />
+      <div className="h-3 bg-gray-100 rounded w-48" />
+    </div>
+  );
+}
+
+export default function PharmacyPrescriptions() {
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filterStatus, setFilterStatus] = useState("PENDING");
+  const [notes, setNotes] = useState({});
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await getPrescriptionQueue(filterStatus);
+      setQueue(response.data?.queue || []);
+    } catch (err) {
+      console.error("Error fetching prescription queue:", err);
+      setError(
+        err.response?.data?.message ||
+        err.message ||
+        "Failed to load prescriptions."
+      );
+      setQueue([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [filterStatus]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const handleReview = async (item, decision) => {
+    const note = notes[item.id]?.trim();
+
+    if (decision !== "valid" && !note) {
+      setError("Please add a note explaining the problem to the patient.");
+      return;
+    }
+
+    try {
+      setReviewingId(item.id);
+      setError(null);
+
+      await reviewPrescription(item.type, item.id, decision, note);
+      setNotes((prev) => ({ ...prev, [item.id]: "" }));
+      await fetchQueue();
+    } catch (err) {
+      console.error("Error reviewing prescription:", err);
+      setError(
+        err.response?.data?.message ||
+        err.message ||
+        "Failed to save review."
+      );
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleViewPrescription = async (item) => {
+    try {
+      await openStoredFile(item.prescriptionUrl);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const styles = {
+      PENDING: "bg-yellow-100 text-yellow-700",
+      VALID: "bg-green-100 text-green-700",
+      INVALID: "bg-red-100 text-red-700",
+      NEEDS_CLARIFICATION: "bg-amber-100 text-amber-700",
+    };
+    return (
+      <span className={`px-2.5 py-1 rounded-full text-xs font-medium capitalize ${styles[status] || "bg-gray-100 text-gray-700"}`}>
+        {status?.toLowerCase().replace(/_/g, " ")}
+      </span>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-white border-b border-gray-200 px-6 py-6">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Prescriptions</h1>
+            <p className="text-sm text-gray-500">Verify prescriptions attached to orders and SOS requests</p>
+          </div>
+          <button
+            onClick={fetchQueue}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw size={16} className={loading ? "animate-spin" : ""} />
+            Refresh
+          </button>
+        </div>
+      </header>
+
+      <main className="p-6">
+        {/* Error */}
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-6">
+            <p>{error}</p>
+          </div>
+        )}
+
+        {/* Filter */}
+        <div className="mb-4">
+          <select
+            value={filterStatus}
+            onChange={(e) => setFilterStatus(e.target.value)}
+            className="px-4 py-2.5 bg-white border border-gray-200 rounded-lg text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="PENDING">Awaiting Review</option>
+            <option value="NEEDS_CLARIFICATION">Needs Clarification</option>
+            <option value="VALID">Valid</option>
+            <option value="INVALID">Invalid</option>
+            <option value="all">All</option>
+          </select>
+        </div>
+
+        {/* Queue */}
+        <div className="space-y-4">
+          {loading ? (
+            <>
+              <SkeletonCard />
+              <SkeletonCard />
+            </>
+          ) : queue.length === 0 ? (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-100 px-6 py-16 text-center">
+              <FileCheck className="mx-auto mb-3 text-gray-300" size={48} />
+              <p className="text-gray-700 font-semibold text-lg">No prescriptions to review</p>
+              <p className="text-gray-500 text-sm mt-1">
+                Prescriptions attached to your orders and nearby SOS requests will appear here.
+              </p>
+            </div>
+          ) : (
+            queue.map((item) => (
+              <div key={`${item.type}-${item.id}`} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-2 mb-2">
+                      <span className="px-2 py-0.5 rounded text-xs font-semibold uppercase bg-gray-100 text-gray-600">
+                        {item.type === "sos" ? "SOS" : "Order"}
+                      </span>
+                      {getStatusBadge(item.prescriptionStatus)}
+                      <span className="text-xs text-gray-400">
+                        {new Date(item.createdAt).toLocaleString()}
+                      </span>
+                    </div>
+                    <p className="font-semibold text-gray-900">{item.patient?.name || "Unknown patient"}</p>
+                    <p className="text-sm text-gray-600 mt-1">{item.medicines.join(", ")}</p>
+                    {item.details?.doctorName && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Dr. {item.details.doctorName}
+                        {item.details.hospitalName ? ` · ${item.details.hospitalName}` : ""}
+                      </p>
+                    )}
+                    {item.latestReview?.notes && (
+                      <p className="text-xs text-gray-500 mt-2 italic">Last note: {item.latestReview.notes}</p>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleViewPrescription(item)}
+                      className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline mt-3"
+                    >
+                      <FileText size={14} />
+                      View prescription
+                      <ExternalLink size={12} />
+                    </button>
+                  </div>
+
+                  <div className="md:w-80 space-y-2">
+                    <textarea
+                      value={notes[item.id] || ""}
+                      onChange={(e) => setNotes((prev) => ({ ...prev, [item.id]: e.target.value }))}
+                      placeholder="Notes for the patient (required unless valid)"
+                      rows="2"
+                      className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <div className="flex flex-wrap gap-2">
+                      {DECISIONS.map((decision) => {
+                        const DecisionIcon = decision.icon;
+                        return (
+                          <button
+                            key={decision.value}
+                            onClick={() => handleReview(item, decision.value)}
+                            disabled={reviewingId === item.id}
+                            className={`flex items-center gap-1 px-2.5 py-1.5 rounded-lg text-xs font-medium transition-colors disabled:opacity-50 ${decision.className}`}
+                          >
+                            {reviewingId === item.id ? (
+                              <Loader size={14} className="animate-spin" />
+                            ) : (
+                              <DecisionIcon size={14} />
+                            )}
+                            {decision.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import { 
   AlertTriangle, 
   Loader, 
@@ -17,34 +17,28 @@ import { motion, AnimatePresence } from "framer-motion";
 import httpClient from "../../../core/services/httpClient";
 import { useSOSContext } from "../../../context/SOSContext";
 import SOSMapModal from "../components/SOSMapModal";
+import AcceptedSOSList from "../components/AcceptedSOSList";
+import { useStoredFile } from "../../../shared/hooks/useStoredFile";
 
 export default function PharmacySOSRequests() {
-  const { updateSOSCount } = useSOSContext();
+  const { updateSOSCount, sosUpdate } = useSOSContext();
   const [sosRequests, setSosRequests] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [respondingTo, setRespondingTo] = useState(null);
   const [selectedPrescription, setSelectedPrescription] = useState(null);
+  const prescriptionFile = useStoredFile(selectedPrescription);
   const [selectedSOSForMap, setSelectedSOSForMap] = useState(null);
   const [isMapModalOpen, setIsMapModalOpen] = useState(false);
   const [pharmacyLocation, setPharmacyLocation] = useState(null);
-
-  // Fetch SOS requests on mount and set up polling every 30 seconds
-  useEffect(() => {
-    fetchSOSRequests();
-    
-    // Poll every 30 seconds for real-time updates
-    const interval = setInterval(() => {
-      fetchSOSRequests(true); // Silent refresh
-    }, 30000);
-
-    return () => clearInterval(interval);
-  }, []);
+  const [activeTab, setActiveTab] = useState("nearby");
+  const [acceptedCount, setAcceptedCount] = useState(0);
+  const [acceptedRefreshKey, setAcceptedRefreshKey] = useState(0);
 
   /**
    * Fetch nearby SOS requests from backend
    */
-  const fetchSOSRequests = async (silent = false) => {
+  const fetchSOSRequests = useCallback(async (silent = false) => {
     if (!silent) {
       setLoading(true);
       setError(null);
@@ -78,7 +72,21 @@ export default function PharmacySOSRequests() {
         setLoading(false);
       }
     }
-  };
+  }, [updateSOSCount]);
+
+  // Fetch SOS requests on mount
+  useEffect(() => {
+    fetchSOSRequests();
+  }, [fetchSOSRequests]);
+
+  // Silent refresh whenever SOSContext hears of an SOS change (live stream or fallback polling)
+  const seenSOSUpdateRef = useRef(sosUpdate);
+  useEffect(() => {
+    if (sosUpdate === seenSOSUpdateRef.current) return;
+    seenSOSUpdateRef.current = sosUpdate;
+    fetchSOSRequests(true);
+    setAcceptedRefreshKey((key) => key + 1);
+  }, [sosUpdate, fetchSOSRequests]);
 
   /**
    * Respond to SOS request (accept or reject)
@@ -87,19 +95,32 @@ export default function PharmacySOSRequests() {
     setRespondingTo(sosId);
 
     try {
-      await httpClient.post(
+      const result = await httpClient.post(
         `/pharmacy/sos/${sosId}/respond`,
         { response, note }
       );
 
       // Refresh the list after responding
       await fetchSOSRequests();
+      if (response === 'accepted') {
+        setAcceptedRefreshKey((key) => key + 1);
+      }
 
       // Show success message
-      alert(`SOS request ${response === 'accepted' ? 'accepted' : 'rejected'} successfully!`);
+      alert(
+        result.data?.message ||
+        `SOS request ${response === 'accepted' ? 'accepted' : 'rejected'} successfully!`
+      );
     } catch (err) {
       console.error("Error responding to SOS:", err);
+
+      // 409: another pharmacy claimed it or it expired — drop it from the list
+      if (err.response?.status === 409) {
+        await fetchSOSRequests();
+      }
+
       alert(
+        err.response?.data?.message ||
         err.response?.data?.error?.message || 
         "Failed to respond to SOS request. Please try again."
       );
@@ -166,7 +187,10 @@ export default function PharmacySOSRequests() {
             <p className="text-sm text-gray-500">Respond quickly to urgent patient medical needs</p>
           </div>
           <button
-            onClick={() => fetchSOSRequests()}
+            onClick={() => {
+              fetchSOSRequests();
+              setAcceptedRefreshKey((key) => key + 1);
+            }}
             className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
           >
             Refresh
@@ -205,8 +229,40 @@ export default function PharmacySOSRequests() {
           </div>
         )}
 
+        {/* Tabs */}
+        <div className="flex gap-2 mb-6">
+          {[
+            { id: "nearby", label: `Nearby (${safeSOSRequests.length})` },
+            { id: "accepted", label: `Accepted (${acceptedCount})` },
+          ].map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                activeTab === tab.id
+                  ? "bg-blue-600 text-white"
+                  : "bg-white text-gray-700 border border-gray-200 hover:bg-gray-50"
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Accepted Requests (kept mounted so the tab count stays current) */}
+        <div className={activeTab === "accepted" ? "" : "hidden"}>
+          <AcceptedSOSList
+            refreshKey={acceptedRefreshKey}
+            onCountChange={setAcceptedCount}
+            onOpenDetails={(request) => {
+              setSelectedSOSForMap(request);
+              setIsMapModalOpen(true);
+            }}
+          />
+        </div>
+
         {/* SOS Requests List */}
-        <div className="space-y-4">
+        <div className={activeTab === "nearby" ? "space-y-4" : "hidden"}>
           {safeSOSRequests.length === 0 ? (
             <div className="bg-white rounded-xl p-12 text-center shadow-sm border border-gray-100">
               <AlertTriangle className="text-gray-400 mx-auto mb-4" size={48} />
@@ -360,11 +416,19 @@ export default function PharmacySOSRequests() {
                 </button>
               </div>
               <div className="p-4">
-                <img
-                  src={selectedPrescription}
-                  alt="Prescription"
-                  className="w-full h-auto rounded-lg"
-                />
+                {prescriptionFile.loading && (
+                  <Loader className="animate-spin text-blue-600 mx-auto my-8" size={32} />
+                )}
+                {prescriptionFile.error && (
+                  <p className="text-sm text-red-600 text-center my-8">{prescriptionFile.error}</p>
+                )}
+                {prescriptionFile.url && (
+                  <img
+                    src={prescriptionFile.url}
+                    alt="Prescription"
+                    className="w-full h-auto rounded-lg"
+                  />
+                )}
               </div>
             </motion.div>
           </motion.div>
@@ -15,12 +15,16 @@ import {
   Building,
   Navigation,
   Crosshair,
+  Siren,
+  Bell,
+  Package,
 } from "lucide-react";
 import { MapContainer, TileLayer, Marker, useMapEvents, useMap } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
 import { useAuth } from "../../../context/AuthContext";
 import httpClient from "../../../core/services/httpClient";
+import NotificationPreferences from "../../../shared/components/NotificationPreferences";
 
 // Fix for default marker icon in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -86,6 +90,9 @@ export default function PharmacySettings() {
   const [pharmacy, setPharmacy] = useState(null);
   const [geolocationLoading, setGeolocationLoading] = useState(false);
   const [mapZoom, setMapZoom] = useState(13);
+  const [sosAlertsSaving, setSosAlertsSaving] = useState(false);
+  const [reorderLevel, setReorderLevel] = useState("");
+  const [reorderLevelSaving, setReorderLevelSaving] = useState(false);
 
   // Map position state (default to Kathmandu, Nepal)
   const [mapPosition, setMapPosition] = useState([27.7172, 85.324]);
@@ -121,6 +128,7 @@ export default function PharmacySettings() {
       if (response.data.success) {
         const pharmacyData = response.data.data;
         setPharmacy(pharmacyData);
+        setReorderLevel(pharmacyData.defaultReorderLevel?.toString() ?? "");
 
         // Set location data if available
         if (pharmacyData.latitude && pharmacyData.longitude) {
@@ -280,6 +288,52 @@ export default function PharmacySettings() {
     }
   };
 
+  // Handle SOS alerts opt-out toggle
+  const handleSOSAlertsToggle = async () => {
+    const enabled = !pharmacy.sosAlertsEnabled;
+    setSosAlertsSaving(true);
+
+    try {
+      const response = await httpClient.patch("/pharmacy/sos-alerts", { enabled });
+
+      if (response.data.success) {
+        setPharmacy((prev) => ({ ...prev, sosAlertsEnabled: response.data.data.sosAlertsEnabled }));
+        showNotification("success", response.data.message);
+      }
+    } catch (error) {
+      showNotification(
+        "error",
+        error.response?.data?.message || "Failed to update SOS alerts"
+      );
+    } finally {
+      setSosAlertsSaving(false);
+    }
+  };
+
+  // Handle default reorder level save
+  const handleReorderLevelSave = async (e) => {
+    e.preventDefault();
+    setReorderLevelSaving(true);
+
+    try {
+      const response = await httpClient.patch("/pharmacy/reorder-level", {
+        defaultReorderLevel: Number(reorderLevel),
+      });
+
+      if (response.data.success) {
+        setPharmacy((prev) => ({ ...prev, defaultReorderLevel: response.data.data.defaultReorderLevel }));
+        showNotification("success", response.data.message);
+      }
+    } catch (error) {
+      showNotification(
+        "error",
+        error.response?.data?.message || "Failed to update reorder level"
+      );
+    } finally {
+      setReorderLevelSaving(false);
+    }
+  };
+
   // Handle password change
   const handlePasswordChange = async (e) => {
     e.preventDefault();
@@ -408,6 +462,17 @@ export default function PharmacySettings() {
               <MapPin size={20} />
               Location
             </button>
+            <button
+              onClick={() => setActiveTab("notifications")}
+              className={`flex items-center gap-2 px-6 py-4 font-medium transition-colors ${
+                activeTab === "notifications"
+                  ? "text-blue-600 border-b-2 border-blue-600"
+                  : "text-gray-600 hover:text-gray-900"
+              }`}
+            >
+              <Bell size={20} />
+              Notifications
+            </button>
           </div>
 
           {/* Tab Content */}
@@ -497,6 +562,80 @@ export default function PharmacySettings() {
                       {pharmacy?.verificationStatus || "Unknown"}
                     </span>
                   </div>
+
+                  {/* SOS Alerts */}
+                  {pharmacy?.verificationStatus === "VERIFIED" && (
+                    <div className="flex items-start justify-between gap-6 p-4 border border-gray-200 rounded-lg">
+                      <div className="flex items-start gap-3">
+                        <Siren className="text-red-500 mt-0.5" size={20} />
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">
+                            Emergency SOS Alerts
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {pharmacy.sosAlertsEnabled
+                              ? "You're alerted when a patient nearby sends an SOS request."
+                              : "You won't be alerted about new SOS requests. You can still see them on the SOS Requests page."}
+                          </p>
+                        </div>
+                      </div>
+                      <button
+                        type="button"
+                        role="switch"
+                        aria-checked={pharmacy.sosAlertsEnabled}
+                        onClick={handleSOSAlertsToggle}
+                        disabled={sosAlertsSaving}
+                        className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors disabled:opacity-50 ${
+                          pharmacy.sosAlertsEnabled ? "bg-blue-600" : "bg-gray-300"
+                        }`}
+                      >
+                        <span
+                          className={`inline-block h-5 w-5 transform rounded-full bg-white shadow transition-transform ${
+                            pharmacy.sosAlertsEnabled ? "translate-x-5" : "translate-x-0.5"
+                          }`}
+                        />
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Default Reorder Level */}
+                  {pharmacy?.verificationStatus === "VERIFIED" && (
+                    <form
+                      onSubmit={handleReorderLevelSave}
+                      className="flex items-start justify-between gap-6 p-4 border border-gray-200 rounded-lg"
+                    >
+                      <div className="flex items-start gap-3">
+                        <Package className="text-blue-600 mt-0.5" size={20} />
+                        <div>
+                          <p className="text-sm font-medium text-gray-700">
+                            Default Reorder Level
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            Medicines without their own reorder level count as low stock at or below this many
+                            units. You're alerted once each time one falls to it.
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <input
+                          type="number"
+                          min="0"
+                          required
+                          value={reorderLevel}
+                          onChange={(e) => setReorderLevel(e.target.value)}
+                          className="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                          aria-label="Default reorder level"
+                        />
+                        <button
+                          type="submit"
+                          disabled={reorderLevelSaving || reorderLevel === String(pharmacy.defaultReorderLevel)}
+                          className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                        >
+                          {reorderLevelSaving ? <Loader className="animate-spin" size={18} /> : "Save"}
+                        </button>
+                      </div>
+                    </form>
+                  )}
                 </div>
               </motion.div>
             )}
@@ -842,6 +981,23 @@ export default function PharmacySettings() {
                 </form>
               </motion.div>
             )}
+
+            {/* Notifications Tab */}
+            {activeTab === "notifications" && (
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.3 }}
+              >
+                <h2 className="text-xl font-semibold text-gray-900 mb-6">
+                  Notification Preferences
+                </h2>
+                <NotificationPreferences
+                  onSaved={(message) => showNotification("success", message)}
+                  onError={(message) => showNotification("error", message)}
+                />
+              </motion.div>
+            )}
           </div>
         </div>
       </main>
@@ -35,6 +35,7 @@ import ApplicationRejected from "../features/pharmacy/pages/ApplicationRejected"
 import PharmacyInventory from "../features/pharmacy/pages/PharmacyInventory";
 import PharmacyOrders from "../features/pharmacy/pages/PharmacyOrders";
 import PharmacySOSRequests from "../features/pharmacy/pages/PharmacySOSRequests";
+import PharmacyPrescriptions from "../features/pharmacy/pages/PharmacyPrescriptions";
 import PharmacyCustomers from "../features/pharmacy/pages/PharmacyCustomers";
 import PharmacyAnalytics from "../features/pharmacy/pages/PharmacyAnalytics";
 import PharmacyReports from "../features/pharmacy/pages/PharmacyReports";
@@ -464,6 +465,10 @@ export const routes = [
             path: "sos-requests",
             element: <PharmacySOSRequests />,
           },
+          {
+            path: "prescriptions",
+            element: <PharmacyPrescriptions />,
+          },
           {
             path: "customers",
             element: <PharmacyCustomers />,
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { MessageSquare, Send, Loader2, Check, CheckCheck } from "lucide-react";
+import messageService from "../../core/services/message.service";
+
+// Poll for new messages while the panel is open
+const POLL_INTERVAL_MS = 15000;
+
+/**
+ * Chat panel between a patient and the pharmacy handling their SOS request or order
+ * Marks incoming messages as read while open; own messages show a read receipt
+ * @param {string} threadType - "sos" | "order"
+ * @param {string} threadId - SOS request or order ID
+ * @param {string} className - Extra classes for the outer container
+ */
+export function MessageThread({ threadType, threadId, className = "" }) {
+  const [messages, setMessages] = useState([]);
+  const [role, setRole] = useState(null);
+  const [participants, setParticipants] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const bottomRef = useRef(null);
+
+  const loadMessages = useCallback(async () => {
+    try {
+      const response = await messageService.getThreadMessages(threadType, threadId);
+      const data = response.data?.data;
+
+      setMessages(data?.messages || []);
+      setRole(data?.role || null);
+      setParticipants(data?.participants || null);
+      setError(null);
+
+      if (data?.unreadCount > 0) {
+        await messageService.markThreadRead(threadType, threadId);
+      }
+    } catch (err) {
+      console.error("[MESSAGE THREAD]", err);
+      setError(err.response?.data?.error?.message || "Couldn't load messages");
+    } finally {
+      setLoading(false);
+    }
+  }, [threadType, threadId]);
+
+  useEffect(() => {
+    loadMessages();
+    const interval = setInterval(loadMessages, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadMessages]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: "nearest" });
+  }, [messages.length]);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const body = draft.trim();
+    if (!body) return;
+
+    try {
+      setSending(true);
+      const response = await messageService.sendMessage(threadType, threadId, body);
+      setMessages((current) => [...current, response.data.data]);
+      setDraft("");
+      setError(null);
+    } catch (err) {
+      console.error("[MESSAGE THREAD] Send failed", err);
+      setError(err.response?.data?.error?.message || "Message not sent. Please try again.");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const counterpart = role === "PHARMACY" ? participants?.patientName : participants?.pharmacyName;
+
+  return (
+    <div className={`flex flex-col bg-white border border-gray-200 rounded-xl overflow-hidden ${className}`}>
+      <div className="px-4 py-3 border-b border-gray-100 flex items-center gap-2">
+        <MessageSquare size={16} className="text-blue-600" />
+        <h4 className="text-sm font-semibold text-gray-900">
+          {counterpart ? `Messages with ${counterpart}` : "Messages"}
+        </h4>
+      </div>
+
+      <div className="flex-1 min-h-[180px] max-h-[320px] overflow-y-auto p-4 space-y-3 bg-gray-50">
+        {loading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 size={20} className="animate-spin text-gray-400" />
+          </div>
+        ) : messages.length === 0 ? (
+          <p className="text-center text-xs text-gray-500 py-6">No messages yet. Say hello!</p>
+        ) : (
+          messages.map((message) => {
+            const isOwn = message.senderRole === role;
+
+            return (
+              <div key={message.id} className={`flex ${isOwn ? "justify-end" : "justify-start"}`}>
+                <div
+                  className={`max-w-[80%] px-3 py-2 rounded-2xl text-sm ${
+                    isOwn ? "bg-blue-600 text-white rounded-br-sm" : "bg-white border border-gray-200 text-gray-900 rounded-bl-sm"
+                  }`}
+                >
+                  <p className="whitespace-pre-wrap break-words">{message.body}</p>
+                  <p className={`mt-1 flex items-center justify-end gap-1 text-[10px] ${isOwn ? "text-blue-100" : "text-gray-400"}`}>
+                    {new Date(message.createdAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                    {isOwn && (message.readAt ? <CheckCheck size={12} aria-label="Read" /> : <Check size={12} aria-label="Sent" />)}
+                  </p>
+                </div>
+              </div>
+            );
+          })
+        )}
+        <div ref={bottomRef} />
+      </div>
+
+      {error && <p className="px-4 pt-2 text-xs text-red-600">{error}</p>}
+
+      <form onSubmit={handleSend} className="flex items-center gap-2 p-3 border-t border-gray-100">
+        <input
+          type="text"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          maxLength={2000}
+          placeholder="Type a message..."
+          className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/30"
+        />
+        <button
+          type="submit"
+          disabled={sending || !draft.trim()}
+          className="p-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          aria-label="Send message"
+        >
+          {sending ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default MessageThread;
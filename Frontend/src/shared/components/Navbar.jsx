@@ -142,6 +142,7 @@ export function Navbar() {
     location.pathname.startsWith('/pharmacy/inventory') ||
     location.pathname.startsWith('/pharmacy/orders') ||
     location.pathname.startsWith('/pharmacy/sos-requests') ||
+    location.pathname.startsWith('/pharmacy/prescriptions') ||
     location.pathname.startsWith('/pharmacy/customers') ||
     location.pathname.startsWith('/pharmacy/analytics') ||
     location.pathname.startsWith('/pharmacy/reports') ||
@@ -8,10 +8,10 @@
  * - Mark single notification as read
  * - Mark all as read button
  * - Empty state message
- * - Short polling (every 60 seconds for real-time updates)
+ * - Live updates from the notification stream (polls every 60 seconds while it's down)
  */
 
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import {
   Bell,
@@ -22,8 +22,10 @@ import {
   CheckDone,
   Check,
   ChevronDown,
+  MessageSquare,
 } from "lucide-react";
 import notificationService from "../../core/services/notification.service";
+import { useLiveEvents } from "../hooks/useLiveEvents";
 
 const NotificationDropdown = () => {
   const navigate = useNavigate();
@@ -34,27 +36,35 @@ const NotificationDropdown = () => {
   const [error, setError] = useState(null);
   const dropdownRef = useRef(null);
 
-  // Fetch unread count periodically (short polling every 60 seconds)
-  useEffect(() => {
-    const fetchUnreadCount = async () => {
-      try {
-        const response = await notificationService.getUnreadCount();
-        if (response.data) {
-          setUnreadCount(response.data.unreadCount || 0);
-        }
-      } catch (err) {
-        console.error("[NOTIFICATION DROPDOWN] Failed to fetch unread count:", err);
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await notificationService.getUnreadCount();
+      if (response.data) {
+        setUnreadCount(response.data.unreadCount || 0);
       }
-    };
+    } catch (err) {
+      console.error("[NOTIFICATION DROPDOWN] Failed to fetch unread count:", err);
+    }
+  }, []);
 
-    // Fetch immediately on mount
+  // Fetch immediately on mount
+  useEffect(() => {
     fetchUnreadCount();
-
-    // Set up polling every 60 seconds
-    const pollInterval = setInterval(fetchUnreadCount, 60000);
-
-    return () => clearInterval(pollInterval);
-  }, []);
+  }, [fetchUnreadCount]);
+
+  // New notifications arrive over the stream; poll every 60 seconds while it's down
+  useLiveEvents(
+    ["notification"],
+    (notification) => {
+      if (notification) {
+        setNotifications((prev) =>
+          prev.some((notif) => notif.id === notification.id) ? prev : [{ ...notification, isRead: false }, ...prev]
+        );
+      }
+      fetchUnreadCount();
+    },
+    { pollInterval: 60000 }
+  );
 
   // Fetch detailed notifications when dropdown opens
   useEffect(() => {
@@ -163,6 +173,8 @@ const NotificationDropdown = () => {
         return <Heart size={16} className="text-red-500 animate-pulse" />;
       case "MEDICINE_ALERT":
         return <AlertCircle size={16} className="text-green-500" />;
+      case "NEW_MESSAGE":
+        return <MessageSquare size={16} className="text-blue-500" />;
       case "SYSTEM_MESSAGE":
       default:
         return <Bell size={16} className="text-gray-500" />;
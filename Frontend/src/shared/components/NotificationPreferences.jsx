@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from "react";
+import { Loader, Save, Moon } from "lucide-react";
+import notificationService from "../../core/services/notification.service";
+
+const TYPE_LABELS = {
+  SOS_UPDATE: { label: "SOS requests", description: "New alerts, acceptances and progress on emergency requests" },
+  ORDER_UPDATE: { label: "Orders", description: "New orders and status changes" },
+  MEDICINE_ALERT: { label: "Medicine alerts", description: "Availability updates and dose reminders" },
+  LOW_STOCK_WARNING: { label: "Low stock", description: "Inventory items running low" },
+  EXPIRY_WARNING: { label: "Expiry warnings", description: "Medicines close to their expiry date" },
+  NEW_MESSAGE: { label: "Messages", description: "Chat messages about SOS requests and orders" },
+  CMS_ALERT: { label: "Announcements", description: "News and updates from PharmEasy" },
+  SYSTEM_MESSAGE: { label: "System messages", description: "Account and platform notices" },
+};
+
+const CHANNELS = [
+  { key: "inApp", label: "In-app" },
+  { key: "email", label: "Email" },
+  { key: "digest", label: "Daily digest" },
+];
+
+const DEFAULT_QUIET_HOURS = { start: "22:00", end: "07:00" };
+
+/**
+ * Notification delivery preferences: channels per notification type,
+ * plus quiet hours and the daily digest when the API offers them (pharmacies)
+ * @param {function} onSaved - Called with a success message
+ * @param {function} onError - Called with an error message when saving fails
+ */
+export function NotificationPreferences({ onSaved, onError }) {
+  const [preferences, setPreferences] = useState([]);
+  const [quietHours, setQuietHours] = useState(undefined);
+  const [timezone, setTimezone] = useState("");
+  const [digestTypes, setDigestTypes] = useState([]);
+  const [digestTime, setDigestTime] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        const response = await notificationService.getPreferences();
+        const data = response.data?.data;
+        setPreferences(data?.preferences || []);
+        setQuietHours(data?.quietHours);
+        setTimezone(data?.timezone || "");
+        setDigestTypes(data?.digestTypes || []);
+        setDigestTime(data?.digestTime || "");
+      } catch (err) {
+        console.error("[NOTIFICATION PREFERENCES]", err);
+        setLoadError("Failed to load notification preferences");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPreferences();
+  }, []);
+
+  const toggleChannel = (type, channel) => {
+    setPreferences((current) =>
+      current.map((preference) =>
+        preference.type === type ? { ...preference, [channel]: !preference[channel] } : preference
+      )
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+
+    try {
+      const response = await notificationService.updatePreferences({
+        // Only types the digest covers accept it
+        preferences: preferences.map(({ digest, ...preference }) =>
+          digestTypes.includes(preference.type) ? { ...preference, digest } : preference
+        ),
+        ...(quietHours !== undefined && { quietHours }),
+      });
+      const data = response.data?.data;
+      setPreferences(data?.preferences || preferences);
+      setQuietHours(data?.quietHours);
+      onSaved?.(response.data?.message || "Notification preferences saved");
+    } catch (err) {
+      onError?.(
+        err.response?.data?.error?.message ||
+        err.response?.data?.message ||
+        "Failed to save notification preferences"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader className="animate-spin text-blue-600" size={28} />
+      </div>
+    );
+  }
+
+  const channels = digestTypes.length > 0 ? CHANNELS : CHANNELS.filter((channel) => channel.key !== "digest");
+
+  if (loadError) {
+    return <p className="py-12 text-center text-sm text-red-600">{loadError}</p>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 text-left text-gray-500">
+              <th className="py-3 pr-4 font-medium">Notification</th>
+              {channels.map((channel) => (
+                <th key={channel.key} className="py-3 px-4 font-medium text-center">
+                  {channel.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {preferences.map((preference) => {
+              const meta = TYPE_LABELS[preference.type] || { label: preference.type };
+
+              return (
+                <tr key={preference.type}>
+                  <td className="py-3 pr-4">
+                    <p className="font-medium text-gray-900">{meta.label}</p>
+                    {meta.description && <p className="text-xs text-gray-500">{meta.description}</p>}
+                  </td>
+                  {channels.map((channel) => (
+                    <td key={channel.key} className="py-3 px-4 text-center">
+                      {channel.key === "digest" && !digestTypes.includes(preference.type) ? (
+                        <span className="text-gray-300">—</span>
+                      ) : (
+                        <input
+                          type="checkbox"
+                          checked={preference[channel.key]}
+                          onChange={() => toggleChannel(preference.type, channel.key)}
+                          aria-label={`${meta.label}: ${channel.label}`}
+                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {digestTypes.length > 0 && (
+          <p className="mt-3 text-xs text-gray-500">
+            The daily digest is one email{digestTime && ` each day from ${digestTime}`} summarising open SOS
+            requests near you, pending orders and yesterday&apos;s sales, low stock and medicines expiring within
+            90 days — only the sections you tick.
+          </p>
+        )}
+      </div>
+
+      {quietHours !== undefined && (
+        <div className="p-4 border border-gray-200 rounded-lg space-y-4">
+          <div className="flex items-start justify-between gap-6">
+            <div className="flex items-start gap-3">
+              <Moon className="text-indigo-500 mt-0.5" size={20} />
+              <div>
+                <p className="text-sm font-medium text-gray-700">Quiet hours</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Notifications still reach your inbox, but without live alerts or emails.
+                  Urgent SOS alerts always come through.
+                </p>
+              </div>
+            </div>
+            <input
+              type="checkbox"
+              checked={quietHours !== null}
+              onChange={() => setQuietHours(quietHours === null ? DEFAULT_QUIET_HOURS : null)}
+              aria-label="Enable quiet hours"
+              className="h-4 w-4 mt-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+          </div>
+
+          {quietHours !== null && (
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                From
+                <input
+                  type="time"
+                  value={quietHours.start}
+                  onChange={(e) => setQuietHours({ ...quietHours, start: e.target.value })}
+                  className="px-3 py-2 border border-gray-200 rounded-lg"
+                />
+              </label>
+              <label className="flex items-center gap-2">
+                to
+                <input
+                  type="time"
+                  value={quietHours.end}
+                  onChange={(e) => setQuietHours({ ...quietHours, end: e.target.value })}
+                  className="px-3 py-2 border border-gray-200 rounded-lg"
+                />
+              </label>
+              {timezone && <span className="text-xs text-gray-500">({timezone})</span>}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? <Loader className="animate-spin" size={20} /> : <Save size={20} />}
+          Save Preferences
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationPreferences;
@@ -11,6 +11,7 @@ import {
   Settings,
   LogOut,
   Pill,
+  FileCheck,
 } from "lucide-react";
 import { useAuth } from "../../context/AuthContext";
 import { useSOSContext } from "../../context/SOSContext";
@@ -20,6 +21,7 @@ const NAV_ITEMS = [
   { name: "Inventory", path: "/pharmacy/inventory", icon: Package },
   { name: "Orders", path: "/pharmacy/orders", icon: ClipboardList },
   { name: "SOS Requests", path: "/pharmacy/sos-requests", icon: AlertTriangle, hasDynamicBadge: true },
+  { name: "Prescriptions", path: "/pharmacy/prescriptions", icon: FileCheck },
   { name: "Customers", path: "/pharmacy/customers", icon: Users },
   { name: "Analytics", path: "/pharmacy/analytics", icon: BarChart3 },
   { name: "Reports", path: "/pharmacy/reports", icon: FileText },
@@ -0,0 +1,62 @@
+/**
+ * useLiveEvents Hook
+ *
+ * Runs a callback whenever the notification stream delivers one of the
+ * given events, and polls on an interval instead while the stream is down.
+ * After a dropped stream reconnects, the callback runs once to catch up.
+ *
+ * Usage:
+ * useLiveEvents(["sos"], () => fetchSOSRequests(true), { pollInterval: 30000 });
+ *
+ * @param {string[]} events - Stream events to listen for (notification | sos | order)
+ * @param {function} onEvent - Called with (payload, event); payload is null for polls/catch-ups
+ * @param {object} options - { pollInterval (ms, fallback polling), enabled = true }
+ * @returns {boolean} Whether the stream is connected
+ */
+
+import { useState, useEffect, useRef } from "react";
+import notificationStream from "../../core/services/notificationStream";
+
+export const useLiveEvents = (events, onEvent, { pollInterval, enabled = true } = {}) => {
+  const [connected, setConnected] = useState(notificationStream.isConnected());
+  const onEventRef = useRef(onEvent);
+  const hasConnectedRef = useRef(false);
+  const eventKey = events.join(",");
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const stopWatching = notificationStream.onConnectionChange(setConnected);
+    const unsubscribers = eventKey
+      .split(",")
+      .map((event) => notificationStream.subscribe(event, (payload) => onEventRef.current(payload, event)));
+
+    return () => {
+      stopWatching();
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+    };
+  }, [eventKey, enabled]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    if (connected) {
+      // Anything missed while the stream was down
+      if (hasConnectedRef.current) onEventRef.current(null, "reconnect");
+      hasConnectedRef.current = true;
+      return undefined;
+    }
+
+    if (!pollInterval) return undefined;
+    const interval = setInterval(() => onEventRef.current(null, "poll"), pollInterval);
+    return () => clearInterval(interval);
+  }, [connected, enabled, pollInterval]);
+
+  return connected;
+};
+
+export default useLiveEvents;
@@ -0,0 +1,51 @@
+/**
+ * useStoredFile Hook
+ *
+ * Resolves an uploaded document's URL to one an <img> or link can use:
+ * protected local uploads are downloaded with the auth token into an object
+ * URL (revoked again on change/unmount); public URLs pass through.
+ *
+ * Usage:
+ * const { url, loading, error } = useStoredFile(pharmacy.licenseDocument);
+ *
+ * @param {string} fileUrl - Stored document URL (may be empty)
+ * @returns {object} { url (null until ready), loading, error }
+ */
+
+import { useState, useEffect } from "react";
+import { isProtectedFileUrl, fetchStoredFile } from "../../core/services/file.service";
+
+export const useStoredFile = (fileUrl) => {
+  const [resolved, setResolved] = useState({ source: null, url: null, error: null });
+
+  useEffect(() => {
+    if (!fileUrl || !isProtectedFileUrl(fileUrl)) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    fetchStoredFile(fileUrl)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setResolved({ source: fileUrl, url: objectUrl, error: null });
+      })
+      .catch((err) => {
+        if (!cancelled) setResolved({ source: fileUrl, url: null, error: err.message });
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [fileUrl]);
+
+  if (!fileUrl) return { url: null, loading: false, error: null };
+  if (!isProtectedFileUrl(fileUrl)) return { url: fileUrl, loading: false, error: null };
+
+  // Ignore a result still held for the previous URL
+  const current = resolved.source === fileUrl ? resolved : { url: null, error: null };
+  return { url: current.url, loading: !current.url && !current.error, error: current.error };
+};
+
+export default useStoredFile;
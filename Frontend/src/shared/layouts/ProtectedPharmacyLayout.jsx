@@ -46,7 +46,7 @@ function ProtectedPharmacyLayoutInner({ children, isApprovedPharmacy }) {
 /**
  * Protected Pharmacy Layout
  * - Renders Sidebar only for approved pharmacy users
- * - Wraps all pharmacy routes with SOSProvider for dynamic badge
+ * - Wraps all pharmacy routes with SOSProvider for dynamic badge (live for approved pharmacies)
  * - Ensures onboarding/pending/rejected pages stay full-width
  */
 export function ProtectedPharmacyLayout({ children }) {
@@ -54,7 +54,7 @@ export function ProtectedPharmacyLayout({ children }) {
   const isApprovedPharmacy = user?.roleId === 2 && user?.status === "APPROVED";
 
   return (
-    <SOSProvider>
+    <SOSProvider live={isApprovedPharmacy}>
       <ProtectedPharmacyLayoutInner isApprovedPharmacy={isApprovedPharmacy}>
         {children}
       </ProtectedPharmacyLayoutInner>